@@ -0,0 +1,17 @@
+// Contract hook: writes must answer with one of their documented success codes
+export function contract(endpoint, context) {
+  if (endpoint.method === 'GET') return null;
+
+  return [
+    `pm.test("${endpoint.id} documents ${Object.keys(endpoint.responses).length} responses in ${context.api.info.title}", function () {`,
+    `    pm.expect(pm.response.code).to.be.below(500);`,
+    `});`
+  ];
+}
+
+export function smoke(endpoint) {
+  if (endpoint.path === '/broken') {
+    throw new Error('cannot handle this endpoint');
+  }
+  return endpoint.path === '/async' ? Promise.resolve([]) : undefined;
+}
@@ -0,0 +1,3 @@
+pm.test("{{method}} {{path}} returns X-Request-Id", function () {
+    pm.expect(pm.response.headers.get("X-Request-Id"), "{{operationId}} ({{level}})").to.be.a("string");
+});
@@ -96,11 +96,16 @@ export class MockSpecHubClient {
     return { collection };
   }
 
-  async addTestScripts(collectionUid, testScripts) {
-    this._recordCall('addTestScripts', { collectionUid, testScripts });
+  async addTestScripts(collectionUid, testScripts, options = {}) {
+    this._recordCall('addTestScripts', { collectionUid, testScripts, options });
     return { success: true };
   }
 
+  async upsertFolder(collectionUid, folder) {
+    this._recordCall('upsertFolder', { collectionUid, folder });
+    return { success: true, replaced: false, items: folder.item.length };
+  }
+
   async applyCollectionTags(collectionUid, type) {
     this._recordCall('applyCollectionTags', { collectionUid, type });
     return { tags: [] };
@@ -3,22 +3,40 @@
  * Run with: node --test src/__tests__/parser.test.js
  */
 
-import { describe, it, beforeEach } from 'node:test';
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 import {
   parseSpec,
   extractEndpoints,
+  extractWebhookEndpoints,
+  EndpointKind,
   getResponseSchema,
   getRequiredFields,
   getExample,
   buildRequestBodyExample,
+  buildRequestBodyExamples,
   convertPathParams,
-  getBaseUrl
+  getBaseUrl,
+  getServerBasePath,
+  expandServerUrl,
+  toPostmanServerUrl,
+  loadSpecDocument,
+  getSourceLocation,
+  ParseMode,
+  ParserErrorCode
 } from '../parser.js';
 
+import { convertSwagger2ToOpenApi3, mapChangePathToSwagger2 } from '../swagger2-converter.js';
+import { applyPostmanBody, buildPostmanBody, toXml } from '../request-body-builder.js';
+import { applyOverlay, queryJsonPath } from '../overlay.js';
+import { lintDocument, lintSpec, resolveLintRules, hasLintFailures, formatLintReport } from '../linter.js';
+
 import {
   getFixturePath,
   createMinimalSpec,
@@ -78,6 +96,530 @@ describe('parseSpec', () => {
     assert.strictEqual(api.info.title, 'Circular Reference API');
     assert.ok(api.components.schemas.Node);
   });
+
+  it('should list every checked root when a spec is outside the allowed roots', async () => {
+    const contractsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contracts-'));
+    const specPath = path.join(contractsDir, 'api.yaml');
+    fs.copyFileSync(getFixturePath('minimal-spec.yaml'), specPath);
+
+    try {
+      await assert.rejects(
+        () => parseSpec(specPath, { allowedRoots: [__dirname, 'specs'] }),
+        error => error.code === ParserErrorCode.FILE_NOT_READABLE &&
+          error.details.allowedRoots.length === 2 &&
+          error.message.includes(__dirname) &&
+          error.message.includes(path.resolve('specs'))
+      );
+
+      const api = await parseSpec(specPath, { allowedRoots: [contractsDir] });
+      assert.strictEqual(api.info.title, 'Minimal API');
+    } finally {
+      fs.rmSync(contractsDir, { recursive: true, force: true });
+    }
+  });
+});
+
+// ============================================================
+// Bundle Mode Tests
+// ============================================================
+
+describe('parseSpec (bundle mode)', () => {
+  const rootPath = getFixturePath('multi-file/openapi.yaml');
+
+  it('should return resolved view, bundled graph and source map', async () => {
+    const result = await parseSpec(rootPath, { mode: ParseMode.BUNDLE });
+
+    assert.strictEqual(result.api.paths['/tasks'].get.operationId, 'listTasks');
+    assert.ok(result.bundled.paths['/tasks'].get);
+    assert.ok(result.sourceMap);
+  });
+
+  it('should keep $refs in the bundled document', async () => {
+    const { bundled } = await parseSpec(rootPath, { mode: ParseMode.BUNDLE });
+    const schema = bundled.paths['/tasks'].get.responses['200'].content['application/json'].schema;
+
+    assert.ok(schema.items.$ref.startsWith('#/'));
+  });
+
+  it('should map nodes to the files that own them', async () => {
+    const { sourceMap } = await parseSpec(rootPath, { mode: ParseMode.BUNDLE });
+
+    assert.deepStrictEqual(sourceMap[''], { file: rootPath, pointer: '' });
+    assert.deepStrictEqual(sourceMap['/paths/~1tasks'], {
+      file: getFixturePath('multi-file/paths/tasks.yaml'),
+      pointer: ''
+    });
+    assert.deepStrictEqual(sourceMap['/components/schemas/Task'], {
+      file: getFixturePath('multi-file/components/task.yaml'),
+      pointer: ''
+    });
+    assert.strictEqual(
+      sourceMap['/paths/~1tasks/get/responses/200/content/application~1json/schema/items'].file,
+      getFixturePath('multi-file/components/task.yaml')
+    );
+  });
+
+  it('should return plain spec in default mode', async () => {
+    const api = await parseSpec(rootPath);
+    assert.strictEqual(api.openapi, '3.0.3');
+    assert.strictEqual(api.sourceMap, undefined);
+  });
+});
+
+// ============================================================
+// Swagger 2.0 Tests
+// ============================================================
+
+describe('parseSpec (Swagger 2.0)', () => {
+  it('should upgrade Swagger 2.0 to OpenAPI 3.0', async () => {
+    const api = await parseSpec(getFixturePath('swagger2-spec.yaml'));
+
+    assert.strictEqual(api.openapi, '3.0.3');
+    assert.strictEqual(api.swagger, undefined);
+    assert.deepStrictEqual(api.servers, [{ url: 'https://pets.example.com/v1' }]);
+    assert.ok(api.components.schemas.Pet);
+  });
+
+  it('should map body parameters to requestBody', async () => {
+    const api = await parseSpec(getFixturePath('swagger2-spec.yaml'));
+    const post = api.paths['/pets'].post;
+
+    assert.strictEqual(post.parameters, undefined);
+    assert.strictEqual(post.requestBody.required, true);
+    assert.strictEqual(post.requestBody.description, 'Pet to add');
+    assert.deepStrictEqual(
+      post.requestBody.content['application/json'].schema.required,
+      ['name']
+    );
+  });
+
+  it('should map formData parameters to multipart requestBody', async () => {
+    const api = await parseSpec(getFixturePath('swagger2-spec.yaml'));
+    const upload = api.paths['/pets/{petId}/photo'].post;
+    const schema = upload.requestBody.content['multipart/form-data'].schema;
+
+    assert.deepStrictEqual(schema.properties.file, { type: 'string', format: 'binary' });
+    assert.deepStrictEqual(schema.required, ['file']);
+    assert.ok(upload.responses['200'].content['text/plain']);
+  });
+
+  it('should map produces, headers and examples onto responses', async () => {
+    const api = await parseSpec(getFixturePath('swagger2-spec.yaml'));
+    const response = api.paths['/pets'].get.responses['200'];
+
+    assert.deepStrictEqual(response.content['application/json'].example, [{ id: 1, name: 'Rex' }]);
+    assert.deepStrictEqual(response.headers['X-Total-Count'].schema, { type: 'integer' });
+  });
+
+  it('should convert query parameters and collectionFormat', async () => {
+    const api = await parseSpec(getFixturePath('swagger2-spec.yaml'));
+    const tags = api.paths['/pets'].get.parameters.find(p => p.name === 'tags');
+
+    assert.deepStrictEqual(tags.schema, { type: 'array', items: { type: 'string' } });
+    assert.strictEqual(tags.style, 'form');
+    assert.strictEqual(tags.explode, true);
+  });
+
+  it('should convert securityDefinitions to securitySchemes', async () => {
+    const api = await parseSpec(getFixturePath('swagger2-spec.yaml'));
+    const { apiKeyAuth, oauth } = api.components.securitySchemes;
+
+    assert.deepStrictEqual(apiKeyAuth, { type: 'apiKey', name: 'X-API-Key', in: 'header' });
+    assert.strictEqual(oauth.flows.authorizationCode.tokenUrl, 'https://auth.example.com/token');
+  });
+
+  it('should convert x-nullable to nullable', async () => {
+    const api = await parseSpec(getFixturePath('swagger2-spec.yaml'));
+    assert.strictEqual(api.components.schemas.NewPet.properties.tag.nullable, true);
+  });
+
+  it('should produce endpoints usable by extractEndpoints', async () => {
+    const api = await parseSpec(getFixturePath('swagger2-spec.yaml'));
+    const endpoints = extractEndpoints(api);
+
+    assert.strictEqual(endpoints.length, 3);
+    const upload = endpoints.find(e => e.id === 'uploadPhoto');
+    assert.ok(upload.parameters.find(p => p.name === 'petId' && p.in === 'path'));
+    assert.deepStrictEqual(upload.security, [{ apiKeyAuth: [] }]);
+  });
+
+  it('should reject unsupported Swagger versions', async () => {
+    const tempPath = path.join(__dirname, 'fixtures', '.swagger12-temp.yaml');
+    const fs = await import('fs');
+    fs.writeFileSync(tempPath, "swagger: '1.2'\ninfo:\n  title: Old\n  version: 1.0.0\npaths: {}\n");
+
+    try {
+      await assert.rejects(() => parseSpec(tempPath), /Unsupported version.*1\.2/);
+    } finally {
+      fs.unlinkSync(tempPath);
+    }
+  });
+
+  it('should rewrite local $refs in raw documents', () => {
+    const converted = convertSwagger2ToOpenApi3({
+      swagger: '2.0',
+      info: { title: 'Raw', version: '1.0.0' },
+      paths: {
+        '/a': {
+          get: {
+            responses: { '200': { description: 'OK', schema: { $ref: '#/definitions/A' } } }
+          }
+        }
+      },
+      definitions: { A: { type: 'object' } }
+    });
+
+    assert.strictEqual(
+      converted.paths['/a'].get.responses['200'].content['application/json'].schema.$ref,
+      '#/components/schemas/A'
+    );
+  });
+
+  it('should map OpenAPI 3 change paths back to Swagger 2.0', () => {
+    const swagger = {
+      paths: {
+        '/pets': {
+          post: {
+            parameters: [
+              { name: 'trace', in: 'header', type: 'string' },
+              { name: 'pet', in: 'body', schema: {} },
+              { name: 'dryRun', in: 'query', type: 'boolean' }
+            ]
+          }
+        }
+      }
+    };
+
+    assert.strictEqual(
+      mapChangePathToSwagger2('paths./pets.post.description', swagger),
+      'paths./pets.post.description'
+    );
+    assert.strictEqual(
+      mapChangePathToSwagger2('paths./pets.post.requestBody.description', swagger),
+      'paths./pets.post.parameters.1.description'
+    );
+    assert.strictEqual(
+      mapChangePathToSwagger2('paths./pets.post.parameters.1.example', swagger),
+      'paths./pets.post.parameters.2.x-example'
+    );
+    assert.strictEqual(
+      mapChangePathToSwagger2('components.schemas.Pet.description', swagger),
+      'definitions.Pet.description'
+    );
+    assert.strictEqual(mapChangePathToSwagger2('servers.0.url', swagger), null);
+  });
+});
+
+// ============================================================
+// Source Location Tests
+// ============================================================
+
+describe('parseSpec (source locations)', () => {
+  it('should report line and column of YAML syntax errors', async () => {
+    await assert.rejects(
+      () => parseSpec(getFixturePath('syntax-error.yaml')),
+      error => {
+        assert.strictEqual(error.code, ParserErrorCode.INVALID_YAML);
+        assert.strictEqual(error.details.file, getFixturePath('syntax-error.yaml'));
+        assert.strictEqual(error.details.line, 10);
+        assert.strictEqual(error.details.column, 7);
+        return true;
+      }
+    );
+  });
+
+  it('should point unresolved $refs at the offending $ref', async () => {
+    await assert.rejects(
+      () => parseSpec(getFixturePath('invalid-spec.yaml')),
+      error => {
+        assert.strictEqual(error.code, ParserErrorCode.INVALID_REF);
+        assert.strictEqual(error.details.pointer, '/paths/~1test/get/responses/200/content/application~1json/schema/$ref');
+        assert.strictEqual(error.details.ref, '#/components/schemas/NonExistent');
+        assert.strictEqual(error.details.line, 15);
+        assert.strictEqual(error.details.column, 17);
+        assert.match(error.message, /invalid-spec\.yaml:15:17/);
+        return true;
+      }
+    );
+  });
+
+  it('should attach pointer and source location to endpoints', async () => {
+    const api = await parseSpec(getFixturePath('minimal-spec.yaml'));
+    const [endpoint] = extractEndpoints(api);
+
+    assert.strictEqual(endpoint.pointer, '/paths/~1health/get');
+    assert.deepStrictEqual(endpoint.source, {
+      file: getFixturePath('minimal-spec.yaml'),
+      line: 7,
+      column: 5,
+      pointer: '/paths/~1health/get'
+    });
+  });
+
+  it('should locate endpoints in the file that owns them', async () => {
+    const api = await parseSpec(getFixturePath('multi-file/openapi.yaml'));
+    const [endpoint] = extractEndpoints(api);
+
+    assert.strictEqual(endpoint.source.file, getFixturePath('multi-file/paths/tasks.yaml'));
+    assert.strictEqual(endpoint.source.line, 1);
+    assert.strictEqual(getSourceLocation(api, '/paths/~1tasks/get/responses/200').line, 5);
+  });
+
+  it('should locate webhooks and callbacks', async () => {
+    const api = await parseSpec(getFixturePath('webhooks-spec.yaml'));
+    const endpoints = extractWebhookEndpoints(api);
+    const callback = endpoints.find(endpoint => endpoint.kind === EndpointKind.CALLBACK);
+
+    assert.ok(endpoints.every(endpoint => endpoint.source?.line > 0));
+    assert.match(callback.pointer, /^\/paths\/~1subscriptions\/post\/callbacks\/onEvent\//);
+  });
+
+  it('should leave source empty for specs not loaded by parseSpec', () => {
+    const [endpoint] = extractEndpoints(createMinimalSpec());
+
+    assert.strictEqual(endpoint.source, null);
+    assert.strictEqual(endpoint.pointer, '/paths/~1test/get');
+  });
+});
+
+// ============================================================
+// parseSpec (overlays) Tests
+// ============================================================
+
+describe('parseSpec (overlays)', () => {
+  const minimalPath = getFixturePath('minimal-spec.yaml');
+  const overlayPath = getFixturePath('overlays/postman-overlay.yaml');
+  const hideInternalPath = getFixturePath('overlays/hide-internal.yaml');
+
+  it('should apply overlay updates before validation', async () => {
+    const api = await parseSpec(minimalPath, { overlays: [overlayPath] });
+    const operation = api.paths['/health'].get;
+
+    assert.strictEqual(api.info['x-postman-view'], true);
+    assert.strictEqual(operation.summary, 'Health check (overlaid)');
+    assert.strictEqual(operation.operationId, 'healthCheck');
+    assert.deepStrictEqual(Object.keys(operation.responses), ['200', '503']);
+  });
+
+  it('should apply overlays in order', async () => {
+    const api = await parseSpec(minimalPath, { overlays: [overlayPath, hideInternalPath] });
+
+    assert.strictEqual(api.paths['/health'].get, undefined);
+  });
+
+  it('should leave the canonical spec untouched', async () => {
+    await parseSpec(minimalPath, { overlays: [overlayPath] });
+    const api = await parseSpec(minimalPath);
+
+    assert.strictEqual(api.paths['/health'].get.summary, 'Health check');
+  });
+
+  it('should resolve relative $refs of an overlaid multi-file spec', async () => {
+    const overlay = {
+      overlay: '1.0.0',
+      info: { title: 'Tag tasks', version: '1.0.0' },
+      actions: [{ target: '$', update: { tags: [{ name: 'tasks' }] } }]
+    };
+
+    const { api, bundled } = await parseSpec(getFixturePath('multi-file/openapi.yaml'), {
+      mode: ParseMode.BUNDLE,
+      overlays: [overlay]
+    });
+
+    assert.deepStrictEqual(api.tags, [{ name: 'tasks' }]);
+    assert.strictEqual(api.components.schemas.Task.type, 'object');
+    assert.deepStrictEqual(bundled.tags, [{ name: 'tasks' }]);
+  });
+
+  it('should return the overlaid root document for upload', async () => {
+    const document = await loadSpecDocument(minimalPath, { overlays: [overlayPath] });
+
+    assert.strictEqual(document.openapi, '3.0.3');
+    assert.ok(document.paths['/health'].get.responses['503']);
+  });
+
+  it('should reject invalid overlays with INVALID_OVERLAY', async () => {
+    const overlay = { overlay: '2.0.0', info: { title: 'x', version: '1' }, actions: [] };
+
+    await assert.rejects(
+      () => parseSpec(minimalPath, { overlays: [overlay] }),
+      error => error.code === ParserErrorCode.INVALID_OVERLAY && /overlay version/.test(error.message)
+    );
+  });
+
+  it('should report a missing overlay file', async () => {
+    await assert.rejects(
+      () => parseSpec(minimalPath, { overlays: [getFixturePath('overlays/missing.yaml')] }),
+      error => error.code === ParserErrorCode.FILE_NOT_FOUND && /Overlay file not found/.test(error.message)
+    );
+  });
+});
+
+describe('parseSpec (remote specs)', () => {
+  const specBody = fs.readFileSync(getFixturePath('minimal-spec.yaml'), 'utf8');
+  const requests = [];
+  let server;
+  let baseUrl;
+  let cacheDir;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, authorization: req.headers.authorization, ifNoneMatch: req.headers['if-none-match'] });
+      if (req.url === '/slow.yaml') return; // never answers
+      if (req.headers.authorization !== 'Bearer secret-token') {
+        res.writeHead(401);
+        return res.end();
+      }
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.writeHead(304);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'application/yaml', ETag: '"v1"' });
+      res.end(specBody);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+    delete process.env.TEST_ARTIFACT_TOKEN;
+  });
+
+  beforeEach(() => {
+    requests.length = 0;
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spec-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  const remote = (extra = {}) => ({
+    headers: { Authorization: 'Bearer ${TEST_ARTIFACT_TOKEN}' },
+    cacheDir,
+    ...extra
+  });
+
+  it('should send configured headers with env vars expanded', async () => {
+    process.env.TEST_ARTIFACT_TOKEN = 'secret-token';
+    const api = await parseSpec(`${baseUrl}/api.yaml`, { remote: remote() });
+
+    assert.strictEqual(api.info.title, 'Minimal API');
+    assert.strictEqual(requests[0].authorization, 'Bearer secret-token');
+  });
+
+  it('should revalidate the cached copy with its ETag', async () => {
+    process.env.TEST_ARTIFACT_TOKEN = 'secret-token';
+    await parseSpec(`${baseUrl}/api.yaml`, { remote: remote() });
+    const api = await parseSpec(`${baseUrl}/api.yaml`, { remote: remote() });
+
+    assert.strictEqual(api.info.title, 'Minimal API');
+    assert.strictEqual(requests.at(-1).ifNoneMatch, '"v1"');
+  });
+
+  it('should serve the cached copy in offline mode without fetching', async () => {
+    process.env.TEST_ARTIFACT_TOKEN = 'secret-token';
+    await parseSpec(`${baseUrl}/api.yaml`, { remote: remote() });
+    requests.length = 0;
+
+    const api = await parseSpec(`${baseUrl}/api.yaml`, { remote: remote({ offline: true }) });
+
+    assert.strictEqual(api.info.title, 'Minimal API');
+    assert.strictEqual(requests.length, 0);
+  });
+
+  it('should fail offline when nothing is cached', async () => {
+    await assert.rejects(
+      () => parseSpec(`${baseUrl}/api.yaml`, { remote: remote({ offline: true }) }),
+      error => error.code === ParserErrorCode.REMOTE_FETCH_FAILED && /no cached copy/.test(error.message)
+    );
+  });
+
+  it('should report HTTP errors with the status', async () => {
+    await assert.rejects(
+      () => parseSpec(`${baseUrl}/api.yaml`, { remote: { cacheDir } }),
+      error => error.code === ParserErrorCode.REMOTE_FETCH_FAILED && error.details.status === 401
+    );
+  });
+
+  it('should time out slow servers', async () => {
+    await assert.rejects(
+      () => parseSpec(`${baseUrl}/slow.yaml`, { timeout: 200, remote: { cacheDir } }),
+      error => error.code === ParserErrorCode.TIMEOUT
+    );
+  });
+});
+
+describe('applyOverlay', () => {
+  const overlayOf = (...actions) => ({ overlay: '1.0.0', info: { title: 'Test', version: '1.0.0' }, actions });
+
+  it('should append updates to targeted arrays', () => {
+    const document = { tags: [{ name: 'a' }] };
+    const result = applyOverlay(document, overlayOf({ target: '$.tags', update: { name: 'b' } }));
+
+    assert.deepStrictEqual(result.tags, [{ name: 'a' }, { name: 'b' }]);
+    assert.deepStrictEqual(document.tags, [{ name: 'a' }]);
+  });
+
+  it('should merge objects recursively and replace other values', () => {
+    const document = { info: { title: 'A', contact: { name: 'x', email: 'x@example.com' }, tags: ['a'] } };
+    const result = applyOverlay(document, overlayOf({
+      target: '$.info',
+      update: { contact: { name: 'y' }, tags: ['b'] }
+    }));
+
+    assert.deepStrictEqual(result.info, { title: 'A', contact: { name: 'y', email: 'x@example.com' }, tags: ['b'] });
+  });
+
+  it('should remove several array entries without shifting indexes', () => {
+    const document = { items: [{ keep: true }, { keep: false }, { keep: true }, { keep: false }] };
+    const result = applyOverlay(document, overlayOf({ target: '$.items[?@.keep == false]', remove: true }));
+
+    assert.deepStrictEqual(result.items, [{ keep: true }, { keep: true }]);
+  });
+
+  it('should reject updates of scalar targets', () => {
+    assert.throws(
+      () => applyOverlay({ info: { title: 'A' } }, overlayOf({ target: '$.info.title', update: { x: 1 } })),
+      /cannot be updated/
+    );
+  });
+});
+
+describe('queryJsonPath', () => {
+  const document = {
+    paths: {
+      '/a': { get: { tags: ['internal'], deprecated: true }, post: { tags: ['public'] } },
+      '/b': { get: { tags: ['public'], parameters: [{ name: 'id' }, { name: 'q' }] } }
+    }
+  };
+  const keys = matches => matches.map(match => match.key);
+
+  it('should select names, bracket names and wildcards', () => {
+    assert.strictEqual(queryJsonPath(document, "$.paths['/a'].post").length, 1);
+    assert.strictEqual(queryJsonPath(document, '$.paths.*.*').length, 3);
+    assert.deepStrictEqual(keys(queryJsonPath(document, "$.paths['/a','/b']")), ['/a', '/b']);
+  });
+
+  it('should select indexes, including negative ones', () => {
+    assert.deepStrictEqual(queryJsonPath(document, "$.paths['/b'].get.parameters[-1].name").map(m => m.value), ['q']);
+  });
+
+  it('should support descendant segments without duplicates', () => {
+    assert.deepStrictEqual(queryJsonPath(document, '$..name').map(match => match.value), ['id', 'q']);
+  });
+
+  it('should support filter expressions', () => {
+    assert.deepStrictEqual(keys(queryJsonPath(document, '$.paths.*[?@.deprecated]')), ['get']);
+    assert.strictEqual(queryJsonPath(document, "$.paths.*[?@.tags[0] == 'public' && !@.deprecated]").length, 2);
+    assert.strictEqual(queryJsonPath(document, "$.paths.*[?(@.tags[0] == 'internal' || @.parameters)]").length, 2);
+  });
+
+  it('should reject expressions that do not start at the root', () => {
+    assert.throws(() => queryJsonPath(document, 'paths.*'), /must start with \$/);
+  });
 });
 
 // ============================================================
@@ -203,9 +745,107 @@ describe('extractEndpoints', () => {
     const api = await parseSpec(specPath);
     const endpoints = extractEndpoints(api);
 
-    const createEndpoint = endpoints.find(e => e.path === '/items' && e.method === 'POST');
-    assert.ok(createEndpoint.requestBody);
-    assert.ok(createEndpoint.requestBody.content['application/json']);
+    const createEndpoint = endpoints.find(e => e.path === '/items' && e.method === 'POST');
+    assert.ok(createEndpoint.requestBody);
+    assert.ok(createEndpoint.requestBody.content['application/json']);
+  });
+
+  it('should let operation parameters override path parameters by name and location', () => {
+    const api = createMinimalSpec({
+      paths: {
+        '/items/{id}': {
+          parameters: [
+            { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+            { name: 'id', in: 'query', schema: { type: 'string' } }
+          ],
+          get: {
+            operationId: 'getItem',
+            parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+            responses: { '200': { description: 'OK' } }
+          }
+        }
+      }
+    });
+
+    const [endpoint] = extractEndpoints(api);
+
+    assert.strictEqual(endpoint.parameters.length, 2);
+    assert.strictEqual(endpoint.parameters.find(p => p.in === 'path').schema.type, 'integer');
+    assert.ok(endpoint.parameters.find(p => p.in === 'query'));
+  });
+
+  it('should resolve operation, path and root servers', () => {
+    const api = createMinimalSpec({
+      paths: {
+        '/files': {
+          servers: [{ url: 'https://files.example.com/v2' }],
+          get: { operationId: 'listFiles', responses: { '200': { description: 'OK' } } },
+          post: {
+            operationId: 'uploadFile',
+            servers: [{ url: 'https://uploads.example.com' }],
+            responses: { '201': { description: 'Created' } }
+          }
+        },
+        '/health': {
+          get: { operationId: 'health', responses: { '200': { description: 'OK' } } }
+        }
+      }
+    });
+
+    const endpoints = extractEndpoints(api);
+    const byId = id => endpoints.find(e => e.id === id);
+
+    assert.strictEqual(byId('listFiles').servers[0].url, 'https://files.example.com/v2');
+    assert.strictEqual(byId('listFiles').serverOverride, true);
+    assert.strictEqual(byId('uploadFile').servers[0].url, 'https://uploads.example.com');
+    assert.strictEqual(byId('health').servers[0].url, 'https://api.example.com');
+    assert.strictEqual(byId('health').serverOverride, false);
+  });
+});
+
+// ============================================================
+// Webhook / Callback Extraction Tests
+// ============================================================
+
+describe('extractWebhookEndpoints', () => {
+  it('should extract top-level webhooks', async () => {
+    const api = await parseSpec(getFixturePath('webhooks-spec.yaml'));
+    const webhook = extractWebhookEndpoints(api).find(e => e.kind === EndpointKind.WEBHOOK);
+
+    assert.strictEqual(webhook.id, 'orderShipped');
+    assert.strictEqual(webhook.method, 'POST');
+    assert.strictEqual(webhook.webhookName, 'orderShipped');
+    assert.ok(webhook.requestBody.content['application/json'].schema.properties.id);
+  });
+
+  it('should extract per-operation callbacks', async () => {
+    const api = await parseSpec(getFixturePath('webhooks-spec.yaml'));
+    const callback = extractWebhookEndpoints(api).find(e => e.kind === EndpointKind.CALLBACK);
+
+    assert.strictEqual(callback.path, '{$request.body#/callbackUrl}');
+    assert.strictEqual(callback.callbackName, 'onEvent');
+    assert.strictEqual(callback.parentOperationId, 'createSubscription');
+    assert.strictEqual(callback.id, 'createSubscription_onEvent_post');
+    assert.ok(callback.responses['204']);
+  });
+
+  it('should not mix webhooks into extractEndpoints', async () => {
+    const api = await parseSpec(getFixturePath('webhooks-spec.yaml'));
+    const endpoints = extractEndpoints(api);
+
+    assert.ok(endpoints.every(e => e.kind === EndpointKind.OPERATION));
+    assert.ok(!endpoints.find(e => e.id === 'orderShipped'));
+  });
+
+  it('should extract trace operations', async () => {
+    const api = await parseSpec(getFixturePath('webhooks-spec.yaml'));
+    const endpoints = extractEndpoints(api);
+
+    assert.ok(endpoints.find(e => e.method === 'TRACE' && e.path === '/diagnostics'));
+  });
+
+  it('should return empty array when there are no webhooks', () => {
+    assert.deepStrictEqual(extractWebhookEndpoints(createMinimalSpec()), []);
   });
 });
 
@@ -556,6 +1196,140 @@ describe('getExample', () => {
   });
 });
 
+// ============================================================
+// getExample Synthesis Tests
+// ============================================================
+
+describe('getExample (schema synthesis)', () => {
+  const pet = {
+    type: 'object',
+    required: ['petType'],
+    properties: {
+      petType: { type: 'string' },
+      name: { type: 'string' }
+    },
+    discriminator: {
+      propertyName: 'petType',
+      mapping: { cat: '#/components/schemas/Cat', dog: '#/components/schemas/Dog' }
+    }
+  };
+  const cat = { allOf: [pet, { type: 'object', properties: { indoor: { type: 'boolean' } } }] };
+  const dog = { allOf: [pet, { type: 'object', properties: { barks: { type: 'integer' } } }] };
+  const root = { components: { schemas: { Pet: pet, Cat: cat, Dog: dog } } };
+
+  it('should return a fixed date-time instead of the current time', () => {
+    const schema = { type: 'string', format: 'date-time' };
+    assert.strictEqual(getExample(schema), getExample(schema));
+    assert.strictEqual(getExample(schema), '2024-01-01T00:00:00Z');
+  });
+
+  it('should merge allOf members in order', () => {
+    const example = getExample({
+      allOf: [
+        { type: 'object', properties: { id: { type: 'integer' } } },
+        { type: 'object', properties: { name: { type: 'string' } } }
+      ]
+    });
+
+    assert.deepStrictEqual(Object.keys(example), ['id', 'name']);
+  });
+
+  it('should pick the first oneOf/anyOf branch', () => {
+    assert.strictEqual(getExample({ oneOf: [{ type: 'integer' }, { type: 'string' }] }), 0);
+    assert.strictEqual(getExample({ anyOf: [{ type: 'null' }, { type: 'string' }] }), 'string');
+  });
+
+  it('should set the discriminator value from the mapping', () => {
+    const example = getExample({ oneOf: [cat, dog], discriminator: pet.discriminator }, { root });
+
+    assert.strictEqual(example.petType, 'cat');
+    assert.strictEqual(example.indoor, true);
+  });
+
+  it('should set the discriminator value for allOf inheritance', () => {
+    assert.strictEqual(getExample(dog, { root }).petType, 'dog');
+  });
+
+  it('should return const values', () => {
+    assert.strictEqual(getExample({ type: 'string', const: 'fixed' }), 'fixed');
+  });
+
+  it('should use the non-null type of OAS 3.1 type arrays', () => {
+    assert.strictEqual(getExample({ type: ['null', 'string'] }), 'string');
+    assert.strictEqual(getExample({ type: 'null' }), null);
+  });
+
+  it('should produce a value for nullable schemas', () => {
+    assert.strictEqual(getExample({ type: 'integer', nullable: true }), 0);
+  });
+
+  it('should skip readOnly fields in request bodies and writeOnly fields in responses', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        id: { type: 'string', readOnly: true },
+        password: { type: 'string', writeOnly: true },
+        name: { type: 'string' }
+      }
+    };
+
+    assert.deepStrictEqual(Object.keys(getExample(schema, { direction: 'request' })), ['password', 'name']);
+    assert.deepStrictEqual(Object.keys(getExample(schema, { direction: 'response' })), ['id', 'name']);
+    assert.deepStrictEqual(Object.keys(buildRequestBodyExample({ content: { 'application/json': { schema } } })), ['password', 'name']);
+  });
+
+  it('should respect numeric constraints', () => {
+    assert.strictEqual(getExample({ type: 'integer', minimum: 10, exclusiveMinimum: true }), 11);
+    assert.strictEqual(getExample({ type: 'integer', exclusiveMinimum: 3, multipleOf: 5 }), 5);
+    assert.strictEqual(getExample({ type: 'number', maximum: -5 }), -5);
+  });
+
+  it('should respect string length constraints', () => {
+    assert.strictEqual(getExample({ type: 'string', minLength: 10 }).length, 10);
+    assert.strictEqual(getExample({ type: 'string', maxLength: 3 }), 'str');
+  });
+
+  it('should generate strings matching a pattern', () => {
+    const pattern = '^[A-Z]{3}-\\d{4}$';
+    const example = getExample({ type: 'string', pattern });
+
+    assert.ok(new RegExp(pattern).test(example), example);
+  });
+
+  it('should honor minItems and uniqueItems', () => {
+    const example = getExample({
+      type: 'array',
+      minItems: 3,
+      uniqueItems: true,
+      items: { type: 'integer', minimum: 1, maximum: 100 }
+    });
+
+    assert.strictEqual(example.length, 3);
+    assert.strictEqual(new Set(example).size, 3);
+  });
+
+  it('should stop at recursive schemas', () => {
+    const node = { type: 'object', properties: { value: { type: 'integer' } } };
+    node.properties.children = { type: 'array', items: node };
+
+    assert.deepStrictEqual(getExample(node), { value: 0, children: [] });
+  });
+
+  it('should be deterministic for a seed and vary across seeds', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        createdAt: { type: 'string', format: 'date-time' },
+        count: { type: 'integer', minimum: 0, maximum: 1000 }
+      }
+    };
+
+    assert.deepStrictEqual(getExample(schema, { seed: 42 }), getExample(schema, { seed: 42 }));
+    assert.notDeepStrictEqual(getExample(schema, { seed: 1 }), getExample(schema, { seed: 2 }));
+  });
+});
+
 // ============================================================
 // buildRequestBodyExample Tests
 // ============================================================
@@ -607,7 +1381,7 @@ describe('buildRequestBodyExample', () => {
     assert.strictEqual(buildRequestBodyExample({ content: null }), null);
   });
 
-  it('should return null for non-JSON content', () => {
+  it('should build text/plain content', () => {
     const requestBody = {
       content: {
         'text/plain': {
@@ -616,9 +1390,32 @@ describe('buildRequestBodyExample', () => {
       }
     };
 
+    assert.strictEqual(buildRequestBodyExample(requestBody), 'string');
+  });
+
+  it('should return null for unsupported content', () => {
+    const requestBody = {
+      content: {
+        'application/octet-stream': {
+          schema: { type: 'string', format: 'binary' }
+        }
+      }
+    };
+
     assert.strictEqual(buildRequestBodyExample(requestBody), null);
   });
 
+  it('should prefer JSON when several media types are offered', () => {
+    const requestBody = {
+      content: {
+        'application/xml': { schema: { type: 'object', properties: { id: { type: 'integer' } } } },
+        'application/json': { schema: { type: 'object', properties: { id: { type: 'integer' } } } }
+      }
+    };
+
+    assert.deepStrictEqual(buildRequestBodyExample(requestBody), { id: 0 });
+  });
+
   it('should return null for JSON content without schema', () => {
     const requestBody = {
       content: {
@@ -630,6 +1427,220 @@ describe('buildRequestBodyExample', () => {
   });
 });
 
+// ============================================================
+// Non-JSON Request Body Tests
+// ============================================================
+
+describe('buildPostmanBody (non-JSON media types)', () => {
+  it('should build urlencoded fields, exploding arrays by default', () => {
+    const { mediaType, body } = buildPostmanBody({
+      content: {
+        'application/x-www-form-urlencoded': {
+          schema: {
+            type: 'object',
+            properties: {
+              grant_type: { type: 'string', enum: ['password'] },
+              scope: { type: 'array', items: { type: 'string', enum: ['read', 'write'] }, minItems: 2, uniqueItems: true }
+            }
+          }
+        }
+      }
+    });
+
+    assert.strictEqual(mediaType, 'application/x-www-form-urlencoded');
+    assert.strictEqual(body.mode, 'urlencoded');
+    assert.deepStrictEqual(body.urlencoded.map(f => [f.key, f.value]), [
+      ['grant_type', 'password'],
+      ['scope', 'read'],
+      ['scope', 'write']
+    ]);
+  });
+
+  it('should join arrays when encoding disables explode', () => {
+    const { body } = buildPostmanBody({
+      content: {
+        'application/x-www-form-urlencoded': {
+          schema: { type: 'object', properties: { ids: { type: 'array', items: { type: 'integer' } } } },
+          example: { ids: [1, 2] },
+          encoding: { ids: { style: 'pipeDelimited', explode: false } }
+        }
+      }
+    });
+
+    assert.deepStrictEqual(body.urlencoded, [{ key: 'ids', value: '1|2', type: 'text' }]);
+  });
+
+  it('should build multipart parts with file placeholders and encoding content types', () => {
+    const { body } = buildPostmanBody({
+      content: {
+        'multipart/form-data': {
+          schema: {
+            type: 'object',
+            properties: {
+              file: { type: 'string', format: 'binary' },
+              avatar: { type: 'string' },
+              metadata: { type: 'object', properties: { title: { type: 'string' } } }
+            }
+          },
+          encoding: {
+            avatar: { contentType: 'image/png' },
+            metadata: { contentType: 'application/json' }
+          }
+        }
+      }
+    });
+
+    const byKey = key => body.formdata.find(part => part.key === key);
+
+    assert.strictEqual(body.mode, 'formdata');
+    assert.strictEqual(byKey('file').type, 'file');
+    assert.strictEqual(byKey('avatar').type, 'file');
+    assert.ok(byKey('avatar').description.includes('image/png'));
+    assert.strictEqual(byKey('metadata').type, 'text');
+    assert.strictEqual(byKey('metadata').contentType, 'application/json');
+    assert.deepStrictEqual(JSON.parse(byKey('metadata').value), { title: 'string' });
+  });
+
+  it('should build XML honoring name, attribute, namespace and wrapped hints', () => {
+    const { body } = buildPostmanBody({
+      content: {
+        'application/xml': {
+          schema: {
+            type: 'object',
+            xml: { name: 'book', namespace: 'https://example.com/schema', prefix: 'bk' },
+            properties: {
+              id: { type: 'integer', xml: { attribute: true } },
+              title: { type: 'string', example: 'Dune & Co' },
+              tags: { type: 'array', xml: { wrapped: true }, items: { type: 'string', xml: { name: 'tag' } } }
+            }
+          }
+        }
+      }
+    });
+
+    assert.strictEqual(body.mode, 'raw');
+    assert.strictEqual(body.options.raw.language, 'xml');
+    assert.strictEqual(body.raw, [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<bk:book xmlns:bk="https://example.com/schema" id="0">',
+      '  <title>Dune &amp; Co</title>',
+      '  <tags>',
+      '    <tag>string</tag>',
+      '  </tags>',
+      '</bk:book>'
+    ].join('\n'));
+  });
+
+  it('should repeat unwrapped array items in place', () => {
+    const xml = toXml({ tag: ['a', 'b'] }, {
+      type: 'object',
+      properties: { tag: { type: 'array', items: { type: 'string' } } }
+    }, 'post');
+
+    assert.ok(xml.includes('<post>\n  <tag>a</tag>\n  <tag>b</tag>\n</post>'));
+  });
+
+  it('should build text/plain bodies as raw text', () => {
+    const { body } = buildPostmanBody({
+      content: { 'text/plain': { schema: { type: 'string' }, example: 'hello' } }
+    });
+
+    assert.deepStrictEqual(body, { mode: 'raw', raw: 'hello', options: { raw: { language: 'text' } } });
+  });
+
+  it('should return null for unsupported media types', () => {
+    assert.strictEqual(buildPostmanBody({ content: { 'image/png': { schema: { type: 'string' } } } }), null);
+  });
+
+  it('should set generated bodies on requests, declaring Content-Type except for multipart', () => {
+    const text = buildPostmanBody({ content: { 'text/plain': { schema: { type: 'string' }, example: 'hello' } } });
+    const multipart = buildPostmanBody({
+      content: { 'multipart/form-data': { schema: { type: 'object', properties: { name: { type: 'string' } } } } }
+    });
+    const request = () => ({ method: 'POST', header: [{ key: 'Accept', value: '*/*' }] });
+
+    assert.deepStrictEqual(applyPostmanBody(request(), text), {
+      method: 'POST',
+      header: [{ key: 'Accept', value: '*/*' }, { key: 'Content-Type', value: 'text/plain' }],
+      body: text.body
+    });
+    assert.deepStrictEqual(applyPostmanBody(request(), multipart).header, [{ key: 'Accept', value: '*/*' }]);
+    assert.strictEqual(applyPostmanBody(request(), multipart).body, multipart.body);
+    assert.deepStrictEqual(applyPostmanBody(request(), null), request());
+  });
+});
+
+// ============================================================
+// Seeded Fake Data Tests
+// ============================================================
+
+describe('buildRequestBodyExamples (seeded fake data)', () => {
+  const requestBody = {
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          properties: {
+            email: { type: 'string', format: 'email' },
+            firstName: { type: 'string' },
+            phone: { type: 'string' },
+            country: { type: 'string' },
+            age: { type: 'integer' },
+            notes: { type: 'string', maxLength: 20 }
+          }
+        }
+      }
+    }
+  };
+
+  it('should pick realistic values by property name and format', () => {
+    const [payload] = buildRequestBodyExamples(requestBody, { seed: 3 });
+
+    assert.match(payload.email, /^[a-z.-]+\d{2}@example\.com$/);
+    assert.notStrictEqual(payload.firstName, 'string');
+    assert.match(payload.phone, /^\+1555\d{7}$/);
+    assert.ok(payload.country.length > 2);
+    assert.ok(payload.age >= 18 && payload.age <= 90);
+    assert.ok(payload.notes.length <= 20);
+  });
+
+  it('should produce N distinct payloads that replay for the same seed', () => {
+    const first = buildRequestBodyExamples(requestBody, { seed: 'run-1', count: 5 });
+    const again = buildRequestBodyExamples(requestBody, { seed: 'run-1', count: 5 });
+
+    assert.strictEqual(first.length, 5);
+    assert.deepStrictEqual(first, again);
+    assert.strictEqual(new Set(first.map(p => JSON.stringify(p))).size, 5);
+  });
+
+  it('should treat numeric strings and numbers as the same seed', () => {
+    assert.deepStrictEqual(
+      buildRequestBodyExamples(requestBody, { seed: '42' }),
+      buildRequestBodyExamples(requestBody, { seed: 42 })
+    );
+  });
+
+  it('should keep the documented example first and vary the rest', () => {
+    const documented = {
+      content: {
+        'application/json': {
+          schema: requestBody.content['application/json'].schema,
+          example: { email: 'doc@example.com' }
+        }
+      }
+    };
+
+    const payloads = buildRequestBodyExamples(documented, { count: 2 });
+
+    assert.deepStrictEqual(payloads[0], { email: 'doc@example.com' });
+    assert.notStrictEqual(payloads[1].email, 'doc@example.com');
+  });
+
+  it('should return no payloads without a JSON body', () => {
+    assert.deepStrictEqual(buildRequestBodyExamples(null, { count: 3 }), []);
+  });
+});
+
 // ============================================================
 // convertPathParams Tests
 // ============================================================
@@ -703,4 +1714,243 @@ describe('getBaseUrl', () => {
 
     assert.strictEqual(getBaseUrl(api), 'https://{environment}.example.com');
   });
+
+  it('should expand declared server variables from their defaults', () => {
+    const api = {
+      servers: [{
+        url: 'https://{region}.api.example.com/{basePath}',
+        variables: {
+          region: { default: 'eu-west', enum: ['us-east', 'eu-west'] },
+          basePath: { default: 'v2' }
+        }
+      }]
+    };
+
+    assert.strictEqual(getBaseUrl(api), 'https://eu-west.api.example.com/v2');
+  });
+});
+
+describe('expandServerUrl / toPostmanServerUrl', () => {
+  const server = {
+    url: 'https://{region}.example.com/{version}/{undeclared}',
+    variables: { region: { default: 'us' }, version: { enum: ['v1', 'v2'] } }
+  };
+
+  it('should apply explicit values before defaults', () => {
+    assert.strictEqual(expandServerUrl(server, { region: 'eu' }), 'https://eu.example.com/v1/{undeclared}');
+  });
+
+  it('should turn declared variables into Postman references', () => {
+    assert.strictEqual(toPostmanServerUrl(server), 'https://{{region}}.example.com/{{version}}/{undeclared}');
+  });
+});
+
+// ============================================================
+// getServerBasePath Tests
+// ============================================================
+
+describe('getServerBasePath', () => {
+  it('should return the path of an absolute server URL', () => {
+    assert.strictEqual(getServerBasePath('https://api.example.com/v2/'), '/v2');
+  });
+
+  it('should return empty string for a server at the root', () => {
+    assert.strictEqual(getServerBasePath('https://api.example.com'), '');
+  });
+
+  it('should keep relative server URLs', () => {
+    assert.strictEqual(getServerBasePath('/v1'), '/v1');
+  });
+});
+
+// ============================================================
+// Linter Tests
+// ============================================================
+
+describe('lintDocument', () => {
+  const lintSpecObject = () => ({
+    openapi: '3.0.3',
+    info: { title: 'Lint', version: '1.0.0' },
+    paths: {
+      '/items': {
+        get: {
+          operationId: 'listItems',
+          summary: 'List items',
+          responses: {
+            '200': {
+              description: 'OK',
+              content: {
+                'application/json': {
+                  schema: { type: 'object', properties: { count: { type: 'integer' } } },
+                  example: { count: 'three' }
+                }
+              }
+            },
+            '400': { description: 'Bad request' }
+          }
+        },
+        post: {
+          operationId: 'listItems',
+          summary: 'x'.repeat(120),
+          responses: { '201': { description: 'Created' } }
+        }
+      }
+    },
+    components: {
+      schemas: { Unused: { type: 'string' } }
+    }
+  });
+
+  const ruleIds = findings => findings.map(finding => finding.ruleId).sort();
+
+  it('should report every recommended rule with a pointer', () => {
+    const api = lintSpecObject();
+    const findings = lintDocument(api, api);
+
+    assert.deepStrictEqual(ruleIds(findings), [
+      'components-no-unused',
+      'example-schema-valid',
+      'operation-4xx-response',
+      'operation-operationId-unique',
+      'operation-summary-length'
+    ]);
+
+    const duplicate = findings.find(finding => finding.ruleId === 'operation-operationId-unique');
+    assert.strictEqual(duplicate.severity, 'error');
+    assert.strictEqual(duplicate.pointer, '/paths/~1items/post/operationId');
+
+    const example = findings.find(finding => finding.ruleId === 'example-schema-valid');
+    assert.strictEqual(example.pointer, '/paths/~1items/get/responses/200/content/application~1json/example');
+    assert.match(example.message, /\/count/);
+  });
+
+  it('should sort errors before warnings', () => {
+    const api = lintSpecObject();
+    const severities = lintDocument(api, api).map(finding => finding.severity);
+
+    assert.ok(severities.lastIndexOf('error') < severities.indexOf('warn'));
+  });
+
+  it('should apply severity overrides and rule options', () => {
+    const api = lintSpecObject();
+    const findings = lintDocument(api, api, {
+      rules: {
+        'components-no-unused': 'off',
+        'operation-4xx-response': 'error',
+        'operation-summary-length': ['info', { max: 200 }]
+      }
+    });
+
+    assert.deepStrictEqual(ruleIds(findings), [
+      'example-schema-valid',
+      'operation-4xx-response',
+      'operation-operationId-unique'
+    ]);
+    assert.strictEqual(findings.find(f => f.ruleId === 'operation-4xx-response').severity, 'error');
+  });
+
+  it('should accept OpenAPI 3.0 nullable and boolean exclusive bounds in examples', () => {
+    const api = lintSpecObject();
+    api.paths['/items'].get.responses['200'].content['application/json'] = {
+      schema: {
+        type: 'object',
+        properties: {
+          note: { type: 'string', nullable: true },
+          ratio: { type: 'number', minimum: 0, exclusiveMinimum: true }
+        }
+      },
+      examples: { ok: { value: { note: null, ratio: 0.5 } } }
+    };
+
+    const findings = lintDocument(api, api, { ruleset: 'minimal' });
+    assert.deepStrictEqual(ruleIds(findings), ['operation-operationId-unique']);
+  });
+
+  it('should accept null for nullable enums and untyped nullable schemas', () => {
+    const api = lintSpecObject();
+    const content = examples => ({
+      schema: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ['open', 'done'], nullable: true },
+          ref: { nullable: true, allOf: [{ type: 'object', required: ['id'], properties: { id: { type: 'string' } } }] }
+        }
+      },
+      examples
+    });
+    api.paths['/items'].get.responses['200'].content['application/json'] = content({
+      empty: { value: { status: null, ref: null } },
+      set: { value: { status: 'done', ref: { id: 'a' } } }
+    });
+
+    assert.deepStrictEqual(ruleIds(lintDocument(api, api, { ruleset: 'minimal' })), ['operation-operationId-unique']);
+
+    api.paths['/items'].get.responses['200'].content['application/json'] = content({
+      bad: { value: { status: 'closed', ref: {} } }
+    });
+    assert.deepStrictEqual(ruleIds(lintDocument(api, api, { ruleset: 'minimal' })), [
+      'example-schema-valid',
+      'operation-operationId-unique'
+    ]);
+  });
+
+  it('should count security requirements and $refs as component usage', () => {
+    const bundled = {
+      openapi: '3.0.3',
+      info: { title: 'Refs', version: '1.0.0' },
+      security: [{ apiKey: [] }],
+      paths: {
+        '/a': {
+          get: {
+            responses: {
+              '200': { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/Used' } } } },
+              '404': { description: 'Missing' }
+            }
+          }
+        }
+      },
+      components: {
+        schemas: { Used: { type: 'string' } },
+        securitySchemes: { apiKey: { type: 'apiKey', in: 'header', name: 'X-Key' }, unused: { type: 'http', scheme: 'basic' } }
+      }
+    };
+
+    const findings = lintDocument(bundled, bundled, { ruleset: 'recommended' });
+    assert.deepStrictEqual(findings.map(finding => finding.pointer), ['/components/securitySchemes/unused']);
+  });
+
+  it('should reject unknown rules and rulesets', () => {
+    assert.throws(() => resolveLintRules({ ruleset: 'nope' }), /Unknown lint ruleset/);
+    assert.throws(() => resolveLintRules({ rules: { 'no-such-rule': 'warn' } }), /Unknown lint rule/);
+  });
+
+  it('should fail only at or above the failOn severity', () => {
+    const findings = [{ ruleId: 'operation-4xx-response', severity: 'warn' }];
+
+    assert.strictEqual(hasLintFailures(findings), false);
+    assert.strictEqual(hasLintFailures(findings, 'warn'), true);
+    assert.strictEqual(hasLintFailures(findings, 'off'), false);
+  });
+});
+
+describe('lintSpec', () => {
+  it('should lint a multi-file spec without reporting bundled components as unused', async () => {
+    const result = await lintSpec(getFixturePath('multi-file/openapi.yaml'));
+
+    assert.strictEqual(result.summary.error, 0);
+    assert.ok(!result.findings.some(finding => finding.ruleId === 'components-no-unused'));
+  });
+
+  it('should render a SARIF 2.1.0 report', async () => {
+    const result = await lintSpec(getFixturePath('swagger2-spec.yaml'));
+    const sarif = JSON.parse(formatLintReport(result, 'sarif'));
+
+    assert.strictEqual(sarif.version, '2.1.0');
+    assert.strictEqual(sarif.runs[0].tool.driver.name, 'spec-sync');
+    assert.strictEqual(sarif.runs[0].results.length, result.findings.length);
+    assert.ok(sarif.runs[0].results.every(entry => entry.level === 'warning'));
+    assert.ok(sarif.runs[0].results.some(entry =>
+      entry.locations[0].logicalLocations[0].fullyQualifiedName === '/components/securitySchemes/oauth'
+    ));
+  });
 });
@@ -5,9 +5,13 @@
 
 import { describe, it, mock, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
+import path from 'path';
 import { ChangeDetector, CHANGE_DIRECTION } from '../change-detector.js';
 import { SpecMerge } from '../spec-merge.js';
 import { RepoSync } from '../repo-sync.js';
+import { ReverseSync } from '../reverse-sync.js';
+import { parseSpec, ParseMode } from '../parser.js';
+import { getFixturePath } from './helpers/test-helpers.js';
 
 // ============================================================
 // FIXTURES
@@ -209,12 +213,121 @@ describe('SpecMerge', () => {
       'Postman description should win'
     );
   });
+
+  it('should parse media type keys as a single path segment', () => {
+    const parts = merger.parsePath('paths./tasks.get.responses.200.content.application/json.example');
+
+    assert.deepStrictEqual(parts, [
+      'paths', '/tasks', 'get', 'responses', 200, 'content', 'application/json', 'example'
+    ]);
+  });
+});
+
+describe('SpecMerge (multi-file specs)', () => {
+  let merger;
+  let sourceMap;
+
+  beforeEach(async () => {
+    merger = new SpecMerge({ conflictStrategy: 'spec-wins' });
+    ({ sourceMap } = await parseSpec(getFixturePath('multi-file/openapi.yaml'), {
+      mode: ParseMode.BUNDLE
+    }));
+  });
+
+  it('should locate the file that owns an operation', () => {
+    const location = merger.locateSource('paths./tasks.get.description', sourceMap);
+
+    assert.deepStrictEqual(location, {
+      file: getFixturePath('multi-file/paths/tasks.yaml'),
+      pointer: '/get/description'
+    });
+  });
+
+  it('should locate nodes reached through a nested $ref', () => {
+    const location = merger.locateSource(
+      'paths./tasks.get.responses.200.content.application/json.schema.items.description',
+      sourceMap
+    );
+
+    assert.deepStrictEqual(location, {
+      file: getFixturePath('multi-file/components/task.yaml'),
+      pointer: '/description'
+    });
+  });
+
+  it('should fall back to the root file', () => {
+    const location = merger.locateSource('info.description', sourceMap);
+    assert.strictEqual(location.file, getFixturePath('multi-file/openapi.yaml'));
+    assert.strictEqual(location.pointer, '/info/description');
+  });
+
+  it('should route changes to their source files without touching others', () => {
+    const result = merger.mergeSpecsToSources([
+      { path: 'paths./tasks.get.description', newValue: 'From Postman', hasConflict: false },
+      { path: 'components.schemas.Task.description', newValue: 'A unit of work', hasConflict: false },
+      { path: 'info.description', newValue: 'Conflicting', hasConflict: true }
+    ], sourceMap);
+
+    const tasksFile = getFixturePath('multi-file/paths/tasks.yaml');
+    const taskSchemaFile = getFixturePath('multi-file/components/task.yaml');
+
+    assert.strictEqual(result.files[tasksFile].get.description, 'From Postman');
+    assert.strictEqual(result.files[taskSchemaFile].description, 'A unit of work');
+    assert.strictEqual(result.files[getFixturePath('multi-file/openapi.yaml')], undefined);
+    assert.strictEqual(result.applied.length, 2);
+    assert.strictEqual(result.skipped.length, 1);
+  });
+
+  it('should detect external refs', () => {
+    assert.strictEqual(merger.hasExternalRefs({ a: { $ref: './b.yaml' } }), true);
+    assert.strictEqual(merger.hasExternalRefs({ a: { $ref: '#/components/schemas/B' } }), false);
+  });
 });
 
 // ============================================================
 // REPO SYNC TESTS
 // ============================================================
 
+describe('ReverseSync (source locations)', () => {
+  it('should attach file, line and column to changes in multi-file specs', async () => {
+    const { sourceMap } = await parseSpec(getFixturePath('multi-file/openapi.yaml'), { mode: ParseMode.BUNDLE });
+    const reverseSync = new ReverseSync(null);
+    const changes = {
+      safeToSync: [{ path: 'paths./tasks.get.summary' }],
+      needsReview: [],
+      blocked: [{ path: 'paths./tasks.get.responses.200.description' }],
+      tests: []
+    };
+
+    reverseSync.annotateSourceLocations(changes, getFixturePath('multi-file/openapi.yaml'), { sourceMap });
+
+    assert.deepStrictEqual(changes.safeToSync[0].location, {
+      file: getFixturePath('multi-file/paths/tasks.yaml'),
+      line: 2,
+      column: 3,
+      pointer: '/paths/~1tasks/get/summary'
+    });
+    assert.strictEqual(changes.blocked[0].location.line, 6);
+  });
+
+  it('should report no changes for an unchanged multi-file spec', async () => {
+    const specPath = getFixturePath('multi-file/openapi.yaml');
+    const { api } = await parseSpec(specPath, { mode: ParseMode.BUNDLE });
+    const client = {
+      getCollection: mock.fn(() => Promise.resolve({ collection: { info: { name: 'Tasks' }, item: [] } })),
+      getCollectionAsOpenApi: mock.fn(() => Promise.resolve(api))
+    };
+    const reverseSync = new ReverseSync(client);
+
+    const result = await reverseSync.reverseSync(specPath, 'col-123', { dryRun: true });
+
+    assert.strictEqual(result.status, 'dry-run');
+    assert.deepStrictEqual(result.changes.safeToSync, []);
+    assert.deepStrictEqual(result.changes.needsReview, []);
+    assert.deepStrictEqual(result.changes.blocked, []);
+  });
+});
+
 describe('RepoSync', () => {
   let repoSync;
   let mockClient;
@@ -397,7 +510,7 @@ describe('Edge Cases', () => {
 // CONFIG LOADER TESTS
 // ============================================================
 
-import { loadConfig, DEFAULT_CONFIG } from '../config-loader.js';
+import { loadConfig, getSpecOverlays, getRemoteOptions, getAllowedSpecRoots, getTestTemplates, DEFAULT_CONFIG } from '../config-loader.js';
 
 describe('Config Loader', () => {
   const originalEnv = process.env;
@@ -413,6 +526,9 @@ describe('Config Loader', () => {
     delete process.env.CONFLICT_STRATEGY;
     delete process.env.AUTO_MERGE;
     delete process.env.DRY_RUN;
+    delete process.env.DATA_SEED;
+    delete process.env.DATA_SETS;
+    delete process.env.SPEC_OFFLINE;
   });
 
   afterEach(() => {
@@ -463,6 +579,87 @@ describe('Config Loader', () => {
     assert.strictEqual(config.reverseSync.conflictStrategy, 'interactive');
   });
 
+  it('should resolve the test data seed from config, env and CLI', () => {
+    assert.strictEqual(loadConfig({}).forwardSync.dataSeed, 1);
+
+    process.env.DATA_SEED = '7';
+    assert.strictEqual(loadConfig({}).forwardSync.dataSeed, '7');
+    assert.strictEqual(loadConfig({ seed: '99' }).forwardSync.dataSeed, '99');
+  });
+
+  it('should resolve the number of seeded data sets from config, env and CLI', () => {
+    assert.strictEqual(loadConfig({}).forwardSync.dataSets, 1);
+
+    process.env.DATA_SETS = '5';
+    assert.strictEqual(loadConfig({}).forwardSync.dataSets, 5);
+    assert.strictEqual(loadConfig({ dataSets: '3' }).forwardSync.dataSets, 3);
+  });
+
+  it('should resolve spec overlays relative to the config file', () => {
+    const config = {
+      _configPath: '/repo/config/sync.config.json',
+      specs: {
+        api: { path: 'specs/api.yaml', overlays: ['../overlays/postman.yaml', '/abs/extra.yaml'] }
+      }
+    };
+
+    assert.deepStrictEqual(getSpecOverlays(config, 'specs/api.yaml'), [
+      path.resolve('/repo/overlays/postman.yaml'),
+      path.resolve('/abs/extra.yaml')
+    ]);
+    assert.strictEqual(getSpecOverlays(config, './specs/api.yaml').length, 2);
+    assert.deepStrictEqual(getSpecOverlays(config, 'specs/other.yaml'), []);
+  });
+
+  it('should resolve allowed spec roots relative to the config file', () => {
+    const config = {
+      _configPath: '/repo/packages/orders/sync.config.json',
+      allowedSpecRoots: ['.', '../../contracts']
+    };
+
+    assert.deepStrictEqual(getAllowedSpecRoots(config), [
+      path.resolve('/repo/packages/orders'),
+      path.resolve('/repo/contracts')
+    ]);
+    assert.deepStrictEqual(getAllowedSpecRoots(loadConfig({})), []);
+    assert.deepStrictEqual(
+      getAllowedSpecRoots(loadConfig({ allowedRoots: ['../shared'] })),
+      [path.resolve('../shared')]
+    );
+  });
+
+  it('should resolve test templates and hooks relative to the config file', () => {
+    const config = {
+      _configPath: '/repo/config/sync.config.json',
+      forwardSync: { testTemplates: { contract: ['../templates/request-id.js'], hooks: ['/abs/hooks.mjs'] } }
+    };
+
+    assert.deepStrictEqual(getTestTemplates(config), {
+      contract: [path.resolve('/repo/templates/request-id.js')],
+      hooks: [path.resolve('/abs/hooks.mjs')]
+    });
+    assert.deepStrictEqual(getTestTemplates(loadConfig({})), { smoke: [], contract: [], hooks: [] });
+  });
+
+  it('should resolve remote loading options from config, env and CLI', () => {
+    const config = {
+      _configPath: '/repo/config/sync.config.json',
+      remote: { headers: { Authorization: 'Bearer ${ARTIFACT_TOKEN}' }, cacheDir: '../.spec-cache' }
+    };
+
+    assert.deepStrictEqual(getRemoteOptions(config), {
+      headers: { Authorization: 'Bearer ${ARTIFACT_TOKEN}' },
+      timeout: 30000,
+      cacheDir: path.resolve('/repo/.spec-cache'),
+      offline: false
+    });
+    assert.strictEqual(getRemoteOptions({ remote: { cacheDir: false } }).cacheDir, false);
+
+    process.env.SPEC_OFFLINE = 'true';
+    assert.strictEqual(loadConfig({}).remote.offline, true);
+    assert.strictEqual(loadConfig({ offline: false }).remote.offline, false);
+  });
+
   it('should handle API key from environment', () => {
     process.env.POSTMAN_API_KEY = 'test-api-key-123';
 
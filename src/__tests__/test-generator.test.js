@@ -3,18 +3,39 @@
  * Run with: node --test src/__tests__/test-generator.test.js
  */
 
-import { describe, it, beforeEach } from 'node:test';
+import { describe, it, before, after, beforeEach } from 'node:test';
 import assert from 'node:assert';
+import http from 'http';
 import path from 'path';
+import vm from 'vm';
 import { fileURLToPath } from 'url';
 
 import {
   TestLevel,
   generateTestScriptsForSpec,
-  generatePreRequestScript
+  generateSkipScriptsForSpec,
+  generatePreRequestScript,
+  generatePreRequestScriptsForSpec,
+  generateTestKeysForEndpoint,
+  generateRequestBodyMap,
+  generateResponseContractScript
 } from '../test-generator.js';
 
-import { parseSpec } from '../parser.js';
+import { parseSpec, extractEndpoints } from '../parser.js';
+import { generateWebhookFolder, WEBHOOKS_FOLDER_NAME } from '../webhook-generator.js';
+import { generateNegativeCases, generateNegativeTestFolder, NegativeCase, NEGATIVE_TESTS_FOLDER_NAME } from '../negative-test-generator.js';
+import { buildRequestUrl } from '../request-url.js';
+import { generateSecurityTestFolder, buildInvalidAuth, SECURITY_TESTS_FOLDER_NAME } from '../security-test-generator.js';
+import { generateRequestChain, withCaptureScripts, withChainPreRequestScripts, ChainSource } from '../request-chaining.js';
+import { loadTestTemplates, TestTemplateError } from '../test-templates.js';
+import { matchesSelector, getOperationTestSettings } from '../test-settings.js';
+import { runCollection, formatRunReport, hasRunFailures, loadCollectionFile, CollectionRunnerError } from '../collection-runner.js';
+import { createMockRoutes, handleMockRequest, startMockServer } from '../mock-server.js';
+import { collectSchemaFields, analyzeTestScript, analyzeCoverage, getCoverageShortfalls, formatCoverageReport } from '../spec-coverage.js';
+import { buildPostmanBody } from '../request-body-builder.js';
+import { loadArazzo, loadArazzoSources, validateArazzo, resolveStepOperation, generateWorkflowsCollection, ArazzoError } from '../arazzo.js';
+import { generateEnvironmentForServer, generateEnvironmentsForServer, generateServerOverrideMap } from '../environment-generator.js';
+import { SpecHubClient } from '../spec-hub-client.js';
 
 import {
   getFixturePath,
@@ -40,6 +61,14 @@ describe('TestLevel', () => {
   it('should define CONTRACT level', () => {
     assert.strictEqual(TestLevel.CONTRACT, 'contract');
   });
+
+  it('should define NEGATIVE level', () => {
+    assert.strictEqual(TestLevel.NEGATIVE, 'negative');
+  });
+
+  it('should define SECURITY level', () => {
+    assert.strictEqual(TestLevel.SECURITY, 'security');
+  });
 });
 
 // ============================================================
@@ -121,6 +150,47 @@ describe('generateTestScriptsForSpec', () => {
       assert.ok(result.tests.length > 0, `Script for "${name}" should have at least one pm.test`);
     }
   });
+
+  it('should generate seeded data pre-request scripts and set them on matching requests', async () => {
+    const api = await parseSpec(path.resolve(__dirname, '../../specs/sample-api.yaml'));
+    const scripts = generatePreRequestScriptsForSpec(api, { seed: 7, count: 3 });
+
+    assert.ok(scripts['post|/tasks'] && scripts['get|/tasks/{taskId}']);
+    assert.strictEqual(scripts['get|/health'], undefined);
+    assert.deepStrictEqual(generatePreRequestScriptsForSpec(api, { seed: 7, count: 3 }), scripts);
+
+    // One payload per iteration, repeating after count iterations
+    const bodies = [0, 1, 2, 3].map(iteration => {
+      let body;
+      vm.runInNewContext(scripts['post|/tasks'].join('\n'), {
+        pm: { info: { iteration }, request: { body: { mode: 'raw', update: value => { body = value; } } } }
+      });
+      return body;
+    });
+    assert.strictEqual(new Set(bodies.slice(0, 3)).size, 3);
+    assert.strictEqual(bodies[3], bodies[0]);
+
+    // Postman path variables (:taskId) match the {taskId} keys
+    const client = new SpecHubClient('test-key', 'test-workspace');
+    const request = (method, urlPath) => ({
+      method,
+      url: { raw: `{{baseUrl}}/${urlPath.join('/')}`, host: ['{{baseUrl}}'], path: urlPath }
+    });
+    const items = [{
+      name: 'Tasks',
+      item: [
+        { name: 'Get task', request: request('GET', ['tasks', ':taskId']) },
+        { name: 'Health', request: request('GET', ['health']) }
+      ]
+    }];
+
+    assert.strictEqual(client.applyPreRequestScripts(items, scripts), 1);
+    assert.deepStrictEqual(items[0].item[0].event, [{
+      listen: 'prerequest',
+      script: { type: 'text/javascript', exec: scripts['get|/tasks/{taskId}'] }
+    }]);
+    assert.strictEqual(items[0].item[1].event, undefined);
+  });
 });
 
 // ============================================================
@@ -535,6 +605,916 @@ describe('Contract Test Script Generation', () => {
   });
 });
 
+describe('generateResponseContractScript', () => {
+  const itemSchema = {
+    type: 'object',
+    required: ['id', 'password'],
+    additionalProperties: false,
+    properties: {
+      id: { type: 'string' },
+      password: { type: 'string', writeOnly: true },
+      note: { type: 'string', nullable: true, example: 'hi' },
+      tags: { type: 'array', items: { oneOf: [{ type: 'string' }, { type: 'integer' }] } }
+    }
+  };
+  const problemSchema = { type: 'object', required: ['title'], properties: { title: { type: 'string' } } };
+  const responses = {
+    '200': { description: 'OK', content: { 'application/json': { schema: itemSchema } } },
+    '404': { description: 'Not found', content: { 'application/problem+json': { schema: problemSchema } } },
+    '4XX': { description: 'Client error', content: { 'application/problem+json': { schema: problemSchema } } },
+    default: { description: 'Error', content: { 'application/json': { schema: { type: 'object' } } } }
+  };
+
+  const embeddedContracts = script => {
+    const line = script.find(text => text.trim().startsWith('const contracts = '));
+    return JSON.parse(line.trim().slice('const contracts = '.length, -1));
+  };
+
+  // Runs the script against a stub of the sandbox Ajv that reports the given errors
+  const runScript = (script, { code = 200, contentType = 'application/json', headers = {}, errors = [] } = {}) => {
+    const results = [];
+    const compiled = [];
+    const validated = [];
+    class Ajv {
+      compile(schema) {
+        compiled.push(JSON.parse(JSON.stringify(schema))); // copy out of the vm realm
+        const validate = data => {
+          validated.push(JSON.parse(JSON.stringify(data)));
+          return errors.length === 0;
+        };
+        validate.errors = errors;
+        return validate;
+      }
+    }
+    const expect = (value, message) => ({
+      to: {
+        be: { get true() { if (value !== true) throw new Error(message); return true; } },
+        equal: expected => { if (value !== expected) throw new Error(message); }
+      }
+    });
+    expect.fail = message => { throw new Error(message); };
+    const getHeader = name => name.toLowerCase() === 'content-type' ? contentType : headers[name.toLowerCase()];
+    const pm = {
+      response: { code, headers: { get: getHeader }, json: () => ({}) },
+      expect,
+      test: (name, fn) => {
+        try {
+          fn();
+          results.push({ name, passed: true });
+        } catch (error) {
+          results.push({ name, passed: false, message: error.message });
+        }
+      }
+    };
+    vm.runInNewContext(script.join('\n'), { pm, require: () => Ajv });
+    return { results, compiled, validated };
+  };
+
+  it('should embed every documented response as JSON Schema', () => {
+    const script = generateResponseContractScript(responses);
+    const contracts = embeddedContracts(script);
+
+    assert.deepStrictEqual(Object.keys(contracts), ['200', '404', '4XX', 'default']);
+    assert.deepStrictEqual(contracts['404'].contentTypes, ['application/problem+json']);
+    assert.strictEqual(contracts['200'].schema.additionalProperties, false);
+    assert.deepStrictEqual(contracts['200'].schema.required, ['id']);
+    assert.deepStrictEqual(contracts['200'].schema.properties.note, { type: ['string', 'null'] });
+    assert.ok(validateJavaScriptSyntax(script).valid);
+  });
+
+  it('should allow null for nullable enums and nullable schemas without a type', () => {
+    const refSchema = { type: 'object', properties: { id: { type: 'string' } } };
+    const script = generateResponseContractScript({
+      '200': {
+        description: 'OK',
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                status: { type: 'string', enum: ['open', 'done'], nullable: true },
+                ref: { nullable: true, allOf: [refSchema] }
+              }
+            }
+          }
+        }
+      }
+    });
+    const { properties } = embeddedContracts(script)['200'].schema;
+
+    assert.deepStrictEqual(properties.status, { type: ['string', 'null'], enum: ['open', 'done', null] });
+    assert.deepStrictEqual(properties.ref, { anyOf: [{ allOf: [refSchema] }, { type: 'null' }] });
+  });
+
+  it('should validate against the response documented for the status code', () => {
+    const script = generateResponseContractScript(responses);
+    const notFound = runScript(script, { code: 404, contentType: 'application/problem+json' });
+    const conflict = runScript(script, { code: 409, contentType: 'application/problem+json' });
+    const serverError = runScript(script, { code: 500 });
+
+    assert.deepStrictEqual(notFound.results.map(result => result.name), [
+      'Content-Type matches the 404 response',
+      'Response matches the 404 schema'
+    ]);
+    assert.deepStrictEqual(notFound.compiled, [problemSchema]);
+    assert.strictEqual(conflict.results[1].name, 'Response matches the 4XX schema');
+    assert.deepStrictEqual(serverError.compiled, [{ type: 'object' }]);
+  });
+
+  it('should fail on undocumented status codes and wrong content types', () => {
+    const script = generateResponseContractScript({ '200': responses['200'] });
+
+    const undocumented = runScript(script, { code: 503 });
+    assert.deepStrictEqual(undocumented.results.map(result => [result.name, result.passed]), [
+      ['Status 503 is documented', false]
+    ]);
+
+    const wrongType = runScript(script, { contentType: 'text/html' });
+    assert.strictEqual(wrongType.results[0].passed, false);
+    assert.match(wrongType.results[0].message, /text\/html/);
+  });
+
+  it('should report one failing test per JSON path', () => {
+    const { results } = runScript(generateResponseContractScript(responses), {
+      errors: [
+        { dataPath: '/tags/1', message: 'should be string' },
+        { dataPath: '/tags/1', message: 'should match exactly one schema in oneOf' },
+        { dataPath: '/extra', message: 'is an invalid additional property' }
+      ]
+    });
+
+    assert.deepStrictEqual(results.slice(1).map(result => result.name), [
+      'Response matches the 200 schema at $.tags[1]',
+      'Response matches the 200 schema at $.extra'
+    ]);
+    assert.ok(results.slice(1).every(result => !result.passed));
+    assert.match(results[1].message, /should be string; should match exactly one schema/);
+  });
+
+  it('should check required headers and validate header values against their schema', () => {
+    const script = generateResponseContractScript({
+      '201': {
+        description: 'Created',
+        headers: {
+          'X-RateLimit-Remaining': { required: true, schema: { type: 'integer', minimum: 0 } },
+          'X-Request-Id': { required: true, schema: { type: 'string', format: 'uuid' } },
+          'Content-Type': { required: true, schema: { type: 'string' } }
+        }
+      }
+    });
+
+    const { results, validated } = runScript(script, { code: 201, headers: { 'x-ratelimit-remaining': '42' } });
+    assert.deepStrictEqual(results.map(result => [result.name, result.passed]), [
+      ['Header X-RateLimit-Remaining is present', true],
+      ['Header X-RateLimit-Remaining matches its schema', true],
+      ['Header X-Request-Id is present', false]
+    ]);
+    assert.deepStrictEqual(validated, [42]);
+  });
+
+  it('should check Location against the documented path templates', () => {
+    const script = generateResponseContractScript({
+      '201': { description: 'Created', headers: { Location: { schema: { type: 'string' } } } }
+    }, { pathTemplates: ['/', '/items', '/items/{itemId}'] });
+    const locationTest = location => runScript(script, { code: 201, headers: { location } }).results
+      .find(result => result.name === 'Header Location points to a documented path');
+
+    assert.deepStrictEqual(embeddedContracts(script)['201'].headers.Location.templates, [
+      '^(?:/.*)?/items/?$',
+      '^(?:/.*)?/items/[^/]+/?$'
+    ]);
+    assert.strictEqual(locationTest('https://api.example.com/v1/items/42').passed, true);
+    assert.strictEqual(locationTest('/items/42?expand=all').passed, true);
+    assert.strictEqual(locationTest('/orders/42').passed, false);
+  });
+
+  it('should check the charset pinned by the documented media type', () => {
+    const script = generateResponseContractScript({
+      '200': { description: 'OK', content: { 'application/json; charset=UTF-8': { schema: { type: 'object' } } } }
+    });
+    const charsetTest = contentType => runScript(script, { contentType }).results
+      .find(result => result.name === 'Content-Type charset is utf-8');
+
+    assert.strictEqual(charsetTest('application/json; charset=utf-8').passed, true);
+    assert.strictEqual(charsetTest('application/json').passed, false);
+    assert.strictEqual(charsetTest('application/json; charset=iso-8859-1').passed, false);
+  });
+});
+
+// ============================================================
+// Webhook Folder Tests
+// ============================================================
+
+describe('generateWebhookFolder', () => {
+  it('should return null when spec has no webhooks', () => {
+    assert.strictEqual(generateWebhookFolder(createMinimalSpec()), null);
+  });
+
+  it('should build a Webhooks folder with one item per webhook and callback', async () => {
+    const api = await parseSpec(getFixturePath('webhooks-spec.yaml'));
+    const folder = generateWebhookFolder(api);
+
+    assert.strictEqual(folder.name, WEBHOOKS_FOLDER_NAME);
+    assert.strictEqual(folder.item.length, 2);
+  });
+
+  it('should send the documented example payload to the receiver', async () => {
+    const api = await parseSpec(getFixturePath('webhooks-spec.yaml'));
+    const item = generateWebhookFolder(api).item.find(i => i.name === 'Order shipped');
+
+    assert.strictEqual(item.request.method, 'POST');
+    assert.strictEqual(item.request.url.raw, '{{webhookReceiverUrl}}');
+    assert.strictEqual(item.request.body.mode, 'raw');
+    assert.deepStrictEqual(JSON.parse(item.request.body.raw), { id: 'evt_1', type: 'order.shipped' });
+  });
+
+  it('should attach valid tests for the receiver response', async () => {
+    const api = await parseSpec(getFixturePath('webhooks-spec.yaml'));
+    const folder = generateWebhookFolder(api);
+
+    for (const item of folder.item) {
+      const script = item.event.find(e => e.listen === 'test').script.exec;
+      const result = validatePostmanTestScript(script);
+
+      assert.ok(result.valid, result.errors.join(', '));
+    }
+
+    const callback = folder.item.find(i => i.name.startsWith('onEvent'));
+    assert.ok(callback.event[0].script.exec.join('\n').includes('204'));
+  });
+
+  it('should add webhookReceiverUrl to environments only when needed', async () => {
+    const api = await parseSpec(getFixturePath('webhooks-spec.yaml'));
+    const env = generateEnvironmentForServer(api, { url: 'https://events.example.com' });
+    const plainEnv = generateEnvironmentForServer(createMinimalSpec(), { url: 'https://api.example.com' });
+
+    assert.ok(env.values.find(v => v.key === 'webhookReceiverUrl'));
+    assert.ok(!plainEnv.values.find(v => v.key === 'webhookReceiverUrl'));
+  });
+});
+
+// ============================================================
+// Negative Test Tests
+// ============================================================
+
+describe('generateNegativeTestFolder', () => {
+  const createValidationSpec = () => createMinimalSpec({
+    paths: {
+      '/users': {
+        post: {
+          summary: 'Create user',
+          requestBody: {
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['name', 'age'],
+                  properties: {
+                    name: { type: 'string' },
+                    age: { type: 'integer', minimum: 0, maximum: 150 },
+                    code: { type: 'string', pattern: '^[A-Z]{3}$' },
+                    role: { type: 'string', enum: ['admin', 'member'] }
+                  }
+                },
+                example: { name: 'Ada', age: 36, code: 'ABC', role: 'admin' }
+              }
+            }
+          },
+          responses: {
+            '201': { description: 'Created' },
+            '422': {
+              description: 'Invalid',
+              content: { 'application/json': { schema: { type: 'object', required: ['message'] } } }
+            }
+          }
+        }
+      }
+    }
+  });
+
+  it('should break one body field per case, starting from the valid example', () => {
+    const [endpoint] = extractEndpoints(createValidationSpec());
+    const cases = Object.fromEntries(generateNegativeCases(endpoint).map(c => [c.kind, c]));
+
+    assert.deepStrictEqual(Object.keys(cases), Object.values(NegativeCase));
+    assert.deepStrictEqual(cases[NegativeCase.MISSING_REQUIRED].body, { age: 36, code: 'ABC', role: 'admin' });
+    assert.strictEqual(cases[NegativeCase.WRONG_TYPE].body.name, 12345);
+    assert.strictEqual(cases[NegativeCase.OUT_OF_RANGE].body.age, 151);
+    assert.ok(!/^[A-Z]{3}$/.test(cases[NegativeCase.PATTERN_VIOLATION].body.code));
+    assert.ok(!['admin', 'member'].includes(cases[NegativeCase.UNKNOWN_ENUM].body.role));
+  });
+
+  it('should assert the documented rejection status and validate its schema', () => {
+    const folder = generateNegativeTestFolder(createValidationSpec());
+
+    assert.strictEqual(folder.name, NEGATIVE_TESTS_FOLDER_NAME);
+    assert.strictEqual(folder.item[0].name, 'Create user');
+    assert.strictEqual(folder.item[0].item.length, 5);
+
+    for (const item of folder.item[0].item) {
+      const script = item.event[0].script.exec;
+      const result = validatePostmanTestScript(script);
+      assert.ok(result.valid, result.errors.join(', '));
+      assert.ok(script.includes('    pm.expect(pm.response.code).to.be.oneOf([422]);'));
+      assert.ok(script.join('\n').includes('"422":'));
+      assert.ok(!script.join('\n').includes('"201":'));
+    }
+  });
+
+  it('should break query parameters and keep path parameters as variables', async () => {
+    const api = await parseSpec(getFixturePath('complex-spec.yaml'));
+    const folder = generateNegativeTestFolder(api);
+    const listItems = folder.item.find(f => f.name === 'List items');
+    const updateItem = folder.item.find(f => f.name === 'Update item');
+
+    assert.deepStrictEqual(listItems.item.map(i => i.request.url.raw), [
+      '{{baseUrl}}/items?limit=not-a-number',
+      '{{baseUrl}}/items?limit=101',
+      '{{baseUrl}}/items?status=not-in-enum'
+    ]);
+    assert.ok(updateItem.item.every(i => i.request.url.raw === '{{baseUrl}}/items/{{itemId}}'));
+  });
+
+  it('should expect 400 or 422 when no rejection is documented', () => {
+    const folder = generateNegativeTestFolder(createMinimalSpec({
+      paths: {
+        '/search': {
+          get: {
+            summary: 'Search',
+            parameters: [{ name: 'q', in: 'query', required: true, schema: { type: 'string', minLength: 2 } }],
+            responses: { '200': { description: 'OK' } }
+          }
+        }
+      }
+    }));
+    const [missing, tooShort] = folder.item[0].item;
+
+    assert.strictEqual(missing.request.url.raw, '{{baseUrl}}/search');
+    assert.strictEqual(tooShort.request.url.raw, '{{baseUrl}}/search?q=x');
+    assert.ok(missing.event[0].script.exec.includes('    pm.expect(pm.response.code).to.be.oneOf([400, 422]);'));
+  });
+
+  it('should return null when no operation has fields to break', () => {
+    assert.strictEqual(generateNegativeTestFolder(createMinimalSpec({
+      paths: { '/health': { get: { responses: { '200': { description: 'OK' } } } } }
+    })), null);
+  });
+});
+
+// ============================================================
+// Security Test Tests
+// ============================================================
+
+describe('generateSecurityTestFolder', () => {
+  const createSecuredSpec = () => createMinimalSpec({
+    security: [{ bearerAuth: [] }],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+        keyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    },
+    paths: {
+      '/orders': {
+        get: {
+          summary: 'List orders',
+          responses: {
+            '200': { description: 'OK' },
+            '401': {
+              description: 'Unauthorized',
+              content: { 'application/json': { schema: { type: 'object', required: ['error'] } } }
+            }
+          }
+        },
+        post: {
+          summary: 'Create order',
+          security: [{ keyAuth: [] }],
+          responses: { '201': { description: 'Created' } }
+        }
+      },
+      '/health': {
+        get: { summary: 'Health', security: [], responses: { '200': { description: 'OK' } } }
+      }
+    }
+  });
+
+  it('should strip auth and send an invalid credential for protected operations', () => {
+    const folder = generateSecurityTestFolder(createSecuredSpec());
+    const names = folder.item.map(item => item.name);
+
+    assert.strictEqual(folder.name, SECURITY_TESTS_FOLDER_NAME);
+    assert.deepStrictEqual(names, [
+      'List orders - without credentials',
+      'List orders - with invalid credentials',
+      'Create order - without credentials',
+      'Create order - with invalid credentials',
+      'Health - without authentication'
+    ]);
+    assert.deepStrictEqual(folder.item[0].request.auth, { type: 'noauth' });
+    assert.strictEqual(folder.item[1].request.auth.type, 'bearer');
+    assert.strictEqual(folder.item[3].request.auth.type, 'apikey');
+    assert.deepStrictEqual(folder.item[3].request.auth.apikey.find(entry => entry.key === 'key').value, 'X-API-Key');
+  });
+
+  it('should assert the documented 401/403 response, or 401 or 403 without one', () => {
+    const folder = generateSecurityTestFolder(createSecuredSpec());
+    const documented = folder.item[0].event[0].script.exec;
+    const undocumented = folder.item[2].event[0].script.exec;
+
+    for (const script of [documented, undocumented]) {
+      const result = validatePostmanTestScript(script);
+      assert.ok(result.valid, result.errors.join(', '));
+    }
+    assert.ok(documented.includes('    pm.expect(pm.response.code).to.be.oneOf([401]);'));
+    assert.ok(documented.join('\n').includes('"401":'));
+    assert.ok(undocumented.includes('    pm.expect(pm.response.code).to.be.oneOf([401, 403]);'));
+  });
+
+  it('should check that operations with security: [] work without auth', () => {
+    const health = generateSecurityTestFolder(createSecuredSpec()).item[4];
+
+    assert.deepStrictEqual(health.request.auth, { type: 'noauth' });
+    assert.ok(health.event[0].script.exec.includes('    pm.expect(pm.response.code).to.not.be.oneOf([401, 403]);'));
+  });
+
+  it('should treat an empty requirement as optional auth and skip unsecured specs', () => {
+    const optional = createSecuredSpec();
+    optional.paths['/orders'].get.security = [{}, { bearerAuth: [] }];
+    const listOrders = generateSecurityTestFolder(optional).item.filter(item => item.name.startsWith('List orders'));
+
+    assert.deepStrictEqual(listOrders.map(item => item.name), ['List orders - without authentication']);
+    assert.strictEqual(generateSecurityTestFolder(createMinimalSpec()), null);
+  });
+
+  it('should send invalid API keys in cookies as a Cookie header', () => {
+    const invalid = buildInvalidAuth({ type: 'apiKey', in: 'cookie', name: 'session' });
+
+    assert.deepStrictEqual(invalid.auth, { type: 'noauth' });
+    assert.match(invalid.header[0].value, /^session=/);
+    assert.strictEqual(buildInvalidAuth({ type: 'mutualTLS' }), null);
+  });
+});
+
+// ============================================================
+// Request Chaining Tests
+// ============================================================
+
+describe('generateRequestChain', () => {
+  const taskSchema = { type: 'object', properties: { id: { type: 'string' }, title: { type: 'string' } } };
+  const createTaskSpec = (createResponse = {}) => createMinimalSpec({
+    paths: {
+      '/tasks/{taskId}': {
+        parameters: [{ name: 'taskId', in: 'path', required: true, schema: { type: 'string' } }],
+        delete: { operationId: 'deleteTask', responses: { '204': { description: 'Deleted' } } },
+        get: { operationId: 'getTask', responses: { '200': { description: 'OK' } } }
+      },
+      '/tasks': {
+        post: {
+          operationId: 'createTask',
+          responses: {
+            '201': {
+              description: 'Created',
+              content: { 'application/json': { schema: taskSchema } },
+              ...createResponse
+            }
+          }
+        }
+      },
+      '/tasks/{taskId}/comments': {
+        get: {
+          operationId: 'listComments',
+          parameters: [
+            { name: 'taskId', in: 'path', required: true, schema: { type: 'string' } },
+            { name: 'page', in: 'query', schema: { type: 'integer' } }
+          ],
+          responses: { '200': { description: 'OK' } }
+        }
+      }
+    }
+  });
+
+  it('should chain create -> read by convention and run producers first, deletes last', () => {
+    const chain = generateRequestChain(createTaskSpec());
+
+    assert.deepStrictEqual(chain.dependencies.map(d => [d.source, d.producer.id, d.consumer.id, d.expression]), [
+      [ChainSource.HEURISTIC, 'createTask', 'getTask', '$response.body#/id'],
+      [ChainSource.HEURISTIC, 'createTask', 'deleteTask', '$response.body#/id'],
+      [ChainSource.HEURISTIC, 'createTask', 'listComments', '$response.body#/id']
+    ]);
+    assert.deepStrictEqual(chain.order, [
+      'post|/tasks',
+      'get|/tasks/{taskId}',
+      'get|/tasks/{taskId}/comments',
+      'delete|/tasks/{taskId}'
+    ]);
+    assert.deepStrictEqual(Object.keys(chain.captureScripts), ['post|/tasks']);
+  });
+
+  it('should prefer OpenAPI links and support operationRef, prefixed parameters and constants', () => {
+    const chain = generateRequestChain(createTaskSpec({
+      links: {
+        GetTask: { operationId: 'getTask', parameters: { taskId: '$response.header.Location' } },
+        Comments: {
+          operationRef: '#/paths/~1tasks~1{taskId}~1comments/get',
+          parameters: { 'path.taskId': '{$response.body#/id}', 'query.page': 2 }
+        }
+      }
+    }));
+    const byConsumer = id => chain.dependencies.filter(d => d.consumer.id === id);
+
+    assert.deepStrictEqual(byConsumer('getTask').map(d => [d.source, d.expression]), [
+      [ChainSource.LINK, '$response.header.Location']
+    ]);
+    assert.deepStrictEqual(byConsumer('listComments').map(d => [d.target, d.expression ?? d.value]), [
+      [{ in: 'path', name: 'taskId' }, '$response.body#/id'],
+      [{ in: 'query', name: 'page' }, 2]
+    ]);
+    assert.deepStrictEqual(byConsumer('deleteTask').map(d => d.source), [ChainSource.HEURISTIC]);
+  });
+
+  it('should capture values into collection variables and apply them before consumers', () => {
+    const chain = generateRequestChain(createTaskSpec());
+    const scripts = withCaptureScripts({ default: ['// default'] }, chain.captureScripts);
+    const collectionVariables = new Map();
+    const results = [];
+    const expect = (value, message) => ({ to: { be: { get true() { if (value !== true) throw new Error(message); return true; } } } });
+    const test = (name, fn) => {
+      try { fn(); results.push([name, true]); } catch (error) { results.push([name, false]); }
+    };
+    const collectionApi = {
+      get: key => collectionVariables.get(key),
+      set: (key, value) => collectionVariables.set(key, value)
+    };
+
+    assert.strictEqual(scripts['post|/tasks'][0], '// default');
+    vm.runInNewContext(scripts['post|/tasks'].join('\n'), {
+      pm: { response: { code: 201, json: () => ({ id: 'task-42' }) }, expect, test, collectionVariables: collectionApi }
+    });
+    assert.deepStrictEqual(results, [['Captured createTask.id for chained requests', true]]);
+
+    const urlVariables = new Map([['taskId', 'task-001']]);
+    const localVariables = new Map();
+    vm.runInNewContext(chain.preRequestScripts['get|/tasks/{taskId}'].join('\n'), {
+      pm: {
+        collectionVariables: collectionApi,
+        variables: { set: (key, value) => localVariables.set(key, value) },
+        request: {
+          url: {
+            variables: { has: key => urlVariables.has(key), upsert: ({ key, value }) => urlVariables.set(key, value) }
+          }
+        }
+      }
+    });
+    assert.strictEqual(urlVariables.get('taskId'), 'task-42');
+    assert.strictEqual(localVariables.get('taskId'), 'task-42');
+  });
+
+  it('should match Postman path variables and reorder folders and requests', () => {
+    const client = new SpecHubClient('test-key', 'test-workspace');
+    const chain = generateRequestChain(createTaskSpec());
+    const request = (method, path) => ({
+      method,
+      url: { raw: `{{baseUrl}}/${path.join('/')}`, host: ['{{baseUrl}}'], path }
+    });
+    const items = [
+      { name: 'Comments', item: [{ name: 'List comments', request: request('GET', ['tasks', ':taskId', 'comments']) }] },
+      {
+        name: 'Tasks',
+        item: [
+          { name: 'Delete task', request: request('DELETE', ['tasks', ':taskId']) },
+          { name: 'Get task', request: request('GET', ['tasks', ':taskId']) },
+          { name: 'Create task', request: request('POST', ['tasks']) }
+        ]
+      }
+    ];
+
+    assert.strictEqual(client.generateTestKeyFromItem(items[0].item[0].request), 'get|/tasks/{taskId}/comments');
+    assert.strictEqual(client.applyPreRequestScripts(items, chain.preRequestScripts), 3);
+    client.orderItems(items, chain.order);
+
+    assert.deepStrictEqual(items.map(folder => folder.name), ['Tasks', 'Comments']);
+    assert.deepStrictEqual(items[0].item.map(item => item.name), ['Create task', 'Get task', 'Delete task']);
+    assert.strictEqual(items[0].item[1].event[0].listen, 'prerequest');
+  });
+
+  it('should run the chaining pre-request scripts before the seeded data scripts', async () => {
+    const api = await parseSpec(path.resolve(__dirname, '../../specs/sample-api.yaml'));
+    const scripts = generatePreRequestScriptsForSpec(api, { seed: 7, count: 3 });
+    const chain = generateRequestChain(api);
+    const merged = withChainPreRequestScripts(scripts, chain.preRequestScripts);
+
+    assert.deepStrictEqual(merged['get|/tasks/{taskId}'], [
+      ...chain.preRequestScripts['get|/tasks/{taskId}'],
+      '',
+      ...scripts['get|/tasks/{taskId}']
+    ]);
+    assert.strictEqual(merged['post|/tasks'], scripts['post|/tasks']);
+  });
+});
+
+// ============================================================
+// Arazzo Workflow Tests
+// ============================================================
+
+describe('Arazzo workflows', () => {
+  const arazzoPath = getFixturePath('arazzo/task-workflows.arazzo.yaml');
+  let document;
+  let sources;
+
+  beforeEach(async () => {
+    document = loadArazzo(arazzoPath);
+    sources = await loadArazzoSources(document, arazzoPath);
+  });
+
+  // Runs a step's test script with the given response and variables
+  const runStep = (item, { code, body, variables = {} }) => {
+    const results = [];
+    const collectionVariables = new Map();
+    const assertion = (value, message, negate = false) => {
+      const check = passed => { if (passed === negate) throw new Error(message || 'assertion failed'); };
+      return {
+        get true() { return check(value === true); },
+        get undefined() { return check(value === undefined); },
+        oneOf: list => check(list.includes(value)),
+        match: regex => check(regex.test(value))
+      };
+    };
+    const expect = (value, message) => ({
+      to: {
+        be: assertion(value, message),
+        match: regex => assertion(value, message).match(regex),
+        not: { be: assertion(value, message, true) }
+      }
+    });
+    const test = (name, fn) => {
+      try { fn(); results.push([name, true]); } catch (error) { results.push([name, false]); }
+    };
+    test.skip = name => results.push([name, 'skipped']);
+
+    const script = item.event.find(event => event.listen === 'test').script.exec;
+    assert.strictEqual(validateJavaScriptSyntax(script).valid, true);
+    vm.runInNewContext(script.join('\n'), {
+      pm: {
+        response: { code, json: () => body, headers: { get: () => undefined } },
+        variables: { get: key => variables[key] },
+        collectionVariables: { set: (key, value) => collectionVariables.set(key, value), unset: key => collectionVariables.delete(key) },
+        expect,
+        test
+      }
+    });
+    return { results, collectionVariables };
+  };
+
+  it('should resolve operationId, qualified operationId and operationPath steps', () => {
+    const [createTask, completeTask, getTask] = document.workflows[0].steps.map(step => resolveStepOperation(step, sources));
+
+    assert.deepStrictEqual([createTask.source, createTask.endpoint.method, createTask.endpoint.path], ['tasks', 'POST', '/tasks']);
+    assert.deepStrictEqual([completeTask.endpoint.method, completeTask.endpoint.path], ['POST', '/tasks/{taskId}/complete']);
+    assert.strictEqual(getTask.endpoint.raw.operationId, 'getTask');
+
+    assert.throws(() => resolveStepOperation({ stepId: 'missing', operationId: 'archiveTask' }, sources), ArazzoError);
+    assert.throws(
+      () => resolveStepOperation({ stepId: 'twice', operationId: 'getTask' }, { a: sources.tasks, b: sources.tasks }),
+      /qualify it as \$sourceDescriptions/
+    );
+    assert.throws(() => validateArazzo({ ...document, arazzo: '2.0.0' }), /Unsupported Arazzo version/);
+  });
+
+  it('should generate one folder per workflow with its steps in order', () => {
+    const collection = generateWorkflowsCollection(document, sources);
+    const [folder] = collection.item;
+    const [create, complete, read] = folder.item;
+
+    assert.strictEqual(collection.info.name, 'Task Flows - Workflows');
+    assert.strictEqual(collection.auth.type, 'bearer');
+    assert.strictEqual(folder.name, 'completeNewTask');
+    assert.deepStrictEqual(folder.item.map(item => item.name), ['createTask', 'completeTask', 'getTask']);
+
+    assert.deepStrictEqual(JSON.parse(create.request.body.raw), {
+      title: '{{completeNewTask.inputs.title}}',
+      priority: '{{completeNewTask.inputs.priority}}',
+      description: 'Created for {{completeNewTask.inputs.title}}'
+    });
+    assert.strictEqual(create.event[0].listen, 'prerequest');
+    assert.strictEqual(complete.request.url.raw, '{{baseUrl}}/tasks/{{completeNewTask.steps.createTask.outputs.taskId}}/complete');
+    assert.deepStrictEqual(read.request.url.path, ['tasks', '{{completeNewTask.steps.createTask.outputs.taskId}}']);
+
+    const variables = Object.fromEntries(collection.variable.map(({ key, value }) => [key, value]));
+    assert.strictEqual(variables.baseUrl, 'https://api.example.com/v1');
+    assert.strictEqual(variables['completeNewTask.inputs.title'], 'Write release notes');
+    assert.strictEqual(variables['completeNewTask.inputs.priority'], 'high');
+  });
+
+  it('should assert success criteria and store step and workflow outputs', () => {
+    const [create, complete, read] = generateWorkflowsCollection(document, sources).item[0].item;
+
+    const created = runStep(create, { code: 201, body: { id: 'task-42' } });
+    assert.deepStrictEqual(created.results, [
+      ['Success criterion: $statusCode == 201', true],
+      ['Success criterion: $response.body has $.id', true],
+      ['Output taskId is set', true]
+    ]);
+    assert.strictEqual(created.collectionVariables.get('completeNewTask.steps.createTask.outputs.taskId'), 'task-42');
+
+    const notCompleted = runStep(complete, { code: 200, body: { status: 'pending' } });
+    assert.deepStrictEqual(notCompleted.results.map(([, passed]) => passed), [false]);
+
+    const readBack = runStep(read, {
+      code: 200,
+      body: { id: 'task-42', status: 'completed' },
+      variables: { 'completeNewTask.steps.createTask.outputs.taskId': 'task-42', 'completeNewTask.steps.getTask.outputs.status': 'completed' }
+    });
+    assert.deepStrictEqual(readBack.results, [
+      ['Success criterion: $response.body#/status matches ^completed$', true],
+      ["Success criterion: $response.body has $[?@.status == 'completed']", 'skipped'],
+      ['Output status is set', true],
+      ['Workflow output taskId is set', true],
+      ['Workflow output status is set', true]
+    ]);
+    assert.strictEqual(readBack.collectionVariables.get('completeNewTask.outputs.taskId'), 'task-42');
+  });
+});
+
+// ============================================================
+// Per-Operation Server Tests
+// ============================================================
+
+describe('Per-operation servers', () => {
+  const createServerSpec = () => createMinimalSpec({
+    servers: [
+      { url: 'https://api.example.com', description: 'Production' },
+      { url: 'https://staging.example.com', description: 'Staging' }
+    ],
+    paths: {
+      '/files': {
+        servers: [
+          { url: 'https://uploads.example.com/v2' },
+          { url: 'https://uploads.staging.example.com/v2' }
+        ],
+        post: { operationId: 'uploadFile', responses: { '201': { description: 'Created' } } }
+      },
+      '/health': {
+        get: { operationId: 'health', responses: { '200': { description: 'OK' } } }
+      }
+    }
+  });
+
+  it('should register server-prefixed test keys for overridden endpoints', () => {
+    const api = createServerSpec();
+    const scripts = generateTestScriptsForSpec(api, TestLevel.SMOKE);
+
+    assert.ok(scripts['post|/files']);
+    assert.strictEqual(scripts['post|/v2/files'], scripts['post|/files']);
+    assert.deepStrictEqual(generateTestKeysForEndpoint({ method: 'GET', path: '/health' }), ['get|/health']);
+  });
+
+  it('should add a base URL variable per override server to each environment', () => {
+    const api = createServerSpec();
+    const production = generateEnvironmentForServer(api, api.servers[0]);
+    const staging = generateEnvironmentForServer(api, api.servers[1]);
+    const variable = 'baseUrl_uploads_example_com_v2';
+
+    assert.strictEqual(production.values.find(v => v.key === variable).value, 'https://uploads.example.com/v2');
+    assert.strictEqual(staging.values.find(v => v.key === variable).value, 'https://uploads.staging.example.com/v2');
+    assert.strictEqual(production.values.find(v => v.key === 'baseUrl').value, 'https://api.example.com');
+  });
+
+  it('should repoint generated requests at the override variable', () => {
+    const api = createServerSpec();
+    const client = new SpecHubClient('test-key', 'test-workspace');
+    const items = [
+      { name: 'Upload', request: { method: 'POST', url: 'https://uploads.example.com/v2/files?dryRun=true' } },
+      { name: 'Upload (base)', request: { method: 'POST', url: { raw: '{{baseUrl}}/files', host: ['{{baseUrl}}'], path: ['files'] } } },
+      { name: 'Health', request: { method: 'GET', url: { raw: '{{baseUrl}}/health', host: ['{{baseUrl}}'], path: ['health'] } } }
+    ];
+
+    const updated = client.applyServerOverrides(items, generateServerOverrideMap(api));
+
+    assert.strictEqual(updated, 2);
+    assert.strictEqual(items[0].request.url.raw, '{{baseUrl_uploads_example_com_v2}}/files?dryRun=true');
+    assert.deepStrictEqual(items[0].request.url.path, ['files']);
+    assert.strictEqual(items[1].request.url.raw, '{{baseUrl_uploads_example_com_v2}}/files');
+    assert.strictEqual(items[2].request.url.raw, '{{baseUrl}}/health');
+  });
+});
+
+// ============================================================
+// Environment Test Data Tests
+// ============================================================
+
+describe('generateEnvironmentForServer (test data)', () => {
+  it('should fill path parameter variables with seeded realistic values', () => {
+    const api = createMinimalSpec({
+      paths: {
+        '/users/{userId}': {
+          get: {
+            operationId: 'getUser',
+            parameters: [{ name: 'userId', in: 'path', required: true, schema: { type: 'string' } }],
+            responses: { '200': { description: 'OK' } }
+          }
+        }
+      }
+    });
+    const valueFor = seed => generateEnvironmentForServer(api, api.servers[0], { seed })
+      .values.find(v => v.key === 'userId').value;
+
+    assert.match(valueFor(1), /^[0-9a-f]{8}-[0-9a-f]{4}-/);
+    assert.strictEqual(valueFor(1), valueFor(1));
+    assert.notStrictEqual(valueFor(1), valueFor(2));
+  });
+});
+
+describe('generateEnvironmentsForServer (server variables)', () => {
+  const server = {
+    url: 'https://{region}.api.example.com/{basePath}',
+    description: 'Production',
+    variables: {
+      region: { default: 'us-east', enum: ['us-east', 'eu-west'] },
+      basePath: { default: 'v2' }
+    }
+  };
+
+  it('should keep server variables as references in baseUrl', () => {
+    const env = generateEnvironmentForServer(createMinimalSpec({ servers: [server] }), server);
+    const valueOf = key => env.values.find(v => v.key === key)?.value;
+
+    assert.strictEqual(valueOf('baseUrl'), 'https://{{region}}.api.example.com/{{basePath}}');
+    assert.strictEqual(valueOf('region'), 'us-east');
+    assert.strictEqual(valueOf('basePath'), 'v2');
+  });
+
+  it('should generate one environment per enum value', () => {
+    const envs = generateEnvironmentsForServer(createMinimalSpec({ servers: [server] }), server);
+
+    assert.deepStrictEqual(envs.map(env => env.values.find(v => v.key === 'region').value), ['us-east', 'eu-west']);
+    assert.deepStrictEqual(envs.map(env => env.name), [
+      'Test API - Production us east',
+      'Test API - Production eu west'
+    ]);
+  });
+
+  it('should generate a single environment for servers without variables', () => {
+    const api = createMinimalSpec();
+
+    assert.strictEqual(generateEnvironmentsForServer(api, api.servers[0]).length, 1);
+  });
+});
+
+// ============================================================
+// Request Body Tests
+// ============================================================
+
+describe('generateRequestBodyMap', () => {
+  const createUploadSpec = () => createMinimalSpec({
+    paths: {
+      '/uploads': {
+        post: {
+          operationId: 'upload',
+          requestBody: {
+            content: {
+              'multipart/form-data': {
+                schema: { type: 'object', properties: { file: { type: 'string', format: 'binary' } } }
+              }
+            }
+          },
+          responses: { '201': { description: 'Created' } }
+        }
+      },
+      '/health': {
+        get: { operationId: 'health', responses: { '200': { description: 'OK' } } }
+      }
+    }
+  });
+
+  it('should map endpoints with request bodies to Postman bodies', () => {
+    const bodies = generateRequestBodyMap(createUploadSpec());
+
+    assert.deepStrictEqual(Object.keys(bodies), ['post|/uploads']);
+    assert.strictEqual(bodies['post|/uploads'].mode, 'formdata');
+  });
+
+  it('should fill empty generated bodies without touching existing ones', () => {
+    const client = new SpecHubClient('test-key', 'test-workspace');
+    const items = [
+      { name: 'Upload', request: { method: 'POST', url: '{{baseUrl}}/uploads', body: { mode: 'raw', raw: '' } } },
+      { name: 'Upload again', request: { method: 'POST', url: '{{baseUrl}}/uploads', body: { mode: 'formdata', formdata: [{ key: 'custom', value: 'x' }] } } }
+    ];
+
+    const updated = client.applyRequestBodies(items, generateRequestBodyMap(createUploadSpec()));
+
+    assert.strictEqual(updated, 1);
+    assert.strictEqual(items[0].request.body.formdata[0].type, 'file');
+    assert.strictEqual(items[1].request.body.formdata[0].key, 'custom');
+  });
+
+  it('should only swap JSON bodies in pre-request scripts', () => {
+    const endpoint = extractEndpoints(createUploadSpec()).find(e => e.id === 'upload');
+    const script = generatePreRequestScript(endpoint).join('\n');
+
+    assert.ok(!script.includes('pm.request.body.update'));
+  });
+});
+
 // ============================================================
 // Default Test Script Tests
 // ============================================================
@@ -575,6 +1555,693 @@ describe('Default Test Scripts', () => {
   });
 });
 
+// ============================================================
+// Test Templates and Hooks
+// ============================================================
+
+describe('Test templates and hooks', () => {
+  const createTemplateSpec = (extraPaths = {}) => createMinimalSpec({
+    paths: {
+      '/tasks': {
+        get: { operationId: 'listTasks', responses: { '200': { description: 'OK' } } },
+        post: { operationId: 'createTask', responses: { '201': { description: 'Created' } } }
+      },
+      ...extraPaths
+    }
+  });
+  const loadFixtureTemplates = () => loadTestTemplates({
+    contract: [getFixturePath('templates/request-id.js')],
+    hooks: [getFixturePath('templates/hooks.mjs')]
+  });
+
+  it('should append per-level templates and hook tests to generated scripts', async () => {
+    const templates = await loadFixtureTemplates();
+    const contract = generateTestScriptsForSpec(createTemplateSpec(), TestLevel.CONTRACT, { templates });
+    const smoke = generateTestScriptsForSpec(createTemplateSpec(), TestLevel.SMOKE, { templates });
+
+    assert.ok(contract['get|/tasks'].includes('// Template: request-id.js'));
+    assert.ok(contract['get|/tasks'].includes('pm.test("GET /tasks returns X-Request-Id", function () {'));
+    assert.ok(contract['get|/tasks'].join('\n').includes('"listTasks (contract)"'));
+    assert.ok(!contract['get|/tasks'].includes('// Hook: hooks.mjs'));
+    assert.ok(contract['post|/tasks'].includes('pm.test("createTask documents 1 responses in Test API", function () {'));
+    assert.strictEqual(validateJavaScriptSyntax(contract['post|/tasks']).valid, true);
+
+    // Templates are per level; the smoke hook returns nothing for these endpoints
+    assert.ok(!smoke['get|/tasks'].some(line => line.startsWith('// Template') || line.startsWith('// Hook')));
+  });
+
+  it('should add x-contract-tests assertions to contract scripts only', () => {
+    const api = createTemplateSpec();
+    api.paths['/tasks'].post['x-contract-tests'] = [
+      { name: 'Echoes the title', status: 201, script: 'const body = pm.response.json();\npm.expect(body.title).to.eql("Write docs");' },
+      'pm.test("Has a Location header", function () {\n    pm.response.to.have.header("Location");\n});',
+      { name: 'Missing script' }
+    ];
+
+    const contract = generateTestScriptsForSpec(api, TestLevel.CONTRACT)['post|/tasks'];
+    const start = contract.indexOf('// x-contract-tests');
+    assert.deepStrictEqual(contract.slice(start, start + 11), [
+      '// x-contract-tests',
+      'if (String(pm.response.code) === "201") {',
+      '    pm.test("Echoes the title", function () {',
+      '        const body = pm.response.json();',
+      '        pm.expect(body.title).to.eql("Write docs");',
+      '    });',
+      '}',
+      'pm.test("Has a Location header", function () {',
+      '    pm.response.to.have.header("Location");',
+      '});',
+      ''
+    ]);
+    assert.strictEqual(validateJavaScriptSyntax(contract).valid, true);
+    assert.ok(!generateTestScriptsForSpec(api, TestLevel.SMOKE)['post|/tasks'].includes('// x-contract-tests'));
+  });
+
+  it('should report unreadable templates and failing hooks with their file', async () => {
+    await assert.rejects(() => loadTestTemplates({ contract: [getFixturePath('templates/missing.js')] }), TestTemplateError);
+    await assert.rejects(() => loadTestTemplates({ negative: [] }), /Unknown test template level: negative/);
+    await assert.rejects(() => loadTestTemplates({ hooks: [getFixturePath('minimal-spec.yaml')] }), /Failed to load test hook/);
+
+    const templates = await loadFixtureTemplates();
+    const brokenPath = { '/broken': { get: { responses: { '200': { description: 'OK' } } } } };
+    const asyncPath = { '/async': { get: { responses: { '200': { description: 'OK' } } } } };
+    assert.throws(
+      () => generateTestScriptsForSpec(createTemplateSpec(brokenPath), TestLevel.SMOKE, { templates }),
+      /hooks\.mjs failed for GET \/broken: cannot handle this endpoint/
+    );
+    assert.throws(
+      () => generateTestScriptsForSpec(createTemplateSpec(asyncPath), TestLevel.SMOKE, { templates }),
+      /returned a promise/
+    );
+  });
+});
+
+// ============================================================
+// Per-operation Test Settings
+// ============================================================
+
+describe('Per-operation test settings', () => {
+  const taskSchema = { type: 'object', required: ['title'], properties: { title: { type: 'string', minLength: 1 } } };
+  const createSettingsSpec = () => createMinimalSpec({
+    paths: {
+      '/tasks': {
+        get: { operationId: 'listTasks', tags: ['tasks'], responses: { '200': { description: 'OK' } } },
+        post: {
+          operationId: 'createTask',
+          tags: ['tasks'],
+          security: [{ bearerAuth: [] }],
+          requestBody: { required: true, content: { 'application/json': { schema: taskSchema } } },
+          responses: { '201': { description: 'Created' }, '401': { description: 'Unauthorized' } }
+        }
+      },
+      '/admin/reports/{id}': {
+        get: { operationId: 'getReport', tags: ['admin'], responses: { '200': { description: 'OK' } } }
+      }
+    },
+    components: { securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } } }
+  });
+
+  it('should honor x-test-level, x-skip-tests and x-response-time-ms on operations', () => {
+    const api = createSettingsSpec();
+    api.paths['/tasks'].get['x-test-level'] = 'smoke';
+    api.paths['/tasks'].get['x-response-time-ms'] = 500;
+    api.paths['/tasks'].post['x-skip-tests'] = ['contract'];
+    api.paths['/admin/reports/{id}'].get['x-test-level'] = 'none';
+
+    const contract = generateTestScriptsForSpec(api, TestLevel.CONTRACT);
+    assert.strictEqual(contract['get|/tasks'][0], '// Smoke tests for: GET /tasks');
+    assert.ok(contract['get|/tasks'].includes('    const threshold = 500; // x-response-time-ms'));
+    assert.deepStrictEqual(contract['post|/tasks'], ['// No contract tests for: POST /tasks (x-skip-tests)']);
+    assert.deepStrictEqual(contract['get|/admin/reports/{id}'], ['// No contract tests for: GET /admin/reports/{id} (x-test-level)']);
+
+    const smoke = generateTestScriptsForSpec(api, TestLevel.SMOKE);
+    assert.strictEqual(smoke['post|/tasks'][0], '// Smoke tests for: POST /tasks');
+    assert.ok(smoke['post|/tasks'].some(line => line.includes('RESPONSE_TIME_THRESHOLD')));
+
+    // Skipped requests are never sent
+    assert.deepStrictEqual(Object.keys(generateSkipScriptsForSpec(api, TestLevel.CONTRACT)).sort(), ['get|/admin/reports/{id}', 'post|/tasks']);
+    assert.deepStrictEqual(generateSkipScriptsForSpec(api, TestLevel.CONTRACT)['post|/tasks'], [
+      '// POST /tasks is not run at the contract level (x-skip-tests)',
+      'pm.execution.skipRequest();'
+    ]);
+  });
+
+  it('should run only x-smoke operations at the smoke level once any is selected', () => {
+    const api = createSettingsSpec();
+    api.paths['/tasks'].get['x-smoke'] = true;
+
+    const smoke = generateTestScriptsForSpec(api, TestLevel.SMOKE);
+    assert.strictEqual(smoke['get|/tasks'][0], '// Smoke tests for: GET /tasks');
+    assert.deepStrictEqual(smoke['post|/tasks'], ['// No smoke tests for: POST /tasks (x-smoke)']);
+    assert.deepStrictEqual(Object.keys(generateSkipScriptsForSpec(api, TestLevel.SMOKE)).sort(), ['get|/admin/reports/{id}', 'post|/tasks']);
+    assert.deepStrictEqual(generateSkipScriptsForSpec(api, TestLevel.CONTRACT), {});
+  });
+
+  it('should apply config rules by path, tag and method, with operation extensions winning', () => {
+    const endpoints = extractEndpoints(createSettingsSpec());
+    const [listTasks, createTask, getReport] = ['listTasks', 'createTask', 'getReport']
+      .map(id => endpoints.find(endpoint => endpoint.raw.operationId === id));
+
+    assert.strictEqual(matchesSelector(getReport, { path: '/admin/**' }), true);
+    assert.strictEqual(matchesSelector(getReport, { path: '/admin/*' }), false);
+    assert.strictEqual(matchesSelector(getReport, { path: '/admin/*/{id}', method: 'get' }), true);
+    assert.strictEqual(matchesSelector(createTask, { tag: ['tasks'], method: 'GET' }), false);
+    assert.strictEqual(matchesSelector(listTasks, {}), false);
+
+    const api = createSettingsSpec();
+    api.paths['/tasks'].get['x-response-time-ms'] = 300;
+    const rules = [
+      { match: { tag: 'tasks' }, 'x-response-time-ms': 800 },
+      { match: { path: '/admin/**' }, 'x-skip-tests': true },
+      { match: { operationId: 'createTask' }, 'x-test-level': 'smoke' }
+    ];
+    assert.deepStrictEqual(getOperationTestSettings(endpoints[0], rules), { 'x-response-time-ms': 800 });
+
+    const contract = generateTestScriptsForSpec(api, TestLevel.CONTRACT, { rules });
+    assert.ok(contract['get|/tasks'].includes('    const threshold = 300; // x-response-time-ms'));
+    assert.strictEqual(contract['post|/tasks'][0], '// Smoke tests for: POST /tasks');
+    assert.ok(contract['post|/tasks'].includes('    const threshold = 800; // x-response-time-ms'));
+    assert.deepStrictEqual(contract['get|/admin/reports/{id}'], ['// No contract tests for: GET /admin/reports/{id} (x-skip-tests)']);
+  });
+
+  it('should leave skipped operations out of negative and security folders', () => {
+    const api = createSettingsSpec();
+    assert.ok(generateNegativeTestFolder(api));
+    assert.ok(generateSecurityTestFolder(api));
+
+    const rules = [{ match: { path: '/tasks', method: 'POST' }, 'x-skip-tests': ['negative', 'security'] }];
+    assert.strictEqual(generateNegativeTestFolder(api, { rules }), null);
+    assert.strictEqual(generateSecurityTestFolder(api, { rules }), null);
+
+    api.paths['/tasks'].post['x-skip-tests'] = ['smoke'];
+    assert.ok(generateNegativeTestFolder(api));
+  });
+});
+
+// ============================================================
+// Collection Runner
+// ============================================================
+
+describe('Collection runner', () => {
+  let server;
+  let baseUrl;
+  const received = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ method: req.method, url: req.url, headers: req.headers, body });
+        res.setHeader('Content-Type', 'application/json');
+        if (req.method === 'POST') {
+          res.statusCode = 201;
+          res.end(JSON.stringify({ id: 'task-1', ...JSON.parse(body || '{}') }));
+        } else if (req.url === '/tasks') {
+          res.end(JSON.stringify([{ id: 'task-1', title: 'Write docs' }]));
+        } else {
+          // Breaks the documented schema: id must be a string
+          res.end(JSON.stringify({ id: 7 }));
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+  beforeEach(() => { received.length = 0; });
+
+  const taskSchema = { type: 'object', required: ['id'], properties: { id: { type: 'string' }, title: { type: 'string' } } };
+  const api = createMinimalSpec({
+    paths: {
+      '/tasks': {
+        get: { operationId: 'listTasks', responses: { '200': { description: 'OK', content: { 'application/json': { schema: { type: 'array', items: taskSchema } } } } } }
+      },
+      '/tasks/{taskId}': {
+        get: {
+          operationId: 'getTask',
+          parameters: [{ name: 'taskId', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: { '200': { description: 'OK', content: { 'application/json': { schema: taskSchema } } } }
+        }
+      }
+    }
+  });
+  const requestItem = (name, method, urlPath, exec, extra = {}) => ({
+    name,
+    request: {
+      method,
+      header: [],
+      url: { raw: `{{baseUrl}}${urlPath}`, host: ['{{baseUrl}}'], path: urlPath.split('/').filter(Boolean), ...extra.url },
+      ...extra.request
+    },
+    event: [{ listen: 'test', script: { type: 'text/javascript', exec } }, ...(extra.event || [])]
+  });
+
+  it('should run generated contract tests against a base URL and report them as JUnit XML', async () => {
+    const scripts = generateTestScriptsForSpec(api, TestLevel.CONTRACT);
+    const collection = {
+      info: { name: 'Tasks - Contract Tests' },
+      variable: [{ key: 'baseUrl', value: 'https://api.example.com' }],
+      item: [{
+        name: 'Tasks',
+        item: [
+          requestItem('List tasks', 'GET', '/tasks', scripts['get|/tasks']),
+          requestItem('Get task', 'GET', '/tasks/:taskId', scripts['get|/tasks/{taskId}'], {
+            url: { variable: [{ key: 'taskId', value: '{{taskId}}' }] }
+          })
+        ]
+      }]
+    };
+
+    const results = await runCollection(collection, { baseUrl, variables: { taskId: 'task-1' } });
+
+    assert.deepStrictEqual(received.map(request => request.url), ['/tasks', '/tasks/task-1']);
+    assert.strictEqual(results.executions[0].request.url, `${baseUrl}/tasks`);
+    assert.deepStrictEqual(results.executions[0].tests.map(test => test.status), ['passed', 'passed', 'passed', 'passed']);
+    assert.deepStrictEqual(results.executions[1].tests.find(test => test.status === 'failed'), {
+      name: 'Response matches the 200 schema at $.id',
+      status: 'failed',
+      error: '$.id must be string'
+    });
+    assert.deepStrictEqual(results.summary, { requests: 2, skippedRequests: 0, tests: 8, passed: 7, failed: 1, skipped: 0, errors: 0 });
+    assert.strictEqual(hasRunFailures(results), true);
+
+    const junit = formatRunReport(results, 'junit');
+    assert.ok(junit.includes('<testsuites name="Tasks - Contract Tests" tests="8" failures="1" errors="0" skipped="0"'));
+    assert.ok(junit.includes('<testsuite name="Tasks / Get task" tests="4" failures="1"'));
+    assert.ok(junit.includes('<failure type="AssertionError" message="$.id must be string"/>'));
+    assert.strictEqual(JSON.parse(formatRunReport(results, 'json')).summary.failed, 1);
+  });
+
+  it('should run pre-request scripts, share variables between requests and apply auth and bodies', async () => {
+    const collection = {
+      info: { name: 'Chained' },
+      auth: { type: 'bearer', bearer: [{ key: 'token', value: '{{bearerToken}}', type: 'string' }] },
+      event: [{ listen: 'test', script: { exec: ['pm.test("Collection-level test runs", function () { pm.expect(pm.response.code).to.be.below(500); });'] } }],
+      item: [
+        requestItem('Create task', 'POST', '/tasks', [
+          'pm.test("Created", function () { pm.response.to.have.status(201); pm.expect(pm.response.json()).to.have.property("title", "Write docs"); });',
+          'pm.collectionVariables.set("createTask.id", pm.response.json().id);'
+        ], {
+          request: { body: { mode: 'raw', raw: '{"title": "{{title}}"}', options: { raw: { language: 'json' } } } }
+        }),
+        requestItem('Get created task', 'GET', '/tasks/:taskId', [], {
+          url: { variable: [{ key: 'taskId', value: '' }] },
+          event: [{ listen: 'prerequest', script: { exec: ['pm.request.url.variables.upsert({ key: "taskId", value: pm.collectionVariables.get("createTask.id") });'] } }]
+        }),
+        requestItem('Skipped', 'DELETE', '/tasks', ['pm.test("never runs", function () {});'], {
+          event: [{ listen: 'prerequest', script: { exec: ['pm.execution.skipRequest();'] } }]
+        }),
+        requestItem('Public', 'GET', '/tasks', ['pm.test.skip("Not checked yet");'], { request: { auth: { type: 'noauth' } } })
+      ]
+    };
+
+    const results = await runCollection(collection, { baseUrl, environment: { bearerToken: 'secret', title: 'Write docs' } });
+
+    assert.deepStrictEqual(received.map(request => `${request.method} ${request.url}`), ['POST /tasks', 'GET /tasks/task-1', 'GET /tasks']);
+    assert.strictEqual(received[0].headers.authorization, 'Bearer secret');
+    assert.strictEqual(received[0].headers['content-type'], 'application/json');
+    assert.deepStrictEqual(JSON.parse(received[0].body), { title: 'Write docs' });
+    assert.strictEqual(received[2].headers.authorization, undefined);
+
+    assert.deepStrictEqual(results.executions.map(execution => execution.skipped), [false, false, true, false]);
+    assert.deepStrictEqual(results.executions[0].tests.map(test => `${test.name}: ${test.status}`), [
+      'Collection-level test runs: passed',
+      'Created: passed'
+    ]);
+    assert.deepStrictEqual(results.summary, { requests: 3, skippedRequests: 1, tests: 5, passed: 4, failed: 0, skipped: 1, errors: 0 });
+    assert.ok(formatRunReport(results).endsWith('Chained: 3 request(s) (1 skipped), 4 passed, 0 failed, 1 skipped, 0 error(s)'));
+  });
+
+  it('should record script and request errors, and reject unknown folders and files', async () => {
+    const collection = {
+      info: { name: 'Broken' },
+      item: [{
+        name: 'Broken',
+        item: [
+          requestItem('Script error', 'GET', '/tasks', ['undefinedFunction();']),
+          requestItem('No base URL', 'GET', '/tasks', [], { url: { host: ['{{missingBaseUrl}}'] } })
+        ]
+      }]
+    };
+
+    const results = await runCollection(collection, { baseUrl });
+    assert.deepStrictEqual(results.executions[0].errors, ['test script of "Script error": undefinedFunction is not defined']);
+    assert.match(results.executions[1].errors[0], /^Request failed: Unresolved variable \{\{missingBaseUrl\}\}/);
+    assert.strictEqual(results.summary.errors, 2);
+    assert.ok(formatRunReport(results, 'junit').includes('<error type="Error" message="Request failed: Unresolved variable {{missingBaseUrl}}'));
+
+    await assert.rejects(() => runCollection(collection, { baseUrl, folder: 'Missing' }), /No requests found in folder "Missing"/);
+    assert.throws(() => loadCollectionFile(getFixturePath('minimal-spec.yaml')), CollectionRunnerError);
+  });
+
+  it('should run the exported contract collection against the mock server', async () => {
+    const sampleApi = await parseSpec(path.resolve(__dirname, '../../specs/sample-api.yaml'));
+    const mock = await startMockServer(sampleApi, { port: 0 });
+    try {
+      const collection = loadCollectionFile(path.resolve(__dirname, '../../postman/collections/task-management-api-contract.collection.json'));
+      collection.item.push(requestItem('Length checks', 'GET', '/health', [
+        'pm.test("Long enough", function () { pm.expect("ab").to.have.length.of.at.least(2).and.length.within(1, 3); });',
+        'pm.test("Too short", function () { pm.expect([1]).to.have.length.above(1); });'
+      ]));
+
+      const results = await runCollection(collection, { baseUrl: `http://127.0.0.1:${mock.address().port}/v1` });
+      const lengthTests = results.executions.at(-1).tests;
+
+      assert.deepStrictEqual(lengthTests.map(test => test.status), ['passed', 'failed']);
+      assert.strictEqual(lengthTests[1].error, 'expected [ 1 ] to have a length above 1');
+      assert.deepStrictEqual(results.summary, { requests: 8, skippedRequests: 0, tests: 46, passed: 45, failed: 1, skipped: 0, errors: 0 });
+    } finally {
+      await new Promise(resolve => mock.close(resolve));
+    }
+  });
+});
+
+// ============================================================
+// Mock Server
+// ============================================================
+
+describe('Mock server', () => {
+  const itemSchema = {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: { id: { type: 'string', readOnly: true }, name: { type: 'string', minLength: 1 } }
+  };
+  const api = createMinimalSpec({
+    servers: [{ url: 'https://api.example.com/v1' }],
+    paths: {
+      '/items': {
+        get: {
+          operationId: 'listItems',
+          parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer', maximum: 50 } }],
+          responses: { '200': { description: 'OK', content: { 'application/json': { schema: { type: 'array', items: itemSchema } } } } }
+        },
+        post: {
+          operationId: 'createItem',
+          requestBody: { required: true, content: { 'application/json': { schema: itemSchema } } },
+          responses: {
+            '201': {
+              description: 'Created',
+              headers: { Location: { schema: { type: 'string' } } },
+              content: { 'application/json': { schema: itemSchema, example: { id: 'item-7', name: 'Lamp' } } }
+            },
+            '422': { description: 'Invalid', content: { 'application/json': { example: { error: 'invalid' } } } }
+          }
+        }
+      },
+      '/items/{itemId}': {
+        get: {
+          operationId: 'getItem',
+          parameters: [{ name: 'itemId', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: {
+            '200': {
+              description: 'OK',
+              content: {
+                'application/json': {
+                  schema: itemSchema,
+                  examples: { lamp: { value: { id: 'item-7', name: 'Lamp' } }, desk: { value: { id: 'item-8', name: 'Desk' } } }
+                }
+              }
+            },
+            '4XX': { description: 'Client error', content: { 'application/json': { schema: { type: 'object', properties: { message: { type: 'string' } } } } } }
+          }
+        }
+      },
+      '/items/search': {
+        get: { operationId: 'searchItems', responses: { '204': { description: 'No results' } } }
+      }
+    }
+  });
+  const routes = createMockRoutes(api);
+  const send = (method, url, { headers = {}, body = '' } = {}) => handleMockRequest(routes, { method, url, headers, body }, { api });
+
+  it('should route templated paths, with or without the server base path', () => {
+    assert.strictEqual(send('GET', '/items/search').status, 204);
+    assert.deepStrictEqual(JSON.parse(send('GET', '/v1/items/item-8').body), { id: 'item-7', name: 'Lamp' });
+    assert.strictEqual(send('GET', '/items?limit=10').headers['Content-Type'], 'application/json');
+
+    assert.strictEqual(send('GET', '/orders').status, 404);
+    const notAllowed = send('DELETE', '/items');
+    assert.strictEqual(notAllowed.status, 405);
+    assert.strictEqual(notAllowed.headers.Allow, 'GET, POST');
+    assert.strictEqual(send('OPTIONS', '/items').headers['Access-Control-Allow-Methods'], 'GET, POST');
+  });
+
+  it('should answer with documented examples, synthesized bodies and Prefer selections', () => {
+    const list = JSON.parse(send('GET', '/items').body);
+    assert.ok(Array.isArray(list) && list.every(item => typeof item.id === 'string' && typeof item.name === 'string'));
+
+    const created = send('POST', '/items', { headers: { 'content-type': 'application/json' }, body: '{"name": "Lamp"}' });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.headers.Location, '/items/item-7');
+
+    assert.deepStrictEqual(JSON.parse(send('GET', '/items/1', { headers: { prefer: 'example=desk' } }).body), { id: 'item-8', name: 'Desk' });
+    const notFound = send('GET', '/items/1', { headers: { prefer: 'code=404' } });
+    assert.strictEqual(notFound.status, 404);
+    assert.strictEqual(typeof JSON.parse(notFound.body).message, 'string');
+    assert.match(JSON.parse(send('GET', '/items/1', { headers: { prefer: 'code=500' } }).body).detail, /Status 500 is not documented/);
+  });
+
+  it('should reject requests that do not match parameters and request bodies', () => {
+    const tooMany = send('GET', '/items?limit=500');
+    assert.strictEqual(tooMany.status, 400);
+    assert.deepStrictEqual(tooMany.errors, [{ in: 'query', name: 'limit', message: 'must be <= 50' }]);
+    assert.deepStrictEqual(send('GET', '/items?limit=ten').errors, [{ in: 'query', name: 'limit', message: 'must be integer' }]);
+
+    // The documented 422 answers invalid bodies; readOnly id is not required
+    const invalid = send('POST', '/items', { headers: { 'content-type': 'application/json' }, body: '{"name": ""}' });
+    assert.strictEqual(invalid.status, 422);
+    assert.deepStrictEqual(JSON.parse(invalid.body), { error: 'invalid' });
+    assert.deepStrictEqual(invalid.errors, [{ in: 'body', name: 'name', message: 'must NOT have fewer than 1 characters' }]);
+    assert.deepStrictEqual(send('POST', '/items').errors, [{ in: 'body', name: 'body', message: 'is required' }]);
+    assert.deepStrictEqual(send('POST', '/items', { headers: { 'content-type': 'text/plain' }, body: 'Lamp' }).errors, [
+      { in: 'header', name: 'Content-Type', message: 'must be one of application/json' }
+    ]);
+    assert.deepStrictEqual(send('POST', '/items', { headers: { 'content-type': 'application/json' }, body: '{' }).errors, [
+      { in: 'body', name: 'body', message: 'is not valid JSON' }
+    ]);
+  });
+
+  it('should reject Prefer codes that are not HTTP statuses without stopping the server', async () => {
+    const rangeApi = createMinimalSpec({
+      paths: {
+        '/a': {
+          get: {
+            responses: {
+              '200': { description: 'OK' },
+              '4XX': { description: 'Client error' },
+              default: { description: 'Error' }
+            }
+          }
+        }
+      }
+    });
+    const server = await startMockServer(rangeApi, { port: 0 });
+    try {
+      const url = `http://127.0.0.1:${server.address().port}/a`;
+      for (const code of ['42', 'abc']) {
+        const response = await fetch(url, { headers: { prefer: `code=${code}` } });
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(response.headers.get('content-type'), 'application/problem+json');
+        assert.match((await response.json()).detail, new RegExp(`Prefer code=${code} is not an HTTP status code`));
+      }
+      assert.strictEqual((await fetch(url, { headers: { prefer: 'code=404' } })).status, 404);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('should pass the generated contract and negative tests of the sample spec', async () => {
+    const sampleApi = await parseSpec(path.resolve(__dirname, '../../specs/sample-api.yaml'));
+    const server = await startMockServer(sampleApi, { port: 0 });
+    try {
+      const scripts = generateTestScriptsForSpec(sampleApi, TestLevel.CONTRACT);
+      const contractItems = extractEndpoints(sampleApi).map(endpoint => {
+        const generated = buildPostmanBody(endpoint.requestBody);
+        return {
+          name: endpoint.name,
+          request: {
+            method: endpoint.method,
+            header: generated ? [{ key: 'Content-Type', value: generated.mediaType }] : [],
+            url: buildRequestUrl(endpoint),
+            ...(generated ? { body: generated.body } : {})
+          },
+          event: [{ listen: 'test', script: { exec: scripts[generateTestKeysForEndpoint(endpoint)[0]] } }]
+        };
+      });
+      const collection = { info: { name: 'Sample' }, item: [{ name: 'Contract', item: contractItems }, generateNegativeTestFolder(sampleApi)] };
+
+      const results = await runCollection(collection, {
+        baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+        variables: { taskId: 'task-001' }
+      });
+
+      assert.strictEqual(hasRunFailures(results), false, formatRunReport(results));
+      assert.ok(results.summary.passed > 40);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
+
+// ============================================================
+// Spec Coverage
+// ============================================================
+
+describe('Spec coverage', () => {
+  it('should list response schema fields through arrays, compositions and circular refs', () => {
+    const node = { type: 'object', properties: { name: { type: 'string' } } };
+    node.properties.children = { type: 'array', items: node };
+
+    assert.deepStrictEqual(collectSchemaFields({
+      type: 'array',
+      items: {
+        allOf: [
+          { type: 'object', properties: { id: { type: 'string' }, password: { type: 'string', writeOnly: true } } },
+          { type: 'object', properties: { tags: { type: 'array', items: { type: 'object', properties: { label: { type: 'string' } } } } } }
+        ]
+      }
+    }), ['[].id', '[].tags', '[].tags[].label']);
+    assert.deepStrictEqual(collectSchemaFields(node), ['name', 'children']);
+    assert.deepStrictEqual(collectSchemaFields({ $ref: '#/components/schemas/Node' }), []);
+  });
+
+  it('should find asserted statuses and the fields pm.expect checks', () => {
+    const analysis = analyzeTestScript([
+      'pm.response.to.have.status(201);',
+      'pm.expect(pm.response.code).to.be.oneOf([400, 422]);',
+      'pm.expect(pm.response.code).to.be.within(500, 599);',
+      'pm.expect(pm.response.code).to.not.be.oneOf([401, 403]);',
+      'pm.response.to.be.notFound;',
+      'const jsonData = pm.response.json();',
+      'const item = Array.isArray(jsonData) ? jsonData[0] : jsonData;',
+      'pm.expect(item).to.have.property("id");',
+      'pm.expect(item["owner"].email).to.be.a("string");',
+      'pm.expect(jsonData.meta).to.have.all.keys("total", "page");',
+      'const ignored = jsonData.secret;',
+      'if (ignored) { console.log(jsonData.other); }'
+    ].join('\n'));
+
+    assert.deepStrictEqual(analysis.statuses.sort(), ['201', '400', '404', '422', '5XX']);
+    assert.deepStrictEqual(analysis.validated, []);
+    for (const field of ['id', '[].id', 'owner', 'owner.email', '[].owner.email', 'meta', 'meta.total', 'meta.page']) {
+      assert.ok(analysis.fields.includes(field), field);
+    }
+    assert.ok(!analysis.fields.includes('secret') && !analysis.fields.includes('other'));
+  });
+
+  it('should report operations, responses and fields covered by a collection', () => {
+    const taskSchema = { type: 'object', properties: { id: { type: 'string' }, title: { type: 'string' } } };
+    const json = schema => ({ 'application/json': { schema } });
+    const api = createMinimalSpec({
+      servers: [{ url: 'https://api.example.com/v1' }],
+      paths: {
+        '/tasks': {
+          get: {
+            operationId: 'listTasks',
+            responses: { '200': { description: 'OK', content: json({ type: 'array', items: taskSchema }) } }
+          },
+          post: {
+            operationId: 'createTask',
+            responses: {
+              '201': { description: 'Created', content: json(taskSchema) },
+              '4XX': { description: 'Invalid', content: json({ type: 'object', properties: { message: { type: 'string' } } }) }
+            }
+          }
+        },
+        '/tasks/{taskId}': {
+          delete: { operationId: 'deleteTask', responses: { '204': { description: 'Deleted' }, default: { description: 'Error' } } }
+        }
+      }
+    });
+    const contract = generateResponseContractScript(api.paths['/tasks'].post.responses).join('\n');
+    const collection = {
+      info: { name: 'Tasks' },
+      event: [{ listen: 'test', script: { exec: ['pm.expect(pm.response.code).to.be.oneOf([200, 201]);'] } }],
+      item: [
+        {
+          name: 'Tasks',
+          item: [
+            {
+              name: 'List tasks',
+              request: { method: 'GET', url: { raw: '{{baseUrl}}/tasks?limit=5', path: ['tasks'] } },
+              event: [{ listen: 'test', script: { exec: ['const tasks = pm.response.json();', 'pm.expect(tasks[0]).to.have.property("id");'] } }]
+            },
+            { name: 'Create task', request: { method: 'POST', url: 'https://api.example.com/v1/tasks' }, event: [{ listen: 'test', script: { exec: contract } }] },
+            {
+              name: 'Create invalid task',
+              request: { method: 'POST', url: '{{baseUrl}}/tasks' },
+              event: [{ listen: 'test', script: { exec: `pm.expect(pm.response.code).to.equal(422);\n${contract}` } }]
+            }
+          ]
+        },
+        { name: 'Webhook', request: { method: 'POST', url: '{{webhookReceiverUrl}}' } }
+      ]
+    };
+
+    const report = analyzeCoverage(api, collection);
+    const [list, create, remove] = report.operations;
+
+    assert.deepStrictEqual(list.requests, ['List tasks']);
+    assert.deepStrictEqual(list.fields.map(field => [field.field, field.checked]), [['[].id', true], ['[].title', false]]);
+    assert.deepStrictEqual(create.requests, ['Create task', 'Create invalid task']);
+    assert.deepStrictEqual(create.responses, [
+      { status: '201', asserted: true, validated: true },
+      { status: '4XX', asserted: true, validated: true }
+    ]);
+    assert.ok(create.fields.every(field => field.checked));
+    assert.deepStrictEqual(remove.requests, []);
+    assert.deepStrictEqual(report.unmatched, [{ name: 'Webhook', method: 'POST', path: '/' }]);
+
+    assert.deepStrictEqual(report.summary, {
+      operations: { covered: 2, total: 3, percent: 66.7 },
+      responses: { covered: 3, total: 5, percent: 60 },
+      fields: { covered: 4, total: 5, percent: 80 }
+    });
+    assert.deepStrictEqual(getCoverageShortfalls(report, 70), [
+      { metric: 'operations', percent: 66.7 },
+      { metric: 'responses', percent: 60 }
+    ]);
+    assert.deepStrictEqual(getCoverageShortfalls(report, 60), []);
+
+    const table = formatCoverageReport(report);
+    assert.match(table, /^DELETE\s+\/tasks\/\{taskId\}\s+0\s+0\/2\s+0\/0\s+204, default$/m);
+    assert.match(table, /^Fields: {5}4\/5 \(80%\) checked$/m);
+    assert.match(table, /^ {2}POST \/ \(Webhook\)$/m);
+    assert.deepStrictEqual(JSON.parse(formatCoverageReport(report, 'json')).summary, report.summary);
+  });
+
+  it('should only credit fields of the responses a request asserts', () => {
+    const api = createMinimalSpec({
+      paths: {
+        '/tasks/{taskId}': {
+          get: {
+            responses: {
+              '200': { description: 'OK', content: { 'application/json': { schema: { type: 'object', properties: { id: { type: 'string' }, message: { type: 'string' } } } } } },
+              '404': { description: 'Not found', content: { 'application/json': { schema: { type: 'object', properties: { message: { type: 'string' }, code: { type: 'string' } } } } } }
+            }
+          }
+        }
+      }
+    });
+    const contract = generateResponseContractScript(api.paths['/tasks/{taskId}'].get.responses).join('\n');
+    const request = script => ({
+      info: { name: 'Tasks' },
+      item: [{ name: 'Get task', request: { method: 'GET', url: '{{baseUrl}}/tasks/:taskId' }, event: [{ listen: 'test', script: { exec: script } }] }]
+    });
+    const checkedFields = script => analyzeCoverage(api, request(script)).operations[0].fields
+      .filter(field => field.checked)
+      .map(field => `${field.status}|${field.field}`);
+
+    // The contract lists 404 too, but only 200 is asserted
+    assert.deepStrictEqual(checkedFields(`pm.response.to.have.status(200);\n${contract}`), ['200|id', '200|message']);
+    // A message check on the 200 response does not check the 404 message
+    assert.deepStrictEqual(checkedFields('pm.response.to.have.status(200);\npm.expect(pm.response.json().message).to.be.a("string");'), ['200|message']);
+    assert.deepStrictEqual(checkedFields(contract), []);
+  });
+});
+
 // ============================================================
 // generatePreRequestScript Tests
 // ============================================================
@@ -646,6 +2313,33 @@ describe('generatePreRequestScript', () => {
     assert.ok(result.valid);
   });
 
+  it('should embed replayable seeded data sets per iteration', () => {
+    const endpoint = createTestEndpoint({
+      path: '/users/{userId}',
+      method: 'POST',
+      requestBody: {
+        content: {
+          'application/json': {
+            schema: { type: 'object', properties: { email: { type: 'string', format: 'email' } } }
+          }
+        }
+      }
+    });
+
+    const script = generatePreRequestScript(endpoint, { seed: 5, count: 3 });
+    const scriptText = script.join('\n');
+    const dataLine = script.find(line => line.startsWith('const fakeData = '));
+    const dataSets = JSON.parse(dataLine.slice('const fakeData = '.length, -1));
+
+    assert.deepStrictEqual(script, generatePreRequestScript(endpoint, { seed: 5, count: 3 }));
+    assert.strictEqual(dataSets.length, 3);
+    assert.strictEqual(new Set(dataSets.map(d => d.body.email)).size, 3);
+    assert.ok(dataSets.every(d => d.params.userId && !d.params.userId.startsWith('test-')));
+    assert.ok(scriptText.includes('pm.info.iteration'));
+    assert.ok(scriptText.includes('pm.request.body.update'));
+    assert.ok(validateJavaScriptSyntax(script).valid);
+  });
+
   it('should produce valid JavaScript', () => {
     const endpoint = createTestEndpoint({
       path: '/users/{userId}/items/{itemId}',
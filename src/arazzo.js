@@ -0,0 +1,692 @@
+#!/usr/bin/env node
+
+/**
+ * Arazzo Workflows
+ *
+ * Turns an Arazzo 1.0 document into a "Workflows" collection. Steps are
+ * resolved against the OpenAPI documents listed in sourceDescriptions
+ * (operationId, $sourceDescriptions.<name>.<operationId> or operationPath),
+ * and each workflow becomes a folder whose requests run in step order:
+ * - runtime expressions in parameters and payloads become {{variables}}
+ * - successCriteria become pm.test assertions
+ * - step and workflow outputs are stored as collection variables named
+ *   after their expression (signup.steps.createUser.outputs.userId)
+ *
+ * Workflow inputs are collection variables (signup.inputs.email) seeded
+ * from the inputs schema, so an environment variable of the same name
+ * overrides them. onSuccess/onFailure actions and steps that call other
+ * workflows are not supported.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { parseSpec, extractEndpoints, getBaseUrl, getExample, expandServerUrl } from './parser.js';
+import { parsePointer } from './source-locations.js';
+import { applyPostmanBody, buildPostmanBody } from './request-body-builder.js';
+import { DEFAULT_DATA_SEED } from './fake-data.js';
+import { buildRequestUrl } from './request-url.js';
+import { getServerVariableName } from './environment-generator.js';
+import { RUNTIME_EXPRESSION_EVALUATOR } from './request-chaining.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger({ name: 'arazzo' });
+
+/**
+ * Supported Arazzo specification versions (1.x)
+ */
+const SUPPORTED_ARAZZO_VERSION = /^1\.\d+\.\d+$/;
+
+/**
+ * Suffix of the generated collection name
+ */
+export const WORKFLOWS_COLLECTION_SUFFIX = 'Workflows';
+
+/**
+ * Tokens of a simple success criterion condition; anything else is rejected
+ */
+const CONDITION_TOKEN = /\s*(?:(\$[A-Za-z][^\s()=!<>&|]*)|'((?:[^'\\]|\\.)*)'|(-?\d+(?:\.\d+)?|true|false|null|==|!=|<=|>=|<|>|&&|\|\||!|\(|\)))/y;
+
+/**
+ * Error raised for invalid Arazzo documents or unresolvable steps
+ */
+export class ArazzoError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ArazzoError';
+    this.details = details;
+  }
+}
+
+// ------------------------------------------------------------
+// Loading
+// ------------------------------------------------------------
+
+/**
+ * Load and validate an Arazzo document (YAML or JSON)
+ * @param {string} arazzoPath - Path to the Arazzo file
+ * @returns {Object} Arazzo document
+ * @throws {ArazzoError} If the file cannot be read or is not a valid Arazzo document
+ */
+export function loadArazzo(arazzoPath) {
+  let document;
+  try {
+    document = YAML.parse(fs.readFileSync(arazzoPath, 'utf8'));
+  } catch (error) {
+    throw new ArazzoError(`Failed to read Arazzo document ${arazzoPath}: ${error.message}`, { path: arazzoPath });
+  }
+
+  validateArazzo(document, arazzoPath);
+  return document;
+}
+
+/**
+ * Validate the structure of an Arazzo document
+ * @param {Object} document - Arazzo document
+ * @param {string} source - Document path or label for error messages
+ * @throws {ArazzoError} If the document is not an Arazzo 1.x document
+ */
+export function validateArazzo(document, source = 'arazzo') {
+  if (!document || typeof document !== 'object') {
+    throw new ArazzoError(`Arazzo document ${source} is not an object`, { path: source });
+  }
+
+  if (!SUPPORTED_ARAZZO_VERSION.test(String(document.arazzo || ''))) {
+    throw new ArazzoError(
+      `Unsupported Arazzo version in ${source}: ${document.arazzo ?? '(missing)'}. Supported: 1.x`,
+      { path: source }
+    );
+  }
+
+  if (!Array.isArray(document.sourceDescriptions) || document.sourceDescriptions.length === 0) {
+    throw new ArazzoError(`Arazzo document ${source} must list at least one source description`, { path: source });
+  }
+  document.sourceDescriptions.forEach((description, index) => {
+    if (!description?.name || !description?.url) {
+      throw new ArazzoError(`Source description ${index} in ${source} needs a name and a url`, { path: source, sourceDescription: index });
+    }
+  });
+
+  if (!Array.isArray(document.workflows) || document.workflows.length === 0) {
+    throw new ArazzoError(`Arazzo document ${source} must define at least one workflow`, { path: source });
+  }
+
+  const workflowIds = new Set();
+  for (const workflow of document.workflows) {
+    if (!workflow?.workflowId || workflowIds.has(workflow.workflowId)) {
+      throw new ArazzoError(`Every workflow in ${source} needs a unique workflowId`, { path: source, workflow: workflow?.workflowId });
+    }
+    workflowIds.add(workflow.workflowId);
+
+    if (!Array.isArray(workflow.steps) || workflow.steps.length === 0) {
+      throw new ArazzoError(`Workflow ${workflow.workflowId} in ${source} has no steps`, { path: source, workflow: workflow.workflowId });
+    }
+
+    const stepIds = new Set();
+    for (const step of workflow.steps) {
+      if (!step?.stepId || stepIds.has(step.stepId)) {
+        throw new ArazzoError(`Every step of workflow ${workflow.workflowId} needs a unique stepId`, { path: source, workflow: workflow.workflowId });
+      }
+      stepIds.add(step.stepId);
+
+      const targets = ['operationId', 'operationPath', 'workflowId'].filter(key => step[key] !== undefined);
+      if (targets.length !== 1) {
+        throw new ArazzoError(
+          `Step ${step.stepId} of workflow ${workflow.workflowId} needs exactly one of operationId, operationPath or workflowId`,
+          { path: source, workflow: workflow.workflowId, step: step.stepId }
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Load the OpenAPI documents an Arazzo document refers to
+ * Relative URLs resolve against the Arazzo file; sources of type arazzo are skipped.
+ * @param {Object} document - Arazzo document
+ * @param {string} arazzoPath - Path to the Arazzo file
+ * @param {Object} options - parseSpec options (remote, allowedRoots, ...)
+ * @param {Function} options.getOverlays - specPath -> overlays to apply to that spec
+ * @returns {Promise<Object>} Source name -> parsed OpenAPI spec
+ */
+export async function loadArazzoSources(document, arazzoPath, options = {}) {
+  const { getOverlays = () => [], ...parseOptions } = options;
+  const sources = {};
+
+  for (const description of document.sourceDescriptions) {
+    if ((description.type || 'openapi') !== 'openapi') continue;
+
+    const specPath = /^https?:\/\//i.test(description.url)
+      ? description.url
+      : path.resolve(path.dirname(arazzoPath), description.url);
+    sources[description.name] = await parseSpec(specPath, { ...parseOptions, overlays: getOverlays(specPath) });
+  }
+
+  return sources;
+}
+
+// ------------------------------------------------------------
+// Resolving
+// ------------------------------------------------------------
+
+const endpointCache = new WeakMap();
+
+/**
+ * Endpoints of a source, extracted once per spec
+ */
+function getSourceEndpoints(api) {
+  if (!endpointCache.has(api)) {
+    endpointCache.set(api, extractEndpoints(api));
+  }
+  return endpointCache.get(api);
+}
+
+/**
+ * Find the operation a step calls
+ * A plain operationId must be unique across sources; otherwise qualify it
+ * as $sourceDescriptions.<name>.<operationId>.
+ * @param {Object} step - Arazzo step
+ * @param {Object} sources - Source name -> parsed OpenAPI spec (from loadArazzoSources)
+ * @returns {{source: string, endpoint: Object}} Source name and endpoint
+ * @throws {ArazzoError} If the operation cannot be found or is ambiguous
+ */
+export function resolveStepOperation(step, sources) {
+  if (step.workflowId !== undefined) {
+    throw new ArazzoError(`Step ${step.stepId} calls workflow ${step.workflowId}; nested workflows are not supported`, { step: step.stepId });
+  }
+
+  if (step.operationPath !== undefined) {
+    const match = /^\{\$sourceDescriptions\.([^.}]+)\.url\}(#\/.*)$/.exec(step.operationPath);
+    const api = match ? sources[match[1]] : null;
+    const [, apiPath, method] = match ? parsePointer(match[2]) : [];
+    const endpoint = api && getSourceEndpoints(api).find(candidate =>
+      candidate.path === apiPath && candidate.method === String(method).toUpperCase()
+    );
+
+    if (!endpoint) {
+      throw new ArazzoError(`Step ${step.stepId}: operationPath ${step.operationPath} does not match an operation`, { step: step.stepId });
+    }
+    return { source: match[1], endpoint };
+  }
+
+  const qualified = /^\$sourceDescriptions\.([^.]+)\.(.+)$/.exec(step.operationId);
+  const operationId = qualified ? qualified[2] : step.operationId;
+  const matches = (qualified ? [qualified[1]] : Object.keys(sources))
+    .filter(name => sources[name])
+    .flatMap(name => getSourceEndpoints(sources[name])
+      .filter(endpoint => endpoint.raw.operationId === operationId)
+      .map(endpoint => ({ source: name, endpoint })));
+
+  if (matches.length === 0) {
+    throw new ArazzoError(`Step ${step.stepId}: operationId ${step.operationId} does not match an operation`, { step: step.stepId });
+  }
+  if (matches.length > 1) {
+    throw new ArazzoError(
+      `Step ${step.stepId}: operationId ${operationId} exists in ${matches.map(match => match.source).join(', ')}; ` +
+      `qualify it as $sourceDescriptions.<name>.${operationId}`,
+      { step: step.stepId }
+    );
+  }
+  return matches[0];
+}
+
+/**
+ * Name of the collection variable behind a workflow runtime expression
+ * $inputs.email -> signup.inputs.email, $steps.login.outputs.token ->
+ * signup.steps.login.outputs.token, $workflows.other.outputs.id -> other.outputs.id
+ * @param {string} expression - Runtime expression
+ * @param {string} workflowId - Workflow the expression is used in
+ * @returns {string|null} Variable name, or null for expressions read from the request or response
+ */
+export function getWorkflowVariableName(expression, workflowId) {
+  if (/^\$(inputs|steps)\./.test(expression)) {
+    return `${workflowId}.${expression.slice(1)}`;
+  }
+  if (expression.startsWith('$workflows.')) {
+    return expression.slice('$workflows.'.length);
+  }
+  return null;
+}
+
+/**
+ * Replace workflow expressions in a value with Postman {{variables}}
+ * Whole-value expressions ($inputs.email) and embedded ones
+ * ("Bearer {$steps.login.outputs.token}") are both replaced.
+ */
+function toPostmanValue(value, workflowId) {
+  if (Array.isArray(value)) {
+    return value.map(item => toPostmanValue(item, workflowId));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPostmanValue(item, workflowId)]));
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  const whole = getWorkflowVariableName(value, workflowId);
+  if (whole) return `{{${whole}}}`;
+
+  return value.replace(/\{(\$[^{}]+)\}/g, (match, expression) => {
+    const variable = getWorkflowVariableName(expression, workflowId);
+    return variable ? `{{${variable}}}` : match;
+  });
+}
+
+/**
+ * Resolve a local reference ({ $ref: '#/components/inputs/x' }) in the Arazzo document
+ */
+function resolveLocalRef(document, node) {
+  if (typeof node?.$ref !== 'string' || !node.$ref.startsWith('#/')) return node;
+  return parsePointer(node.$ref).reduce((value, segment) => value?.[segment], document);
+}
+
+/**
+ * Collect the parameters a step sends
+ * Workflow parameters apply to every step; the step's own win. Reusable
+ * parameters ({ reference: $components.parameters.x }) are resolved.
+ */
+function getStepParameters(document, workflow, step) {
+  const parameters = new Map();
+
+  for (const parameter of [...(workflow.parameters || []), ...(step.parameters || [])]) {
+    let resolved = parameter;
+    if (parameter?.reference) {
+      const name = /^\$components\.parameters\.(.+)$/.exec(parameter.reference)?.[1];
+      const component = document.components?.parameters?.[name];
+      if (!component) {
+        throw new ArazzoError(`Step ${step.stepId}: unknown parameter reference ${parameter.reference}`, { step: step.stepId });
+      }
+      resolved = { ...component, ...(parameter.value !== undefined ? { value: parameter.value } : {}) };
+    }
+    // Parameters without a location only apply to workflow steps
+    if (resolved?.in) {
+      parameters.set(`${resolved.in}:${resolved.name}`, resolved);
+    }
+  }
+
+  return [...parameters.values()];
+}
+
+/**
+ * Set a value at a JSON pointer, creating objects along the way
+ */
+function setPointer(document, pointer, value) {
+  const segments = parsePointer(pointer);
+  if (segments.length === 0) return value;
+
+  const root = document && typeof document === 'object' ? document : {};
+  let node = root;
+  for (const segment of segments.slice(0, -1)) {
+    if (!node[segment] || typeof node[segment] !== 'object') node[segment] = {};
+    node = node[segment];
+  }
+  node[segments[segments.length - 1]] = value;
+  return root;
+}
+
+/**
+ * Build the Postman body of a step
+ * Steps without a requestBody send the operation's example body.
+ */
+function buildStepBody(step, endpoint, workflowId, seed) {
+  if (!step.requestBody) {
+    return buildPostmanBody(endpoint.requestBody, { seed });
+  }
+
+  const mediaType = step.requestBody.contentType || Object.keys(endpoint.requestBody?.content || {})[0] || 'application/json';
+  let payload = structuredClone(step.requestBody.payload);
+  for (const replacement of step.requestBody.replacements || []) {
+    payload = setPointer(payload, replacement.target, replacement.value);
+  }
+  payload = toPostmanValue(payload, workflowId);
+
+  if (payload && typeof payload === 'object' && mediaType === 'application/x-www-form-urlencoded') {
+    return {
+      mediaType,
+      body: { mode: 'urlencoded', urlencoded: Object.entries(payload).map(([key, value]) => ({ key, value: String(value) })) }
+    };
+  }
+  if (typeof payload === 'string') {
+    return { mediaType, body: { mode: 'raw', raw: payload } };
+  }
+  return {
+    mediaType,
+    body: { mode: 'raw', raw: JSON.stringify(payload ?? {}, null, 2), options: { raw: { language: 'json' } } }
+  };
+}
+
+// ------------------------------------------------------------
+// Scripts
+// ------------------------------------------------------------
+
+/**
+ * Pre-request script that sends non-string workflow values (numbers,
+ * booleans, objects) in a JSON body without the quotes around "{{...}}"
+ */
+const TYPED_BODY_SCRIPT = [
+  `// Send non-string workflow values without quotes`,
+  `(function () {`,
+  `    if (!pm.request.body || pm.request.body.mode !== "raw") {`,
+  `        return;`,
+  `    }`,
+  `    const raw = pm.request.body.raw.replace(/"\\{\\{([^{}]+)\\}\\}"/g, function (match, name) {`,
+  `        const value = pm.variables.get(name);`,
+  `        return value === undefined || value === null || typeof value === "string" ? match : JSON.stringify(value);`,
+  `    });`,
+  `    pm.request.body.update(raw);`,
+  `})();`
+];
+
+/**
+ * Script expression reading a runtime expression
+ * Workflow expressions read variables; the rest go through evaluate().
+ */
+function expressionToScript(expression, workflowId) {
+  const variable = getWorkflowVariableName(expression, workflowId);
+  return variable ? `pm.variables.get(${JSON.stringify(variable)})` : `resolve(${JSON.stringify(expression)})`;
+}
+
+/**
+ * Translate a simple condition ($statusCode == 201 && $response.body#/ok == true)
+ * @returns {string|null} Script expression, or null if the condition has unsupported syntax
+ */
+function translateCondition(condition, workflowId) {
+  const text = String(condition).trim();
+  const token = new RegExp(CONDITION_TOKEN.source, 'y');
+  const parts = [];
+
+  while (token.lastIndex < text.length) {
+    const match = token.exec(text);
+    if (!match) return null;
+
+    const [, expression, string, literal] = match;
+    if (expression) {
+      parts.push(expressionToScript(expression, workflowId));
+    } else if (string !== undefined) {
+      parts.push(JSON.stringify(string.replace(/\\(.)/g, '$1')));
+    } else {
+      parts.push(literal);
+    }
+  }
+
+  return parts.length > 0 ? parts.join(' ') : null;
+}
+
+/**
+ * Convert a plain JSONPath ($.data.items[0]) to a JSON pointer
+ * @returns {string|null} Pointer, or null for filters, wildcards and other queries
+ */
+function jsonPathToPointer(jsonPath) {
+  if (!/^\$(?:\.[A-Za-z_$][\w$-]*|\[\d+\]|\['[^']*'\])*$/.test(jsonPath)) return null;
+
+  return [...jsonPath.matchAll(/\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\['([^']*)'\]/g)]
+    .map(([, name, index, quoted]) => '/' + String(name ?? index ?? quoted).replace(/~/g, '~0').replace(/\//g, '~1'))
+    .join('');
+}
+
+/**
+ * Generate the pm.test of one success criterion
+ * Criteria the sandbox cannot evaluate (xpath, JSONPath queries, unknown
+ * syntax) are reported as skipped tests.
+ * @returns {Array} Script lines (indented for the step's IIFE)
+ */
+function generateCriterionTest(criterion, workflowId) {
+  const type = (typeof criterion.type === 'object' ? criterion.type?.type : criterion.type) || 'simple';
+  const context = criterion.context ? expressionToScript(criterion.context, workflowId) : null;
+  const label = criterion.context ? `${criterion.context} ${type === 'regex' ? 'matches' : 'has'} ${criterion.condition}` : criterion.condition;
+  const name = JSON.stringify(`Success criterion: ${label}`);
+  let check = null;
+
+  if (type === 'simple') {
+    const script = translateCondition(criterion.condition, workflowId);
+    check = script && `pm.expect(Boolean(${script}), ${JSON.stringify(criterion.condition)}).to.be.true;`;
+  } else if (type === 'regex' && context) {
+    check = `pm.expect(String(${context})).to.match(new RegExp(${JSON.stringify(criterion.condition)}));`;
+  } else if (type === 'jsonpath' && context) {
+    const pointer = jsonPathToPointer(criterion.condition);
+    check = pointer !== null &&
+      `pm.expect(pointer(${context}, ${JSON.stringify(pointer)}), ${JSON.stringify(criterion.condition)}).to.not.be.undefined;`;
+  }
+
+  if (!check) {
+    logger.warn(`Success criterion "${criterion.condition}" (${type}) cannot be evaluated in Postman; it is generated as a skipped test`);
+    return [`    pm.test.skip(${name}, function () {});`];
+  }
+
+  return [
+    `    pm.test(${name}, function () {`,
+    `        ${check}`,
+    `    });`
+  ];
+}
+
+/**
+ * Generate the pm.test that stores one output in a collection variable
+ * A missing value fails the test and clears the variable, so later steps
+ * do not run with a value left over from an earlier run.
+ */
+function generateOutputTest(label, variable, expression, workflowId) {
+  return [
+    `    pm.test(${JSON.stringify(`${label} is set`)}, function () {`,
+    `        const value = ${expressionToScript(expression, workflowId)};`,
+    `        if (value === undefined || value === null) {`,
+    `            pm.collectionVariables.unset(${JSON.stringify(variable)});`,
+    `        } else {`,
+    `            pm.collectionVariables.set(${JSON.stringify(variable)}, value);`,
+    `        }`,
+    `        pm.expect(value, ${JSON.stringify(`${expression} has no value`)}).to.not.be.oneOf([undefined, null]);`,
+    `    });`
+  ];
+}
+
+/**
+ * Generate the test script of a workflow step
+ * @param {Object} workflow - Arazzo workflow
+ * @param {Object} step - Arazzo step
+ * @param {Object} endpoint - Endpoint the step calls
+ * @param {Object} options - Options
+ * @param {boolean} options.last - Whether this is the workflow's last step (stores workflow outputs)
+ * @returns {Array} Test script lines
+ */
+export function generateStepTestScript(workflow, step, endpoint, options = {}) {
+  const { workflowId } = workflow;
+  const tests = [];
+
+  tests.push(`// Workflow ${workflowId}, step ${step.stepId}: ${endpoint.method} ${endpoint.path}`);
+  tests.push(`(function () {`);
+  tests.push(...RUNTIME_EXPRESSION_EVALUATOR);
+  tests.push(`    function resolve(expression) {`);
+  tests.push(`        try {`);
+  tests.push(`            return evaluate(expression);`);
+  tests.push(`        } catch (e) {`);
+  tests.push(`            return undefined;`);
+  tests.push(`        }`);
+  tests.push(`    }`);
+
+  for (const criterion of step.successCriteria || []) {
+    tests.push(...generateCriterionTest(criterion, workflowId));
+  }
+
+  for (const [name, expression] of Object.entries(step.outputs || {})) {
+    const variable = getWorkflowVariableName(`$steps.${step.stepId}.outputs.${name}`, workflowId);
+    tests.push(...generateOutputTest(`Output ${name}`, variable, expression, workflowId));
+  }
+
+  if (options.last) {
+    for (const [name, expression] of Object.entries(workflow.outputs || {})) {
+      tests.push(...generateOutputTest(`Workflow output ${name}`, `${workflowId}.outputs.${name}`, expression, workflowId));
+    }
+  }
+
+  tests.push(`})();`);
+  return tests;
+}
+
+// ------------------------------------------------------------
+// Collection
+// ------------------------------------------------------------
+
+/**
+ * Base URL variable of a source: baseUrl for the first, <name>.baseUrl for the others
+ */
+function getSourceBaseVariable(sources, source) {
+  return Object.keys(sources)[0] === source ? 'baseUrl' : `${source}.baseUrl`;
+}
+
+/**
+ * Build the Postman request item of a workflow step
+ */
+function generateStepItem(document, workflow, step, sources, options) {
+  const { seed = DEFAULT_DATA_SEED, last = false } = options;
+  const { source, endpoint } = resolveStepOperation(step, sources);
+  const { workflowId } = workflow;
+  const parameters = getStepParameters(document, workflow, step).map(parameter => ({
+    ...parameter,
+    value: toPostmanValue(parameter.value, workflowId)
+  }));
+  const valueOf = parameter => typeof parameter.value === 'object' ? JSON.stringify(parameter.value) : String(parameter.value ?? '');
+
+  const pathValues = Object.fromEntries(parameters.filter(p => p.in === 'path').map(p => [p.name, valueOf(p)]));
+  const url = buildRequestUrl(endpoint, { pathValues });
+
+  // Step query parameters replace the operation's example values
+  const query = [
+    ...(url.query || []).filter(entry => !parameters.some(p => p.in === 'query' && p.name === entry.key)),
+    ...parameters.filter(p => p.in === 'query').map(p => ({ key: p.name, value: valueOf(p) }))
+  ];
+  const baseVariable = endpoint.serverOverride ? getServerVariableName(endpoint.servers[0].url) : getSourceBaseVariable(sources, source);
+  const queryString = query
+    .map(({ key, value }) => `${key}=${value.split(/(\{\{[^{}]+\}\})/).map((part, i) => i % 2 ? part : encodeURIComponent(part)).join('')}`)
+    .join('&');
+  url.host = [`{{${baseVariable}}}`];
+  url.raw = `{{${baseVariable}}}/${url.path.join('/')}${queryString ? `?${queryString}` : ''}`;
+  if (query.length > 0) url.query = query;
+
+  const request = {
+    method: endpoint.method,
+    header: parameters.filter(p => p.in === 'header').map(p => ({ key: p.name, value: valueOf(p) })),
+    url,
+    description: step.description || `${endpoint.method} ${endpoint.path}`
+  };
+
+  const cookies = parameters.filter(p => p.in === 'cookie').map(p => `${p.name}=${valueOf(p)}`);
+  if (cookies.length > 0) {
+    request.header.push({ key: 'Cookie', value: cookies.join('; ') });
+  }
+  // An explicit Authorization parameter replaces the collection's auth
+  if (request.header.some(header => header.key.toLowerCase() === 'authorization')) {
+    request.auth = { type: 'noauth' };
+  }
+
+  applyPostmanBody(request, buildStepBody(step, endpoint, workflowId, seed));
+
+  const event = [];
+  if (/"\{\{[^{}]+\}\}"/.test(request.body?.raw || '')) {
+    event.push({ listen: 'prerequest', script: { type: 'text/javascript', exec: TYPED_BODY_SCRIPT } });
+  }
+  event.push({
+    listen: 'test',
+    script: { type: 'text/javascript', exec: generateStepTestScript(workflow, step, endpoint, { last }) }
+  });
+
+  return { name: step.stepId, request, event };
+}
+
+/**
+ * Generate the folder of one workflow (one request per step, in order)
+ * @param {Object} document - Arazzo document
+ * @param {Object} workflow - Arazzo workflow
+ * @param {Object} sources - Source name -> parsed OpenAPI spec
+ * @param {Object} options - Options (seed)
+ * @returns {Object} Postman folder item
+ */
+export function generateWorkflowFolder(document, workflow, sources, options = {}) {
+  return {
+    name: workflow.workflowId,
+    description: [workflow.summary, workflow.description].filter(Boolean).join('\n\n') || undefined,
+    item: workflow.steps.map((step, index) =>
+      generateStepItem(document, workflow, step, sources, { ...options, last: index === workflow.steps.length - 1 })
+    )
+  };
+}
+
+/**
+ * Collection variables seeded from workflow inputs (default, example, or a generated value)
+ */
+function getInputVariables(document, workflow) {
+  const schema = resolveLocalRef(document, workflow.inputs);
+
+  return Object.entries(schema?.properties || {}).map(([name, property]) => {
+    const resolved = resolveLocalRef(document, property) || {};
+    const value = resolved.default ?? resolved.example ?? getExample(resolved, { name });
+    return {
+      key: `${workflow.workflowId}.inputs.${name}`,
+      value: value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value)
+    };
+  });
+}
+
+/**
+ * Generate the Workflows collection for an Arazzo document
+ * @param {Object} document - Arazzo document (from loadArazzo)
+ * @param {Object} sources - Source name -> parsed OpenAPI spec (from loadArazzoSources)
+ * @param {Object} options - Options (seed)
+ * @returns {Object} Postman collection (v2.1)
+ * @throws {ArazzoError} If a step cannot be resolved
+ */
+export function generateWorkflowsCollection(document, sources, options = {}) {
+  const folders = document.workflows.map(workflow => generateWorkflowFolder(document, workflow, sources, options));
+
+  const variable = Object.entries(sources).map(([name, api]) => ({
+    key: getSourceBaseVariable(sources, name),
+    value: getBaseUrl(api)
+  }));
+  // Operations with their own servers use the same variables as the generated environments
+  for (const api of Object.values(sources)) {
+    for (const endpoint of getSourceEndpoints(api)) {
+      const key = endpoint.serverOverride ? getServerVariableName(endpoint.servers[0].url) : null;
+      if (key && !variable.some(entry => entry.key === key)) {
+        variable.push({ key, value: expandServerUrl(endpoint.servers[0]) });
+      }
+    }
+  }
+  for (const workflow of document.workflows) {
+    variable.push(...getInputVariables(document, workflow));
+  }
+
+  const collection = {
+    info: {
+      name: `${document.info?.title || 'API'} - ${WORKFLOWS_COLLECTION_SUFFIX}`,
+      description: [document.info?.summary, document.info?.description].filter(Boolean).join('\n\n') || undefined,
+      schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
+    },
+    item: folders,
+    variable
+  };
+
+  // Same bearer variable as the generated collections and environments
+  const usesBearer = Object.values(sources).some(api =>
+    Object.values(api.components?.securitySchemes || {}).some(scheme =>
+      scheme.type === 'http' && String(scheme.scheme).toLowerCase() === 'bearer'
+    )
+  );
+  if (usesBearer) {
+    collection.auth = { type: 'bearer', bearer: [{ key: 'token', value: '{{bearerToken}}', type: 'string' }] };
+  }
+
+  return collection;
+}
+
+export default {
+  WORKFLOWS_COLLECTION_SUFFIX,
+  ArazzoError,
+  loadArazzo,
+  validateArazzo,
+  loadArazzoSources,
+  resolveStepOperation,
+  getWorkflowVariableName,
+  generateStepTestScript,
+  generateWorkflowFolder,
+  generateWorkflowsCollection
+};
@@ -11,17 +11,36 @@
  *   reverse  - Sync Postman changes back to spec
  *   bidi     - Full bidirectional workflow
  *   status   - Check sync status and detect drift
+ *   lint     - Lint an OpenAPI spec with the built-in rules
+ *   workflows - Generate a Workflows collection from an Arazzo document
+ *   run      - Run a collection's requests and tests locally
+ *   mock     - Serve a mock of the spec over HTTP
+ *   coverage - Report which operations, responses and fields the tests cover
  */
 
 import { Command } from 'commander';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { SpecHubClient } from './spec-hub-client.js';
 import { RepoSync } from './repo-sync.js';
 import { ReverseSync } from './reverse-sync.js';
 import { parseSpec } from './parser.js';
-import { loadConfig } from './config-loader.js';
+import { loadConfig, getSpecOverlays, getRemoteOptions, getAllowedSpecRoots, getTestTemplates } from './config-loader.js';
 import { sync as forwardSync } from './spec-hub-sync.js';
+import { lintSpec, formatLintReport, hasLintFailures } from './linter.js';
+import { loadArazzo, loadArazzoSources, generateWorkflowsCollection } from './arazzo.js';
+import {
+  loadCollectionFile,
+  loadEnvironmentFile,
+  runCollection,
+  formatRunReport,
+  hasRunFailures,
+  RunReportFormat,
+  DEFAULT_REQUEST_TIMEOUT
+} from './collection-runner.js';
+import { startMockServer, createMockRoutes, DEFAULT_MOCK_PORT } from './mock-server.js';
+import { analyzeCoverage, formatCoverageReport, getCoverageShortfalls } from './spec-coverage.js';
 import { createLogger } from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -36,6 +55,13 @@ program
   .description('Bi-directional OpenAPI <-> Postman sync tool')
   .version('2.0.0');
 
+/**
+ * Collect a repeatable option into an array
+ */
+function collect(value, previous = []) {
+  return [...previous, value];
+}
+
 /**
  * Add common options to a command
  */
@@ -45,7 +71,9 @@ function addCommonOptions(cmd) {
     .option('-w, --workspace <id>', 'Postman workspace ID')
     .option('-k, --api-key <key>', 'Postman API key')
     .option('-c, --config <path>', 'Path to sync.config.json')
-    .option('-d, --dry-run', 'Preview changes without applying', false);
+    .option('-d, --dry-run', 'Preview changes without applying', false)
+    .option('--offline', 'Load remote specs from the local cache only')
+    .option('--allowed-root <dir>', 'Directory specs may be read from (repeatable, replaces allowedSpecRoots)', collect);
 }
 
 /**
@@ -60,11 +88,15 @@ function getConfig(options) {
     output: options.output,
     strategy: options.strategy,
     testLevel: options.testLevel,
+    seed: options.seed,
+    dataSets: options.dataSets,
     exportToRepo: options.exportToRepo,
     autoMerge: options.autoMerge,
     dryRun: options.dryRun,
     envs: options.envs,
-    tests: options.tests
+    tests: options.tests,
+    offline: options.offline,
+    allowedRoots: options.allowedRoot
   });
 
   return config;
@@ -93,7 +125,9 @@ const forwardCmd = program
   .description('Forward sync: OpenAPI spec -> Postman collections');
 
 addCommonOptions(forwardCmd)
-  .option('-t, --test-level <level>', 'Test level: smoke, contract, all, none', 'all')
+  .option('-t, --test-level <level>', 'Test level: smoke, contract, negative, security, all, none', 'all')
+  .option('--seed <seed>', 'Seed for generated test data (default: 1)')
+  .option('--data-sets <count>', 'Seeded data sets per contract request; N iterations send N payloads (default: 1)')
   .option('--export-to-repo <path>', 'Also export collections to repo after sync')
   .action(async (options) => {
     const config = getConfig(options);
@@ -125,6 +159,13 @@ addCommonOptions(forwardCmd)
         workspaceId: config.workspace,
         apiKey: config._apiKey,
         testLevel: testLevel,
+        seed: config.forwardSync.dataSeed,
+        dataSets: config.forwardSync.dataSets,
+        overlays: getSpecOverlays(config, specPath),
+        remote: getRemoteOptions(config),
+        allowedRoots: getAllowedSpecRoots(config),
+        testTemplates: getTestTemplates(config),
+        testRules: config.forwardSync.testRules,
         dryRun: dryRun
       });
 
@@ -197,7 +238,10 @@ async function runRepoSync(specPath, outputDir, config, includeEnvs = true, dryR
     dryRun: dryRun
   });
 
-  const spec = await parseSpec(specPath);
+  const spec = await parseSpec(specPath, {
+    remote: getRemoteOptions(config),
+    allowedRoots: getAllowedSpecRoots(config)
+  });
   const specName = spec.info?.title || 'api';
 
   logger.info(`\n[1] Fetching collections for: ${specName}`);
@@ -302,7 +346,8 @@ addCommonOptions(reverseCmd)
     const client = new SpecHubClient(config._apiKey, config.workspace);
     const reverseSync = new ReverseSync(client, {
       conflictStrategy: strategy,
-      storeTestsAsExtension: includeTests
+      storeTestsAsExtension: includeTests,
+      allowedSpecRoots: getAllowedSpecRoots(config)
     });
 
     const result = await reverseSync.reverseSync(
@@ -371,6 +416,13 @@ addCommonOptions(bidiCmd)
         workspaceId: config.workspace,
         apiKey: config._apiKey,
         testLevel: config.forwardSync.testLevel,
+        seed: config.forwardSync.dataSeed,
+        dataSets: config.forwardSync.dataSets,
+        overlays: getSpecOverlays(config, specPath),
+        remote: getRemoteOptions(config),
+        allowedRoots: getAllowedSpecRoots(config),
+        testTemplates: getTestTemplates(config),
+        testRules: config.forwardSync.testRules,
         dryRun: dryRun
       });
     } catch (error) {
@@ -406,7 +458,8 @@ addCommonOptions(bidiCmd)
         const strategy = options.strategy || config.reverseSync.conflictStrategy;
         const reverseSync = new ReverseSync(client, {
           conflictStrategy: strategy,
-          storeTestsAsExtension: config.reverseSync.includeTests
+          storeTestsAsExtension: config.reverseSync.includeTests,
+          allowedSpecRoots: getAllowedSpecRoots(config)
         });
 
         // Get the main collection UID from manifest
@@ -521,6 +574,317 @@ program
     }
   });
 
+// ============================================================
+// LINT COMMAND
+// ============================================================
+
+program
+  .command('lint')
+  .description('Lint an OpenAPI spec with the built-in rules')
+  .option('-s, --spec <path>', 'Path to OpenAPI spec')
+  .option('-c, --config <path>', 'Path to sync.config.json')
+  .option('-f, --format <format>', 'Report format: text, json, sarif', 'text')
+  .option('-o, --output <file>', 'Write the report to a file instead of stdout')
+  .option('--ruleset <name>', 'Ruleset: recommended, strict, minimal')
+  .option('--fail-on <severity>', 'Lowest severity that fails: error, warn, info, off')
+  .option('--offline', 'Load remote specs from the local cache only')
+  .option('--allowed-root <dir>', 'Directory specs may be read from (repeatable, replaces allowedSpecRoots)', collect)
+  .action(async (options) => {
+    const config = getConfig({
+      config: options.config,
+      spec: options.spec,
+      offline: options.offline,
+      allowedRoot: options.allowedRoot
+    });
+
+    const specPath = options.spec || config.spec;
+    if (!specPath) {
+      logger.error('Spec file path is required. Use --spec, set SPEC_FILE env var, or configure in sync.config.json');
+      process.exit(1);
+    }
+
+    const lintConfig = {
+      ...config.lint,
+      ruleset: options.ruleset || config.lint.ruleset
+    };
+    const failOn = options.failOn || config.lint.failOn;
+
+    try {
+      const result = await lintSpec(specPath, lintConfig, {
+        overlays: getSpecOverlays(config, specPath),
+        remote: getRemoteOptions(config),
+        allowedRoots: getAllowedSpecRoots(config)
+      });
+      const report = formatLintReport(result, options.format);
+
+      if (options.output) {
+        fs.writeFileSync(options.output, report + '\n');
+        logger.info(`Lint report written to ${options.output}`);
+      } else {
+        process.stdout.write(report + '\n');
+      }
+
+      if (hasLintFailures(result.findings, failOn)) {
+        process.exit(1);
+      }
+    } catch (error) {
+      logger.error(`Lint failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// WORKFLOWS COMMAND
+// ============================================================
+
+program
+  .command('workflows')
+  .description('Generate a Workflows collection from an Arazzo 1.0 document')
+  .requiredOption('-a, --arazzo <path>', 'Path to the Arazzo document')
+  .option('-w, --workspace <id>', 'Postman workspace ID')
+  .option('-k, --api-key <key>', 'Postman API key')
+  .option('-c, --config <path>', 'Path to sync.config.json')
+  .option('-o, --output <file>', 'Write the collection to a file instead of uploading it')
+  .option('--seed <seed>', 'Seed for generated test data (default: 1)')
+  .option('-d, --dry-run', 'Preview changes without applying', false)
+  .option('--offline', 'Load remote specs from the local cache only')
+  .option('--allowed-root <dir>', 'Directory specs may be read from (repeatable, replaces allowedSpecRoots)', collect)
+  .action(async (options) => {
+    const config = getConfig(options);
+    const dryRun = options.dryRun || config.dryRun;
+
+    logger.info('Workflows: Arazzo -> Postman');
+    logger.info('='.repeat(50));
+
+    try {
+      const document = loadArazzo(options.arazzo);
+      const sources = await loadArazzoSources(document, options.arazzo, {
+        remote: getRemoteOptions(config),
+        allowedRoots: getAllowedSpecRoots(config),
+        getOverlays: specPath => getSpecOverlays(config, specPath)
+      });
+      const collection = generateWorkflowsCollection(document, sources, { seed: config.forwardSync.dataSeed });
+
+      for (const folder of collection.item) {
+        logger.info(`  ${folder.name}: ${folder.item.map(item => item.name).join(' -> ')}`);
+      }
+
+      if (options.output) {
+        fs.writeFileSync(options.output, JSON.stringify(collection, null, 2) + '\n');
+        logger.info(`\nCollection written to ${options.output}`);
+        return;
+      }
+
+      if (dryRun) {
+        logger.info(`\n[DRY RUN] Would upload collection "${collection.info.name}"`);
+        return;
+      }
+
+      validateConfig(config);
+      const client = new SpecHubClient(config._apiKey, config.workspace);
+      const collectionUid = await client.upsertCollection(collection);
+      await client.applyCollectionTags(collectionUid, 'workflows');
+
+      logger.info(`\nCollection "${collection.info.name}" synced: ${collectionUid}`);
+    } catch (error) {
+      logger.error(`Workflows failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// RUN COMMAND
+// ============================================================
+
+/**
+ * Parse --var key=value options into an object
+ */
+function parseVariables(pairs = []) {
+  return Object.fromEntries(pairs.map(pair => {
+    const separator = pair.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Invalid --var "${pair}". Use key=value`);
+    }
+    return [pair.slice(0, separator), pair.slice(separator + 1)];
+  }));
+}
+
+program
+  .command('run')
+  .description('Run a collection\'s requests and test scripts locally, without Postman')
+  .requiredOption('--collection <file>', 'Collection JSON file (exported by repo, or written by workflows --output)')
+  .option('-b, --base-url <url>', 'Base URL requests are sent to (sets {{baseUrl}})')
+  .option('-e, --environment <file>', 'Postman environment JSON file')
+  .option('--var <key=value>', 'Set a variable (repeatable)', collect)
+  .option('--folder <name>', 'Only run the requests in this folder')
+  .option('--timeout <ms>', 'Request timeout in milliseconds', String(DEFAULT_REQUEST_TIMEOUT))
+  .option('--junit <file>', 'Write a JUnit XML report')
+  .option('--json <file>', 'Write the results as JSON')
+  .action(async (options) => {
+    try {
+      const collection = loadCollectionFile(options.collection);
+      const results = await runCollection(collection, {
+        baseUrl: options.baseUrl,
+        environment: options.environment ? loadEnvironmentFile(options.environment) : {},
+        variables: parseVariables(options.var),
+        folder: options.folder,
+        timeout: parseInt(options.timeout, 10) || DEFAULT_REQUEST_TIMEOUT
+      });
+
+      process.stdout.write(formatRunReport(results, RunReportFormat.TEXT) + '\n');
+
+      if (options.junit) {
+        fs.writeFileSync(options.junit, formatRunReport(results, RunReportFormat.JUNIT) + '\n');
+        logger.info(`JUnit report written to ${options.junit}`);
+      }
+      if (options.json) {
+        fs.writeFileSync(options.json, formatRunReport(results, RunReportFormat.JSON) + '\n');
+        logger.info(`Results written to ${options.json}`);
+      }
+
+      if (hasRunFailures(results)) {
+        process.exit(1);
+      }
+    } catch (error) {
+      logger.error(`Run failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// MOCK COMMAND
+// ============================================================
+
+program
+  .command('mock')
+  .description('Start a mock server that answers from the spec')
+  .option('-s, --spec <path>', 'Path to OpenAPI spec')
+  .option('-c, --config <path>', 'Path to sync.config.json')
+  .option('-p, --port <port>', 'Port to listen on', String(DEFAULT_MOCK_PORT))
+  .option('--host <host>', 'Host to bind', '127.0.0.1')
+  .option('--seed <seed>', 'Seed for synthesized response bodies (default: 1)')
+  .option('--offline', 'Load remote specs from the local cache only')
+  .option('--allowed-root <dir>', 'Directory specs may be read from (repeatable, replaces allowedSpecRoots)', collect)
+  .action(async (options) => {
+    const config = getConfig({
+      config: options.config,
+      spec: options.spec,
+      seed: options.seed,
+      offline: options.offline,
+      allowedRoot: options.allowedRoot
+    });
+
+    const specPath = options.spec || config.spec;
+    if (!specPath) {
+      logger.error('Spec file path is required. Use --spec, set SPEC_FILE env var, or configure in sync.config.json');
+      process.exit(1);
+    }
+
+    try {
+      const api = await parseSpec(specPath, {
+        overlays: getSpecOverlays(config, specPath),
+        remote: getRemoteOptions(config),
+        allowedRoots: getAllowedSpecRoots(config)
+      });
+      const server = await startMockServer(api, {
+        port: parseInt(options.port, 10),
+        host: options.host,
+        seed: config.forwardSync.dataSeed
+      });
+
+      const { port } = server.address();
+      logger.info(`Mock of ${api.info?.title || specPath} listening on http://${options.host}:${port}`);
+      for (const { endpoint } of createMockRoutes(api)) {
+        logger.info(`  ${endpoint.method.padEnd(7)} ${endpoint.path}`);
+      }
+
+      const stop = () => server.close(() => process.exit(0));
+      process.once('SIGINT', stop);
+      process.once('SIGTERM', stop);
+    } catch (error) {
+      logger.error(`Mock failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// COVERAGE COMMAND
+// ============================================================
+
+program
+  .command('coverage')
+  .description('Report how much of the spec a collection\'s tests cover')
+  .requiredOption('--collection <file|uid>', 'Collection JSON file, or the UID of a collection to fetch')
+  .option('-s, --spec <path>', 'Path to OpenAPI spec')
+  .option('-c, --config <path>', 'Path to sync.config.json')
+  .option('-k, --api-key <key>', 'Postman API key (for a collection UID)')
+  .option('-f, --format <format>', 'Report format: table, json', 'table')
+  .option('-o, --output <file>', 'Write the report to a file instead of stdout')
+  .option('--threshold <percent>', 'Fail when operation, response or field coverage is below this percentage')
+  .option('--offline', 'Load remote specs from the local cache only')
+  .option('--allowed-root <dir>', 'Directory specs may be read from (repeatable, replaces allowedSpecRoots)', collect)
+  .action(async (options) => {
+    const config = getConfig({
+      config: options.config,
+      spec: options.spec,
+      apiKey: options.apiKey,
+      offline: options.offline,
+      allowedRoot: options.allowedRoot
+    });
+
+    const specPath = options.spec || config.spec;
+    if (!specPath) {
+      logger.error('Spec file path is required. Use --spec, set SPEC_FILE env var, or configure in sync.config.json');
+      process.exit(1);
+    }
+
+    const threshold = options.threshold !== undefined ? Number(options.threshold) : null;
+    if (threshold !== null && !(threshold >= 0 && threshold <= 100)) {
+      logger.error(`Invalid --threshold "${options.threshold}". Use a percentage between 0 and 100`);
+      process.exit(1);
+    }
+
+    try {
+      const api = await parseSpec(specPath, {
+        overlays: getSpecOverlays(config, specPath),
+        remote: getRemoteOptions(config),
+        allowedRoots: getAllowedSpecRoots(config)
+      });
+
+      let collection;
+      if (fs.existsSync(options.collection)) {
+        collection = loadCollectionFile(options.collection);
+      } else {
+        if (!config._apiKey) {
+          logger.error(`${options.collection} is not a file; fetching it as a collection UID needs POSTMAN_API_KEY or --api-key`);
+          process.exit(1);
+        }
+        const client = new SpecHubClient(config._apiKey, config.workspace);
+        const response = await client.getCollection(options.collection);
+        collection = response.collection || response;
+      }
+
+      const report = analyzeCoverage(api, collection);
+      const output = formatCoverageReport(report, options.format);
+
+      if (options.output) {
+        fs.writeFileSync(options.output, output + '\n');
+        logger.info(`Coverage report written to ${options.output}`);
+      } else {
+        process.stdout.write(output + '\n');
+      }
+
+      const shortfalls = threshold !== null ? getCoverageShortfalls(report, threshold) : [];
+      if (shortfalls.length > 0) {
+        logger.error(`Coverage below ${threshold}%: ${shortfalls.map(({ metric, percent }) => `${metric} ${percent}%`).join(', ')}`);
+        process.exit(1);
+      }
+    } catch (error) {
+      logger.error(`Coverage failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 // ============================================================
 // PARSE AND RUN
 // ============================================================
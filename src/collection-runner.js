@@ -0,0 +1,1232 @@
+#!/usr/bin/env node
+
+/**
+ * Collection Runner
+ *
+ * Runs a Postman collection (exported by RepoSync or written by
+ * `spec-sync workflows --output`) without Postman or Newman: every request
+ * is sent with fetch, and its pre-request and test scripts are evaluated in
+ * a vm sandbox that implements the pm.* subset the generators emit:
+ * - pm.test / pm.test.skip, pm.expect (chai-style chains) and pm.expect.fail
+ * - pm.response (code, status, responseTime, headers, json(), text(),
+ *   to.have.status, to.have.header, to.be.json)
+ * - pm.request (method, url with query and path variables, headers, body)
+ * - pm.variables, pm.environment, pm.collectionVariables, pm.globals
+ * - pm.info, pm.execution.skipRequest()
+ * - require("ajv"), backed by Ajv 8 but reporting errors like the Ajv 6
+ *   build in the Postman sandbox
+ *
+ * Results can be rendered as text, JSON or JUnit XML for CI.
+ */
+
+import fs from 'fs';
+import vm from 'vm';
+import { inspect } from 'util';
+import { randomUUID } from 'crypto';
+import { performance } from 'perf_hooks';
+import Ajv from 'ajv';
+import { createLogger } from './logger.js';
+
+const logger = createLogger({ name: 'collection-runner' });
+
+/**
+ * Report formats supported by formatRunReport
+ */
+export const RunReportFormat = {
+  TEXT: 'text',
+  JSON: 'json',
+  JUNIT: 'junit'
+};
+
+/**
+ * Outcomes of a single test
+ */
+export const TestStatus = {
+  PASSED: 'passed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+/**
+ * Default request timeout in milliseconds
+ */
+export const DEFAULT_REQUEST_TIMEOUT = 30000;
+
+/**
+ * Longest a script (or its async tests) may run
+ */
+const SCRIPT_TIMEOUT = 5000;
+
+/**
+ * Status of an async test that has not settled yet
+ */
+const PENDING = 'pending';
+
+/**
+ * Nested {{variable}} references resolved before giving up
+ */
+const MAX_VARIABLE_DEPTH = 10;
+
+/**
+ * Error raised for unreadable collections and environments
+ */
+export class CollectionRunnerError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'CollectionRunnerError';
+    this.details = details;
+  }
+}
+
+/**
+ * Error thrown by failing pm.expect assertions
+ */
+export class TestAssertionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AssertionError';
+  }
+}
+
+// ------------------------------------------------------------
+// Loading
+// ------------------------------------------------------------
+
+/**
+ * Read a JSON file, reporting what could not be read
+ */
+function readJsonFile(file, kind) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new CollectionRunnerError(`Failed to read ${kind} ${file}: ${error.message}`, { file });
+  }
+}
+
+/**
+ * Load a collection file
+ * Accepts the bare collection and the API's { collection: {...} } wrapper.
+ * @param {string} file - Path to the collection JSON
+ * @returns {Object} Postman collection (v2.1)
+ * @throws {CollectionRunnerError} If the file is unreadable or not a collection
+ */
+export function loadCollectionFile(file) {
+  const document = readJsonFile(file, 'collection');
+  const collection = document.collection || document;
+
+  if (!Array.isArray(collection.item)) {
+    throw new CollectionRunnerError(`${file} is not a Postman collection (no "item" array)`, { file });
+  }
+  return collection;
+}
+
+/**
+ * Load an environment file
+ * Accepts the bare environment and the API's { environment: {...} } wrapper.
+ * @param {string} file - Path to the environment JSON
+ * @returns {Object} Enabled variables (key -> value)
+ * @throws {CollectionRunnerError} If the file is unreadable or not an environment
+ */
+export function loadEnvironmentFile(file) {
+  const document = readJsonFile(file, 'environment');
+  const environment = document.environment || document;
+
+  if (!Array.isArray(environment.values)) {
+    throw new CollectionRunnerError(`${file} is not a Postman environment (no "values" array)`, { file });
+  }
+  return Object.fromEntries(
+    environment.values.filter(variable => variable.enabled !== false).map(variable => [variable.key, variable.value])
+  );
+}
+
+// ------------------------------------------------------------
+// Variables
+// ------------------------------------------------------------
+
+/**
+ * One variable scope (pm.environment, pm.collectionVariables, ...)
+ */
+class VariableScope {
+  constructor(values = {}) {
+    this.values = new Map(Object.entries(values));
+  }
+
+  get(key) {
+    return this.values.get(key);
+  }
+
+  set(key, value) {
+    this.values.set(key, value);
+  }
+
+  unset(key) {
+    this.values.delete(key);
+  }
+
+  has(key) {
+    return this.values.has(key);
+  }
+
+  clear() {
+    this.values.clear();
+  }
+
+  toObject() {
+    return Object.fromEntries(this.values);
+  }
+}
+
+/**
+ * Postman dynamic variables the runner can fill in
+ */
+const DYNAMIC_VARIABLES = {
+  $guid: () => randomUUID(),
+  $randomUUID: () => randomUUID(),
+  $timestamp: () => String(Math.floor(Date.now() / 1000)),
+  $isoTimestamp: () => new Date().toISOString(),
+  $randomInt: () => String(Math.floor(Math.random() * 1001))
+};
+
+/**
+ * Replace {{variable}} references in a string
+ * Nested references are resolved; unknown ones are left as they are.
+ * @param {string} text - Text with {{variable}} references
+ * @param {Function} lookup - name -> value (undefined when unknown)
+ * @returns {string} Resolved text
+ */
+export function replaceVariables(text, lookup) {
+  let result = String(text ?? '');
+
+  for (let depth = 0; depth < MAX_VARIABLE_DEPTH; depth++) {
+    let replaced = false;
+    result = result.replace(/\{\{([^{}]+)\}\}/g, (match, name) => {
+      const value = Object.hasOwn(DYNAMIC_VARIABLES, name) ? DYNAMIC_VARIABLES[name]() : lookup(name);
+      if (value === undefined || value === null) return match;
+      replaced = true;
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+    if (!replaced) break;
+  }
+
+  return result;
+}
+
+// ------------------------------------------------------------
+// Assertions (pm.expect)
+// ------------------------------------------------------------
+
+function show(value) {
+  return inspect(value, { depth: 3, breakLength: Infinity });
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  const tag = Object.prototype.toString.call(value).slice(8, -1).toLowerCase();
+  return tag === 'object' ? typeof value : tag;
+}
+
+/**
+ * Structural equality that works across vm realms
+ */
+function deepEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (typeOf(a) !== typeOf(b)) return false;
+  if (typeOf(a) === 'date') return a.getTime() === b.getTime();
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => Object.hasOwn(b, key) && deepEqual(a[key], b[key]));
+}
+
+function isEmpty(value) {
+  if (typeof value === 'string' || Array.isArray(value)) return value.length === 0;
+  if (value instanceof Map || value instanceof Set) return value.size === 0;
+  if (value && typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+
+/**
+ * Chai-style assertion chain
+ * Language chains (to, be, have, ...) return the assertion itself; `not`,
+ * `deep` and `length` set flags for the assertion that follows.
+ */
+class Assertion {
+  constructor(value, message, flags = {}) {
+    this._value = value;
+    this._message = message;
+    this._flags = { ...flags };
+  }
+
+  _assert(passed, expectation) {
+    if (Boolean(passed) === Boolean(this._flags.negate)) {
+      const text = `expected ${show(this._value)} ${this._flags.negate ? 'not ' : ''}${expectation}`;
+      throw new TestAssertionError(this._message ? `${this._message}: ${text}` : text);
+    }
+    return this;
+  }
+
+  // With the length flag, comparisons apply to the value's length
+  _compare(test, expectation) {
+    if (!this._flags.length) return this._assert(test(this._value), `to be ${expectation}`);
+    return this._assert(test(this._value?.length), `to have a length ${expectation}`);
+  }
+
+  _response() {
+    if (!(this._value instanceof RunnerResponse)) {
+      throw new TestAssertionError(`expected ${show(this._value)} to be a response`);
+    }
+    return this._value;
+  }
+
+  equal(expected) {
+    if (this._flags.deep) return this.eql(expected);
+    return this._assert(this._value === expected || Object.is(this._value, expected), `to equal ${show(expected)}`);
+  }
+
+  eql(expected) {
+    return this._assert(deepEqual(this._value, expected), `to deeply equal ${show(expected)}`);
+  }
+
+  oneOf(list) {
+    const found = Array.from(list).some(item => this._flags.deep ? deepEqual(item, this._value) : item === this._value);
+    return this._assert(found, `to be one of ${show(list)}`);
+  }
+
+  above(limit) {
+    return this._compare(value => value > limit, `above ${show(limit)}`);
+  }
+
+  least(limit) {
+    return this._compare(value => value >= limit, `at least ${show(limit)}`);
+  }
+
+  below(limit) {
+    return this._compare(value => value < limit, `below ${show(limit)}`);
+  }
+
+  most(limit) {
+    return this._compare(value => value <= limit, `at most ${show(limit)}`);
+  }
+
+  within(start, finish) {
+    return this._compare(value => value >= start && value <= finish, `within ${show(start)}..${show(finish)}`);
+  }
+
+  match(pattern) {
+    return this._assert(new RegExp(pattern).test(String(this._value)), `to match ${String(pattern)}`);
+  }
+
+  string(substring) {
+    return this._assert(typeof this._value === 'string' && this._value.includes(substring), `to contain ${show(substring)}`);
+  }
+
+  include(member) {
+    const value = this._value;
+    let found = false;
+    if (typeof value === 'string') {
+      found = value.includes(member);
+    } else if (Array.isArray(value)) {
+      found = value.some(item => this._flags.deep ? deepEqual(item, member) : item === member);
+    } else if (value && typeof value === 'object' && member && typeof member === 'object') {
+      found = Object.keys(member).every(key => deepEqual(value[key], member[key]));
+    }
+    return this._assert(found, `to include ${show(member)}`);
+  }
+
+  property(name, ...expected) {
+    const value = this._value;
+    const has = value !== null && value !== undefined && name in Object(value);
+    if (expected.length === 0) return this._assert(has, `to have property ${show(name)}`);
+    const matches = has && (this._flags.deep ? deepEqual(value[name], expected[0]) : value[name] === expected[0]);
+    return this._assert(matches, `to have property ${show(name)} of ${show(expected[0])}`);
+  }
+
+  lengthOf(length) {
+    return this._assert(this._value?.length === length, `to have a length of ${length}`);
+  }
+
+  a(type) {
+    return this._assert(typeOf(this._value) === String(type).toLowerCase(), `to be a ${type}`);
+  }
+
+  instanceOf(constructor) {
+    return this._assert(this._value instanceof constructor, `to be an instance of ${constructor?.name}`);
+  }
+
+  status(expected) {
+    const response = this._response();
+    const actual = typeof expected === 'string' ? response.status : response.code;
+    return this._assert(actual === expected, `to have status ${show(expected)} (got ${response.code} ${response.status})`);
+  }
+
+  header(name, ...expected) {
+    const value = this._response().headers.get(name);
+    if (expected.length === 0) return this._assert(value !== undefined, `to have header ${name}`);
+    return this._assert(value === expected[0], `to have header ${name}: ${expected[0]}`);
+  }
+}
+
+const ASSERTION_ALIASES = {
+  equals: 'equal', eq: 'equal', eqls: 'eql',
+  gt: 'above', greaterThan: 'above', gte: 'least',
+  lt: 'below', lessThan: 'below', lte: 'most',
+  matches: 'match', includes: 'include', contain: 'include', contains: 'include',
+  an: 'a', instanceof: 'instanceOf'
+};
+for (const [alias, name] of Object.entries(ASSERTION_ALIASES)) {
+  Assertion.prototype[alias] = Assertion.prototype[name];
+}
+
+for (const word of ['to', 'be', 'been', 'is', 'that', 'which', 'and', 'has', 'have', 'with', 'at', 'of', 'same', 'but', 'does', 'still', 'also']) {
+  Object.defineProperty(Assertion.prototype, word, { get() { return this; } });
+}
+Object.defineProperty(Assertion.prototype, 'not', { get() { this._flags.negate = !this._flags.negate; return this; } });
+Object.defineProperty(Assertion.prototype, 'deep', { get() { this._flags.deep = true; return this; } });
+Object.defineProperty(Assertion.prototype, 'length', { get() { this._flags.length = true; return this; } });
+
+// Property assertions: pm.expect(x).to.be.true
+const PROPERTY_ASSERTIONS = {
+  true: [value => value === true, 'to be true'],
+  false: [value => value === false, 'to be false'],
+  null: [value => value === null, 'to be null'],
+  undefined: [value => value === undefined, 'to be undefined'],
+  NaN: [value => Number.isNaN(value), 'to be NaN'],
+  exist: [value => value !== undefined && value !== null, 'to exist'],
+  empty: [isEmpty, 'to be empty'],
+  // On a response: status 200, 2xx, and a parsable JSON body
+  ok: [value => value instanceof RunnerResponse ? value.code === 200 : Boolean(value), 'to be ok'],
+  success: [value => value instanceof RunnerResponse && value.code >= 200 && value.code < 300, 'to be a success response'],
+  json: [value => value instanceof RunnerResponse && isJsonBody(value.text()), 'to have a JSON body']
+};
+for (const [name, [test, expectation]] of Object.entries(PROPERTY_ASSERTIONS)) {
+  Object.defineProperty(Assertion.prototype, name, { get() { return this._assert(test(this._value), expectation); } });
+}
+
+function isJsonBody(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Build pm.expect
+ */
+function createExpect() {
+  const expect = (value, message) => new Assertion(value, message);
+  expect.fail = message => {
+    throw new TestAssertionError(message || 'expect.fail()');
+  };
+  return expect;
+}
+
+// ------------------------------------------------------------
+// Request and response models
+// ------------------------------------------------------------
+
+/**
+ * Key/value list (query parameters, path variables, headers)
+ */
+class PropertyList {
+  constructor(members = [], { caseInsensitive = false } = {}) {
+    this.members = members.map(member => ({ ...member }));
+    this.caseInsensitive = caseInsensitive;
+  }
+
+  _matches(member, key) {
+    return this.caseInsensitive
+      ? String(member.key).toLowerCase() === String(key).toLowerCase()
+      : member.key === key;
+  }
+
+  get(key) {
+    return this.members.find(member => !member.disabled && this._matches(member, key))?.value;
+  }
+
+  has(key) {
+    return this.members.some(member => !member.disabled && this._matches(member, key));
+  }
+
+  add(member) {
+    this.members.push({ ...member });
+  }
+
+  upsert(member) {
+    const existing = this.members.find(candidate => this._matches(candidate, member.key));
+    if (existing) {
+      Object.assign(existing, member, { disabled: false });
+    } else {
+      this.add(member);
+    }
+  }
+
+  remove(key) {
+    this.members = this.members.filter(member => !this._matches(member, key));
+  }
+
+  all() {
+    return this.members.filter(member => !member.disabled);
+  }
+
+  count() {
+    return this.all().length;
+  }
+
+  toObject() {
+    return Object.fromEntries(this.all().map(member => [member.key, member.value]));
+  }
+}
+
+/**
+ * pm.request.url
+ * toString() keeps :path variables and {{variables}}, like Postman.
+ */
+class RunnerUrl {
+  constructor(url = '') {
+    const definition = typeof url === 'string' ? { raw: url } : url;
+    const parsed = definition.host || definition.path ? definition : parseRawUrl(definition.raw || '');
+
+    this.protocol = parsed.protocol;
+    this.host = Array.isArray(parsed.host) ? parsed.host : parsed.host ? [parsed.host] : [];
+    this.port = parsed.port;
+    this.path = Array.isArray(parsed.path) ? parsed.path : String(parsed.path || '').split('/').filter(Boolean);
+    this.hash = parsed.hash;
+    this.query = new PropertyList(parsed.query || []);
+    this.variables = new PropertyList(definition.variable || []);
+  }
+
+  toString() {
+    return formatUrl(this);
+  }
+}
+
+/**
+ * Join URL parts back into a string
+ */
+function formatUrl({ protocol, host, port, path, query, hash }) {
+  const queryString = query.all()
+    .map(({ key, value }) => value === undefined || value === null ? key : `${key}=${value}`)
+    .join('&');
+  return `${protocol ? `${protocol}://` : ''}${host.join('.')}${port ? `:${port}` : ''}` +
+    `${path.length > 0 ? `/${path.join('/')}` : ''}${queryString ? `?${queryString}` : ''}${hash ? `#${hash}` : ''}`;
+}
+
+/**
+ * Split a raw URL such as {{baseUrl}}/tasks/:taskId?page=1 into parts
+ */
+function parseRawUrl(raw) {
+  let rest = raw;
+  const parts = {};
+
+  const hashIndex = rest.indexOf('#');
+  if (hashIndex !== -1) {
+    parts.hash = rest.slice(hashIndex + 1);
+    rest = rest.slice(0, hashIndex);
+  }
+  const queryIndex = rest.indexOf('?');
+  if (queryIndex !== -1) {
+    parts.query = rest.slice(queryIndex + 1).split('&').filter(Boolean).map(pair => {
+      const separator = pair.indexOf('=');
+      return separator === -1 ? { key: pair, value: null } : { key: pair.slice(0, separator), value: pair.slice(separator + 1) };
+    });
+    rest = rest.slice(0, queryIndex);
+  }
+  const protocol = /^([a-z][a-z0-9+.-]*):\/\//i.exec(rest);
+  if (protocol) {
+    parts.protocol = protocol[1];
+    rest = rest.slice(protocol[0].length);
+  }
+
+  // The host is everything up to the first "/" outside a {{variable}}
+  const hostEnd = rest.replace(/\{\{[^{}]*\}\}/g, match => '_'.repeat(match.length)).indexOf('/');
+  parts.host = hostEnd === -1 ? rest : rest.slice(0, hostEnd);
+  parts.path = hostEnd === -1 ? [] : rest.slice(hostEnd + 1).split('/');
+  return parts;
+}
+
+/**
+ * pm.request.body
+ */
+class RunnerBody {
+  constructor(body = {}) {
+    Object.assign(this, JSON.parse(JSON.stringify(body)));
+  }
+
+  update(value) {
+    if (typeof value === 'string') {
+      this.mode = 'raw';
+      this.raw = value;
+    } else if (value && typeof value === 'object') {
+      Object.assign(this, value);
+    }
+  }
+
+  isEmpty() {
+    return !this.mode || (this.mode === 'raw' && !this.raw);
+  }
+
+  toString() {
+    return this.mode === 'raw' ? String(this.raw ?? '') : '';
+  }
+}
+
+/**
+ * pm.request
+ */
+class RunnerRequest {
+  constructor(request, auth) {
+    const definition = typeof request === 'string' ? { url: request } : request;
+    this.method = String(definition.method || 'GET').toUpperCase();
+    this.url = new RunnerUrl(definition.url);
+    this.headers = new PropertyList(definition.header || [], { caseInsensitive: true });
+    this.body = definition.body ? new RunnerBody(definition.body) : undefined;
+    this.auth = auth;
+  }
+}
+
+/**
+ * pm.response
+ */
+class RunnerResponse {
+  constructor({ code, status, headers, body, responseTime }, parseJson = JSON.parse) {
+    this.code = code;
+    this.status = status;
+    this.responseTime = responseTime;
+    this.responseSize = Buffer.byteLength(body);
+    this.headers = new PropertyList(headers.map(([key, value]) => ({ key, value })), { caseInsensitive: true });
+    this._body = body;
+    this._parseJson = parseJson;
+  }
+
+  text() {
+    return this._body;
+  }
+
+  json() {
+    return this._parseJson(this._body);
+  }
+
+  get to() {
+    return new Assertion(this);
+  }
+
+  [inspect.custom]() {
+    return `response (${this.code} ${this.status})`;
+  }
+}
+
+// ------------------------------------------------------------
+// Sandbox
+// ------------------------------------------------------------
+
+/**
+ * Formats checked by the sandbox Ajv (Ajv 8 ships none); others are ignored
+ */
+const SANDBOX_FORMATS = {
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  'date-time': /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:?\d{2})$/,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  uri: /^[a-z][a-z0-9+.-]*:\S*$/i,
+  ipv4: /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/
+};
+
+/**
+ * Ajv for require("ajv") in scripts
+ * Scripts are written for the sandbox's Ajv 6, so errors get a dataPath
+ * (pointing at the offending property with errorDataPath: "property").
+ */
+class SandboxAjv {
+  constructor(options = {}) {
+    this.ajv = new Ajv({ strict: false, allErrors: Boolean(options.allErrors), validateSchema: false, logger: false });
+    for (const [name, pattern] of Object.entries(SANDBOX_FORMATS)) {
+      this.ajv.addFormat(name, pattern);
+    }
+    this.errorDataPath = options.errorDataPath;
+    this.errors = null;
+  }
+
+  compile(schema) {
+    const validate = this.ajv.compile(schema);
+    const wrapped = data => {
+      const valid = validate(data);
+      wrapped.errors = valid ? null : validate.errors.map(error => this._toDraftSixError(error));
+      return valid;
+    };
+    wrapped.errors = null;
+    return wrapped;
+  }
+
+  validate(schema, data) {
+    const validate = this.compile(schema);
+    const valid = validate(data);
+    this.errors = validate.errors;
+    return valid;
+  }
+
+  _toDraftSixError(error) {
+    let dataPath = error.instancePath;
+    const property = error.params?.missingProperty ?? error.params?.additionalProperty;
+    if (this.errorDataPath === 'property' && property !== undefined) {
+      dataPath += `/${String(property).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+    }
+    return { ...error, dataPath };
+  }
+}
+
+/**
+ * require() inside scripts
+ */
+function sandboxRequire(name) {
+  if (name === 'ajv') return SandboxAjv;
+  throw new Error(`Module "${name}" is not available in the runner sandbox`);
+}
+
+/**
+ * Build the sandbox console; output goes to the debug log
+ */
+function createSandboxConsole(requestName) {
+  const write = (...args) => logger.debug(`[${requestName}] ${args.map(arg => typeof arg === 'string' ? arg : show(arg)).join(' ')}`);
+  return { log: write, info: write, warn: write, error: write, debug: write };
+}
+
+/**
+ * Collect the script sources of a node for an event
+ */
+function getEventScripts(node, listen) {
+  return (node.event || [])
+    .filter(event => event.listen === listen && !event.disabled && event.script?.exec)
+    .map(event => Array.isArray(event.script.exec) ? event.script.exec.join('\n') : String(event.script.exec));
+}
+
+/**
+ * Run the scripts of an event in the execution's sandbox
+ * Each script is wrapped in a function, so scripts can declare the same
+ * names. Errors outside pm.test are recorded on the execution.
+ */
+async function runEventScripts(nodes, listen, state) {
+  const pending = [];
+  state.context.pm = createPm(state, listen, pending);
+
+  for (const node of nodes) {
+    for (const source of getEventScripts(node, listen)) {
+      try {
+        new vm.Script(`(function () {\n${source}\n})();`, { filename: `${node.name || 'collection'} (${listen})` })
+          .runInContext(state.context, { timeout: SCRIPT_TIMEOUT });
+      } catch (error) {
+        state.execution.errors.push(`${listen} script of "${node.name || state.collectionName}": ${error?.message ?? error}`);
+      }
+    }
+  }
+
+  if (pending.length > 0) {
+    let timer;
+    await Promise.race([
+      Promise.allSettled(pending),
+      new Promise(resolve => { timer = setTimeout(resolve, SCRIPT_TIMEOUT); })
+    ]);
+    clearTimeout(timer);
+
+    for (const result of state.execution.tests.filter(test => test.status === PENDING)) {
+      result.status = TestStatus.FAILED;
+      result.error = `Test did not finish within ${SCRIPT_TIMEOUT} ms`;
+    }
+  }
+}
+
+/**
+ * Build the pm object for one event of an execution
+ */
+function createPm(state, eventName, pending) {
+  const { scopes, execution } = state;
+  const lookup = name => resolveVariable(scopes, name);
+
+  const recordFailure = (result, error) => {
+    result.status = TestStatus.FAILED;
+    result.error = error?.message ?? String(error);
+  };
+
+  const test = (name, fn) => {
+    const result = { name: String(name), status: TestStatus.PASSED };
+    execution.tests.push(result);
+    try {
+      const returned = typeof fn === 'function' ? fn() : undefined;
+      if (returned && typeof returned.then === 'function') {
+        result.status = PENDING;
+        pending.push(Promise.resolve(returned).then(
+          () => { if (result.status === PENDING) result.status = TestStatus.PASSED; },
+          error => { if (result.status === PENDING) recordFailure(result, error); }
+        ));
+      }
+    } catch (error) {
+      recordFailure(result, error);
+    }
+  };
+  test.skip = name => {
+    execution.tests.push({ name: String(name), status: TestStatus.SKIPPED });
+  };
+
+  return {
+    info: {
+      eventName,
+      iteration: 0,
+      iterationCount: 1,
+      requestName: state.item.name,
+      requestId: state.item.id
+    },
+    environment: scopes.environment,
+    collectionVariables: scopes.collection,
+    globals: scopes.globals,
+    variables: {
+      get: lookup,
+      set: (key, value) => scopes.local.set(key, value),
+      unset: key => scopes.local.unset(key),
+      has: key => lookup(key) !== undefined,
+      replaceIn: text => replaceVariables(text, lookup),
+      toObject: () => ({ ...scopes.globals.toObject(), ...scopes.collection.toObject(), ...scopes.environment.toObject(), ...scopes.local.toObject() })
+    },
+    request: state.request,
+    response: state.response,
+    test,
+    expect: createExpect(),
+    execution: {
+      skipRequest: () => {
+        if (eventName === 'prerequest') state.skipped = true;
+      }
+    }
+  };
+}
+
+/**
+ * Look a variable up: local, then environment, collection and global
+ */
+function resolveVariable(scopes, name) {
+  for (const scope of [scopes.local, scopes.environment, scopes.collection, scopes.globals]) {
+    if (scope.has(name)) return scope.get(name);
+  }
+  return undefined;
+}
+
+// ------------------------------------------------------------
+// Sending requests
+// ------------------------------------------------------------
+
+/**
+ * Build the URL a request is sent to
+ * @throws {Error} If a variable is unresolved or the URL is invalid
+ */
+function resolveRequestUrl(url, resolve) {
+  // :name path segments take their value from the URL's path variables
+  const path = url.path.map(segment =>
+    segment.startsWith(':') && url.variables.has(segment.slice(1)) ? String(url.variables.get(segment.slice(1))) : segment
+  );
+
+  let text = resolve(formatUrl({ ...url, path, hash: undefined }));
+  const unresolved = /\{\{([^{}]+)\}\}/.exec(text);
+  if (unresolved) {
+    throw new Error(`Unresolved variable {{${unresolved[1]}}} in ${text}; set it with --base-url, --environment or --var`);
+  }
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(text)) {
+    text = `http://${text}`;
+  }
+  return new URL(text).toString();
+}
+
+/**
+ * Read auth parameters ([{ key, value }] in v2.1, an object in v2.0)
+ */
+function getAuthParams(auth) {
+  const params = auth[auth.type];
+  return Array.isArray(params) ? Object.fromEntries(params.map(param => [param.key, param.value])) : params || {};
+}
+
+/**
+ * Apply the request's (or inherited) auth to the outgoing request
+ */
+function applyAuth(auth, headers, url, resolve) {
+  if (!auth || auth.type === 'noauth' || auth.type === 'inherit') return url;
+  const params = getAuthParams(auth);
+
+  switch (auth.type) {
+    case 'bearer':
+      headers.set('Authorization', `Bearer ${resolve(params.token)}`);
+      return url;
+    case 'basic':
+      headers.set('Authorization', `Basic ${Buffer.from(`${resolve(params.username)}:${resolve(params.password)}`).toString('base64')}`);
+      return url;
+    case 'apikey': {
+      const key = resolve(params.key);
+      const value = resolve(params.value);
+      if (params.in === 'query') {
+        const target = new URL(url);
+        target.searchParams.set(key, value);
+        return target.toString();
+      }
+      headers.set(key, value);
+      return url;
+    }
+    default:
+      logger.warn(`Auth type "${auth.type}" is not supported by the runner; sending without it`);
+      return url;
+  }
+}
+
+/**
+ * Build the fetch body and its default Content-Type
+ */
+function buildFetchBody(body, resolve) {
+  if (!body || body.isEmpty()) return {};
+
+  switch (body.mode) {
+    case 'raw': {
+      const language = body.options?.raw?.language;
+      const contentType = language === 'json' ? 'application/json' : language === 'xml' ? 'application/xml' : 'text/plain';
+      return { body: resolve(body.raw), contentType };
+    }
+    case 'urlencoded':
+      return {
+        body: new URLSearchParams((body.urlencoded || []).filter(field => !field.disabled)
+          .map(field => [resolve(field.key), resolve(field.value)])).toString(),
+        contentType: 'application/x-www-form-urlencoded'
+      };
+    case 'formdata': {
+      const form = new FormData();
+      for (const field of (body.formdata || []).filter(field => !field.disabled)) {
+        if (field.type === 'file') {
+          logger.warn(`File field "${field.key}" is not sent by the runner`);
+          continue;
+        }
+        form.append(resolve(field.key), resolve(field.value));
+      }
+      // fetch sets the multipart boundary
+      return { body: form };
+    }
+    case 'graphql':
+      return {
+        body: JSON.stringify({ query: resolve(body.graphql?.query), variables: JSON.parse(resolve(body.graphql?.variables || '{}')) }),
+        contentType: 'application/json'
+      };
+    default:
+      logger.warn(`Body mode "${body.mode}" is not supported by the runner; sending without a body`);
+      return {};
+  }
+}
+
+/**
+ * Send an execution's request and build pm.response
+ */
+async function sendRequest(state, timeout) {
+  const { request } = state;
+  const resolve = text => replaceVariables(text, name => resolveVariable(state.scopes, name));
+
+  const headers = new Headers();
+  for (const header of request.headers.all()) {
+    headers.append(resolve(header.key), resolve(header.value));
+  }
+  const url = applyAuth(request.auth, headers, resolveRequestUrl(request.url, resolve), resolve);
+  state.execution.request.url = url;
+
+  const { body, contentType } = ['GET', 'HEAD'].includes(request.method) ? {} : buildFetchBody(request.body, resolve);
+  if (contentType && !headers.has('Content-Type')) {
+    headers.set('Content-Type', contentType);
+  }
+
+  const started = performance.now();
+  const response = await fetch(url, { method: request.method, headers, body, signal: AbortSignal.timeout(timeout) });
+  const text = await response.text();
+  const responseTime = Math.round(performance.now() - started);
+
+  return new RunnerResponse({
+    code: response.status,
+    status: response.statusText,
+    headers: [...response.headers],
+    body: text,
+    responseTime
+  }, vm.runInContext('JSON', state.context).parse);
+}
+
+// ------------------------------------------------------------
+// Running collections
+// ------------------------------------------------------------
+
+/**
+ * List the requests of a collection with their folders, in run order
+ */
+function collectRequests(items, parents = []) {
+  const requests = [];
+  for (const item of items || []) {
+    if (Array.isArray(item.item)) {
+      requests.push(...collectRequests(item.item, [...parents, item]));
+    } else if (item.request) {
+      requests.push({ item, parents });
+    }
+  }
+  return requests;
+}
+
+/**
+ * Run a collection's requests and test scripts
+ * @param {Object} collection - Postman collection (v2.1)
+ * @param {Object} options - Options
+ * @param {string} options.baseUrl - Value of {{baseUrl}} (wins over the environment and collection variables)
+ * @param {Object} options.environment - Environment variables (key -> value), e.g. from loadEnvironmentFile
+ * @param {Object} options.variables - Extra variables, set like environment variables
+ * @param {string} options.folder - Only run requests inside the folder with this name
+ * @param {number} options.timeout - Request timeout in ms (default: DEFAULT_REQUEST_TIMEOUT)
+ * @returns {Promise<Object>} { collection, startedAt, durationMs, executions: [...], summary }
+ * @throws {CollectionRunnerError} If the folder does not exist
+ */
+export async function runCollection(collection, options = {}) {
+  const { baseUrl, environment = {}, variables = {}, folder, timeout = DEFAULT_REQUEST_TIMEOUT } = options;
+  const collectionName = collection.info?.name || 'Collection';
+  const scopes = {
+    local: new VariableScope(),
+    environment: new VariableScope({ ...environment, ...variables, ...(baseUrl ? { baseUrl } : {}) }),
+    collection: new VariableScope(Object.fromEntries(
+      (collection.variable || []).filter(variable => !variable.disabled).map(variable => [variable.key, variable.value])
+    )),
+    globals: new VariableScope()
+  };
+
+  let requests = collectRequests(collection.item);
+  if (folder) {
+    requests = requests.filter(({ parents }) => parents.some(parent => parent.name === folder));
+    if (requests.length === 0) {
+      throw new CollectionRunnerError(`No requests found in folder "${folder}"`, { folder });
+    }
+  }
+
+  const startedAt = new Date();
+  const executions = [];
+
+  for (const { item, parents } of requests) {
+    const nodes = [collection, ...parents, item];
+    // Auth is inherited from the closest folder (or the collection) that sets it
+    const auth = [...nodes].reverse().map(node => node === item ? node.request.auth : node.auth)
+      .find(candidate => candidate && candidate.type !== 'inherit');
+    const request = new RunnerRequest(item.request, auth);
+    const execution = {
+      name: item.name,
+      folder: parents.map(parent => parent.name).join(' / '),
+      request: { method: request.method, url: request.url.toString() },
+      response: null,
+      skipped: false,
+      errors: [],
+      tests: []
+    };
+    executions.push(execution);
+
+    const state = {
+      collectionName,
+      item,
+      scopes,
+      request,
+      response: undefined,
+      execution,
+      skipped: false,
+      context: vm.createContext({
+        console: createSandboxConsole(item.name),
+        require: sandboxRequire
+      })
+    };
+
+    await runEventScripts(nodes, 'prerequest', state);
+    if (state.skipped) {
+      execution.skipped = true;
+      logger.debug(`Skipped "${item.name}" (pm.execution.skipRequest)`);
+      continue;
+    }
+
+    try {
+      state.response = await sendRequest(state, timeout);
+    } catch (error) {
+      const reason = error.name === 'TimeoutError' ? `timed out after ${timeout} ms` : error.cause?.message || error.message;
+      execution.errors.push(`Request failed: ${reason}`);
+      continue;
+    }
+    execution.response = {
+      code: state.response.code,
+      status: state.response.status,
+      responseTime: state.response.responseTime,
+      size: state.response.responseSize
+    };
+
+    await runEventScripts(nodes, 'test', state);
+  }
+
+  return {
+    collection: collectionName,
+    startedAt: startedAt.toISOString(),
+    durationMs: Date.now() - startedAt.getTime(),
+    executions,
+    summary: summarizeExecutions(executions)
+  };
+}
+
+/**
+ * Count requests, tests and errors of a run
+ */
+function summarizeExecutions(executions) {
+  const tests = executions.flatMap(execution => execution.tests);
+  const count = status => tests.filter(test => test.status === status).length;
+
+  return {
+    requests: executions.filter(execution => !execution.skipped).length,
+    skippedRequests: executions.filter(execution => execution.skipped).length,
+    tests: tests.length,
+    passed: count(TestStatus.PASSED),
+    failed: count(TestStatus.FAILED),
+    skipped: count(TestStatus.SKIPPED),
+    errors: executions.reduce((total, execution) => total + execution.errors.length, 0)
+  };
+}
+
+/**
+ * Check whether a run should fail the build
+ * @param {Object} results - runCollection() result
+ * @returns {boolean} True when a test failed or a request or script errored
+ */
+export function hasRunFailures(results) {
+  return results.summary.failed > 0 || results.summary.errors > 0;
+}
+
+// ------------------------------------------------------------
+// Reports
+// ------------------------------------------------------------
+
+/**
+ * Render run results as text, JSON or JUnit XML
+ * @param {Object} results - runCollection() result
+ * @param {string} format - RunReportFormat value
+ * @returns {string} Rendered report
+ */
+export function formatRunReport(results, format = RunReportFormat.TEXT) {
+  switch (format) {
+    case RunReportFormat.JSON:
+      return JSON.stringify(results, null, 2);
+    case RunReportFormat.JUNIT:
+      return toJUnit(results);
+    case RunReportFormat.TEXT:
+      return formatText(results);
+    default:
+      throw new Error(`Unknown run report format "${format}". Use text, json or junit`);
+  }
+}
+
+function executionName(execution) {
+  return execution.folder ? `${execution.folder} / ${execution.name}` : execution.name;
+}
+
+function formatText(results) {
+  const lines = [];
+
+  for (const execution of results.executions) {
+    const { method, url } = execution.request;
+    if (execution.skipped) {
+      lines.push(`SKIP  ${method} ${url}  ${executionName(execution)}`);
+      continue;
+    }
+    const response = execution.response
+      ? `${execution.response.code} ${execution.response.status} (${execution.response.responseTime} ms)`
+      : 'no response';
+    lines.push(`${method} ${url} -> ${response}  ${executionName(execution)}`);
+    for (const test of execution.tests) {
+      lines.push(`  ${test.status === TestStatus.PASSED ? 'PASS' : test.status === TestStatus.SKIPPED ? 'SKIP' : 'FAIL'}  ${test.name}`);
+      if (test.error) lines.push(`        ${test.error}`);
+    }
+    for (const error of execution.errors) {
+      lines.push(`  ERROR ${error}`);
+    }
+  }
+
+  const { requests, skippedRequests, passed, failed, skipped, errors } = results.summary;
+  if (lines.length > 0) lines.push('');
+  lines.push(
+    `${results.collection}: ${requests} request(s) (${skippedRequests} skipped), ` +
+    `${passed} passed, ${failed} failed, ${skipped} skipped, ${errors} error(s)`
+  );
+
+  return lines.join('\n');
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * One <testsuite> per request, one <testcase> per test; request and
+ * script errors are <error> test cases
+ */
+function toJUnit(results) {
+  const { summary } = results;
+  const seconds = ms => ((ms || 0) / 1000).toFixed(3);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(results.collection)}" tests="${summary.tests + summary.errors + summary.skippedRequests}" ` +
+      `failures="${summary.failed}" errors="${summary.errors}" skipped="${summary.skipped + summary.skippedRequests}" time="${seconds(results.durationMs)}">`
+  ];
+
+  for (const execution of results.executions) {
+    const name = executionName(execution);
+    const classname = escapeXml(name.replace(/\s*\/\s*/g, '.'));
+    const failures = execution.tests.filter(test => test.status === TestStatus.FAILED).length;
+    const skipped = execution.tests.filter(test => test.status === TestStatus.SKIPPED).length + (execution.skipped ? 1 : 0);
+    const tests = execution.tests.length + execution.errors.length + (execution.skipped ? 1 : 0);
+
+    lines.push(
+      `  <testsuite name="${escapeXml(name)}" tests="${tests}" failures="${failures}" errors="${execution.errors.length}" ` +
+      `skipped="${skipped}" time="${seconds(execution.response?.responseTime)}" timestamp="${results.startedAt}">`
+    );
+    lines.push(`    <properties>`);
+    lines.push(`      <property name="request" value="${escapeXml(`${execution.request.method} ${execution.request.url}`)}"/>`);
+    if (execution.response) {
+      lines.push(`      <property name="status" value="${execution.response.code}"/>`);
+    }
+    lines.push(`    </properties>`);
+
+    if (execution.skipped) {
+      lines.push(`    <testcase name="${escapeXml(execution.name)}" classname="${classname}"><skipped message="Request skipped"/></testcase>`);
+    }
+    for (const test of execution.tests) {
+      const open = `    <testcase name="${escapeXml(test.name)}" classname="${classname}"`;
+      if (test.status === TestStatus.FAILED) {
+        lines.push(`${open}><failure type="AssertionError" message="${escapeXml(test.error)}"/></testcase>`);
+      } else if (test.status === TestStatus.SKIPPED) {
+        lines.push(`${open}><skipped/></testcase>`);
+      } else {
+        lines.push(`${open}/>`);
+      }
+    }
+    for (const error of execution.errors) {
+      lines.push(`    <testcase name="${escapeXml(execution.name)}" classname="${classname}"><error type="Error" message="${escapeXml(error)}"/></testcase>`);
+    }
+    lines.push(`  </testsuite>`);
+  }
+
+  lines.push('</testsuites>');
+  return lines.join('\n');
+}
+
+export default {
+  RunReportFormat,
+  TestStatus,
+  DEFAULT_REQUEST_TIMEOUT,
+  CollectionRunnerError,
+  TestAssertionError,
+  loadCollectionFile,
+  loadEnvironmentFile,
+  replaceVariables,
+  runCollection,
+  hasRunFailures,
+  formatRunReport
+};
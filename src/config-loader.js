@@ -16,6 +16,7 @@ const DEFAULT_CONFIG = {
 
   // Spec configuration
   spec: null,
+  allowedSpecRoots: [],  // directories specs may be read from (default: cwd and its parent)
 
   // Logging configuration
   logging: {
@@ -27,7 +28,15 @@ const DEFAULT_CONFIG = {
   // Forward sync configuration
   forwardSync: {
     testLevel: 'all',
-    exportToRepo: false
+    exportToRepo: false,
+    dataSeed: 1,    // Seed for generated test data (same seed = same data)
+    dataSets: 1,    // Seeded data sets per contract request (N iterations -> N payloads)
+    testTemplates: {
+      smoke: [],    // script snippets appended to every smoke test script
+      contract: [], // script snippets appended to every contract test script
+      hooks: []     // ES modules returning extra tests per endpoint
+    },
+    testRules: []   // [{ match: { path, method, tag, operationId }, 'x-skip-tests': [...], ... }]
   },
 
   // Reverse sync configuration
@@ -76,6 +85,21 @@ const DEFAULT_CONFIG = {
     autoMerge: false
   },
 
+  // Spec linting (spec-sync lint)
+  lint: {
+    ruleset: 'recommended', // recommended, strict, minimal
+    rules: {},              // rule id -> severity or [severity, options]
+    failOn: 'error'         // lowest severity that fails the run
+  },
+
+  // Remote spec loading (specs and $refs fetched over HTTP)
+  remote: {
+    headers: {},              // e.g. { "Authorization": "Bearer ${ARTIFACT_TOKEN}" }
+    timeout: 30000,           // per-request timeout (ms)
+    cacheDir: '.spec-cache',  // ETag cache, relative to the config file
+    offline: false            // serve the last cached copy only
+  },
+
   // Global options
   dryRun: false,
 
@@ -197,6 +221,14 @@ export function loadConfig(cliOptions = {}) {
     config.forwardSync.testLevel = process.env.TEST_LEVEL;
   }
   
+  if (process.env.DATA_SEED) {
+    config.forwardSync.dataSeed = process.env.DATA_SEED;
+  }
+
+  if (process.env.DATA_SETS) {
+    config.forwardSync.dataSets = parseInt(process.env.DATA_SETS, 10);
+  }
+
   if (process.env.EXPORT_TO_REPO) {
     config.forwardSync.exportToRepo = process.env.EXPORT_TO_REPO === 'true';
   }
@@ -229,6 +261,11 @@ export function loadConfig(cliOptions = {}) {
     config.dryRun = process.env.DRY_RUN === 'true';
   }
 
+  // Remote loading options
+  if (process.env.SPEC_OFFLINE) {
+    config.remote.offline = process.env.SPEC_OFFLINE === 'true';
+  }
+
   // Logging options
   if (process.env.LOG_LEVEL) {
     config.logging.level = process.env.LOG_LEVEL.toLowerCase();
@@ -259,6 +296,14 @@ export function loadConfig(cliOptions = {}) {
     config.forwardSync.testLevel = cliOptions.testLevel;
   }
   
+  if (cliOptions.seed !== undefined) {
+    config.forwardSync.dataSeed = cliOptions.seed;
+  }
+
+  if (cliOptions.dataSets !== undefined) {
+    config.forwardSync.dataSets = parseInt(cliOptions.dataSets, 10);
+  }
+  
   if (cliOptions.exportToRepo !== undefined) {
     config.forwardSync.exportToRepo = cliOptions.exportToRepo;
   }
@@ -279,6 +324,15 @@ export function loadConfig(cliOptions = {}) {
     config.reverseSync.includeTests = cliOptions.tests;
   }
 
+  if (cliOptions.offline !== undefined) {
+    config.remote.offline = cliOptions.offline;
+  }
+
+  if (cliOptions.allowedRoots?.length) {
+    // CLI roots are relative to the working directory, not the config file
+    config.allowedSpecRoots = cliOptions.allowedRoots.map(root => path.resolve(root));
+  }
+
   // Store API key separately (never in config file)
   config._apiKey = cliOptions.apiKey || process.env.POSTMAN_API_KEY;
 
@@ -297,7 +351,8 @@ export function getSpecConfig(config, specPath) {
   const specName = path.basename(specPath, path.extname(specPath));
 
   for (const [key, specConfig] of Object.entries(config.specs)) {
-    if (specConfig.path === specPath || key === specName) {
+    if (specConfig.path === specPath || key === specName ||
+        (specConfig.path && path.resolve(specConfig.path) === path.resolve(specPath))) {
       return specConfig;
     }
   }
@@ -305,6 +360,64 @@ export function getSpecConfig(config, specPath) {
   return null;
 }
 
+/**
+ * Get the overlay files configured for a spec (specs.<name>.overlays)
+ * Relative paths are resolved against the config file's directory.
+ * @param {Object} config - Loaded config
+ * @param {string} specPath - Spec path being synced
+ * @returns {Array<string>} Overlay file paths, in application order
+ */
+export function getSpecOverlays(config, specPath) {
+  const overlays = getSpecConfig(config, specPath)?.overlays || [];
+  const baseDir = config._configPath ? path.dirname(path.resolve(config._configPath)) : process.cwd();
+
+  return overlays.map(overlayPath => path.resolve(baseDir, overlayPath));
+}
+
+/**
+ * Get the directories spec files may be read from (allowedSpecRoots)
+ * Relative paths are resolved against the config file's directory.
+ * @param {Object} config - Loaded config
+ * @returns {Array<string>} Absolute directories, or [] for the parser defaults
+ */
+export function getAllowedSpecRoots(config) {
+  const roots = config.allowedSpecRoots || [];
+  const baseDir = config._configPath ? path.dirname(path.resolve(config._configPath)) : process.cwd();
+
+  return roots.map(root => path.resolve(baseDir, root));
+}
+
+/**
+ * Get the test template and hook files (forwardSync.testTemplates)
+ * Relative paths are resolved against the config file's directory.
+ * @param {Object} config - Loaded config
+ * @returns {Object} { smoke: [files], contract: [files], hooks: [files] } with absolute paths
+ */
+export function getTestTemplates(config) {
+  const templates = config.forwardSync?.testTemplates || {};
+  const baseDir = config._configPath ? path.dirname(path.resolve(config._configPath)) : process.cwd();
+
+  return Object.fromEntries(
+    Object.entries(templates).map(([key, files]) => [key, (files || []).map(file => path.resolve(baseDir, file))])
+  );
+}
+
+/**
+ * Get the remote loading options for parseSpec (remote section)
+ * A relative cacheDir is resolved against the config file's directory.
+ * @param {Object} config - Loaded config
+ * @returns {Object} { headers, timeout, cacheDir, offline }
+ */
+export function getRemoteOptions(config) {
+  const remote = { ...DEFAULT_CONFIG.remote, ...config.remote };
+  const baseDir = config._configPath ? path.dirname(path.resolve(config._configPath)) : process.cwd();
+
+  return {
+    ...remote,
+    cacheDir: remote.cacheDir ? path.resolve(baseDir, remote.cacheDir) : false
+  };
+}
+
 /**
  * Get collection naming pattern
  */
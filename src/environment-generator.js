@@ -6,40 +6,178 @@
  * Generates Postman environments from OpenAPI spec.
  * Creates ONE environment per server (dev, staging, prod)
  * Each environment has its own baseUrl, auth, and test data.
+ * Server variables become environment variables; a variable with an enum
+ * yields one environment per enum value.
  */
 
-import { extractEndpoints } from './parser.js';
+import {
+  extractEndpoints,
+  getExample,
+  getServerBasePath,
+  expandServerUrl,
+  toPostmanServerUrl,
+  getServerVariableDefault
+} from './parser.js';
+import { DEFAULT_DATA_SEED } from './fake-data.js';
+import { generateTestKey } from './test-generator.js';
+import { hasWebhooks, WEBHOOK_RECEIVER_VARIABLE } from './webhook-generator.js';
+
+/**
+ * Get the environment variable name for a path- or operation-level server
+ * e.g. https://uploads.example.com/v2 -> baseUrl_uploads_example_com_v2
+ * @param {string} serverUrl - Server URL
+ * @returns {string} Variable name
+ */
+export function getServerVariableName(serverUrl) {
+  const slug = (serverUrl || '')
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//i, '')
+    .replace(/[^a-zA-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return slug ? `baseUrl_${slug}` : 'baseUrl';
+}
+
+/**
+ * Collect the servers declared on paths/operations that differ from the root servers
+ * Endpoints sharing the same server list share one variable.
+ * @param {Object} api - Parsed OpenAPI spec
+ * @returns {Array} [{ variable, servers, endpoints }]
+ */
+export function collectServerOverrides(api) {
+  const overrides = new Map();
+
+  for (const endpoint of extractEndpoints(api)) {
+    if (!endpoint.serverOverride) continue;
+
+    const variable = getServerVariableName(endpoint.servers[0].url);
+    if (!overrides.has(variable)) {
+      overrides.set(variable, { variable, servers: endpoint.servers, endpoints: [] });
+    }
+    overrides.get(variable).endpoints.push(endpoint);
+  }
+
+  return [...overrides.values()];
+}
+
+/**
+ * Map test keys of server-overridden endpoints to the variable their requests should use
+ * Consumed by SpecHubClient.addTestScripts to repoint generated requests.
+ * @param {Object} api - Parsed OpenAPI spec
+ * @returns {Object} Map of test key -> { variable, basePath }
+ */
+export function generateServerOverrideMap(api) {
+  const map = {};
+
+  for (const override of collectServerOverrides(api)) {
+    for (const endpoint of override.endpoints) {
+      map[generateTestKey(endpoint.method, endpoint.path)] = { variable: override.variable, basePath: '' };
+
+      // Requests may also carry the server's base path (see generateTestKeysForEndpoint)
+      for (const server of override.servers) {
+        const basePath = getServerBasePath(expandServerUrl(server));
+        if (!basePath) continue;
+        map[generateTestKey(endpoint.method, `${basePath}${endpoint.path}`)] = { variable: override.variable, basePath };
+      }
+    }
+  }
+
+  return map;
+}
+
+/**
+ * Enumerate the server variable values that each get their own environment
+ * Variables with an enum contribute one value per entry (combined as a
+ * cartesian product); the others keep their default.
+ * @param {Object} server - Server object { url, variables }
+ * @returns {Array<Object>} Variable name -> value maps, one per environment
+ */
+export function getServerVariableCombinations(server) {
+  let combinations = [{}];
+
+  for (const [name, variable] of Object.entries(server?.variables || {})) {
+    const choices = variable.enum?.length > 0 ? variable.enum.map(String) : [getServerVariableDefault(variable)];
+    combinations = combinations.flatMap(values => choices.map(choice => ({ ...values, [name]: choice })));
+  }
+
+  return combinations;
+}
+
+/**
+ * Generate one environment per server variable combination
+ * Servers without enum variables yield a single environment.
+ * @param {Object} api - Parsed OpenAPI spec
+ * @param {Object} server - Server object { url, description, variables }
+ * @param {Object} options - { seed } for generated test data
+ * @returns {Array<Object>} Postman environment objects
+ */
+export function generateEnvironmentsForServer(api, server, options = {}) {
+  return getServerVariableCombinations(server).map(variables =>
+    generateEnvironmentForServer(api, server, { ...options, variables })
+  );
+}
 
 /**
  * Generate environment for a specific server
  * @param {Object} api - Parsed OpenAPI spec
- * @param {Object} server - Server object { url, description }
+ * @param {Object} server - Server object { url, description, variables }
+ * @param {Object} options - Options
+ * @param {number|string} options.seed - Seed for generated test data (default: DEFAULT_DATA_SEED)
+ * @param {Object} options.variables - Server variable values (default: the variables' defaults)
  * @returns {Object} Postman environment object
  */
-export function generateEnvironmentForServer(api, server) {
+export function generateEnvironmentForServer(api, server, options = {}) {
+  const seed = options.seed ?? DEFAULT_DATA_SEED;
+  const variables = options.variables || {};
   const values = [];
   
-  // 1. Base URL for this environment
+  // 1. Base URL for this environment; server variables stay {{references}}
   values.push({
     key: 'baseUrl',
-    value: server.url,
+    value: toPostmanServerUrl(server),
     type: 'default',
     enabled: true
   });
   
-  // 2. Path parameters
-  const pathParamVars = generatePathParameterVariables(api);
+  // 2. Base URLs for paths/operations that declare their own servers.
+  // The Nth root server pairs with the Nth override server when both exist.
+  const serverIndex = Math.max(0, (api.servers || []).indexOf(server));
+  const overrideServers = [];
+  for (const override of collectServerOverrides(api)) {
+    const overrideServer = override.servers[serverIndex] || override.servers[0];
+    overrideServers.push(overrideServer);
+    values.push({
+      key: override.variable,
+      value: toPostmanServerUrl(overrideServer),
+      type: 'default',
+      enabled: true
+    });
+  }
+
+  // 3. Server variables referenced by the URLs above
+  values.push(...generateServerVariables([server, ...overrideServers], variables));
+
+  // 4. Path parameters
+  const pathParamVars = generatePathParameterVariables(api, seed);
   values.push(...pathParamVars);
   
-  // 3. Query parameters with defaults
+  // 5. Query parameters with defaults
   const queryParamVars = generateQueryParameterVariables(api);
   values.push(...queryParamVars);
   
-  // 4. Security/auth variables (per environment)
+  // 6. Security/auth variables (per environment)
   const authVars = generateAuthVariables(api);
   values.push(...authVars);
   
-  // 5. Test configuration
+  // 7. Webhook receiver (only when the spec documents webhooks/callbacks)
+  if (hasWebhooks(api)) {
+    values.push({
+      key: WEBHOOK_RECEIVER_VARIABLE,
+      value: 'http://localhost:3000/webhooks',
+      type: 'default',
+      enabled: true
+    });
+  }
+
+  // 8. Test configuration
   values.push({
     key: 'RESPONSE_TIME_THRESHOLD',
     value: '2000',
@@ -47,7 +185,12 @@ export function generateEnvironmentForServer(api, server) {
     enabled: true
   });
   
-  const envName = generateEnvironmentName(api.info?.title || 'API', server.description);
+  // Environments that pick an enum value are named after it
+  const enumValues = Object.entries(server.variables || {})
+    .filter(([name, variable]) => variable.enum?.length > 1 && variables[name] !== undefined)
+    .map(([name]) => variables[name]);
+  const description = [server.description || 'Default', ...enumValues].join(' ');
+  const envName = generateEnvironmentName(api.info?.title || 'API', description);
   
   return {
     name: envName,
@@ -67,11 +210,38 @@ function generateEnvironmentName(apiTitle, serverDescription) {
   return `${cleanTitle} - ${cleanDesc}`;
 }
 
+/**
+ * Generate one variable per server variable
+ * The first server to declare a name wins.
+ * @param {Array<Object>} servers - Servers whose URLs reference the variables
+ * @param {Object} selected - Variable name -> chosen value
+ */
+function generateServerVariables(servers, selected) {
+  const values = [];
+  const seen = new Set();
+
+  for (const server of servers) {
+    for (const [name, variable] of Object.entries(server?.variables || {})) {
+      if (seen.has(name)) continue;
+      seen.add(name);
+
+      values.push({
+        key: name,
+        value: selected[name] ?? getServerVariableDefault(variable),
+        type: 'default',
+        enabled: true
+      });
+    }
+  }
+
+  return values;
+}
+
 /**
  * Generate path parameter variables
  * Extracts {param} from paths and creates example values
  */
-function generatePathParameterVariables(api) {
+function generatePathParameterVariables(api, seed) {
   const values = [];
   const endpoints = extractEndpoints(api);
   const seenParams = new Set();
@@ -87,7 +257,7 @@ function generatePathParameterVariables(api) {
       
       // Find parameter schema for examples/defaults
       const paramSchema = endpoint.parameters?.find(p => p.name === paramName && p.in === 'path')?.schema;
-      const exampleValue = generateExampleValue(paramName, paramSchema);
+      const exampleValue = generateExampleValue(paramName, paramSchema, seed);
       
       values.push({
         key: paramName,
@@ -183,37 +353,12 @@ function generateAuthVariables(api) {
 
 /**
  * Generate example value for a parameter
+ * Uses seeded fake data, so values look realistic (by name and format)
+ * but stay the same for the same seed.
  */
-function generateExampleValue(paramName, schema) {
-  if (!schema) {
-    // Generate based on param name patterns
-    if (paramName.includes('id')) return `example-${paramName}-001`;
-    if (paramName.includes('email')) return 'user@example.com';
-    if (paramName.includes('name')) return 'Example Name';
-    return `example-${paramName}`;
-  }
-  
-  // Use schema info
-  if (schema.example) return String(schema.example);
-  if (schema.examples?.length > 0) return String(schema.examples[0]);
-  
-  // Type-based defaults
-  switch (schema.type) {
-    case 'string':
-      if (schema.enum?.length > 0) return schema.enum[0];
-      if (paramName.includes('id')) return `example-${paramName}-001`;
-      if (paramName.includes('email')) return 'user@example.com';
-      if (schema.format === 'uuid') return '550e8400-e29b-41d4-a716-446655440000';
-      if (schema.format === 'date-time') return new Date().toISOString();
-      return 'example-string';
-    case 'integer':
-    case 'number':
-      return String(schema.minimum || schema.default || 1);
-    case 'boolean':
-      return 'true';
-    default:
-      return `example-${paramName}`;
-  }
+function generateExampleValue(paramName, schema, seed) {
+  const value = getExample(schema || { type: 'string' }, { seed, name: paramName });
+  return value === undefined || value === null ? `example-${paramName}` : String(value);
 }
 
 /**
@@ -252,5 +397,10 @@ function getParameterDefault(param) {
 }
 
 export default {
-  generateEnvironmentForServer
+  generateEnvironmentForServer,
+  generateEnvironmentsForServer,
+  getServerVariableCombinations,
+  collectServerOverrides,
+  generateServerOverrideMap,
+  getServerVariableName
 };
@@ -0,0 +1,675 @@
+/**
+ * Example Synthesizer
+ *
+ * Builds example values from OpenAPI / JSON Schema objects. Honors
+ * composition (allOf/oneOf/anyOf), discriminator mappings, const/enum,
+ * nullable and OAS 3.1 type arrays, readOnly/writeOnly and value
+ * constraints (length, range, multipleOf, pattern, item counts).
+ *
+ * Output is deterministic: without a seed every schema maps to one canonical
+ * value, and with a seed the same seed always yields the same value. Nothing
+ * depends on the current time, so generated bodies do not churn exported
+ * collections between runs.
+ */
+
+import { fakeString, fakeText, numberHint } from './fake-data.js';
+
+/**
+ * Which side of the exchange an example is for
+ * - request: readOnly properties are omitted
+ * - response: writeOnly properties are omitted
+ */
+export const ExampleDirection = {
+  REQUEST: 'request',
+  RESPONSE: 'response'
+};
+
+const DEFAULT_MAX_DEPTH = 10;
+
+/**
+ * Reference instant for seeded date/time values (2024-01-01T00:00:00Z)
+ */
+const EPOCH_MS = Date.UTC(2024, 0, 1);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Canonical values for string formats (used when no seed is given)
+ */
+const FORMAT_EXAMPLES = {
+  email: 'user@example.com',
+  'idn-email': 'user@example.com',
+  'date-time': '2024-01-01T00:00:00Z',
+  date: '2024-01-01',
+  time: '00:00:00Z',
+  duration: 'P1D',
+  uuid: '550e8400-e29b-41d4-a716-446655440000',
+  uri: 'https://example.com',
+  'uri-reference': '/example',
+  url: 'https://example.com',
+  iri: 'https://example.com',
+  hostname: 'example.com',
+  'idn-hostname': 'example.com',
+  ipv4: '192.0.2.1',
+  ipv6: '2001:db8::1',
+  byte: 'ZXhhbXBsZQ==',
+  binary: 'binary',
+  password: 'P@ssw0rd!',
+  regex: '^example$',
+  'json-pointer': '/example'
+};
+
+/**
+ * Create a deterministic pseudo-random generator (mulberry32)
+ * @param {number|string} seed - Seed value; strings are hashed
+ * @returns {Function} Function returning floats in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Hash a seed to an unsigned 32-bit integer (FNV-1a for strings)
+ */
+function hashSeed(seed) {
+  // "42" from an env var or CLI flag replays the same data as 42 from a config file
+  const numeric = typeof seed === 'string' && /^\d+$/.test(seed) ? Number(seed) : seed;
+  if (typeof numeric === 'number' && Number.isFinite(numeric)) {
+    return Math.floor(numeric) >>> 0;
+  }
+
+  let hash = 0x811C9DC5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Synthesize an example value for a schema
+ * @param {Object} schema - OpenAPI schema object (dereferenced)
+ * @param {Object} options - Options
+ * @param {number|string} options.seed - Seed for varied but replayable values; seeded
+ *   strings and numbers use realistic fake data picked by property name
+ * @param {string} options.name - Property or parameter name of the top-level value
+ * @param {boolean} options.useExamples - Return example/default values from the schema (default true)
+ * @param {string} options.direction - ExampleDirection.REQUEST or RESPONSE
+ * @param {Object} options.root - Parsed spec, used to resolve discriminator mappings
+ * @param {number} options.maxDepth - Maximum nesting depth (default 10)
+ * @returns {*} Example value or undefined when none can be built
+ */
+export function synthesizeExample(schema, options = {}) {
+  const ctx = {
+    random: options.seed !== undefined ? createRandom(options.seed) : null,
+    direction: options.direction,
+    root: options.root,
+    maxDepth: options.maxDepth ?? DEFAULT_MAX_DEPTH,
+    useExamples: options.useExamples !== false,
+    stack: []
+  };
+
+  return synthesize(schema, ctx, 0, options.name);
+}
+
+function synthesize(schema, ctx, depth, name) {
+  if (!schema || typeof schema !== 'object') return undefined;
+
+  // Recursive schemas stop at the first repeat; the caller omits the value
+  if (ctx.stack.includes(schema) || depth > ctx.maxDepth) return undefined;
+
+  if (schema.const !== undefined) return schema.const;
+  if (ctx.useExamples) {
+    if (schema.example !== undefined) return schema.example;
+    if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0];
+    if (schema.default !== undefined) return schema.default;
+  }
+
+  ctx.stack.push(schema);
+  try {
+    if (Array.isArray(schema.allOf) && schema.allOf.length > 0) {
+      return synthesizeAllOf(schema, ctx, depth, name);
+    }
+
+    const alternatives = schema.oneOf || schema.anyOf;
+    if (Array.isArray(alternatives) && alternatives.length > 0) {
+      return synthesizeAlternative(schema, alternatives, ctx, depth, name);
+    }
+
+    return synthesizeByType(schema, ctx, depth, name);
+  } finally {
+    ctx.stack.pop();
+  }
+}
+
+function synthesizeByType(schema, ctx, depth, name) {
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    const values = schema.enum.filter(value => value !== null);
+    return values.length > 0 ? pick(values, ctx) : null;
+  }
+
+  switch (resolveType(schema)) {
+    case 'string':
+      return synthesizeString(schema, ctx, name);
+    case 'integer':
+      return synthesizeNumber(schema, ctx, true, name);
+    case 'number':
+      return synthesizeNumber(schema, ctx, false, name);
+    case 'boolean':
+      return ctx.random ? ctx.random() < 0.5 : true;
+    case 'array':
+      return synthesizeArray(schema, ctx, depth, name);
+    case 'object':
+      return synthesizeObject(schema, ctx, depth);
+    case 'null':
+      return null;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Resolve the type to generate: first non-null entry of an OAS 3.1 type
+ * array, otherwise inferred from structural keywords
+ */
+function resolveType(schema) {
+  let type = schema.type;
+
+  if (Array.isArray(type)) {
+    const nonNull = type.filter(t => t !== 'null');
+    if (nonNull.length === 0) return 'null';
+    type = nonNull[0];
+  }
+
+  if (type) return type;
+  if (schema.properties || schema.additionalProperties) return 'object';
+  if (schema.items) return 'array';
+  return undefined;
+}
+
+// ------------------------------------------------------------
+// Composition
+// ------------------------------------------------------------
+
+/**
+ * Merge allOf members into a single schema
+ * Properties are combined, required lists are unioned and the first
+ * definition of any other keyword wins.
+ * @param {Object} schema - Schema with allOf
+ * @returns {Object} Merged schema (without allOf)
+ */
+export function mergeAllOf(schema) {
+  const { allOf, ...rest } = schema;
+  const merged = { ...rest };
+
+  for (const member of allOf || []) {
+    if (!member || typeof member !== 'object') continue;
+    const flat = member.allOf ? mergeAllOf(member) : member;
+
+    for (const [key, value] of Object.entries(flat)) {
+      if (key === 'properties') {
+        merged.properties = { ...merged.properties };
+        for (const [name, propSchema] of Object.entries(value)) {
+          if (!(name in merged.properties)) merged.properties[name] = propSchema;
+        }
+      } else if (key === 'required') {
+        merged.required = [...new Set([...(merged.required || []), ...value])];
+      } else if (merged[key] === undefined) {
+        merged[key] = value;
+      }
+    }
+  }
+
+  return merged;
+}
+
+function synthesizeAllOf(schema, ctx, depth, name) {
+  const merged = mergeAllOf(schema);
+  const value = synthesize(merged, ctx, depth, name);
+
+  // Inherited discriminator: the concrete schema names its own value
+  if (merged.discriminator && isPlainObject(value)) {
+    applyDiscriminator(value, merged.discriminator, schema, ctx);
+  }
+
+  return value;
+}
+
+function synthesizeAlternative(schema, alternatives, ctx, depth, name) {
+  const candidates = alternatives.filter(alt => alt && resolveType(alt) !== 'null');
+  if (candidates.length === 0) return null;
+
+  const branch = pick(candidates, ctx);
+  const { oneOf, anyOf, discriminator, ...siblings } = schema;
+
+  // Properties declared next to oneOf/anyOf are shared by every branch
+  const target = siblings.properties ? mergeAllOf({ ...siblings, allOf: [branch] }) : branch;
+  const value = synthesize(target, ctx, depth + 1, name);
+
+  const activeDiscriminator = discriminator || branch.discriminator;
+  if (activeDiscriminator && isPlainObject(value)) {
+    applyDiscriminator(value, activeDiscriminator, branch, ctx);
+  }
+
+  return value;
+}
+
+/**
+ * Set the discriminator property to the value that selects this branch
+ */
+function applyDiscriminator(value, discriminator, branch, ctx) {
+  const propertyName = discriminator.propertyName;
+  if (!propertyName) return;
+
+  const discriminatorValue = findDiscriminatorValue(discriminator, branch, ctx);
+  if (discriminatorValue !== undefined) {
+    value[propertyName] = discriminatorValue;
+  }
+}
+
+function findDiscriminatorValue(discriminator, branch, ctx) {
+  const mapping = discriminator.mapping || {};
+
+  for (const [key, ref] of Object.entries(mapping)) {
+    if (resolveLocalRef(ref, ctx.root) === branch) return key;
+  }
+
+  // Without the root document, match mapping targets by schema title
+  if (branch.title) {
+    for (const [key, ref] of Object.entries(mapping)) {
+      if (ref.split('/').pop() === branch.title) return key;
+    }
+  }
+
+  // Branch pins the property itself (const or single-value enum)
+  const property = branch.properties?.[discriminator.propertyName];
+  if (property?.const !== undefined) return property.const;
+  if (Array.isArray(property?.enum) && property.enum.length === 1) return property.enum[0];
+
+  // Implicit mapping: the component schema name is the value
+  return findComponentName(branch, ctx.root) || branch.title;
+}
+
+function resolveLocalRef(ref, root) {
+  if (!root || typeof ref !== 'string' || !ref.startsWith('#/')) return undefined;
+
+  let node = root;
+  for (const segment of ref.slice(2).split('/')) {
+    const key = decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+    node = node?.[key];
+    if (node === undefined) return undefined;
+  }
+  return node;
+}
+
+function findComponentName(schema, root) {
+  const schemas = root?.components?.schemas || {};
+  return Object.keys(schemas).find(name => schemas[name] === schema);
+}
+
+// ------------------------------------------------------------
+// Scalars
+// ------------------------------------------------------------
+
+function synthesizeString(schema, ctx, name) {
+  let value;
+
+  if (schema.pattern) {
+    const generated = generateFromPattern(schema.pattern, ctx.random);
+    if (generated !== undefined) return generated;
+  }
+
+  // Seeded runs prefer realistic data chosen by property name / format
+  if (ctx.random) {
+    value = fakeString(name, schema.format, ctx.random);
+  }
+
+  if (value === undefined && schema.format && FORMAT_EXAMPLES[schema.format] !== undefined) {
+    value = ctx.random ? seededFormat(schema.format, ctx.random) : FORMAT_EXAMPLES[schema.format];
+  }
+
+  if (value === undefined) {
+    value = ctx.random ? fakeText(ctx.random) : 'string';
+  }
+
+  return fitLength(value, schema.minLength, schema.maxLength);
+}
+
+function seededFormat(format, random) {
+  const instant = new Date(EPOCH_MS + Math.floor(random() * 365 * DAY_MS / 1000) * 1000);
+
+  switch (format) {
+    case 'date-time':
+      return instant.toISOString().replace('.000Z', 'Z');
+    case 'date':
+      return instant.toISOString().slice(0, 10);
+    case 'time':
+      return instant.toISOString().slice(11, 19) + 'Z';
+    case 'uuid':
+      return randomUuid(random);
+    default:
+      return FORMAT_EXAMPLES[format];
+  }
+}
+
+function randomUuid(random) {
+  const hex = () => Math.floor(random() * 16).toString(16);
+  const chunk = length => Array.from({ length }, hex).join('');
+  const variant = (8 + Math.floor(random() * 4)).toString(16);
+  return `${chunk(8)}-${chunk(4)}-4${chunk(3)}-${variant}${chunk(3)}-${chunk(12)}`;
+}
+
+function fitLength(value, minLength, maxLength) {
+  let result = value;
+  if (minLength !== undefined && result.length < minLength) {
+    result = result.padEnd(minLength, 'x');
+  }
+  if (maxLength !== undefined && result.length > maxLength) {
+    result = result.slice(0, maxLength);
+  }
+  return result;
+}
+
+function synthesizeNumber(schema, ctx, integer, name) {
+  const step = integer ? 1 : 0.01;
+
+  // OAS 3.0 uses boolean exclusive flags, OAS 3.1 / JSON Schema uses numbers
+  let lower = schema.minimum;
+  if (typeof schema.exclusiveMinimum === 'number') {
+    lower = schema.exclusiveMinimum + step;
+  } else if (schema.exclusiveMinimum === true && lower !== undefined) {
+    lower += step;
+  }
+
+  let upper = schema.maximum;
+  if (typeof schema.exclusiveMaximum === 'number') {
+    upper = schema.exclusiveMaximum - step;
+  } else if (schema.exclusiveMaximum === true && upper !== undefined) {
+    upper -= step;
+  }
+
+  if (integer) {
+    if (lower !== undefined) lower = Math.ceil(lower);
+    if (upper !== undefined) upper = Math.floor(upper);
+  }
+
+  let value;
+  if (ctx.random) {
+    // Well-known names (age, price, latitude, ...) narrow an unbounded range
+    const hint = lower === undefined && upper === undefined ? numberHint(name) : undefined;
+    const low = hint?.min ?? lower ?? (upper !== undefined ? Math.min(0, upper - 100) : 0);
+    const high = hint?.max ?? upper ?? low + 100;
+    value = integer || hint?.integer
+      ? Math.min(high, Math.floor(low + ctx.random() * (high - low + 1)))
+      : Math.round((low + ctx.random() * (high - low)) * 100) / 100;
+  } else {
+    value = lower ?? (upper !== undefined ? Math.min(0, upper) : 0);
+  }
+
+  if (schema.multipleOf) {
+    const multiple = schema.multipleOf;
+    value = Math.ceil(value / multiple) * multiple;
+    if (upper !== undefined && value > upper) value -= multiple;
+    // Trim floating point noise (e.g. 0.30000000000000004)
+    value = Number(value.toPrecision(12));
+  }
+
+  return value;
+}
+
+// ------------------------------------------------------------
+// Structures
+// ------------------------------------------------------------
+
+function synthesizeArray(schema, ctx, depth, name) {
+  if (!schema.items || schema.maxItems === 0) return [];
+
+  let count = Math.max(1, schema.minItems || 0);
+  if (schema.maxItems !== undefined) count = Math.min(count, schema.maxItems);
+
+  const items = [];
+  const seen = new Set();
+
+  // Duplicates are retried a bounded number of times for uniqueItems
+  for (let attempt = 0; items.length < count && attempt < count * 10; attempt++) {
+    // Later items draw from their own stream so minItems/uniqueItems get distinct values
+    const itemCtx = attempt === 0 || ctx.random ? ctx : { ...ctx, random: createRandom(attempt) };
+    const item = synthesize(schema.items, itemCtx, depth + 1, name);
+    if (item === undefined) break;
+
+    if (schema.uniqueItems) {
+      const fingerprint = JSON.stringify(item);
+      if (seen.has(fingerprint)) continue;
+      seen.add(fingerprint);
+    }
+    items.push(item);
+  }
+
+  return items;
+}
+
+function synthesizeObject(schema, ctx, depth) {
+  const result = {};
+
+  for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+    if (ctx.direction === ExampleDirection.REQUEST && propSchema?.readOnly) continue;
+    if (ctx.direction === ExampleDirection.RESPONSE && propSchema?.writeOnly) continue;
+
+    const value = synthesize(propSchema, ctx, depth + 1, key);
+    if (value !== undefined) {
+      result[key] = value;
+    }
+  }
+
+  // Map-like objects: show one entry
+  if (!schema.properties && isPlainObject(schema.additionalProperties)) {
+    const value = synthesize(schema.additionalProperties, ctx, depth + 1);
+    if (value !== undefined) {
+      result.key = value;
+    }
+  }
+
+  return result;
+}
+
+// ------------------------------------------------------------
+// Patterns
+// ------------------------------------------------------------
+
+/**
+ * Generate a string matching a regular expression
+ * Supports literals, escapes (\d \w \s), character classes, groups with
+ * alternation and quantifiers. Returns undefined for patterns it cannot
+ * satisfy (lookarounds, backreferences), so callers can fall back.
+ * @param {string} pattern - ECMA-262 regular expression source
+ * @param {Function|null} random - Seeded generator, or null for canonical output
+ * @returns {string|undefined} Matching string
+ */
+export function generateFromPattern(pattern, random = null) {
+  try {
+    const parser = new PatternParser(pattern, random);
+    const value = parser.parseAlternation();
+    return new RegExp(pattern, 'u').test(value) ? value : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+const DIGITS = '0123456789';
+const WORD_CHARS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789_';
+
+class PatternParser {
+  constructor(pattern, random) {
+    this.source = pattern;
+    this.pos = 0;
+    this.random = random;
+  }
+
+  choose(options) {
+    if (!this.random) return options[0];
+    return options[Math.floor(this.random() * options.length)];
+  }
+
+  parseAlternation() {
+    const branches = [this.parseSequence()];
+    while (this.source[this.pos] === '|') {
+      this.pos++;
+      branches.push(this.parseSequence());
+    }
+    return this.choose(branches);
+  }
+
+  parseSequence() {
+    let out = '';
+    while (this.pos < this.source.length) {
+      const char = this.source[this.pos];
+      if (char === '|' || char === ')') break;
+      if (char === '^' || char === '$') {
+        this.pos++;
+        continue;
+      }
+
+      const atom = this.parseAtom();
+      const [min, max] = this.parseQuantifier();
+      const count = this.random ? min + Math.floor(this.random() * (Math.min(max, min + 3) - min + 1)) : min;
+      for (let i = 0; i < count; i++) out += atom();
+    }
+    return out;
+  }
+
+  /**
+   * Parse one atom and return a function producing one occurrence of it
+   */
+  parseAtom() {
+    const char = this.source[this.pos++];
+
+    if (char === '(') {
+      if (this.source[this.pos] === '?') {
+        if (this.source[this.pos + 1] !== ':') throw new Error('Unsupported group');
+        this.pos += 2;
+      }
+      // Parse once without drawing random values just to find the closing paren
+      const start = this.pos;
+      const random = this.random;
+      this.random = null;
+      this.parseAlternation();
+      this.random = random;
+      const end = this.pos;
+      if (this.source[this.pos++] !== ')') throw new Error('Unclosed group');
+      const body = this.source.slice(start, end);
+      return () => new PatternParser(body, random).parseAlternation();
+    }
+    if (char === '[') {
+      const set = this.parseClass();
+      return () => this.choose(set);
+    }
+    if (char === '\\') {
+      const set = this.parseEscape();
+      return () => this.choose(set);
+    }
+    if (char === '.') {
+      return () => this.choose(['a', 'b', 'c']);
+    }
+    return () => char;
+  }
+
+  parseEscape() {
+    const char = this.source[this.pos++];
+    switch (char) {
+      case 'd': return [...DIGITS];
+      case 'w': return [...WORD_CHARS];
+      case 's': return [' '];
+      case 'D': return ['a'];
+      case 'W': return ['-'];
+      case 'S': return ['a'];
+      case 'n': return ['\n'];
+      case 't': return ['\t'];
+      default:
+        if (/[1-9bBk]/.test(char)) throw new Error('Unsupported escape');
+        return [char];
+    }
+  }
+
+  parseClass() {
+    const negated = this.source[this.pos] === '^';
+    if (negated) this.pos++;
+
+    const members = [];
+    while (this.pos < this.source.length && this.source[this.pos] !== ']') {
+      let char = this.source[this.pos++];
+      if (char === '\\') {
+        members.push(...this.parseEscape());
+        continue;
+      }
+      if (this.source[this.pos] === '-' && this.source[this.pos + 1] && this.source[this.pos + 1] !== ']') {
+        const end = this.source[this.pos + 1];
+        this.pos += 2;
+        for (let code = char.codePointAt(0); code <= end.codePointAt(0); code++) {
+          members.push(String.fromCodePoint(code));
+        }
+        continue;
+      }
+      members.push(char);
+    }
+    if (this.source[this.pos++] !== ']') throw new Error('Unclosed character class');
+
+    if (negated) {
+      const allowed = [...WORD_CHARS, '-', ' '].filter(c => !members.includes(c));
+      if (allowed.length === 0) throw new Error('Empty character class');
+      return allowed;
+    }
+    return members;
+  }
+
+  parseQuantifier() {
+    const char = this.source[this.pos];
+    let range = [1, 1];
+
+    if (char === '*') range = [0, Infinity];
+    else if (char === '+') range = [1, Infinity];
+    else if (char === '?') range = [0, 1];
+    else if (char === '{') {
+      const match = /^\{(\d+)(,(\d*))?\}/.exec(this.source.slice(this.pos));
+      if (!match) return range;
+      const min = Number(match[1]);
+      const max = match[2] === undefined ? min : (match[3] === '' ? Infinity : Number(match[3]));
+      this.pos += match[0].length;
+      if (this.source[this.pos] === '?') this.pos++;
+      return [min, max];
+    } else {
+      return range;
+    }
+
+    this.pos++;
+    if (this.source[this.pos] === '?') this.pos++; // lazy modifier
+    return range;
+  }
+}
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+
+function pick(values, ctx) {
+  if (!ctx.random) return values[0];
+  return values[Math.floor(ctx.random() * values.length)];
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export default {
+  ExampleDirection,
+  createRandom,
+  generateFromPattern,
+  mergeAllOf,
+  synthesizeExample
+};
@@ -0,0 +1,163 @@
+/**
+ * Fake Data Generator
+ *
+ * Realistic values for seeded example synthesis. Property and parameter
+ * names drive the choice (email, firstName, phone, country, ...), string
+ * formats come next, and everything is drawn from the caller's seeded
+ * random source so a seed always replays the same data.
+ */
+
+/**
+ * Seed used when the caller does not provide one
+ */
+export const DEFAULT_DATA_SEED = 1;
+
+const FIRST_NAMES = ['Ada', 'Alan', 'Grace', 'Linus', 'Margaret', 'Dennis', 'Barbara', 'Ken', 'Frances', 'Tim', 'Radia', 'Guido'];
+const LAST_NAMES = ['Lovelace', 'Turing', 'Hopper', 'Torvalds', 'Hamilton', 'Ritchie', 'Liskov', 'Thompson', 'Allen', 'Berners-Lee', 'Perlman', 'van Rossum'];
+const COUNTRIES = [
+  ['US', 'United States'], ['GB', 'United Kingdom'], ['DE', 'Germany'], ['FR', 'France'],
+  ['JP', 'Japan'], ['CA', 'Canada'], ['BR', 'Brazil'], ['IN', 'India'], ['AU', 'Australia'], ['NL', 'Netherlands']
+];
+const CITIES = ['Springfield', 'Riverside', 'Fairview', 'Madison', 'Georgetown', 'Franklin', 'Clinton', 'Salem'];
+const STREETS = ['Main', 'Oak', 'Pine', 'Maple', 'Cedar', 'Elm', 'Washington', 'Lake'];
+const COMPANIES = ['Acme Corp', 'Globex', 'Initech', 'Umbrella Labs', 'Stark Industries', 'Wayne Enterprises', 'Hooli', 'Vandelay Industries'];
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD'];
+const LOCALES = ['en-US', 'en-GB', 'de-DE', 'fr-FR', 'ja-JP', 'pt-BR'];
+const TIMEZONES = ['UTC', 'America/New_York', 'Europe/London', 'Europe/Berlin', 'Asia/Tokyo', 'Australia/Sydney'];
+const COLORS = ['red', 'green', 'blue', 'orange', 'purple', 'teal', 'black', 'white'];
+const WORDS = ['alpha', 'bravo', 'cedar', 'delta', 'ember', 'falcon', 'garnet', 'harbor', 'indigo', 'juniper', 'kestrel', 'lumen'];
+
+/**
+ * Numeric ranges for well-known property names
+ */
+const NUMBER_HINTS = [
+  [/^age$/, { min: 18, max: 90, integer: true }],
+  [/(price|amount|cost|total|balance|fee)$/, { min: 1, max: 1000 }],
+  [/(quantity|qty|count)$/, { min: 1, max: 10, integer: true }],
+  [/^(lat|latitude)$/, { min: -90, max: 90 }],
+  [/^(lng|lon|longitude)$/, { min: -180, max: 180 }],
+  [/year$/, { min: 1990, max: 2030, integer: true }],
+  [/rating$/, { min: 1, max: 5, integer: true }],
+  [/(percent|percentage)$/, { min: 0, max: 100 }]
+];
+
+/**
+ * Normalize a property name for matching (userEmail -> useremail)
+ */
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function pick(values, random) {
+  return values[Math.floor(random() * values.length)];
+}
+
+function digits(count, random) {
+  return Array.from({ length: count }, () => Math.floor(random() * 10)).join('');
+}
+
+function hex(count, random) {
+  return Array.from({ length: count }, () => Math.floor(random() * 16).toString(16)).join('');
+}
+
+function person(random) {
+  return { first: pick(FIRST_NAMES, random), last: pick(LAST_NAMES, random) };
+}
+
+function emailAddress(random) {
+  const { first, last } = person(random);
+  return `${first}.${last}${digits(2, random)}@example.com`.toLowerCase().replace(/[^a-z0-9.@-]/g, '');
+}
+
+function website(random) {
+  return `https://www.${pick(WORDS, random)}.example.com`;
+}
+
+/**
+ * Fake a string value from a property name and format
+ * @param {string} name - Property or parameter name (may be undefined)
+ * @param {string} format - Schema format (may be undefined)
+ * @param {Function} random - Seeded random source returning [0, 1)
+ * @returns {string|undefined} Value, or undefined when no heuristic applies
+ */
+export function fakeString(name, format, random) {
+  const key = normalizeName(name);
+
+  // Formats with a fixed shape win over the name
+  if (format === 'email' || format === 'idn-email') return emailAddress(random);
+  if (format === 'uri' || format === 'url' || format === 'iri') return website(random);
+  if (format === 'hostname' || format === 'idn-hostname') return `${pick(WORDS, random)}.example.com`;
+  if (format === 'ipv4') return `192.0.2.${1 + Math.floor(random() * 254)}`;
+  if (format) return undefined;
+
+  if (!key) return undefined;
+  if (key.includes('email')) return emailAddress(random);
+  if (/^(first|given|fore)name$/.test(key)) return person(random).first;
+  if (/^(last|sur|family)name$/.test(key) || key === 'surname') return person(random).last;
+  if (/^(user|login|screen)name$|^handle$/.test(key)) {
+    const { first, last } = person(random);
+    return `${first}${last}${digits(2, random)}`.toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+  if (/(company|organization|organisation|employer)(name)?$/.test(key)) return pick(COMPANIES, random);
+  if (/^(full|display|contact|customer|owner|author)?name$/.test(key)) {
+    const { first, last } = person(random);
+    return `${first} ${last}`;
+  }
+  if (/(phone|mobile|tel|telephone|fax)(number)?$/.test(key)) return `+1555${digits(7, random)}`;
+  if (/country(code|iso)$/.test(key)) return pick(COUNTRIES, random)[0];
+  if (key.endsWith('country')) return pick(COUNTRIES, random)[1];
+  if (key.endsWith('city')) return pick(CITIES, random);
+  if (/(zip|postal|postcode)(code)?$/.test(key)) return digits(5, random);
+  if (/(street|address|addressline\d?)$/.test(key)) return `${1 + Math.floor(random() * 999)} ${pick(STREETS, random)} St`;
+  if (/(url|website|homepage|link)$/.test(key)) return website(random);
+  if (/(domain|hostname|host)$/.test(key)) return `${pick(WORDS, random)}.example.com`;
+  if (/currency(code)?$/.test(key)) return pick(CURRENCIES, random);
+  if (/(locale|language|lang)$/.test(key)) return pick(LOCALES, random);
+  if (/(timezone|tz)$/.test(key)) return pick(TIMEZONES, random);
+  if (/(color|colour)$/.test(key)) return pick(COLORS, random);
+  if (key === 'password' || key.endsWith('password')) return `${pick(WORDS, random)}-${hex(6, random)}-A1!`;
+  if (key.endsWith('slug')) return `${pick(WORDS, random)}-${pick(WORDS, random)}`;
+  if (key === 'id' || /(Id|_id|-id|ID)$/.test(String(name)) || /(uuid|guid)$/.test(key)) {
+    return `${hex(8, random)}-${hex(4, random)}-4${hex(3, random)}-a${hex(3, random)}-${hex(12, random)}`;
+  }
+  if (/(title|subject|headline)$/.test(key)) {
+    return [pick(WORDS, random), pick(WORDS, random), pick(WORDS, random)]
+      .map(word => word[0].toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+  if (/(description|summary|comment|note|notes|message|bio)$/.test(key)) {
+    const words = Array.from({ length: 6 }, () => pick(WORDS, random));
+    return `${words.join(' ')}.`.replace(/^./, c => c.toUpperCase());
+  }
+
+  return undefined;
+}
+
+/**
+ * Generic seeded text for strings no heuristic recognizes
+ * @param {Function} random - Seeded random source
+ * @returns {string} Two random words
+ */
+export function fakeText(random) {
+  return `${pick(WORDS, random)} ${pick(WORDS, random)}`;
+}
+
+/**
+ * Numeric range hint for a property name
+ * @param {string} name - Property or parameter name
+ * @returns {Object|undefined} { min, max, integer } or undefined
+ */
+export function numberHint(name) {
+  const key = normalizeName(name);
+  if (!key) return undefined;
+
+  const match = NUMBER_HINTS.find(([pattern]) => pattern.test(key));
+  return match ? match[1] : undefined;
+}
+
+export default {
+  DEFAULT_DATA_SEED,
+  fakeString,
+  fakeText,
+  numberHint
+};
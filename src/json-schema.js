@@ -0,0 +1,97 @@
+/**
+ * JSON Schema conversion
+ *
+ * Turns OpenAPI schema objects into plain JSON Schema (draft-07 compatible)
+ * so they can be handed to Ajv - locally by the linter, and inside the
+ * Postman sandbox by generated contract tests.
+ */
+
+/**
+ * Keywords that only exist in OpenAPI and are dropped from the output
+ */
+const OPENAPI_ONLY_KEYWORDS = ['example', 'examples', 'xml', 'discriminator', 'externalDocs', 'nullable'];
+
+/**
+ * Schema direction, used to apply readOnly/writeOnly
+ * - response: writeOnly properties are not required
+ * - request: readOnly properties are not required
+ */
+export const SchemaDirection = {
+  RESPONSE: 'response',
+  REQUEST: 'request'
+};
+
+/**
+ * Convert an OpenAPI 3.0 schema to plain JSON Schema for Ajv
+ * (nullable -> null added to type and enum, or anyOf with null when there is
+ * no type; boolean exclusive bounds -> numeric ones).
+ * Cycles in dereferenced schemas, and $refs left unresolved by the parser,
+ * are cut with an accept-anything schema.
+ * @param {Object} schema - OpenAPI schema object
+ * @param {Object} options - Options
+ * @param {string} options.direction - SchemaDirection; omit to keep required lists as-is
+ * @param {Array} stack - Schemas on the current path (cycle detection)
+ * @returns {Object} JSON Schema
+ */
+export function toJsonSchema(schema, options = {}, stack = []) {
+  if (!schema || typeof schema !== 'object') return schema;
+  if (stack.includes(schema) || typeof schema.$ref === 'string') return {};
+
+  const nextStack = [...stack, schema];
+  const convert = child => toJsonSchema(child, options, nextStack);
+  const result = {};
+
+  for (const [key, value] of Object.entries(schema)) {
+    if (OPENAPI_ONLY_KEYWORDS.includes(key)) continue;
+
+    if (key === 'properties' || key === 'patternProperties') {
+      result[key] = Object.fromEntries(
+        Object.entries(value || {}).map(([name, child]) => [name, convert(child)])
+      );
+    } else if (['allOf', 'anyOf', 'oneOf'].includes(key) && Array.isArray(value)) {
+      result[key] = value.map(convert);
+    } else if (['items', 'additionalProperties', 'not'].includes(key) && typeof value === 'object') {
+      result[key] = convert(value);
+    } else {
+      result[key] = value;
+    }
+  }
+
+  if (typeof schema.exclusiveMinimum === 'boolean') {
+    delete result.exclusiveMinimum;
+    if (schema.exclusiveMinimum && schema.minimum !== undefined) {
+      result.exclusiveMinimum = schema.minimum;
+      delete result.minimum;
+    }
+  }
+  if (typeof schema.exclusiveMaximum === 'boolean') {
+    delete result.exclusiveMaximum;
+    if (schema.exclusiveMaximum && schema.maximum !== undefined) {
+      result.exclusiveMaximum = schema.maximum;
+      delete result.maximum;
+    }
+  }
+
+  // A writeOnly property never appears in a response (and readOnly in a request)
+  const hiddenFlag = { [SchemaDirection.RESPONSE]: 'writeOnly', [SchemaDirection.REQUEST]: 'readOnly' }[options.direction];
+  if (hiddenFlag && Array.isArray(result.required)) {
+    result.required = result.required.filter(name => schema.properties?.[name]?.[hiddenFlag] !== true);
+    if (result.required.length === 0) delete result.required;
+  }
+
+  if (schema.nullable === true) {
+    // Without a type (e.g. allOf only) null has to be allowed next to the schema
+    if (!result.type) return { anyOf: [result, { type: 'null' }] };
+
+    const types = Array.isArray(result.type) ? result.type : [result.type];
+    if (!types.includes('null')) result.type = [...types, 'null'];
+    if (Array.isArray(result.enum) && !result.enum.includes(null)) result.enum = [...result.enum, null];
+  }
+
+  return result;
+}
+
+export default {
+  SchemaDirection,
+  toJsonSchema
+};
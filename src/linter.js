@@ -0,0 +1,481 @@
+/**
+ * Spec Linter
+ *
+ * Local lint engine for OpenAPI specs, built on parseSpec/extractEndpoints.
+ * Replaces the external `postman spec lint` call, so linting needs neither
+ * the Postman CLI nor a login.
+ *
+ * Rules are grouped into rulesets (recommended, strict, minimal). Severity
+ * of each rule can be overridden in sync.config.json under `lint.rules`,
+ * and reports can be rendered as text, JSON or SARIF 2.1.0.
+ */
+
+import Ajv from 'ajv';
+import path from 'path';
+import { parseSpec, extractEndpoints, getSourceLocation, escapePointerSegment, ParseMode, HTTP_METHODS } from './parser.js';
+import { formatSourceLocation } from './source-locations.js';
+import { toJsonSchema } from './json-schema.js';
+import { isSwagger2, convertSwagger2ToOpenApi3 } from './swagger2-converter.js';
+
+/**
+ * Finding severities ('off' disables a rule)
+ */
+export const LintSeverity = {
+  ERROR: 'error',
+  WARN: 'warn',
+  INFO: 'info',
+  OFF: 'off'
+};
+
+/**
+ * Report formats supported by formatLintReport
+ */
+export const LintFormat = {
+  TEXT: 'text',
+  JSON: 'json',
+  SARIF: 'sarif'
+};
+
+const SEVERITY_RANK = {
+  [LintSeverity.OFF]: 0,
+  [LintSeverity.INFO]: 1,
+  [LintSeverity.WARN]: 2,
+  [LintSeverity.ERROR]: 3
+};
+
+const DEFAULT_SUMMARY_MAX_LENGTH = 80;
+
+/**
+ * Built-in rules
+ * Each check receives the lint context ({ api, bundled, endpoints, options })
+ * and returns findings as { message, pointer }.
+ */
+export const LINT_RULES = {
+  'operation-operationId-unique': {
+    description: 'operationId must be unique across the spec',
+    check: ({ endpoints }) => {
+      const seen = new Map();
+      const findings = [];
+
+      for (const endpoint of endpoints) {
+        const operationId = endpoint.raw.operationId;
+        if (!operationId) continue;
+
+        if (seen.has(operationId)) {
+          findings.push({
+            message: `operationId "${operationId}" is also used by ${seen.get(operationId)}`,
+            pointer: `${endpoint.pointer}/operationId`
+          });
+        } else {
+          seen.set(operationId, `${endpoint.method} ${endpoint.path}`);
+        }
+      }
+
+      return findings;
+    }
+  },
+
+  'operation-4xx-response': {
+    description: 'Every operation documents at least one 4xx response',
+    check: ({ endpoints }) => endpoints
+      .filter(endpoint => !Object.keys(endpoint.responses).some(code => /^4(\d\d|XX)$/i.test(code)))
+      .map(endpoint => ({
+        message: `${endpoint.method} ${endpoint.path} has no 4xx response`,
+        pointer: `${endpoint.pointer}/responses`
+      }))
+  },
+
+  'example-schema-valid': {
+    description: 'Examples validate against their schemas',
+    check: ({ api }) => checkExamples(api)
+  },
+
+  'components-no-unused': {
+    description: 'Every component is referenced somewhere in the spec',
+    check: ({ bundled }) => findUnusedComponents(bundled)
+  },
+
+  'operation-summary-length': {
+    description: 'Operation summaries stay within the configured length',
+    check: ({ endpoints }, ruleOptions = {}) => {
+      const max = ruleOptions.max ?? DEFAULT_SUMMARY_MAX_LENGTH;
+
+      return endpoints
+        .filter(endpoint => (endpoint.raw.summary || '').length > max)
+        .map(endpoint => ({
+          message: `Summary of ${endpoint.method} ${endpoint.path} is ${endpoint.raw.summary.length} characters (max ${max})`,
+          pointer: `${endpoint.pointer}/summary`
+        }));
+    }
+  }
+};
+
+/**
+ * Built-in rulesets: rule id -> severity
+ */
+export const LINT_RULESETS = {
+  recommended: {
+    'operation-operationId-unique': LintSeverity.ERROR,
+    'operation-4xx-response': LintSeverity.WARN,
+    'example-schema-valid': LintSeverity.ERROR,
+    'components-no-unused': LintSeverity.WARN,
+    'operation-summary-length': LintSeverity.WARN
+  },
+  strict: {
+    'operation-operationId-unique': LintSeverity.ERROR,
+    'operation-4xx-response': LintSeverity.ERROR,
+    'example-schema-valid': LintSeverity.ERROR,
+    'components-no-unused': LintSeverity.ERROR,
+    'operation-summary-length': LintSeverity.ERROR
+  },
+  minimal: {
+    'operation-operationId-unique': LintSeverity.ERROR,
+    'example-schema-valid': LintSeverity.ERROR
+  }
+};
+
+/**
+ * Resolve the effective rules from a lint config
+ *
+ * Config shape (sync.config.json `lint`):
+ *   { "ruleset": "recommended", "rules": { "<rule>": "warn" | ["warn", { ...options }] } }
+ * @param {Object} lintConfig - Lint configuration
+ * @returns {Array} [{ id, severity, options }] for enabled rules
+ */
+export function resolveLintRules(lintConfig = {}) {
+  const rulesetName = lintConfig.ruleset || 'recommended';
+  const ruleset = LINT_RULESETS[rulesetName];
+  if (!ruleset) {
+    throw new Error(`Unknown lint ruleset "${rulesetName}". Available: ${Object.keys(LINT_RULESETS).join(', ')}`);
+  }
+
+  const severities = { ...ruleset };
+  const ruleOptions = {};
+
+  for (const [id, setting] of Object.entries(lintConfig.rules || {})) {
+    if (!LINT_RULES[id]) {
+      throw new Error(`Unknown lint rule "${id}". Available: ${Object.keys(LINT_RULES).join(', ')}`);
+    }
+
+    const [severity, options] = Array.isArray(setting) ? setting : [setting, undefined];
+    if (!(severity in SEVERITY_RANK)) {
+      throw new Error(`Invalid severity "${severity}" for lint rule "${id}"`);
+    }
+
+    severities[id] = severity;
+    if (options) ruleOptions[id] = options;
+  }
+
+  return Object.entries(severities)
+    .filter(([, severity]) => severity !== LintSeverity.OFF)
+    .map(([id, severity]) => ({ id, severity, options: ruleOptions[id] || {} }));
+}
+
+/**
+ * Lint an already parsed spec
+ * @param {Object} api - Dereferenced spec (parseSpec output)
+ * @param {Object} bundled - Spec with internal $refs kept (for usage checks)
+ * @param {Object} lintConfig - Lint configuration (see resolveLintRules)
+ * @returns {Array} Findings sorted by severity: { ruleId, severity, message, pointer }
+ */
+export function lintDocument(api, bundled, lintConfig = {}) {
+  const context = { api, bundled: bundled || api, endpoints: extractEndpoints(api) };
+  const findings = [];
+
+  for (const rule of resolveLintRules(lintConfig)) {
+    for (const finding of LINT_RULES[rule.id].check(context, rule.options)) {
+      findings.push({ ruleId: rule.id, severity: rule.severity, ...finding });
+    }
+  }
+
+  return findings.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+}
+
+/**
+ * Parse and lint a spec file
+ * @param {string} specPath - Path to the spec
+ * @param {Object} lintConfig - Lint configuration (see resolveLintRules)
+ * @param {Object} options - Parse options
+ * @param {Array<string|Object>} options.overlays - Overlays applied before linting
+ * @param {Object} options.remote - Remote loading options (see parseSpec)
+ * @param {Array<string>} options.allowedRoots - Directories the spec may be read from
+ * @returns {Promise<Object>} { specPath, findings, summary: { error, warn, info } }
+ *   Findings carry a location ({ file, line, column }) when it can be resolved.
+ */
+export async function lintSpec(specPath, lintConfig = {}, options = {}) {
+  const { api, bundled } = await parseSpec(specPath, {
+    mode: ParseMode.BUNDLE,
+    overlays: options.overlays,
+    remote: options.remote,
+    allowedRoots: options.allowedRoots
+  });
+  const document = isSwagger2(bundled) ? convertSwagger2ToOpenApi3(bundled) : bundled;
+  const findings = lintDocument(api, document, lintConfig).map(finding => {
+    const location = getSourceLocation(api, finding.pointer);
+    return location ? { ...finding, location: { file: location.file, line: location.line, column: location.column } } : finding;
+  });
+
+  return { specPath, findings, summary: summarizeFindings(findings) };
+}
+
+/**
+ * Count findings per severity
+ * @param {Array} findings - Lint findings
+ * @returns {Object} { error, warn, info }
+ */
+export function summarizeFindings(findings) {
+  const summary = { error: 0, warn: 0, info: 0 };
+  for (const finding of findings) {
+    summary[finding.severity]++;
+  }
+  return summary;
+}
+
+/**
+ * Check whether any finding reaches the failure threshold
+ * @param {Array} findings - Lint findings
+ * @param {string} failOn - Minimum severity that fails (default: error)
+ * @returns {boolean} True if the lint run should fail
+ */
+export function hasLintFailures(findings, failOn = LintSeverity.ERROR) {
+  if (failOn === LintSeverity.OFF) return false;
+  return findings.some(finding => SEVERITY_RANK[finding.severity] >= SEVERITY_RANK[failOn]);
+}
+
+// ------------------------------------------------------------
+// Example validation
+// ------------------------------------------------------------
+
+/**
+ * Collect example/schema pairs from parameters, media types and schemas,
+ * and validate each example
+ */
+function checkExamples(api) {
+  const ajv = new Ajv({ strict: false, allErrors: false, validateSchema: false, logger: false });
+  const findings = [];
+  const validators = new WeakMap();
+
+  const validate = (schema, example, pointer) => {
+    if (!schema || typeof schema !== 'object' || example === undefined) return;
+
+    let validator = validators.get(schema);
+    if (!validator) {
+      try {
+        validator = ajv.compile(toJsonSchema(schema));
+      } catch {
+        return;
+      }
+      validators.set(schema, validator);
+    }
+
+    if (!validator(example)) {
+      const [error] = validator.errors;
+      const location = error.instancePath || '(root)';
+      findings.push({ message: `Example does not match schema: ${location} ${error.message}`, pointer });
+    }
+  };
+
+  const visitMedia = (content, pointer) => {
+    for (const [mediaType, media] of Object.entries(content || {})) {
+      if (!/json/.test(mediaType)) continue;
+      const mediaPointer = `${pointer}/content/${escapePointerSegment(mediaType)}`;
+
+      validate(media.schema, media.example, `${mediaPointer}/example`);
+      for (const [name, example] of Object.entries(media.examples || {})) {
+        validate(media.schema, example?.value, `${mediaPointer}/examples/${escapePointerSegment(name)}/value`);
+      }
+    }
+  };
+
+  const visitParameters = (parameters, pointer) => {
+    (parameters || []).forEach((param, index) => {
+      validate(param?.schema, param?.example, `${pointer}/parameters/${index}/example`);
+    });
+  };
+
+  for (const [pathStr, pathItem] of Object.entries(api.paths || {})) {
+    const pathPointer = `/paths/${escapePointerSegment(pathStr)}`;
+    visitParameters(pathItem.parameters, pathPointer);
+
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+      const opPointer = `${pathPointer}/${method}`;
+
+      visitParameters(operation.parameters, opPointer);
+      if (operation.requestBody) visitMedia(operation.requestBody.content, `${opPointer}/requestBody`);
+      for (const [code, response] of Object.entries(operation.responses || {})) {
+        visitMedia(response?.content, `${opPointer}/responses/${escapePointerSegment(code)}`);
+      }
+    }
+  }
+
+  for (const [name, schema] of Object.entries(api.components?.schemas || {})) {
+    validate(schema, schema?.example, `/components/schemas/${escapePointerSegment(name)}/example`);
+  }
+
+  return findings;
+}
+
+// ------------------------------------------------------------
+// Component usage
+// ------------------------------------------------------------
+
+function findUnusedComponents(bundled) {
+  const components = bundled.components || {};
+  const referenced = new Set();
+  const securityNames = new Set();
+  collectSecurityNames(bundled.security, securityNames);
+  collectRefs(bundled, referenced, securityNames);
+
+  const findings = [];
+  for (const [type, entries] of Object.entries(components)) {
+    for (const name of Object.keys(entries || {})) {
+      const pointer = `/components/${type}/${escapePointerSegment(name)}`;
+      const used = type === 'securitySchemes'
+        ? securityNames.has(name)
+        : [...referenced].some(ref => ref === `#${pointer}` || ref.startsWith(`#${pointer}/`));
+
+      if (!used) {
+        findings.push({ message: `Component ${type}.${name} is never referenced`, pointer });
+      }
+    }
+  }
+
+  return findings;
+}
+
+function collectRefs(node, refs, securityNames, seen = new Set()) {
+  if (!node || typeof node !== 'object' || seen.has(node)) return;
+  seen.add(node);
+
+  if (typeof node.$ref === 'string') {
+    refs.add(node.$ref);
+  }
+
+  // Security schemes are referenced by name from operation security requirements
+  // (paths, webhooks and callbacks alike)
+  if (node.responses && Array.isArray(node.security)) {
+    collectSecurityNames(node.security, securityNames);
+  }
+
+  // Discriminator mappings reference schemas by string
+  if (node.discriminator?.mapping) {
+    Object.values(node.discriminator.mapping).forEach(ref => refs.add(ref));
+  }
+
+  for (const value of Object.values(node)) {
+    collectRefs(value, refs, securityNames, seen);
+  }
+}
+
+function collectSecurityNames(requirements, securityNames) {
+  for (const requirement of requirements || []) {
+    Object.keys(requirement || {}).forEach(name => securityNames.add(name));
+  }
+}
+
+// ------------------------------------------------------------
+// Reports
+// ------------------------------------------------------------
+
+/**
+ * Render a lint result as text, JSON or SARIF
+ * @param {Object} result - lintSpec() result
+ * @param {string} format - LintFormat value
+ * @returns {string} Rendered report
+ */
+export function formatLintReport(result, format = LintFormat.TEXT) {
+  switch (format) {
+    case LintFormat.JSON:
+      return JSON.stringify(result, null, 2);
+    case LintFormat.SARIF:
+      return JSON.stringify(toSarif(result), null, 2);
+    case LintFormat.TEXT:
+      return formatText(result);
+    default:
+      throw new Error(`Unknown lint format "${format}". Use text, json or sarif`);
+  }
+}
+
+function formatText(result) {
+  const lines = [];
+
+  for (const finding of result.findings) {
+    const where = formatSourceLocation(finding.location);
+    lines.push(`${finding.severity.toUpperCase().padEnd(5)} ${finding.ruleId}  ${where ? `${where} ` : ''}${finding.pointer}`);
+    lines.push(`      ${finding.message}`);
+  }
+
+  const { error, warn, info } = result.summary;
+  if (lines.length > 0) lines.push('');
+  lines.push(`${result.specPath}: ${error} error(s), ${warn} warning(s), ${info} info`);
+
+  return lines.join('\n');
+}
+
+const SARIF_LEVELS = {
+  [LintSeverity.ERROR]: 'error',
+  [LintSeverity.WARN]: 'warning',
+  [LintSeverity.INFO]: 'note'
+};
+
+function sarifPhysicalLocation(finding, specPath) {
+  if (!finding.location) {
+    return { artifactLocation: { uri: specPath } };
+  }
+
+  // SARIF wants forward slashes, relative to the repo root
+  const uri = formatSourceLocation({ file: finding.location.file }).split(path.sep).join('/');
+  return {
+    artifactLocation: { uri },
+    region: { startLine: finding.location.line, startColumn: finding.location.column }
+  };
+}
+
+function toSarif(result) {
+  const ruleIds = Object.keys(LINT_RULES);
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'spec-sync',
+            rules: ruleIds.map(id => ({
+              id,
+              shortDescription: { text: LINT_RULES[id].description }
+            }))
+          }
+        },
+        results: result.findings.map(finding => ({
+          ruleId: finding.ruleId,
+          ruleIndex: ruleIds.indexOf(finding.ruleId),
+          level: SARIF_LEVELS[finding.severity],
+          message: { text: finding.message },
+          locations: [
+            {
+              physicalLocation: sarifPhysicalLocation(finding, result.specPath),
+              logicalLocations: [{ fullyQualifiedName: finding.pointer }]
+            }
+          ]
+        }))
+      }
+    ]
+  };
+}
+
+export default {
+  LintSeverity,
+  LintFormat,
+  LINT_RULES,
+  LINT_RULESETS,
+  resolveLintRules,
+  lintDocument,
+  lintSpec,
+  summarizeFindings,
+  hasLintFailures,
+  formatLintReport
+};
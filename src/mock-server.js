@@ -0,0 +1,588 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Server
+ *
+ * Serves a parsed OpenAPI spec over HTTP so clients and generated tests
+ * can run without the real service:
+ * - requests are routed by method and templated path (/tasks/{taskId}),
+ *   with or without the server's base path (/v1)
+ * - path, query and header parameters and request bodies are validated;
+ *   invalid requests get the operation's documented 400/422 response
+ * - responses use the documented example, or a body synthesized from the
+ *   schema; documented response headers are filled in the same way
+ * - `Prefer: code=404` selects another documented response and
+ *   `Prefer: example=<name>` a named example
+ *
+ * Credentials are not checked. CORS preflights are answered so browser
+ * clients can use the mock.
+ */
+
+import http from 'http';
+import Ajv from 'ajv';
+import { extractEndpoints, expandServerUrl, getServerBasePath } from './parser.js';
+import { synthesizeExample, ExampleDirection } from './example-synthesizer.js';
+import { getBodyKind, toXml, BodyKind } from './request-body-builder.js';
+import { toJsonSchema, SchemaDirection } from './json-schema.js';
+import { getRejectionStatuses } from './negative-test-generator.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger({ name: 'mock-server' });
+
+/**
+ * Port the mock listens on by default
+ */
+export const DEFAULT_MOCK_PORT = 4010;
+
+/**
+ * Statuses that never carry a body
+ */
+const BODYLESS_STATUSES = [204, 205, 304];
+
+// ------------------------------------------------------------
+// Routing
+// ------------------------------------------------------------
+
+/**
+ * Build the routes of a spec
+ * Routes with fewer templated segments come first, so /tasks/search wins
+ * over /tasks/{taskId}.
+ * @param {Object} api - Parsed OpenAPI spec
+ * @returns {Array} [{ endpoint, pattern, params }]
+ */
+export function createMockRoutes(api) {
+  return extractEndpoints(api)
+    .map(endpoint => {
+      const params = [];
+      const template = endpoint.path
+        .split(/(\{[^}]+\})/)
+        .map(part => {
+          const param = /^\{([^}]+)\}$/.exec(part);
+          if (!param) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+          params.push(param[1]);
+          return '([^/]+)';
+        })
+        .join('');
+      const basePath = getServerBasePath(expandServerUrl(endpoint.servers[0] || { url: '/' }));
+      const prefix = basePath ? `(?:${basePath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})?` : '';
+
+      return { endpoint, params, pattern: new RegExp(`^${prefix}${template}/?$`) };
+    })
+    .sort((a, b) => a.params.length - b.params.length);
+}
+
+/**
+ * Find the route for a request
+ * @param {Array} routes - Result of createMockRoutes
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Request path (without query string)
+ * @returns {{route: Object, pathParams: Object}|{allowed: Array<string>}|null}
+ *   The matching route, the methods allowed on the path, or null when no path matches
+ */
+export function matchMockRoute(routes, method, pathname) {
+  const allowed = [];
+
+  for (const route of routes) {
+    const match = route.pattern.exec(pathname);
+    if (!match) continue;
+
+    if (route.endpoint.method === method.toUpperCase()) {
+      const pathParams = Object.fromEntries(route.params.map((name, index) => [name, safeDecode(match[index + 1])]));
+      return { route, pathParams };
+    }
+    allowed.push(route.endpoint.method);
+  }
+
+  return allowed.length > 0 ? { allowed: [...new Set(allowed)] } : null;
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+// ------------------------------------------------------------
+// Request validation
+// ------------------------------------------------------------
+
+const ajv = new Ajv({ strict: false, allErrors: true, validateSchema: false, logger: false });
+const validators = new WeakMap();
+
+/**
+ * Validate a value against an OpenAPI schema
+ * @returns {Array<string>} Error messages ("/field must be string"), empty when valid
+ */
+function validateSchema(schema, value) {
+  if (!schema || typeof schema !== 'object') return [];
+
+  let validate = validators.get(schema);
+  if (!validate) {
+    validate = ajv.compile(toJsonSchema(schema, { direction: SchemaDirection.REQUEST }));
+    validators.set(schema, validate);
+  }
+  if (validate(value)) return [];
+
+  return validate.errors.map(error => {
+    const property = error.params?.missingProperty ?? error.params?.additionalProperty;
+    const where = `${error.instancePath}${property !== undefined ? `/${property}` : ''}`;
+    return `${where ? `${where} ` : ''}${error.message}`;
+  });
+}
+
+/**
+ * Convert a parameter's string value to the type its schema expects
+ * Values that cannot be converted are kept, so validation reports them.
+ */
+function coerceValue(value, schema = {}) {
+  const type = Array.isArray(schema.type) ? schema.type.find(candidate => candidate !== 'null') : schema.type;
+
+  if (Array.isArray(value)) {
+    return type === 'array' ? value.map(item => coerceValue(item, schema.items)) : coerceValue(value[value.length - 1], schema);
+  }
+  if (type === 'array') {
+    return String(value).split(',').map(item => coerceValue(item, schema.items));
+  }
+  if ((type === 'integer' || type === 'number') && /^\s*-?\d+(\.\d+)?([eE][+-]?\d+)?\s*$/.test(value)) {
+    return Number(value);
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * Check whether a documented media type (possibly a wildcard) covers a Content-Type
+ */
+function mediaTypeMatches(documented, actual) {
+  const [type, subtype] = documented.split(';')[0].trim().toLowerCase().split('/');
+  const [actualType, actualSubtype] = actual.split(';')[0].trim().toLowerCase().split('/');
+  return (type === '*' || type === actualType) && (subtype === '*' || subtype === actualSubtype);
+}
+
+/**
+ * Parse a request body by its Content-Type
+ * @returns {{value: *}|{error: string}} Parsed value (undefined for unparsed media types)
+ */
+function parseBody(body, contentType) {
+  switch (getBodyKind(contentType)) {
+    case BodyKind.JSON:
+      try {
+        return { value: JSON.parse(body) };
+      } catch {
+        return { error: 'is not valid JSON' };
+      }
+    case BodyKind.URLENCODED:
+      return { value: Object.fromEntries(new URLSearchParams(body)) };
+    default:
+      return { value: undefined };
+  }
+}
+
+/**
+ * Validate a request against the operation's parameters and request body
+ * @param {Object} endpoint - Endpoint object from parser
+ * @param {Object} request - { pathParams, query: URLSearchParams, headers (lowercase names), body: string }
+ * @returns {Array} Validation errors [{ in, name, message }] (empty when valid)
+ */
+export function validateMockRequest(endpoint, request) {
+  const errors = [];
+  const cookies = Object.fromEntries(String(request.headers.cookie || '').split(';')
+    .map(pair => pair.trim().split('='))
+    .filter(([name]) => name)
+    .map(([name, ...value]) => [name, value.join('=')]));
+
+  for (const param of endpoint.parameters || []) {
+    let value;
+    switch (param.in) {
+      case 'path':
+        value = request.pathParams[param.name];
+        break;
+      case 'query': {
+        const values = request.query.getAll(param.name);
+        value = values.length === 0 ? undefined : values.length === 1 ? values[0] : values;
+        break;
+      }
+      case 'header':
+        value = request.headers[param.name.toLowerCase()];
+        break;
+      case 'cookie':
+        value = cookies[param.name];
+        break;
+      default:
+        continue;
+    }
+
+    if (value === undefined) {
+      if (param.required) errors.push({ in: param.in, name: param.name, message: 'is required' });
+      continue;
+    }
+    // Objects (deepObject, JSON content) are not decoded
+    if (param.schema && param.schema.type !== 'object') {
+      for (const message of validateSchema(param.schema, coerceValue(value, param.schema))) {
+        errors.push({ in: param.in, name: param.name, message: message.replace(/^\/\S* /, '') });
+      }
+    }
+  }
+
+  errors.push(...validateRequestBody(endpoint.requestBody, request));
+  return errors;
+}
+
+function validateRequestBody(requestBody, request) {
+  if (!requestBody?.content) return [];
+
+  const body = request.body || '';
+  if (body.length === 0) {
+    return requestBody.required ? [{ in: 'body', name: 'body', message: 'is required' }] : [];
+  }
+
+  const mediaTypes = Object.keys(requestBody.content);
+  // Without a Content-Type the first documented media type is assumed
+  const contentType = request.headers['content-type'] || mediaTypes[0];
+  const mediaType = mediaTypes.find(documented => mediaTypeMatches(documented, contentType));
+  if (!mediaType) {
+    return [{ in: 'header', name: 'Content-Type', message: `must be one of ${mediaTypes.join(', ')}` }];
+  }
+
+  const parsed = parseBody(body, contentType);
+  if (parsed.error) {
+    return [{ in: 'body', name: 'body', message: parsed.error }];
+  }
+  if (parsed.value === undefined) return [];
+
+  const schema = requestBody.content[mediaType].schema;
+  const value = getBodyKind(contentType) === BodyKind.URLENCODED && schema?.properties
+    ? Object.fromEntries(Object.entries(parsed.value).map(([key, item]) => [key, coerceValue(item, schema.properties[key])]))
+    : parsed.value;
+
+  return validateSchema(schema, value).map(message => {
+    const [, field = '', text = message] = /^\/(\S*) (.*)$/.exec(message) || [];
+    return { in: 'body', name: field.replace(/\//g, '.') || 'body', message: text };
+  });
+}
+
+// ------------------------------------------------------------
+// Responses
+// ------------------------------------------------------------
+
+/**
+ * Parse a Prefer header (code=404, example=notFound)
+ * @param {string} header - Prefer header value
+ * @returns {Object} Preference name -> value
+ */
+export function parsePreferHeader(header = '') {
+  return Object.fromEntries(String(header).split(/[,;]/)
+    .map(part => part.trim().split('='))
+    .filter(([name, value]) => name && value !== undefined)
+    .map(([name, value]) => [name.trim().toLowerCase(), value.trim().replace(/^"|"$/g, '')]));
+}
+
+/**
+ * Find the documented response for a status: exact code, then range, then default
+ * @returns {string|undefined} Response key
+ */
+function findResponseKey(responses, code) {
+  const keys = Object.keys(responses);
+  return keys.find(key => key === String(code))
+    || keys.find(key => key.toUpperCase() === `${String(code).charAt(0)}XX`)
+    || keys.find(key => key === 'default');
+}
+
+/**
+ * Pick the response the mock answers with when nothing is preferred
+ * The lowest documented 2xx code, then 2XX, then default, then the first one.
+ */
+function defaultResponseKey(responses) {
+  const keys = Object.keys(responses);
+  const success = keys.filter(key => /^2\d\d$/.test(key)).sort();
+  return success[0] || keys.find(key => key.toUpperCase() === '2XX') || keys.find(key => key === 'default') || keys[0];
+}
+
+/**
+ * Status code sent for a response key (4XX -> 400, default -> 200)
+ */
+function statusForKey(key, requested) {
+  if (/^\d{3}$/.test(key)) return Number(key);
+  if (requested) return Number(requested);
+  if (/^[1-5]XX$/i.test(key)) return Number(key.charAt(0)) * 100;
+  return 200;
+}
+
+/**
+ * Choose the media type of a response, honoring the Accept header
+ */
+function selectResponseMediaType(content = {}, accept = '') {
+  const mediaTypes = Object.keys(content);
+  const accepted = String(accept).split(',').map(type => type.trim()).filter(Boolean);
+
+  for (const type of accepted) {
+    const match = mediaTypes.find(mediaType => mediaTypeMatches(type, mediaType));
+    if (match) return match;
+  }
+  return mediaTypes.find(mediaType => getBodyKind(mediaType) === BodyKind.JSON) || mediaTypes[0];
+}
+
+/**
+ * Build the value of a response body
+ * A named example (Prefer: example=name), the media type's example, its
+ * first example, then a body synthesized from the schema.
+ */
+function buildResponseValue(media = {}, preferredExample, options) {
+  if (preferredExample && media.examples?.[preferredExample]) {
+    return media.examples[preferredExample].value;
+  }
+  if (media.example !== undefined) return media.example;
+
+  const [first] = Object.values(media.examples || {});
+  if (first?.value !== undefined) return first.value;
+
+  return media.schema
+    ? synthesizeExample(media.schema, { seed: options.seed, root: options.api, direction: ExampleDirection.RESPONSE })
+    : undefined;
+}
+
+/**
+ * Serialize a response body for its media type
+ */
+function serializeBody(value, mediaType, schema) {
+  if (value === undefined || value === null) return '';
+
+  switch (getBodyKind(mediaType)) {
+    case BodyKind.JSON:
+      return JSON.stringify(value, null, 2);
+    case BodyKind.XML:
+      return typeof value === 'string' ? value : toXml(value, schema);
+    case BodyKind.URLENCODED:
+      return new URLSearchParams(value).toString();
+    default:
+      return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+}
+
+/**
+ * Build a Location header pointing at the resource below the request path
+ * (POST /tasks -> /tasks/{taskId}, filled with the body's id)
+ */
+function buildLocation(endpoint, pathname, body, api) {
+  const templates = Object.keys(api?.paths || {});
+  const child = templates.find(template => template.startsWith(`${endpoint.path.replace(/\/$/, '')}/{`) &&
+    /^\/\{[^}]+\}$/.exec(template.slice(endpoint.path.replace(/\/$/, '').length)));
+  if (!child) return pathname;
+
+  const param = /\{([^}]+)\}$/.exec(child)[1];
+  const id = body && typeof body === 'object' ? body.id ?? body[param] : undefined;
+  return `${pathname.replace(/\/$/, '')}/${encodeURIComponent(String(id ?? '1'))}`;
+}
+
+/**
+ * Build the documented headers of a response
+ */
+function buildResponseHeaders(response, context) {
+  const headers = {};
+
+  for (const [name, header] of Object.entries(response.headers || {})) {
+    if (name.toLowerCase() === 'content-type') continue;
+
+    let value = header.example ?? Object.values(header.examples || {})[0]?.value;
+    if (value === undefined && name.toLowerCase() === 'location') {
+      value = buildLocation(context.endpoint, context.pathname, context.body, context.options.api);
+    }
+    if (value === undefined && header.schema) {
+      value = synthesizeExample(header.schema, { seed: context.options.seed, name, direction: ExampleDirection.RESPONSE });
+    }
+    if (value !== undefined && value !== null) {
+      headers[name] = Array.isArray(value) ? value.join(',') : String(value);
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * Build a problem+json response for errors of the mock itself
+ */
+function problemResponse(status, title, detail, extra = {}) {
+  return {
+    status,
+    headers: { 'Content-Type': 'application/problem+json' },
+    body: JSON.stringify({ type: 'about:blank', title, status, detail, ...extra }, null, 2)
+  };
+}
+
+/**
+ * Build the mock response for a documented response key
+ */
+function documentedResponse(endpoint, key, status, context) {
+  const response = endpoint.responses[key] || {};
+  const mediaType = selectResponseMediaType(response.content, context.headers.accept);
+  const media = mediaType ? response.content[mediaType] : undefined;
+  const value = media ? buildResponseValue(media, context.prefer.example, context.options) : undefined;
+  const withBody = mediaType && context.method !== 'HEAD' && !BODYLESS_STATUSES.includes(status);
+
+  return {
+    status,
+    headers: {
+      ...buildResponseHeaders(response, { ...context, body: value }),
+      ...(withBody ? { 'Content-Type': mediaType } : {})
+    },
+    body: withBody ? serializeBody(value, mediaType, media.schema) : ''
+  };
+}
+
+/**
+ * Answer one request
+ * @param {Array} routes - Result of createMockRoutes
+ * @param {Object} request - { method, url (path and query), headers (lowercase names), body: string }
+ * @param {Object} options - { api, seed }
+ * @returns {Object} { status, headers, body, errors? } where errors are the request's validation errors
+ */
+export function handleMockRequest(routes, request, options = {}) {
+  const method = request.method.toUpperCase();
+  const url = new URL(request.url, 'http://mock.local');
+  const matched = matchMockRoute(routes, method, url.pathname);
+
+  if (!matched) {
+    return problemResponse(404, 'Not Found', `No operation matches ${method} ${url.pathname}`);
+  }
+  if (!matched.route) {
+    if (method === 'OPTIONS') {
+      // CORS preflight
+      return {
+        status: 204,
+        headers: {
+          'Access-Control-Allow-Methods': matched.allowed.join(', '),
+          'Access-Control-Allow-Headers': request.headers['access-control-request-headers'] || '*'
+        },
+        body: ''
+      };
+    }
+    const response = problemResponse(405, 'Method Not Allowed', `${method} is not documented for ${url.pathname}`);
+    response.headers.Allow = matched.allowed.join(', ');
+    return response;
+  }
+
+  const { endpoint } = matched.route;
+  const context = {
+    endpoint,
+    method,
+    pathname: url.pathname,
+    headers: request.headers,
+    prefer: parsePreferHeader(request.headers.prefer),
+    options
+  };
+
+  const errors = validateMockRequest(endpoint, {
+    pathParams: matched.pathParams,
+    query: url.searchParams,
+    headers: request.headers,
+    body: request.body
+  });
+  if (errors.length > 0) {
+    const { statuses, documented } = getRejectionStatuses(endpoint.responses);
+    const key = documented ? Object.keys(endpoint.responses).find(candidate => candidate.toUpperCase() === statuses[0]) : null;
+    const response = key
+      ? documentedResponse(endpoint, key, statusForKey(key), context)
+      : problemResponse(400, 'Bad Request', 'The request does not match the spec', { errors });
+    return { ...response, errors };
+  }
+
+  if (context.prefer.code) {
+    if (!/^[1-5]\d\d$/.test(context.prefer.code)) {
+      return problemResponse(400, 'Bad Request', `Prefer code=${context.prefer.code} is not an HTTP status code`);
+    }
+    const key = findResponseKey(endpoint.responses, context.prefer.code);
+    if (!key) {
+      return problemResponse(400, 'Bad Request', `Status ${context.prefer.code} is not documented for ${method} ${endpoint.path}`);
+    }
+    return documentedResponse(endpoint, key, statusForKey(key, context.prefer.code), context);
+  }
+
+  const key = defaultResponseKey(endpoint.responses);
+  return key
+    ? documentedResponse(endpoint, key, statusForKey(key), context)
+    : { status: 204, headers: {}, body: '' };
+}
+
+// ------------------------------------------------------------
+// Server
+// ------------------------------------------------------------
+
+/**
+ * Create the mock HTTP server for a spec (not listening yet)
+ * @param {Object} api - Parsed OpenAPI spec
+ * @param {Object} options - Options (seed for synthesized bodies)
+ * @returns {http.Server} Node HTTP server
+ */
+export function createMockServer(api, options = {}) {
+  const routes = createMockRoutes(api);
+
+  return http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const send = response => {
+        res.writeHead(response.status, {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Expose-Headers': '*',
+          ...response.headers
+        });
+        res.end(response.body);
+      };
+
+      // A failing request must not take the server down
+      try {
+        const response = handleMockRequest(routes, {
+          method: req.method,
+          url: req.url,
+          headers: req.headers,
+          body: Buffer.concat(chunks).toString('utf8')
+        }, { ...options, api });
+
+        const details = response.errors ? ` (${response.errors.map(error => `${error.in} ${error.name} ${error.message}`).join('; ')})` : '';
+        logger.info(`${req.method} ${req.url} -> ${response.status}${details}`);
+        send(response);
+      } catch (error) {
+        logger.error(`${req.method} ${req.url} failed: ${error.message}`);
+        if (res.headersSent) {
+          res.end();
+        } else {
+          send(problemResponse(500, 'Internal Server Error', error.message));
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Start the mock server
+ * @param {Object} api - Parsed OpenAPI spec
+ * @param {Object} options - { port (default DEFAULT_MOCK_PORT; 0 picks a free one), host (default 127.0.0.1), seed }
+ * @returns {Promise<http.Server>} Listening server
+ */
+export function startMockServer(api, options = {}) {
+  const { port = DEFAULT_MOCK_PORT, host = '127.0.0.1', ...serverOptions } = options;
+  const server = createMockServer(api, serverOptions);
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+export default {
+  DEFAULT_MOCK_PORT,
+  createMockRoutes,
+  matchMockRoute,
+  validateMockRequest,
+  parsePreferHeader,
+  handleMockRequest,
+  createMockServer,
+  startMockServer
+};
@@ -0,0 +1,372 @@
+#!/usr/bin/env node
+
+/**
+ * Negative Test Generator
+ *
+ * Builds a "Negative Tests" folder with deliberately invalid requests for
+ * each operation: a missing required field, a wrong type, an out-of-range
+ * value, a pattern violation and an unknown enum value. Each item starts
+ * from the valid example request, breaks exactly one field, and asserts
+ * the API rejects it with the documented 400/422 response.
+ */
+
+import { extractEndpoints, buildRequestBodyExample, getExample } from './parser.js';
+import { BodyKind, getBodyKind, selectMediaType } from './request-body-builder.js';
+import { mergeAllOf } from './example-synthesizer.js';
+import { DEFAULT_DATA_SEED } from './fake-data.js';
+import { buildRequestUrl } from './request-url.js';
+import { generateResponseContractScript, TestLevel } from './test-generator.js';
+import { filterTestedEndpoints } from './test-settings.js';
+
+/**
+ * Name of the generated folder
+ */
+export const NEGATIVE_TESTS_FOLDER_NAME = 'Negative Tests';
+
+/**
+ * Kinds of invalid request, in generation order
+ */
+export const NegativeCase = {
+  MISSING_REQUIRED: 'missing-required',
+  WRONG_TYPE: 'wrong-type',
+  OUT_OF_RANGE: 'out-of-range',
+  PATTERN_VIOLATION: 'pattern-violation',
+  UNKNOWN_ENUM: 'unknown-enum'
+};
+
+/**
+ * Statuses accepted as a rejection when the operation documents none
+ */
+const DEFAULT_REJECTION_STATUSES = ['400', '422'];
+
+/**
+ * Strings tried, in order, until one does not match a pattern
+ */
+const PATTERN_VIOLATIONS = ['!', '', ' ', '~not valid~', '0'];
+
+/**
+ * Get the statuses an operation documents for rejected requests
+ * 400, 422 and the 4XX range count; without any, 400 or 422 is expected.
+ * @param {Object} responses - Operation responses
+ * @returns {{statuses: Array<string>, documented: boolean}} Status keys
+ */
+export function getRejectionStatuses(responses = {}) {
+  const statuses = Object.keys(responses)
+    .map(status => status.toUpperCase())
+    .filter(status => ['400', '422', '4XX'].includes(status));
+
+  return statuses.length > 0
+    ? { statuses, documented: true }
+    : { statuses: DEFAULT_REJECTION_STATUSES, documented: false };
+}
+
+/**
+ * Collect the fields an invalid value can be put into
+ * Body fields come first (depth-first, only where the valid body has a
+ * value to replace), then query and path parameters.
+ * @param {Object} endpoint - Endpoint object from parser
+ * @param {*} body - Valid JSON body (or undefined)
+ * @param {Object} bodySchema - JSON body schema (or undefined)
+ * @returns {Array} [{ in, name, path, schema, required }]
+ */
+function collectFields(endpoint, body, bodySchema) {
+  const fields = [];
+
+  const walk = (schema, value, path) => {
+    const flat = schema?.allOf ? mergeAllOf(schema) : schema;
+    if (!flat?.properties || !isPlainObject(value)) return;
+
+    for (const [name, propSchema] of Object.entries(flat.properties)) {
+      if (!propSchema || propSchema.readOnly) continue;
+      const fieldPath = [...path, name];
+      const required = (flat.required || []).includes(name);
+
+      // Optional fields the example left out are added with the bad value
+      fields.push({ in: 'body', name: fieldPath.join('.'), path: fieldPath, schema: flatten(propSchema), required });
+      walk(propSchema, value[name], fieldPath);
+    }
+  };
+  walk(bodySchema, body, []);
+
+  for (const param of endpoint.parameters || []) {
+    if (!['query', 'path'].includes(param.in) || !param.schema) continue;
+    fields.push({
+      in: param.in,
+      name: param.name,
+      path: [param.name],
+      schema: flatten(param.schema),
+      required: param.in === 'path' || param.required === true
+    });
+  }
+
+  return fields;
+}
+
+function flatten(schema) {
+  return schema.allOf ? mergeAllOf(schema) : schema;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function schemaType(schema) {
+  return Array.isArray(schema.type) ? schema.type.find(type => type !== 'null') : schema.type;
+}
+
+/**
+ * Pick an invalid value for a field
+ * Query and path parameters travel as strings, so a wrong type is only
+ * possible for numeric and boolean ones.
+ * @param {string} kind - NegativeCase value
+ * @param {Object} field - Field from collectFields
+ * @returns {{value: *, reason: string}|null} Invalid value, null if the field cannot violate this rule
+ */
+function invalidValueFor(kind, field) {
+  const { schema } = field;
+  const type = schemaType(schema);
+
+  switch (kind) {
+    case NegativeCase.MISSING_REQUIRED:
+      // Path parameters cannot be left out of the URL
+      return field.required && field.in !== 'path' ? { value: undefined, reason: 'is missing' } : null;
+
+    case NegativeCase.WRONG_TYPE: {
+      const wrong = {
+        string: 12345,
+        integer: 'not-a-number',
+        number: 'not-a-number',
+        boolean: 'not-a-boolean',
+        array: 'not-an-array',
+        object: 'not-an-object'
+      };
+      if (!(type in wrong) || (field.in !== 'body' && !['integer', 'number', 'boolean'].includes(type))) return null;
+      return { value: wrong[type], reason: `is not ${type === 'integer' ? 'an' : 'a'} ${type}` };
+    }
+
+    case NegativeCase.OUT_OF_RANGE:
+      if (type === 'integer' || type === 'number') {
+        if (typeof schema.exclusiveMaximum === 'number') return { value: schema.exclusiveMaximum, reason: `is not below ${schema.exclusiveMaximum}` };
+        if (typeof schema.maximum === 'number') {
+          return schema.exclusiveMaximum === true
+            ? { value: schema.maximum, reason: `is not below ${schema.maximum}` }
+            : { value: schema.maximum + 1, reason: `is above the maximum ${schema.maximum}` };
+        }
+        if (typeof schema.exclusiveMinimum === 'number') return { value: schema.exclusiveMinimum, reason: `is not above ${schema.exclusiveMinimum}` };
+        if (typeof schema.minimum === 'number') {
+          return schema.exclusiveMinimum === true
+            ? { value: schema.minimum, reason: `is not above ${schema.minimum}` }
+            : { value: schema.minimum - 1, reason: `is below the minimum ${schema.minimum}` };
+        }
+      }
+      if (type === 'string' && !schema.enum) {
+        if (typeof schema.maxLength === 'number') return { value: 'x'.repeat(schema.maxLength + 1), reason: `is longer than ${schema.maxLength} characters` };
+        if (schema.minLength > 0) return { value: 'x'.repeat(schema.minLength - 1), reason: `is shorter than ${schema.minLength} characters` };
+      }
+      if (type === 'array' && field.in === 'body' && typeof schema.maxItems === 'number') {
+        return { value: Array(schema.maxItems + 1).fill(getExample(schema.items || {})), reason: `has more than ${schema.maxItems} items` };
+      }
+      return null;
+
+    case NegativeCase.PATTERN_VIOLATION: {
+      if (type !== 'string' || !schema.pattern || schema.enum) return null;
+      let regex;
+      try {
+        regex = new RegExp(schema.pattern, 'u');
+      } catch {
+        return null;
+      }
+      const value = PATTERN_VIOLATIONS.find(candidate => !regex.test(candidate));
+      return value === undefined ? null : { value, reason: `does not match ${schema.pattern}` };
+    }
+
+    case NegativeCase.UNKNOWN_ENUM: {
+      if (!Array.isArray(schema.enum) || schema.enum.length === 0) return null;
+      const numeric = schema.enum.every(value => typeof value === 'number');
+      let value = numeric ? Math.max(...schema.enum) + 1 : 'not-in-enum';
+      while (!numeric && schema.enum.includes(value)) value = `${value}-x`;
+      return { value, reason: 'is not one of the enum values' };
+    }
+
+    default:
+      return null;
+  }
+}
+
+function setPath(target, path, value) {
+  const parent = path.slice(0, -1).reduce((node, key) => {
+    if (!isPlainObject(node[key])) node[key] = {};
+    return node[key];
+  }, target);
+  const key = path[path.length - 1];
+
+  if (value === undefined) {
+    delete parent[key];
+  } else {
+    parent[key] = value;
+  }
+}
+
+/**
+ * Work out the invalid requests to send for an operation
+ * One case per NegativeCase, each breaking the first field it applies to;
+ * kinds that no field can violate are skipped.
+ * @param {Object} endpoint - Endpoint object from parser
+ * @param {Object} options - Options
+ * @param {number|string} options.seed - Seed for the valid example body (default: DEFAULT_DATA_SEED)
+ * @returns {Array} [{ kind, field, in, reason, body, query, pathValues }]
+ */
+export function generateNegativeCases(endpoint, options = {}) {
+  const seed = options.seed ?? DEFAULT_DATA_SEED;
+
+  // Only JSON bodies can be broken field by field
+  const mediaType = selectMediaType(endpoint.requestBody?.content);
+  const isJson = getBodyKind(mediaType) === BodyKind.JSON;
+  const body = isJson ? buildRequestBodyExample(endpoint.requestBody, { seed }) : undefined;
+  const bodySchema = isJson ? endpoint.requestBody.content[mediaType].schema : undefined;
+
+  const fields = collectFields(endpoint, body ?? undefined, bodySchema);
+  const cases = [];
+
+  for (const kind of Object.values(NegativeCase)) {
+    for (const field of fields) {
+      const invalid = invalidValueFor(kind, field);
+      if (!invalid) continue;
+
+      const negativeCase = { kind, field: field.name, in: field.in, reason: invalid.reason, query: {}, pathValues: {} };
+      if (field.in === 'body') {
+        negativeCase.body = structuredClone(body);
+        setPath(negativeCase.body, field.path, invalid.value);
+      } else if (invalid.value === undefined) {
+        // A missing required query parameter is simply not added
+        negativeCase.body = body ?? undefined;
+        negativeCase.omitted = field.name;
+      } else {
+        negativeCase.body = body ?? undefined;
+        const target = field.in === 'query' ? negativeCase.query : negativeCase.pathValues;
+        target[field.name] = String(invalid.value);
+      }
+
+      cases.push(negativeCase);
+      break;
+    }
+  }
+
+  return cases;
+}
+
+/**
+ * Generate the test script of a negative test item
+ * Asserts the rejection status, then validates the documented error
+ * response with the regular contract checks.
+ * @param {Object} endpoint - Endpoint object from parser
+ * @param {Object} negativeCase - Case from generateNegativeCases
+ * @returns {Array} Test script lines
+ */
+export function generateNegativeTestScript(endpoint, negativeCase) {
+  const { statuses, documented } = getRejectionStatuses(endpoint.responses);
+  const codes = statuses.filter(status => /^\d+$/.test(status)).map(Number);
+  const tests = [];
+
+  tests.push(`// Negative test for: ${endpoint.method} ${endpoint.path}`);
+  tests.push(`// ${negativeCase.in} field "${negativeCase.field}" ${negativeCase.reason}`);
+  tests.push('');
+
+  tests.push(`// The invalid request must be rejected`);
+  tests.push(`pm.test("Invalid request is rejected with ${statuses.join(' or ')}", function () {`);
+  if (statuses.includes('4XX')) {
+    tests.push(`    pm.expect(pm.response.code).to.be.within(400, 499);`);
+  } else {
+    tests.push(`    pm.expect(pm.response.code).to.be.oneOf([${codes.join(', ')}]);`);
+  }
+  tests.push(`});`);
+
+  if (documented) {
+    const rejections = Object.fromEntries(
+      Object.entries(endpoint.responses).filter(([status]) => statuses.includes(status.toUpperCase()))
+    );
+    tests.push('');
+    tests.push(...generateResponseContractScript(rejections));
+  }
+
+  return tests;
+}
+
+/**
+ * Build the Postman request item for one negative case
+ * The broken parameter is substituted into the URL; required query
+ * parameters keep a valid value unless they are the broken field.
+ * @param {Object} endpoint - Endpoint object from parser
+ * @param {Object} negativeCase - Case from generateNegativeCases
+ * @returns {Object} Postman collection item
+ */
+export function generateNegativeItem(endpoint, negativeCase) {
+  const request = {
+    method: endpoint.method,
+    header: [],
+    url: buildRequestUrl(endpoint, negativeCase),
+    description: `\`${negativeCase.field}\` (${negativeCase.in}) ${negativeCase.reason}; expects the documented rejection.`
+  };
+
+  if (negativeCase.body !== undefined) {
+    const mediaType = selectMediaType(endpoint.requestBody.content);
+    request.header.push({ key: 'Content-Type', value: mediaType });
+    request.body = { mode: 'raw', raw: JSON.stringify(negativeCase.body, null, 2), options: { raw: { language: 'json' } } };
+  }
+
+  return {
+    name: `${endpoint.name} - ${negativeCase.field} ${negativeCase.reason}`,
+    request,
+    event: [
+      {
+        listen: 'test',
+        script: {
+          type: 'text/javascript',
+          exec: generateNegativeTestScript(endpoint, negativeCase)
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Generate the "Negative Tests" folder for a spec
+ * One sub-folder per operation that has at least one field to break.
+ * @param {Object} api - Parsed OpenAPI spec
+ * @param {Object} options - Options (seed, rules: forwardSync.testRules)
+ * @returns {Object|null} Postman folder item, or null if nothing can be broken
+ */
+export function generateNegativeTestFolder(api, options = {}) {
+  const folders = [];
+
+  for (const endpoint of filterTestedEndpoints(extractEndpoints(api), TestLevel.NEGATIVE, options.rules)) {
+    const cases = generateNegativeCases(endpoint, options);
+    if (cases.length === 0) continue;
+
+    folders.push({
+      name: endpoint.name,
+      item: cases.map(negativeCase => generateNegativeItem(endpoint, negativeCase))
+    });
+  }
+
+  if (folders.length === 0) {
+    return null;
+  }
+
+  return {
+    name: NEGATIVE_TESTS_FOLDER_NAME,
+    description: `Invalid requests for ${api.info?.title || 'the API'}. ` +
+      'Each breaks one field of a valid request and expects the documented 400/422 response.',
+    item: folders
+  };
+}
+
+export default {
+  NEGATIVE_TESTS_FOLDER_NAME,
+  NegativeCase,
+  getRejectionStatuses,
+  generateNegativeCases,
+  generateNegativeTestScript,
+  generateNegativeItem,
+  generateNegativeTestFolder
+};
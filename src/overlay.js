@@ -0,0 +1,540 @@
+/**
+ * OpenAPI Overlay Support
+ *
+ * Applies OpenAPI Overlay 1.0 documents to a spec before it is validated
+ * and uploaded, so environment- or Postman-specific tweaks (extra examples,
+ * `x-` hints, hidden internal paths) can live outside the canonical spec.
+ *
+ * Targets use the JSONPath subset overlays need in practice: child and
+ * descendant segments, wildcards, indexes, unions and filter expressions
+ * (`[?@.x == 'y']`, `[?@.deprecated]`, `&&`, `||`, `!`).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { createLogger } from './logger.js';
+
+const logger = createLogger({ name: 'overlay' });
+
+/**
+ * Supported overlay specification versions (1.x)
+ */
+const SUPPORTED_OVERLAY_VERSION = /^1\.\d+\.\d+$/;
+
+/**
+ * Error raised for invalid overlays or JSONPath targets
+ */
+export class OverlayError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'OverlayError';
+    this.details = details;
+  }
+}
+
+// ------------------------------------------------------------
+// Loading
+// ------------------------------------------------------------
+
+/**
+ * Load and validate an overlay document (YAML or JSON)
+ * @param {string} overlayPath - Path to the overlay file
+ * @returns {Object} Overlay document
+ * @throws {OverlayError} If the file cannot be read or is not a valid overlay
+ */
+export function loadOverlay(overlayPath) {
+  let overlay;
+  try {
+    overlay = YAML.parse(fs.readFileSync(overlayPath, 'utf8'));
+  } catch (error) {
+    throw new OverlayError(`Failed to read overlay ${overlayPath}: ${error.message}`, { path: overlayPath });
+  }
+
+  validateOverlay(overlay, overlayPath);
+  return overlay;
+}
+
+/**
+ * Validate the structure of an overlay document
+ * @param {Object} overlay - Overlay document
+ * @param {string} source - Overlay path or label for error messages
+ * @throws {OverlayError} If the document is not an Overlay 1.x document
+ */
+export function validateOverlay(overlay, source = 'overlay') {
+  if (!overlay || typeof overlay !== 'object') {
+    throw new OverlayError(`Overlay ${source} is not an object`, { path: source });
+  }
+
+  if (!SUPPORTED_OVERLAY_VERSION.test(String(overlay.overlay || ''))) {
+    throw new OverlayError(
+      `Unsupported overlay version in ${source}: ${overlay.overlay ?? '(missing)'}. Supported: 1.x`,
+      { path: source }
+    );
+  }
+
+  if (!Array.isArray(overlay.actions) || overlay.actions.length === 0) {
+    throw new OverlayError(`Overlay ${source} must define at least one action`, { path: source });
+  }
+
+  overlay.actions.forEach((action, index) => {
+    if (typeof action?.target !== 'string' || !action.target.startsWith('$')) {
+      throw new OverlayError(`Action ${index} in ${source} needs a JSONPath target starting with $`, { path: source, action: index });
+    }
+    if (action.remove !== true && action.update === undefined) {
+      throw new OverlayError(`Action ${index} in ${source} needs either update or remove: true`, { path: source, action: index });
+    }
+  });
+}
+
+// ------------------------------------------------------------
+// Applying
+// ------------------------------------------------------------
+
+/**
+ * Apply one overlay to a document
+ * The input document is left untouched.
+ * @param {Object} document - OpenAPI document
+ * @param {Object} overlay - Overlay document
+ * @param {string} source - Overlay path or label for messages
+ * @returns {Object} Overlaid copy of the document
+ */
+export function applyOverlay(document, overlay, source = 'overlay') {
+  validateOverlay(overlay, source);
+  const result = structuredClone(document);
+
+  overlay.actions.forEach((action, index) => {
+    const targets = queryJsonPath(result, action.target);
+
+    if (targets.length === 0) {
+      logger.warn(`Overlay ${source} action ${index} matched nothing: ${action.target}`);
+      return;
+    }
+
+    if (action.remove === true) {
+      removeNodes(targets, action.target);
+      return;
+    }
+
+    for (const target of targets) {
+      if (Array.isArray(target.value)) {
+        target.value.push(structuredClone(action.update));
+      } else if (isPlainObject(target.value) && isPlainObject(action.update)) {
+        mergeInto(target.value, action.update);
+      } else {
+        throw new OverlayError(
+          `Overlay ${source} action ${index} targets a value that cannot be updated: ${action.target}`,
+          { path: source, action: index }
+        );
+      }
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Apply overlays in order
+ * @param {Object} document - OpenAPI document
+ * @param {Array<string|Object>} overlays - Overlay file paths or overlay documents
+ * @returns {Object} Overlaid copy of the document
+ */
+export function applyOverlays(document, overlays = []) {
+  return overlays.reduce((current, overlay, index) => {
+    const source = typeof overlay === 'string' ? overlay : `overlay #${index + 1}`;
+    const loaded = typeof overlay === 'string' ? loadOverlay(overlay) : overlay;
+    return applyOverlay(current, loaded, source);
+  }, document);
+}
+
+/**
+ * Serialize an overlaid document in the format of the original spec file
+ * @param {Object} document - OpenAPI document
+ * @param {string} specPath - Original spec path (its extension picks the format)
+ * @returns {string} YAML or JSON text
+ */
+export function serializeDocument(document, specPath) {
+  const extension = path.extname(String(specPath)).toLowerCase();
+  return extension === '.json'
+    ? JSON.stringify(document, null, 2)
+    : YAML.stringify(document);
+}
+
+/**
+ * Merge update properties into a target object: objects merge recursively,
+ * everything else (including arrays) replaces the existing value
+ */
+function mergeInto(target, update) {
+  for (const [key, value] of Object.entries(update)) {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value);
+    } else {
+      target[key] = structuredClone(value);
+    }
+  }
+}
+
+function removeNodes(targets, expression) {
+  // Remove array entries from the highest index down so earlier indexes stay valid
+  const ordered = [...targets].sort((a, b) =>
+    (typeof b.key === 'number' ? b.key : 0) - (typeof a.key === 'number' ? a.key : 0)
+  );
+
+  for (const target of ordered) {
+    if (target.parent === null) {
+      throw new OverlayError(`Cannot remove the document root: ${expression}`);
+    }
+    if (Array.isArray(target.parent)) {
+      target.parent.splice(target.key, 1);
+    } else {
+      delete target.parent[target.key];
+    }
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// ------------------------------------------------------------
+// JSONPath
+// ------------------------------------------------------------
+
+/**
+ * Select nodes with a JSONPath expression
+ * @param {Object} document - Document to query
+ * @param {string} expression - JSONPath expression starting with $
+ * @returns {Array} Matches as { value, parent, key } (parent is null for the root)
+ * @throws {OverlayError} If the expression is invalid or unsupported
+ */
+export function queryJsonPath(document, expression) {
+  const segments = parseJsonPath(expression, '$');
+  let nodes = [{ value: document, parent: null, key: null }];
+
+  for (const segment of segments) {
+    const next = [];
+    // Descendant segments and unions can reach the same node twice
+    const seen = new Map();
+
+    for (const node of nodes) {
+      const candidates = segment.descendant ? descendants(node) : [node];
+
+      for (const candidate of candidates) {
+        for (const selector of segment.selectors) {
+          for (const match of select(candidate.value, selector)) {
+            const keys = seen.get(match.parent) || new Set();
+            if (keys.has(match.key)) continue;
+            keys.add(match.key);
+            seen.set(match.parent, keys);
+            next.push(match);
+          }
+        }
+      }
+    }
+
+    nodes = next;
+  }
+
+  return nodes;
+}
+
+function children(value) {
+  if (Array.isArray(value)) {
+    return value.map((child, index) => ({ value: child, parent: value, key: index }));
+  }
+  if (isPlainObject(value)) {
+    return Object.entries(value).map(([key, child]) => ({ value: child, parent: value, key }));
+  }
+  return [];
+}
+
+function descendants(node) {
+  const result = [];
+  const visited = new Set();
+
+  const walk = current => {
+    if (current.value && typeof current.value === 'object') {
+      if (visited.has(current.value)) return;
+      visited.add(current.value);
+    }
+    result.push(current);
+    children(current.value).forEach(walk);
+  };
+
+  walk(node);
+  return result;
+}
+
+function select(value, selector) {
+  switch (selector.type) {
+    case 'name':
+      return isPlainObject(value) && Object.hasOwn(value, selector.name)
+        ? [{ value: value[selector.name], parent: value, key: selector.name }]
+        : [];
+    case 'index': {
+      if (!Array.isArray(value)) return [];
+      const index = selector.index < 0 ? value.length + selector.index : selector.index;
+      return index >= 0 && index < value.length ? [{ value: value[index], parent: value, key: index }] : [];
+    }
+    case 'wildcard':
+      return children(value);
+    case 'filter':
+      return children(value).filter(child => evaluateFilter(selector.expression, child.value));
+    default:
+      return [];
+  }
+}
+
+/**
+ * Parse a JSONPath expression into segments of selectors
+ */
+function parseJsonPath(expression, rootChar) {
+  const text = String(expression).trim();
+  if (text[0] !== rootChar) {
+    throw new OverlayError(`JSONPath must start with ${rootChar}: ${expression}`);
+  }
+
+  const segments = [];
+  let i = 1;
+
+  const readName = () => {
+    const match = /^[A-Za-z0-9_$\-@:]+/.exec(text.slice(i));
+    if (!match) throw new OverlayError(`Invalid JSONPath near position ${i}: ${expression}`);
+    i += match[0].length;
+    return match[0];
+  };
+
+  while (i < text.length) {
+    let descendant = false;
+
+    if (text.startsWith('..', i)) {
+      descendant = true;
+      i += 2;
+    } else if (text[i] === '.') {
+      i += 1;
+    } else if (text[i] !== '[') {
+      throw new OverlayError(`Invalid JSONPath near position ${i}: ${expression}`);
+    }
+
+    if (text[i] === '[') {
+      const end = findClosingBracket(text, i, expression);
+      segments.push({ descendant, selectors: parseBracket(text.slice(i + 1, end), expression) });
+      i = end + 1;
+    } else if (text[i] === '*') {
+      segments.push({ descendant, selectors: [{ type: 'wildcard' }] });
+      i += 1;
+    } else {
+      segments.push({ descendant, selectors: [{ type: 'name', name: readName() }] });
+    }
+  }
+
+  return segments;
+}
+
+function findClosingBracket(text, start, expression) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[') {
+      depth++;
+    } else if (char === ']' && --depth === 0) {
+      return i;
+    }
+  }
+
+  throw new OverlayError(`Unclosed bracket in JSONPath: ${expression}`);
+}
+
+function parseBracket(content, expression) {
+  const trimmed = content.trim();
+
+  if (trimmed.startsWith('?')) {
+    return [{ type: 'filter', expression: parseFilter(trimmed.slice(1).trim(), expression) }];
+  }
+
+  return splitTopLevel(trimmed, ',').map(part => {
+    const selector = part.trim();
+    if (selector === '*') return { type: 'wildcard' };
+    if (/^-?\d+$/.test(selector)) return { type: 'index', index: Number(selector) };
+
+    const literal = parseLiteral(selector);
+    if (typeof literal?.value === 'string') return { type: 'name', name: literal.value };
+
+    throw new OverlayError(`Unsupported JSONPath selector [${selector}] in ${expression}`);
+  });
+}
+
+/**
+ * Parse a filter into a tree of { op: 'or'|'and'|'not'|'exists'|'compare' }
+ */
+function parseFilter(text, expression) {
+  let body = text.trim();
+  while (body.startsWith('(') && matchingParen(body) === body.length - 1) {
+    body = body.slice(1, -1).trim();
+  }
+
+  const orParts = splitTopLevel(body, '||');
+  if (orParts.length > 1) {
+    return { op: 'or', terms: orParts.map(part => parseFilter(part, expression)) };
+  }
+
+  const andParts = splitTopLevel(body, '&&');
+  if (andParts.length > 1) {
+    return { op: 'and', terms: andParts.map(part => parseFilter(part, expression)) };
+  }
+
+  if (body.startsWith('!') && !body.startsWith('!=')) {
+    return { op: 'not', term: parseFilter(body.slice(1), expression) };
+  }
+
+  const comparison = /^(.+?)\s*(==|!=|<=|>=|<|>)\s*(.+)$/.exec(body);
+  if (comparison) {
+    return {
+      op: 'compare',
+      operator: comparison[2],
+      left: parseOperand(comparison[1].trim(), expression),
+      right: parseOperand(comparison[3].trim(), expression)
+    };
+  }
+
+  if (body.startsWith('@')) {
+    return { op: 'exists', path: parseJsonPath(body, '@') };
+  }
+
+  throw new OverlayError(`Unsupported JSONPath filter "${text}" in ${expression}`);
+}
+
+function parseOperand(text, expression) {
+  if (text.startsWith('@')) return { path: parseJsonPath(text, '@') };
+
+  const literal = parseLiteral(text);
+  if (!literal) throw new OverlayError(`Unsupported filter operand "${text}" in ${expression}`);
+  return literal;
+}
+
+function parseLiteral(text) {
+  if (/^'.*'$/s.test(text)) return { value: text.slice(1, -1).replace(/\\'/g, "'") };
+  if (/^".*"$/s.test(text)) return { value: JSON.parse(text) };
+  if (/^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(text)) return { value: Number(text) };
+  if (text === 'true' || text === 'false') return { value: text === 'true' };
+  if (text === 'null') return { value: null };
+  return null;
+}
+
+function evaluateFilter(filter, value) {
+  switch (filter.op) {
+    case 'or':
+      return filter.terms.some(term => evaluateFilter(term, value));
+    case 'and':
+      return filter.terms.every(term => evaluateFilter(term, value));
+    case 'not':
+      return !evaluateFilter(filter.term, value);
+    case 'exists':
+      return queryRelative(value, filter.path).length > 0;
+    case 'compare':
+      return compare(operandValue(filter.left, value), filter.operator, operandValue(filter.right, value));
+    default:
+      return false;
+  }
+}
+
+function queryRelative(value, segments) {
+  let nodes = [{ value, parent: null, key: null }];
+  for (const segment of segments) {
+    nodes = nodes.flatMap(node =>
+      (segment.descendant ? descendants(node) : [node])
+        .flatMap(candidate => segment.selectors.flatMap(selector => select(candidate.value, selector)))
+    );
+  }
+  return nodes;
+}
+
+function operandValue(operand, value) {
+  if (!operand.path) return operand.value;
+  const [match] = queryRelative(value, operand.path);
+  return match ? match.value : undefined;
+}
+
+function compare(left, operator, right) {
+  switch (operator) {
+    case '==': return isDeepEqual(left, right);
+    case '!=': return !isDeepEqual(left, right);
+    case '<': return typeof left === typeof right && left < right;
+    case '<=': return typeof left === typeof right && left <= right;
+    case '>': return typeof left === typeof right && left > right;
+    case '>=': return typeof left === typeof right && left >= right;
+    default: return false;
+  }
+}
+
+function isDeepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function matchingParen(text) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split on a separator outside quotes, brackets and parentheses
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (depth === 0 && text.startsWith(separator, i)) {
+      parts.push(text.slice(start, i));
+      i += separator.length - 1;
+      start = i + 1;
+    }
+  }
+
+  parts.push(text.slice(start));
+  return parts;
+}
+
+export default {
+  OverlayError,
+  loadOverlay,
+  validateOverlay,
+  applyOverlay,
+  applyOverlays,
+  serializeDocument,
+  queryJsonPath
+};
@@ -2,16 +2,25 @@
  * OpenAPI Parser Module
  *
  * Parses OpenAPI 3.0/3.1 specifications and extracts endpoints, schemas,
- * and metadata needed for test generation.
+ * and metadata needed for test generation. Swagger 2.0 documents are
+ * upgraded to an in-memory OpenAPI 3.0 model.
  */
 
 import SwaggerParser from '@apidevtools/swagger-parser';
 import YAML from 'yaml';
 import fs from 'fs';
 import path from 'path';
+import { isSwagger2, convertSwagger2ToOpenApi3 } from './swagger2-converter.js';
+import { synthesizeExample } from './example-synthesizer.js';
+import { selectMediaType, buildMediaTypeExample } from './request-body-builder.js';
+import { DEFAULT_DATA_SEED } from './fake-data.js';
+import { applyOverlays, OverlayError } from './overlay.js';
+import { SourceLocator, findBrokenRef, parseErrorPosition, formatSourceLocation } from './source-locations.js';
+import { createRemoteParserOptions, getRemoteFailure, isRemoteSpec, RemoteErrorCode } from './remote-loader.js';
 
 /**
  * Custom error class for parsing errors
+ * When the failing node is known, details carry { file, line, column, pointer }.
  */
 export class ParserError extends Error {
   constructor(message, code, details = {}) {
@@ -35,23 +44,53 @@ export const ParserErrorCode = {
   MISSING_INFO: 'MISSING_INFO',
   MISSING_PATHS: 'MISSING_PATHS',
   INVALID_REF: 'INVALID_REF',
+  INVALID_OVERLAY: 'INVALID_OVERLAY',
   CIRCULAR_REF: 'CIRCULAR_REF',
+  TIMEOUT: 'TIMEOUT',
+  REMOTE_FETCH_FAILED: 'REMOTE_FETCH_FAILED',
   PARSE_ERROR: 'PARSE_ERROR'
 };
 
+/**
+ * Parse modes for parseSpec
+ * - dereference: fully resolved spec (default)
+ * - bundle: resolved spec plus the bundled $ref graph and a source map
+ */
+export const ParseMode = {
+  DEREFERENCE: 'dereference',
+  BUNDLE: 'bundle'
+};
+
+/**
+ * Source locators for specs returned by parseSpec (api -> SourceLocator)
+ */
+const sourceLocators = new WeakMap();
+
 /**
  * Supported OpenAPI versions (3.0.x and 3.1.x)
  */
 const SUPPORTED_VERSIONS = /^3\.(0|1)\.\d+$/;
 
+/**
+ * Directories spec files may be read from when none are configured:
+ * the working directory and its parent (for monorepos)
+ * @returns {Array<string>} Absolute root directories
+ */
+export function getDefaultAllowedRoots() {
+  return [process.cwd(), path.resolve(process.cwd(), '..')];
+}
+
 /**
  * Validate that a spec file exists and is readable
  * @param {string} specPath - Path to spec file
- * @throws {ParserError} If file doesn't exist or isn't readable
+ * @param {string} label - File kind used in error messages
+ * @param {Array<string>} allowedRoots - Directories the file must live under
+ *   (relative entries resolve against the working directory)
+ * @throws {ParserError} If file doesn't exist, isn't readable or is outside allowedRoots
  */
-function validateFileExists(specPath) {
+function validateFileExists(specPath, label = 'Spec file', allowedRoots = getDefaultAllowedRoots()) {
   // Skip validation for URLs
-  if (specPath.startsWith('http://') || specPath.startsWith('https://')) {
+  if (isRemoteSpec(specPath)) {
     return;
   }
 
@@ -61,28 +100,26 @@ function validateFileExists(specPath) {
   // Check if file exists first (for better error messages)
   if (!fs.existsSync(normalizedPath)) {
     throw new ParserError(
-      `Spec file not found: ${specPath}`,
+      `${label} not found: ${specPath}`,
       ParserErrorCode.FILE_NOT_FOUND,
       { path: normalizedPath }
     );
   }
 
   // Path traversal protection: ensure path is within allowed directories
-  const allowedRoots = [
-    process.cwd(),
-    path.resolve(process.cwd(), '..'), // Allow parent for monorepos
-  ];
-
-  const isAllowed = allowedRoots.some(root =>
-    normalizedPath.startsWith(path.normalize(root) + path.sep) ||
-    normalizedPath === path.normalize(root)
+  const roots = allowedRoots.map(root => path.resolve(process.cwd(), root));
+  const isAllowed = roots.some(root =>
+    normalizedPath.startsWith(root + path.sep) ||
+    normalizedPath === root ||
+    root === path.parse(root).root
   );
 
   if (!isAllowed) {
     throw new ParserError(
-      `Path traversal detected: ${specPath} resolves outside allowed directories`,
+      `Path traversal detected: ${label.toLowerCase()} ${specPath} resolves outside allowed directories ` +
+      `(checked: ${roots.join(', ')}). Add its directory to allowedSpecRoots or pass --allowed-root.`,
       ParserErrorCode.FILE_NOT_READABLE,
-      { path: normalizedPath }
+      { path: normalizedPath, allowedRoots: roots }
     );
   }
 
@@ -90,7 +127,7 @@ function validateFileExists(specPath) {
     fs.accessSync(normalizedPath, fs.constants.R_OK);
   } catch (error) {
     throw new ParserError(
-      `Spec file not readable: ${specPath}`,
+      `${label} not readable: ${specPath}`,
       ParserErrorCode.FILE_NOT_READABLE,
       { path: normalizedPath, cause: error.message }
     );
@@ -103,18 +140,27 @@ function validateFileExists(specPath) {
  * @throws {ParserError} If version is missing or unsupported
  */
 function validateOpenApiVersion(api) {
+  if (!api.openapi && api.swagger) {
+    throw new ParserError(
+      `Unsupported Swagger version: ${api.swagger}. Supported versions: 2.0, 3.0.x and 3.1.x`,
+      ParserErrorCode.UNSUPPORTED_VERSION,
+      { version: api.swagger, supported: ['2.0', '3.0.x', '3.1.x'], pointer: '/swagger' }
+    );
+  }
+
   if (!api.openapi) {
     throw new ParserError(
       'Missing OpenAPI version. Spec must include "openapi" field (e.g., "3.0.3" or "3.1.0")',
-      ParserErrorCode.MISSING_OPENAPI_VERSION
+      ParserErrorCode.MISSING_OPENAPI_VERSION,
+      { pointer: '' }
     );
   }
 
   if (!SUPPORTED_VERSIONS.test(api.openapi)) {
     throw new ParserError(
-      `Unsupported OpenAPI version: ${api.openapi}. Supported versions: 3.0.x and 3.1.x`,
+      `Unsupported OpenAPI version: ${api.openapi}. Supported versions: 2.0, 3.0.x and 3.1.x`,
       ParserErrorCode.UNSUPPORTED_VERSION,
-      { version: api.openapi, supported: ['3.0.x', '3.1.x'] }
+      { version: api.openapi, supported: ['2.0', '3.0.x', '3.1.x'], pointer: '/openapi' }
     );
   }
 }
@@ -128,7 +174,8 @@ function validateRequiredFields(api) {
   if (!api.info) {
     throw new ParserError(
       'Missing required "info" object. OpenAPI spec must include info with title and version.',
-      ParserErrorCode.MISSING_INFO
+      ParserErrorCode.MISSING_INFO,
+      { pointer: '' }
     );
   }
 
@@ -136,7 +183,7 @@ function validateRequiredFields(api) {
     throw new ParserError(
       'Missing required "info.title" field.',
       ParserErrorCode.MISSING_INFO,
-      { field: 'info.title' }
+      { field: 'info.title', pointer: '/info' }
     );
   }
 
@@ -144,7 +191,7 @@ function validateRequiredFields(api) {
     throw new ParserError(
       'Missing required "info.version" field.',
       ParserErrorCode.MISSING_INFO,
-      { field: 'info.version' }
+      { field: 'info.version', pointer: '/info' }
     );
   }
 
@@ -154,6 +201,32 @@ function validateRequiredFields(api) {
   }
 }
 
+/**
+ * Absolute path of a local spec (URLs are returned as-is)
+ */
+function resolveSpecFile(specPath) {
+  return /^https?:\/\//.test(specPath) ? specPath : path.resolve(specPath);
+}
+
+/**
+ * Fill in file/line/column for errors that know the JSON pointer of the failing node
+ * @param {ParserError} error - Error with details.pointer
+ * @param {string} specPath - Path to spec file
+ * @returns {ParserError} The same error
+ */
+function withSourceLocation(error, specPath) {
+  if (error.details.pointer === undefined || error.details.line !== undefined) {
+    return error;
+  }
+
+  const location = new SourceLocator(resolveSpecFile(specPath)).locate(error.details.pointer);
+  if (location) {
+    Object.assign(error.details, { file: location.file, line: location.line, column: location.column });
+    error.message = `${error.message} (${formatSourceLocation(location)})`;
+  }
+  return error;
+}
+
 /**
  * Parse error message to provide more helpful information
  * @param {Error} error - Original error
@@ -162,31 +235,61 @@ function validateRequiredFields(api) {
  */
 function formatParseError(error, specPath) {
   const message = error.message || '';
+  const file = error.source || resolveSpecFile(specPath);
+
+  // Syntax errors report their position as (line:column)
+  const position = parseErrorPosition(message);
+  const syntaxLocation = position ? { file, ...position } : {};
+  const isJsonFile = /\.json$/i.test(file || '');
+
+  // Remote fetch failures (HTTP errors, timeouts, offline cache misses)
+  const remoteFailure = error.name === 'ResolverError' ? getRemoteFailure(file) : null;
+  if (remoteFailure) {
+    const code = remoteFailure.code === RemoteErrorCode.TIMEOUT ? ParserErrorCode.TIMEOUT : ParserErrorCode.REMOTE_FETCH_FAILED;
+    return new ParserError(
+      `Failed to load ${specPath}: ${remoteFailure.message}`,
+      code,
+      { cause: remoteFailure.message, ...remoteFailure.details }
+    );
+  }
 
   // YAML syntax errors
-  if (message.includes('YAMLException') || message.includes('YAML')) {
+  if (message.includes('YAMLException') || message.includes('YAML') || (error.code === 'EPARSER' && !isJsonFile)) {
     return new ParserError(
       `YAML syntax error in ${specPath}: ${message}`,
       ParserErrorCode.INVALID_YAML,
-      { cause: message }
+      { cause: message, ...syntaxLocation }
     );
   }
 
   // JSON syntax errors
-  if (message.includes('JSON') || message.includes('Unexpected token')) {
+  if (message.includes('JSON') || message.includes('Unexpected token') || error.code === 'EPARSER') {
     return new ParserError(
       `JSON syntax error in ${specPath}: ${message}`,
       ParserErrorCode.INVALID_JSON,
-      { cause: message }
+      { cause: message, ...syntaxLocation }
     );
   }
 
-  // Missing $ref targets
-  if (message.includes('$ref') || message.includes('reference')) {
+  // Version rejected by SwaggerParser (e.g. swagger: 1.2)
+  if (message.includes('Unrecognized Swagger version') || message.includes('Unsupported OpenAPI version')) {
     return new ParserError(
-      `Invalid reference in ${specPath}: ${message}. Check that all $ref targets exist.`,
+      `Unsupported version in ${specPath}: ${message}. Supported versions: 2.0, 3.0.x and 3.1.x`,
+      ParserErrorCode.UNSUPPORTED_VERSION,
+      { cause: message, supported: ['2.0', '3.0.x', '3.1.x'] }
+    );
+  }
+
+  // Missing $ref targets (point at the first $ref that cannot be resolved)
+  const isRefError = ['MissingPointerError', 'ResolverError'].includes(error.name);
+  if (isRefError || message.includes('$ref') || message.includes('reference')) {
+    const broken = isRefError && file && !/^https?:\/\//.test(file) ? findBrokenRef(file) : null;
+    const where = broken ? ` ($ref "${broken.ref}" at ${formatSourceLocation(broken)})` : '';
+
+    return new ParserError(
+      `Invalid reference in ${specPath}: ${message}${where}. Check that all $ref targets exist.`,
       ParserErrorCode.INVALID_REF,
-      { cause: message }
+      { cause: message, ...(broken || {}) }
     );
   }
 
@@ -206,40 +309,131 @@ function formatParseError(error, specPath) {
   );
 }
 
+/**
+ * Escape a key for use as a JSON pointer segment (RFC 6901)
+ * @param {string} key - Object key
+ * @returns {string} Escaped segment
+ */
+export function escapePointerSegment(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Resolve a $ref against the file that contains it
+ * @param {string} ref - $ref value
+ * @param {string} file - Absolute path or URL of the containing file
+ * @returns {{file: string, pointer: string}} Target file and JSON pointer
+ */
+function resolveRefTarget(ref, file) {
+  const hashIndex = ref.indexOf('#');
+  const refFile = hashIndex === -1 ? ref : ref.slice(0, hashIndex);
+  const pointer = hashIndex === -1 ? '' : decodeURIComponent(ref.slice(hashIndex + 1));
+
+  if (!refFile) {
+    return { file, pointer };
+  }
+
+  if (/^https?:\/\//.test(refFile) || /^https?:\/\//.test(file)) {
+    return { file: new URL(refFile, file).href, pointer };
+  }
+
+  return { file: path.resolve(path.dirname(file), refFile), pointer };
+}
+
+/**
+ * Build a source map from logical JSON pointers (in the resolved view of the
+ * spec) to the physical file and pointer that own them.
+ *
+ * Only $ref boundaries are recorded; any pointer below a boundary is owned by
+ * the same file, so lookups use the longest matching prefix.
+ * @param {string} specPath - Path to the root spec file
+ * @param {Object} parserOptions - SwaggerParser options (remote resolver)
+ * @returns {Promise<Object>} Map of logical pointer -> { file, pointer }
+ */
+async function buildSourceMap(specPath, parserOptions) {
+  const parser = new SwaggerParser();
+  const $refs = await parser.resolve(specPath, parserOptions);
+  const rootFile = $refs.paths()[0];
+  const sourceMap = { '': { file: rootFile, pointer: '' } };
+
+  const walk = (node, logicalPointer, file, physicalPointer, stack) => {
+    if (!node || typeof node !== 'object') return;
+
+    if (typeof node.$ref === 'string') {
+      const target = resolveRefTarget(node.$ref, file);
+      const key = target.pointer ? `${target.file}#${target.pointer}` : target.file;
+
+      // Circular reference - the owner is already recorded higher up
+      if (stack.has(key)) return;
+
+      let value;
+      try {
+        value = $refs.get(key);
+      } catch {
+        return;
+      }
+
+      sourceMap[logicalPointer] = { file: target.file, pointer: target.pointer };
+      stack.add(key);
+      walk(value, logicalPointer, target.file, target.pointer, stack);
+      stack.delete(key);
+      return;
+    }
+
+    for (const [key, child] of Object.entries(node)) {
+      const segment = escapePointerSegment(key);
+      walk(child, `${logicalPointer}/${segment}`, file, `${physicalPointer}/${segment}`, stack);
+    }
+  };
+
+  walk($refs.get(rootFile), '', rootFile, '', new Set([rootFile]));
+
+  return sourceMap;
+}
+
 /**
  * Parse an OpenAPI spec from file path or URL
  * @param {string} specPath - Path to spec file or URL
  * @param {Object} options - Parsing options
- * @param {number} options.timeout - Timeout for parsing (default: 30000ms)
+ * @param {number} options.timeout - Timeout for parsing, including remote fetches (default: 30000ms)
  * @param {boolean} options.validate - Whether to validate the spec (default: true)
+ * @param {string} options.mode - ParseMode.DEREFERENCE (default) or ParseMode.BUNDLE
+ * @param {Array<string|Object>} options.overlays - OpenAPI Overlay 1.0 files or documents,
+ *   applied in order to the root document before validation
+ * @param {Object} options.remote - Remote loading options for URLs:
+ *   { headers, timeout, cacheDir, offline } (see remote-loader.js)
+ * @param {Array<string>} options.allowedRoots - Directories local spec and overlay
+ *   files may be read from (default: working directory and its parent)
  * @returns {Promise<Object>} Parsed and dereferenced OpenAPI spec
+ *   (Swagger 2.0 input is returned as its OpenAPI 3.0 equivalent).
+ *   In bundle mode: { api, bundled, sourceMap } where api is the resolved
+ *   view, bundled keeps internal $refs, and sourceMap maps JSON pointers
+ *   to the file that owns them.
  */
 export async function parseSpec(specPath, options = {}) {
-  const { timeout = 30000, validate = true } = options;
+  const { timeout = 30000, validate = true, mode = ParseMode.DEREFERENCE, overlays = [], remote = {} } = options;
+  const allowedRoots = options.allowedRoots?.length ? options.allowedRoots : getDefaultAllowedRoots();
 
   // Validate file exists (for local files)
-  validateFileExists(specPath);
+  validateFileExists(specPath, 'Spec file', allowedRoots);
+  overlays
+    .filter(overlay => typeof overlay === 'string')
+    .forEach(overlayPath => validateFileExists(overlayPath, 'Overlay file', allowedRoots));
 
   try {
-    // Parse and dereference the spec (resolves $refs)
-    // SwaggerParser handles circular references gracefully
-    const api = await SwaggerParser.dereference(specPath, {
-      dereference: {
-        circular: 'ignore' // Handle circular refs by keeping them as-is
-      }
-    });
-
-    // Validate OpenAPI structure
-    if (validate) {
-      validateOpenApiVersion(api);
-      validateRequiredFields(api);
-    }
-
-    return api;
+    return await withTimeout(
+      parseSpecDocument(specPath, { validate, mode, overlays, remote: { timeout, ...remote } }),
+      timeout,
+      specPath
+    );
   } catch (error) {
-    // If it's already a ParserError, re-throw
+    // If it's already a ParserError, add its source location and re-throw
     if (error instanceof ParserError) {
-      throw error;
+      throw withSourceLocation(error, specPath);
+    }
+
+    if (error instanceof OverlayError) {
+      throw new ParserError(error.message, ParserErrorCode.INVALID_OVERLAY, error.details);
     }
 
     // Format and throw appropriate error
@@ -247,6 +441,241 @@ export async function parseSpec(specPath, options = {}) {
   }
 }
 
+/**
+ * Reject with a TIMEOUT ParserError if a parse takes longer than timeout ms
+ */
+async function withTimeout(promise, timeout, specPath) {
+  let timer;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new ParserError(
+      `Timed out after ${timeout}ms parsing ${specPath}`,
+      ParserErrorCode.TIMEOUT,
+      { timeout }
+    )), timeout);
+  });
+
+  try {
+    return await Promise.race([promise, expired]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Load, resolve and validate a spec (the body of parseSpec)
+ */
+async function parseSpecDocument(specPath, { validate, mode, overlays, remote }) {
+  const parserOptions = createRemoteParserOptions(specPath, remote);
+  const overlaid = overlays.length > 0 ? await loadSpecDocument(specPath, { overlays, remote }) : null;
+
+  // Parse and dereference the spec (resolves $refs)
+  // SwaggerParser handles circular references gracefully.
+  // Overlaid documents keep specPath as the base for relative $refs.
+  const dereferenceOptions = {
+    ...parserOptions,
+    dereference: {
+      circular: 'ignore' // Handle circular refs by keeping them as-is
+    }
+  };
+  let api = overlaid
+    ? await SwaggerParser.dereference(specPath, structuredClone(overlaid), dereferenceOptions)
+    : await SwaggerParser.dereference(specPath, dereferenceOptions);
+
+  // Upgrade Swagger 2.0 to OpenAPI 3.0 so downstream modules see one model
+  if (isSwagger2(api)) {
+    api = convertSwagger2ToOpenApi3(api);
+  }
+
+  // Validate OpenAPI structure
+  if (validate) {
+    validateOpenApiVersion(api);
+    validateRequiredFields(api);
+  }
+
+  // Remember where each node lives so endpoints can report file:line:column
+  const isRemote = isRemoteSpec(specPath);
+  const sourceMap = isRemote && mode !== ParseMode.BUNDLE ? null : await buildSourceMap(specPath, parserOptions);
+  if (!isRemote) {
+    sourceLocators.set(api, new SourceLocator(sourceMap[''].file, sourceMap));
+  }
+
+  if (mode === ParseMode.BUNDLE) {
+    const bundled = overlaid
+      // Options must be passed explicitly, or the document is read as options
+      ? await SwaggerParser.bundle(specPath, structuredClone(overlaid), parserOptions)
+      : await SwaggerParser.bundle(specPath, parserOptions);
+    return { api, bundled, sourceMap };
+  }
+
+  return api;
+}
+
+/**
+ * Get the file, line and column of a node in a spec returned by parseSpec
+ * Multi-file specs resolve to the file that owns the node.
+ * @param {Object} api - Spec returned by parseSpec
+ * @param {string} pointer - JSON pointer in the resolved spec
+ * @returns {{file: string, line: number, column: number, pointer: string}|null}
+ *   Location, or null when the spec was not loaded from a local file
+ */
+export function getSourceLocation(api, pointer) {
+  return sourceLocators.get(api)?.locate(pointer) || null;
+}
+
+/**
+ * Load the root document of a spec without resolving $refs, with overlays applied
+ * This is the view that is uploaded to Spec Hub.
+ * @param {string} specPath - Path to spec file or URL
+ * @param {Object} options - Options
+ * @param {Array<string|Object>} options.overlays - Overlay files or documents
+ * @param {Object} options.remote - Remote loading options for URLs (see parseSpec)
+ * @returns {Promise<Object>} Root document
+ */
+export async function loadSpecDocument(specPath, options = {}) {
+  const document = await SwaggerParser.parse(specPath, createRemoteParserOptions(specPath, options.remote));
+  return applyOverlays(document, options.overlays || []);
+}
+
+/**
+ * HTTP methods that can appear on an OpenAPI path item
+ */
+export const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'trace'];
+
+/**
+ * Endpoint kinds returned by the extractors
+ * - operation: request the API serves (paths)
+ * - webhook: request the API sends to subscribers (OAS 3.1 top-level webhooks)
+ * - callback: request the API sends back during an operation (callbacks)
+ */
+export const EndpointKind = {
+  OPERATION: 'operation',
+  WEBHOOK: 'webhook',
+  CALLBACK: 'callback'
+};
+
+/**
+ * Merge path-level and operation-level parameters
+ *
+ * A parameter is identified by name + location; an operation-level
+ * definition replaces the path-level one instead of duplicating it.
+ * @param {Array} pathParameters - Parameters from the path item
+ * @param {Array} operationParameters - Parameters from the operation
+ * @returns {Array} Effective parameter list
+ */
+export function mergeParameters(pathParameters = [], operationParameters = []) {
+  const merged = new Map();
+
+  for (const param of [...pathParameters, ...operationParameters]) {
+    if (!param) continue;
+    merged.set(`${param.in}:${param.name}`, param);
+  }
+
+  return [...merged.values()];
+}
+
+/**
+ * Resolve the servers that apply to an operation
+ * Operation-level servers win over path-level servers, which win over the root list.
+ * @param {Object} api - Parsed OpenAPI spec
+ * @param {Object} pathItem - Path item containing the operation
+ * @param {Object} operation - Operation object
+ * @returns {{ servers: Array, overridden: boolean }} Effective servers and whether they differ from the root
+ */
+export function resolveServers(api, pathItem, operation) {
+  if (operation?.servers?.length > 0) {
+    return { servers: operation.servers, overridden: true };
+  }
+  if (pathItem?.servers?.length > 0) {
+    return { servers: pathItem.servers, overridden: true };
+  }
+  return { servers: api.servers || [], overridden: false };
+}
+
+/**
+ * Default value of a server variable (first enum entry if no default is declared)
+ * @param {Object} variable - Server variable object { default, enum }
+ * @returns {string} Default value
+ */
+export function getServerVariableDefault(variable) {
+  return String(variable?.default ?? variable?.enum?.[0] ?? '');
+}
+
+/**
+ * Substitute server variables in a server URL
+ * Declared variables take their value from `values`, falling back to the
+ * variable's default; undeclared {placeholders} are left as-is.
+ * @param {Object} server - Server object { url, variables }
+ * @param {Object} values - Variable name -> value overrides
+ * @returns {string} Expanded URL
+ */
+export function expandServerUrl(server, values = {}) {
+  const variables = server?.variables || {};
+  return (server?.url || '').replace(/\{([^{}]+)\}/g, (placeholder, name) => {
+    if (values[name] !== undefined) return String(values[name]);
+    return variables[name] ? getServerVariableDefault(variables[name]) : placeholder;
+  });
+}
+
+/**
+ * Server URL with declared variables turned into Postman {{variable}} references
+ * e.g. https://{region}.api.example.com -> https://{{region}}.api.example.com
+ * @param {Object} server - Server object { url, variables }
+ * @returns {string} Postman URL
+ */
+export function toPostmanServerUrl(server) {
+  const variables = server?.variables || {};
+  return (server?.url || '').replace(/\{([^{}]+)\}/g, (placeholder, name) =>
+    variables[name] ? `{{${name}}}` : placeholder
+  );
+}
+
+/**
+ * Get the path portion of a server URL (e.g. https://host/v2 -> /v2)
+ * @param {string} serverUrl - Server URL, possibly relative or templated
+ * @returns {string} Base path without trailing slash ('' for the root)
+ */
+export function getServerBasePath(serverUrl) {
+  const withoutOrigin = (serverUrl || '').replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '');
+  return withoutOrigin.replace(/\/+$/, '');
+}
+
+/**
+ * Build an endpoint object for one operation of a path item
+ * @param {Object} api - Parsed OpenAPI spec
+ * @param {string} pathStr - Path (or webhook name / callback expression)
+ * @param {Object} pathItem - Path item containing the operation
+ * @param {string} method - Lowercase HTTP method
+ * @param {Object} extra - Additional fields (kind, ...) plus pathItemPointer,
+ *   the JSON pointer of the path item
+ * @returns {Object} Endpoint object
+ */
+function buildEndpoint(api, pathStr, pathItem, method, { pathItemPointer, ...extra }) {
+  const operation = pathItem[method];
+  const { servers, overridden } = resolveServers(api, pathItem, operation);
+  const pointer = `${pathItemPointer}/${method}`;
+
+  return {
+    id: operation.operationId || `${method}_${pathStr.replace(/[^a-zA-Z0-9]/g, '_')}`,
+    name: operation.summary || operation.operationId || `${method.toUpperCase()} ${pathStr}`,
+    description: operation.description || '',
+    method: method.toUpperCase(),
+    path: pathStr,
+    tags: operation.tags || ['default'],
+    parameters: mergeParameters(pathItem.parameters, operation.parameters),
+    requestBody: operation.requestBody,
+    responses: operation.responses || {},
+    security: operation.security || api.security || [],
+    servers,
+    serverOverride: overridden,
+    ...extra,
+    // Where the operation is defined (JSON pointer and file:line:column)
+    pointer,
+    source: getSourceLocation(api, pointer),
+    // Store raw operation for advanced use cases
+    raw: operation
+  };
+}
+
 /**
  * Extract endpoints from parsed OpenAPI spec
  * @param {Object} api - Parsed OpenAPI spec
@@ -257,29 +686,68 @@ export function extractEndpoints(api) {
   const paths = api.paths || {};
 
   for (const [pathStr, pathItem] of Object.entries(paths)) {
-    // Skip parameters at path level for now
-    const methods = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
-    
-    for (const method of methods) {
-      const operation = pathItem[method];
-      if (!operation) continue;
-
-      const endpoint = {
-        id: operation.operationId || `${method}_${pathStr.replace(/[^a-zA-Z0-9]/g, '_')}`,
-        name: operation.summary || operation.operationId || `${method.toUpperCase()} ${pathStr}`,
-        description: operation.description || '',
-        method: method.toUpperCase(),
-        path: pathStr,
-        tags: operation.tags || ['default'],
-        parameters: [...(pathItem.parameters || []), ...(operation.parameters || [])],
-        requestBody: operation.requestBody,
-        responses: operation.responses || {},
-        security: operation.security || api.security || [],
-        // Store raw operation for advanced use cases
-        raw: operation
-      };
-
-      endpoints.push(endpoint);
+    for (const method of HTTP_METHODS) {
+      if (!pathItem[method]) continue;
+
+      endpoints.push(buildEndpoint(api, pathStr, pathItem, method, {
+        kind: EndpointKind.OPERATION,
+        pathItemPointer: `/paths/${escapePointerSegment(pathStr)}`
+      }));
+    }
+  }
+
+  return endpoints;
+}
+
+/**
+ * Extract outbound requests (webhooks and callbacks) from parsed OpenAPI spec
+ *
+ * Webhook endpoints use the webhook name as their path; callback endpoints
+ * use the callback's runtime expression (e.g. {$request.body#/callbackUrl}).
+ * @param {Object} api - Parsed OpenAPI spec
+ * @returns {Array} Array of endpoint objects with kind webhook or callback
+ */
+export function extractWebhookEndpoints(api) {
+  const endpoints = [];
+
+  for (const [webhookName, pathItem] of Object.entries(api.webhooks || {})) {
+    for (const method of HTTP_METHODS) {
+      if (!pathItem?.[method]) continue;
+
+      endpoints.push(buildEndpoint(api, webhookName, pathItem, method, {
+        kind: EndpointKind.WEBHOOK,
+        webhookName,
+        pathItemPointer: `/webhooks/${escapePointerSegment(webhookName)}`
+      }));
+    }
+  }
+
+  for (const operation of extractEndpoints(api)) {
+    const callbacks = operation.raw.callbacks || {};
+
+    for (const [callbackName, callback] of Object.entries(callbacks)) {
+      for (const [expression, pathItem] of Object.entries(callback || {})) {
+        for (const method of HTTP_METHODS) {
+          if (!pathItem?.[method]) continue;
+
+          const endpoint = buildEndpoint(api, expression, pathItem, method, {
+            kind: EndpointKind.CALLBACK,
+            callbackName,
+            parentOperationId: operation.id,
+            pathItemPointer: `${operation.pointer}/callbacks/${escapePointerSegment(callbackName)}/${escapePointerSegment(expression)}`
+          });
+
+          // Callbacks without an operationId get a name tied to their parent
+          if (!pathItem[method].operationId) {
+            endpoint.id = `${operation.id}_${callbackName}_${method}`;
+          }
+          if (!pathItem[method].summary) {
+            endpoint.name = `${callbackName} (${operation.name})`;
+          }
+
+          endpoints.push(endpoint);
+        }
+      }
     }
   }
 
@@ -351,71 +819,67 @@ export function getRequiredFields(schema) {
 /**
  * Get example value for a schema
  * @param {Object} schema - JSON Schema object
+ * @param {Object} options - Synthesis options (seed, direction, root); see synthesizeExample
  * @returns {*} Example value or undefined
  */
-export function getExample(schema) {
-  if (!schema) return undefined;
-  
-  // Direct example
-  if (schema.example !== undefined) {
-    return schema.example;
-  }
-
-  // Examples array
-  if (schema.examples && Array.isArray(schema.examples) && schema.examples.length > 0) {
-    return schema.examples[0];
-  }
-
-  // Generate simple example based on type
-  switch (schema.type) {
-    case 'string':
-      if (schema.enum && schema.enum.length > 0) {
-        return schema.enum[0];
-      }
-      if (schema.format === 'email') return 'user@example.com';
-      if (schema.format === 'date-time') return new Date().toISOString();
-      if (schema.format === 'date') return new Date().toISOString().split('T')[0];
-      if (schema.format === 'uuid') return '550e8400-e29b-41d4-a716-446655440000';
-      return 'string';
-    case 'integer':
-    case 'number':
-      return schema.minimum || 0;
-    case 'boolean':
-      return true;
-    case 'array':
-      return schema.items ? [getExample(schema.items)] : [];
-    case 'object':
-      if (schema.properties) {
-        const example = {};
-        for (const [key, propSchema] of Object.entries(schema.properties)) {
-          example[key] = getExample(propSchema);
-        }
-        return example;
-      }
-      return {};
-    default:
-      return undefined;
-  }
+export function getExample(schema, options = {}) {
+  return synthesizeExample(schema, options);
 }
 
 /**
  * Build a request body example from schema
+ *
+ * JSON is preferred; otherwise the first of form-urlencoded, multipart,
+ * XML and text/plain is used. JSON and form bodies yield an object of
+ * fields, XML and text bodies a string. readOnly properties are left out
+ * since clients do not send them.
  * @param {Object} requestBody - OpenAPI request body object
- * @returns {Object|null} Example body or null
+ * @param {Object} options - Synthesis options (seed, root); see synthesizeExample
+ * @returns {Object|string|null} Example body or null
  */
-export function buildRequestBodyExample(requestBody) {
+export function buildRequestBodyExample(requestBody, options = {}) {
   if (!requestBody || !requestBody.content) return null;
 
-  const jsonContent = requestBody.content['application/json'];
-  if (!jsonContent || !jsonContent.schema) return null;
+  const mediaType = selectMediaType(requestBody.content);
+  if (!mediaType) return null;
+
+  return buildMediaTypeExample(mediaType, requestBody.content[mediaType], options);
+}
 
-  // Use provided example if available
-  if (jsonContent.example) {
-    return jsonContent.example;
+/**
+ * Build several distinct request body examples that replay for the same seed
+ *
+ * The first payload honors documented examples; the rest are synthesized
+ * from the schema alone so they actually vary.
+ * @param {Object} requestBody - OpenAPI request body object
+ * @param {Object} options - { seed, count, root }
+ * @returns {Array} Example bodies (empty when there is no supported body)
+ */
+export function buildRequestBodyExamples(requestBody, options = {}) {
+  const { seed = DEFAULT_DATA_SEED, count = 1, ...rest } = options;
+  const payloads = [];
+
+  for (let i = 0; i < count; i++) {
+    const payload = i === 0
+      ? buildRequestBodyExample(requestBody, { ...rest, seed })
+      : buildRequestBodyExample(
+        stripMediaExample(requestBody),
+        { ...rest, seed: `${seed}:${i}`, useExamples: false }
+      );
+
+    if (payload === null || payload === undefined) break;
+    payloads.push(payload);
   }
 
-  // Generate from schema
-  return getExample(jsonContent.schema);
+  return payloads;
+}
+
+function stripMediaExample(requestBody) {
+  const mediaType = selectMediaType(requestBody?.content);
+  if (!mediaType) return requestBody;
+
+  const { example, examples, ...media } = requestBody.content[mediaType];
+  return { ...requestBody, content: { ...requestBody.content, [mediaType]: media } };
 }
 
 /**
@@ -429,25 +893,41 @@ export function convertPathParams(path) {
 
 /**
  * Extract server/base URL from spec
+ * Server variables are expanded from their defaults.
  * @param {Object} api - Parsed OpenAPI spec
  * @returns {string} Base URL
  */
 export function getBaseUrl(api) {
   if (api.servers && api.servers.length > 0) {
-    return api.servers[0].url;
+    return expandServerUrl(api.servers[0]);
   }
   return 'https://api.example.com';
 }
 
 export default {
   parseSpec,
+  loadSpecDocument,
+  getDefaultAllowedRoots,
+  getSourceLocation,
   extractEndpoints,
+  extractWebhookEndpoints,
   getResponseSchema,
   getRequiredFields,
   getExample,
   buildRequestBodyExample,
+  buildRequestBodyExamples,
   convertPathParams,
   getBaseUrl,
+  getServerBasePath,
+  getServerVariableDefault,
+  expandServerUrl,
+  toPostmanServerUrl,
+  mergeParameters,
+  resolveServers,
+  escapePointerSegment,
+  EndpointKind,
+  HTTP_METHODS,
+  ParseMode,
   ParserError,
   ParserErrorCode
 };
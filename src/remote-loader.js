@@ -0,0 +1,244 @@
+/**
+ * Remote Spec Loader
+ *
+ * Fetches specs (and the files their $refs point to) over HTTP(S) for
+ * parseSpec. Adds what SwaggerParser's built-in resolver lacks:
+ * - configurable headers (e.g. a bearer token for an artifact server),
+ *   sent only to the origin of the root spec so tokens never leak to
+ *   third-party $ref hosts
+ * - a per-request timeout
+ * - an on-disk cache revalidated with ETag / Last-Modified
+ * - an offline mode that serves the last cached copy
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+
+const logger = createLogger({ name: 'remote-loader' });
+
+/**
+ * Last fetch failure per URL
+ * SwaggerParser replaces resolver errors with a generic "Error reading file",
+ * so parseSpec looks the original error up here.
+ */
+const lastFailures = new Map();
+
+/**
+ * Default on-disk cache directory (relative to the working directory)
+ */
+export const DEFAULT_CACHE_DIR = '.spec-cache';
+
+/**
+ * Default per-request timeout in milliseconds
+ */
+export const DEFAULT_REMOTE_TIMEOUT = 30000;
+
+/**
+ * Error codes for remote loading errors
+ */
+export const RemoteErrorCode = {
+  TIMEOUT: 'TIMEOUT',
+  FETCH_FAILED: 'REMOTE_FETCH_FAILED',
+  NOT_CACHED: 'REMOTE_NOT_CACHED'
+};
+
+/**
+ * Error raised when a remote file cannot be fetched
+ */
+export class RemoteSpecError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'RemoteSpecError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Check whether a spec path is an HTTP(S) URL
+ * @param {string} specPath - Spec path or URL
+ * @returns {boolean} True for remote specs
+ */
+export function isRemoteSpec(specPath) {
+  return /^https?:\/\//i.test(String(specPath || ''));
+}
+
+/**
+ * Expand ${VAR} references in a string from process.env
+ * Unset variables expand to an empty string.
+ * @param {string} value - Value to expand
+ * @returns {string} Expanded value
+ */
+export function expandEnvVars(value) {
+  return String(value).replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => process.env[name] ?? '');
+}
+
+/**
+ * Paths of the cached body and metadata for a URL
+ * @param {string} url - Remote URL
+ * @param {string} cacheDir - Cache directory
+ * @returns {{body: string, meta: string}} File paths
+ */
+export function getCachePaths(url, cacheDir = DEFAULT_CACHE_DIR) {
+  const key = crypto.createHash('sha256').update(url).digest('hex').slice(0, 32);
+  return {
+    body: path.join(cacheDir, `${key}.body`),
+    meta: path.join(cacheDir, `${key}.json`)
+  };
+}
+
+function readCache(url, cacheDir) {
+  const paths = getCachePaths(url, cacheDir);
+  if (!fs.existsSync(paths.body) || !fs.existsSync(paths.meta)) {
+    return null;
+  }
+
+  try {
+    return {
+      body: fs.readFileSync(paths.body, 'utf8'),
+      meta: JSON.parse(fs.readFileSync(paths.meta, 'utf8'))
+    };
+  } catch {
+    return null;
+  }
+}
+
+function writeCache(url, cacheDir, body, response) {
+  const paths = getCachePaths(url, cacheDir);
+
+  try {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(paths.body, body);
+    fs.writeFileSync(paths.meta, JSON.stringify({
+      url,
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      fetchedAt: new Date().toISOString()
+    }, null, 2));
+  } catch (error) {
+    // A read-only cache must not break loading
+    logger.warn(`Could not cache ${url}: ${error.message}`);
+  }
+}
+
+/**
+ * Fetch a remote file, using and refreshing the on-disk cache
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Loader options
+ * @param {Object} options.headers - Request headers (values may use ${ENV_VAR})
+ * @param {number} options.timeout - Request timeout in ms
+ * @param {string|false} options.cacheDir - Cache directory, or false to disable caching
+ * @param {boolean} options.offline - Serve the cached copy without touching the network
+ * @returns {Promise<string>} File contents
+ * @throws {RemoteSpecError} On HTTP errors, timeouts, or a cache miss in offline mode
+ */
+export async function fetchRemote(url, options = {}) {
+  const {
+    headers = {},
+    timeout = DEFAULT_REMOTE_TIMEOUT,
+    cacheDir = DEFAULT_CACHE_DIR,
+    offline = false
+  } = options;
+
+  const cached = cacheDir ? readCache(url, cacheDir) : null;
+
+  if (offline) {
+    if (!cached) {
+      throw new RemoteSpecError(`Offline mode: no cached copy of ${url}`, RemoteErrorCode.NOT_CACHED, { url });
+    }
+    return cached.body;
+  }
+
+  const requestHeaders = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name, expandEnvVars(value)])
+  );
+  if (cached?.meta.etag) requestHeaders['If-None-Match'] = cached.meta.etag;
+  if (cached?.meta.lastModified) requestHeaders['If-Modified-Since'] = cached.meta.lastModified;
+
+  let response;
+  try {
+    response = await fetch(url, { headers: requestHeaders, signal: AbortSignal.timeout(timeout) });
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+    throw new RemoteSpecError(
+      timedOut ? `Timed out after ${timeout}ms fetching ${url}` : `Failed to fetch ${url}: ${error.cause?.message || error.message}`,
+      timedOut ? RemoteErrorCode.TIMEOUT : RemoteErrorCode.FETCH_FAILED,
+      { url }
+    );
+  }
+
+  if (response.status === 304 && cached) {
+    logger.debug(`Not modified, using cached copy: ${url}`);
+    return cached.body;
+  }
+
+  if (!response.ok) {
+    throw new RemoteSpecError(`HTTP ${response.status} fetching ${url}`, RemoteErrorCode.FETCH_FAILED, {
+      url,
+      status: response.status
+    });
+  }
+
+  const body = await response.text();
+  if (cacheDir) {
+    writeCache(url, cacheDir, body, response);
+  }
+  return body;
+}
+
+/**
+ * Get the error from the last failed fetch of a URL
+ * @param {string} url - Remote URL
+ * @returns {RemoteSpecError|null} Error, or null if the last fetch succeeded
+ */
+export function getRemoteFailure(url) {
+  return lastFailures.get(url) || null;
+}
+
+/**
+ * Build SwaggerParser options that route HTTP(S) reads through fetchRemote
+ * Headers are only sent to the origin of the root spec.
+ * @param {string} specPath - Root spec path or URL
+ * @param {Object} options - Loader options (see fetchRemote)
+ * @returns {Object} Options for SwaggerParser.parse/dereference/bundle/resolve
+ */
+export function createRemoteParserOptions(specPath, options = {}) {
+  const rootOrigin = isRemoteSpec(specPath) ? new URL(specPath).origin : null;
+
+  return {
+    resolve: {
+      http: {
+        order: 200,
+        canRead: file => isRemoteSpec(file.url),
+        read: async file => {
+          try {
+            const body = await fetchRemote(file.url, {
+              ...options,
+              headers: new URL(file.url).origin === rootOrigin ? options.headers : {}
+            });
+            lastFailures.delete(file.url);
+            return body;
+          } catch (error) {
+            lastFailures.set(file.url, error);
+            throw error;
+          }
+        }
+      }
+    }
+  };
+}
+
+export default {
+  DEFAULT_CACHE_DIR,
+  DEFAULT_REMOTE_TIMEOUT,
+  RemoteErrorCode,
+  RemoteSpecError,
+  isRemoteSpec,
+  expandEnvVars,
+  getCachePaths,
+  fetchRemote,
+  getRemoteFailure,
+  createRemoteParserOptions
+};
@@ -0,0 +1,321 @@
+/**
+ * Request Body Builder
+ *
+ * Turns an OpenAPI requestBody into an example value and a Postman body for
+ * the media types generated collections need: JSON, form-urlencoded,
+ * multipart/form-data (file parts and per-part `encoding`), XML (honoring
+ * `xml` schema hints) and plain text. Each media type maps to the matching
+ * Postman body mode (raw, urlencoded, formdata).
+ */
+
+import { synthesizeExample, ExampleDirection } from './example-synthesizer.js';
+
+/**
+ * Families of supported request media types
+ */
+export const BodyKind = {
+  JSON: 'json',
+  URLENCODED: 'urlencoded',
+  MULTIPART: 'multipart',
+  XML: 'xml',
+  TEXT: 'text'
+};
+
+/**
+ * Preference order when a request body offers several media types
+ */
+const KIND_PREFERENCE = [BodyKind.JSON, BodyKind.URLENCODED, BodyKind.MULTIPART, BodyKind.XML, BodyKind.TEXT];
+
+/**
+ * Content types sent as text parts in multipart bodies (other encodings become file parts)
+ */
+const TEXT_PART_TYPES = /^(text\/|application\/(json|xml|x-www-form-urlencoded)|[^/]+\/[^;]*\+(json|xml))/;
+
+/**
+ * Classify a media type
+ * @param {string} mediaType - Media type (parameters are ignored)
+ * @returns {string|null} BodyKind value, or null if unsupported
+ */
+export function getBodyKind(mediaType) {
+  const type = String(mediaType || '').split(';')[0].trim().toLowerCase();
+
+  if (type === 'application/json' || type.endsWith('+json')) return BodyKind.JSON;
+  if (type === 'application/x-www-form-urlencoded') return BodyKind.URLENCODED;
+  if (type === 'multipart/form-data') return BodyKind.MULTIPART;
+  if (type === 'application/xml' || type === 'text/xml' || type.endsWith('+xml')) return BodyKind.XML;
+  if (type === 'text/plain') return BodyKind.TEXT;
+  return null;
+}
+
+/**
+ * Pick the media type to generate from a requestBody content map
+ * @param {Object} content - requestBody.content
+ * @returns {string|null} Media type key, or null if none is supported
+ */
+export function selectMediaType(content) {
+  const mediaTypes = Object.keys(content || {});
+
+  for (const kind of KIND_PREFERENCE) {
+    const match = mediaTypes.find(mediaType => getBodyKind(mediaType) === kind);
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Build the example value for one media type
+ * JSON and form bodies yield an object, XML and text bodies a string.
+ * @param {string} mediaType - Media type key
+ * @param {Object} media - Media type object ({ schema, example, examples, encoding })
+ * @param {Object} options - Synthesis options (seed, root, useExamples)
+ * @returns {*} Example value, or null when nothing can be built
+ */
+export function buildMediaTypeExample(mediaType, media, options = {}) {
+  const kind = getBodyKind(mediaType);
+  if (!kind || !media) return null;
+
+  const documented = options.useExamples === false ? undefined : documentedExample(media);
+  const synthesize = () => media.schema
+    ? synthesizeExample(media.schema, { ...options, direction: ExampleDirection.REQUEST })
+    : undefined;
+
+  if (kind === BodyKind.XML) {
+    if (typeof documented === 'string') return documented;
+    const value = documented ?? synthesize();
+    return value === undefined ? null : toXml(value, media.schema, options.rootName);
+  }
+
+  if (kind === BodyKind.TEXT) {
+    const value = documented ?? synthesize();
+    if (value === undefined || value === null) return null;
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  if (kind === BodyKind.JSON && !media.schema) return null;
+
+  const value = documented ?? synthesize();
+  return value === undefined ? null : value;
+}
+
+function documentedExample(media) {
+  if (media.example !== undefined) return media.example;
+
+  const [first] = Object.values(media.examples || {});
+  return first?.value;
+}
+
+/**
+ * Build a Postman request body for an OpenAPI requestBody
+ * @param {Object} requestBody - OpenAPI request body object
+ * @param {Object} options - Synthesis options (seed, root, rootName)
+ * @returns {{ mediaType: string, body: Object }|null} Postman body and its media type
+ */
+export function buildPostmanBody(requestBody, options = {}) {
+  const mediaType = selectMediaType(requestBody?.content);
+  if (!mediaType) return null;
+
+  const media = requestBody.content[mediaType];
+  const value = buildMediaTypeExample(mediaType, media, options);
+  if (value === null || value === undefined) return null;
+
+  switch (getBodyKind(mediaType)) {
+    case BodyKind.JSON:
+      return { mediaType, body: rawBody(JSON.stringify(value, null, 2), 'json') };
+    case BodyKind.XML:
+      return { mediaType, body: rawBody(value, 'xml') };
+    case BodyKind.TEXT:
+      return { mediaType, body: rawBody(value, 'text') };
+    case BodyKind.URLENCODED:
+      return { mediaType, body: { mode: 'urlencoded', urlencoded: buildUrlencodedFields(value, media) } };
+    case BodyKind.MULTIPART:
+      return { mediaType, body: { mode: 'formdata', formdata: buildFormDataParts(value, media) } };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Set a generated body on a Postman request, with its Content-Type header
+ * Postman sets the multipart boundary itself, so only other types declare one.
+ * @param {Object} request - Postman request with a header array
+ * @param {{ mediaType: string, body: Object }|null} generated - From buildPostmanBody
+ * @returns {Object} The request
+ */
+export function applyPostmanBody(request, generated) {
+  if (!generated) return request;
+
+  if (generated.body.mode !== 'formdata') {
+    request.header.push({ key: 'Content-Type', value: generated.mediaType });
+  }
+  request.body = generated.body;
+  return request;
+}
+
+function rawBody(raw, language) {
+  return { mode: 'raw', raw, options: { raw: { language } } };
+}
+
+// ------------------------------------------------------------
+// Forms
+// ------------------------------------------------------------
+
+/**
+ * Stringify a form field value
+ */
+function formValue(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Build urlencoded fields; arrays follow the encoding's style/explode
+ * (form + explode by default, so each item becomes its own field)
+ */
+function buildUrlencodedFields(value, media) {
+  const fields = [];
+
+  for (const [key, fieldValue] of Object.entries(asObject(value))) {
+    const encoding = media.encoding?.[key] || {};
+    const explode = encoding.explode ?? (encoding.style ?? 'form') === 'form';
+
+    if (Array.isArray(fieldValue) && explode) {
+      for (const item of fieldValue) {
+        fields.push({ key, value: formValue(item), type: 'text' });
+      }
+    } else if (Array.isArray(fieldValue)) {
+      const separator = { spaceDelimited: ' ', pipeDelimited: '|' }[encoding.style] || ',';
+      fields.push({ key, value: fieldValue.map(formValue).join(separator), type: 'text' });
+    } else {
+      fields.push({ key, value: formValue(fieldValue), type: 'text' });
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Build multipart parts: binary properties become file parts with an empty
+ * src for the user to fill in, others become text parts carrying their
+ * encoding contentType when one is declared
+ */
+function buildFormDataParts(value, media) {
+  const parts = [];
+  const properties = media.schema?.properties || {};
+
+  for (const [key, fieldValue] of Object.entries(asObject(value))) {
+    const propSchema = properties[key] || {};
+    const encoding = media.encoding?.[key] || {};
+    const itemSchema = propSchema.type === 'array' ? propSchema.items || {} : propSchema;
+
+    if (isFilePart(itemSchema, encoding)) {
+      parts.push({
+        key,
+        type: 'file',
+        src: [],
+        description: `File upload placeholder${encoding.contentType ? ` (${encoding.contentType})` : ''}`
+      });
+      continue;
+    }
+
+    const items = Array.isArray(fieldValue) && encoding.contentType === undefined ? fieldValue : [fieldValue];
+    for (const item of items) {
+      const part = { key, value: formValue(item), type: 'text' };
+      if (encoding.contentType) part.contentType = encoding.contentType;
+      parts.push(part);
+    }
+  }
+
+  return parts;
+}
+
+function isFilePart(schema, encoding) {
+  if (schema.format === 'binary' || schema.format === 'base64') return true;
+  if (schema.contentMediaType || schema.contentEncoding) return true;
+  return Boolean(encoding.contentType) && !TEXT_PART_TYPES.test(encoding.contentType);
+}
+
+function asObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) ? value : {};
+}
+
+// ------------------------------------------------------------
+// XML
+// ------------------------------------------------------------
+
+/**
+ * Serialize an example value to XML using the schema's `xml` hints
+ * (name, namespace, prefix, attribute, wrapped)
+ * @param {*} value - Example value
+ * @param {Object} schema - Schema the value was built from
+ * @param {string} rootName - Root element name when the schema has no xml.name
+ * @returns {string} XML document
+ */
+export function toXml(value, schema = {}, rootName) {
+  const name = schema?.xml?.name || rootName || schema?.title || 'root';
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${xmlElement(name, value, schema || {}, 0, true)}`;
+}
+
+function xmlElement(name, value, schema, depth, isRoot = false) {
+  const indent = '  '.repeat(depth);
+  const xml = schema.xml || {};
+  const tag = xml.prefix ? `${xml.prefix}:${name}` : name;
+  const attributes = [];
+
+  if (xml.namespace) {
+    attributes.push(xml.prefix ? `xmlns:${xml.prefix}="${escapeXml(xml.namespace)}"` : `xmlns="${escapeXml(xml.namespace)}"`);
+  }
+
+  if (Array.isArray(value)) {
+    const itemSchema = schema.items || {};
+    const itemName = itemSchema.xml?.name || name;
+    const items = value.map(item => xmlElement(itemName, item, itemSchema, xml.wrapped ? depth + 1 : depth));
+
+    // Unwrapped arrays repeat the item element in place of the array element
+    if (!xml.wrapped && !isRoot) return items.join('\n');
+    return `${indent}<${[tag, ...attributes].join(' ')}>\n${items.join('\n')}\n${indent}</${tag}>`;
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const children = [];
+    const properties = schema.properties || {};
+
+    for (const [key, childValue] of Object.entries(value)) {
+      const childSchema = properties[key] || {};
+      const childName = childSchema.xml?.name || key;
+
+      if (childSchema.xml?.attribute) {
+        const attrName = childSchema.xml.prefix ? `${childSchema.xml.prefix}:${childName}` : childName;
+        attributes.push(`${attrName}="${escapeXml(formValue(childValue))}"`);
+      } else {
+        children.push(xmlElement(childName, childValue, childSchema, depth + 1));
+      }
+    }
+
+    const open = [tag, ...attributes].join(' ');
+    if (children.length === 0) return `${indent}<${open}/>`;
+    return `${indent}<${open}>\n${children.join('\n')}\n${indent}</${tag}>`;
+  }
+
+  const open = [tag, ...attributes].join(' ');
+  if (value === null || value === undefined) return `${indent}<${open}/>`;
+  return `${indent}<${open}>${escapeXml(String(value))}</${tag}>`;
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+export default {
+  BodyKind,
+  applyPostmanBody,
+  buildMediaTypeExample,
+  buildPostmanBody,
+  getBodyKind,
+  selectMediaType,
+  toXml
+};
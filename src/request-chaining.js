@@ -0,0 +1,404 @@
+#!/usr/bin/env node
+
+/**
+ * Request Chaining
+ *
+ * Works out which requests depend on values produced by others, so a
+ * collection run uses real IDs instead of environment placeholders:
+ * - OpenAPI links: response.links.<name> -> { operationId | operationRef,
+ *   parameters: { taskId: '$response.body#/id' } }
+ * - Create -> read heuristic: POST /tasks returning `id` (or `taskId`)
+ *   feeds {taskId} in /tasks/{taskId} and everything below it
+ *
+ * Producers get a test-script section that captures the values into
+ * collection variables; consumers get a pre-request script that applies
+ * them (falling back to the environment placeholder when the producer did
+ * not run), and requests are ordered producers first, deletes last.
+ */
+
+import { extractEndpoints, getResponseSchema } from './parser.js';
+import { parsePointer } from './source-locations.js';
+import { mergeAllOf } from './example-synthesizer.js';
+import { generateTestKeysForEndpoint } from './test-generator.js';
+
+/**
+ * Where a dependency was found
+ */
+export const ChainSource = {
+  LINK: 'link',
+  HEURISTIC: 'heuristic'
+};
+
+/**
+ * Parameter locations a link can target
+ */
+const LINK_LOCATIONS = ['path', 'query', 'header'];
+
+/**
+ * Find the endpoint a link points to
+ * @param {Array} endpoints - Endpoints from extractEndpoints
+ * @param {Object} link - Link object
+ * @returns {Object|null} Target endpoint (local operationRefs only)
+ */
+function findLinkTarget(endpoints, link) {
+  if (link.operationId) {
+    return endpoints.find(endpoint => endpoint.raw.operationId === link.operationId) || null;
+  }
+
+  if (typeof link.operationRef === 'string' && link.operationRef.startsWith('#/paths/')) {
+    const [, path, method] = parsePointer(link.operationRef);
+    return endpoints.find(endpoint => endpoint.path === path && endpoint.method === String(method).toUpperCase()) || null;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a link parameter name (optionally prefixed: path.id, query.page)
+ * @param {Object} consumer - Target endpoint
+ * @param {string} key - Link parameter key
+ * @returns {{in: string, name: string}|null} Target parameter, null for unsupported locations
+ */
+function resolveLinkParameter(consumer, key) {
+  const prefixed = /^(path|query|header|cookie)\.(.+)$/.exec(key);
+  if (prefixed) {
+    return LINK_LOCATIONS.includes(prefixed[1]) ? { in: prefixed[1], name: prefixed[2] } : null;
+  }
+
+  const param = (consumer.parameters || []).find(p => p.name === key);
+  if (param) {
+    return LINK_LOCATIONS.includes(param.in) ? { in: param.in, name: key } : null;
+  }
+  return { in: consumer.path.includes(`{${key}}`) ? 'path' : 'query', name: key };
+}
+
+/**
+ * Name of the collection variable holding a captured value
+ * e.g. createTask + $response.body#/id -> createTask.id
+ * @param {Object} producer - Producing endpoint
+ * @param {string} expression - Runtime expression
+ * @returns {string} Variable name
+ */
+export function getCaptureVariableName(producer, expression) {
+  const slug = expression
+    .replace(/^\$response\.body#\//, '')
+    .replace(/^\$/, '')
+    .replace(/[^A-Za-z0-9_]+/g, '.')
+    .replace(/^\.+|\.+$/g, '');
+  return `${producer.id}.${slug || 'value'}`;
+}
+
+/**
+ * Find every request dependency in a spec
+ * Links come first; the heuristic only fills parameters no link covers.
+ * @param {Object} api - Parsed OpenAPI spec
+ * @param {Array} endpoints - Endpoints (default: extractEndpoints(api))
+ * @returns {Array} [{ source, name, producer, status, consumer, target, expression?, value? }]
+ */
+export function extractRequestDependencies(api, endpoints = extractEndpoints(api)) {
+  const dependencies = [];
+  const covered = new Set();
+  const coverKey = (consumer, target) => `${consumer.method} ${consumer.path} ${target.in}:${target.name}`;
+
+  // 1. OpenAPI links
+  for (const producer of endpoints) {
+    for (const [status, response] of Object.entries(producer.responses || {})) {
+      for (const [name, link] of Object.entries(response?.links || {})) {
+        const consumer = link ? findLinkTarget(endpoints, link) : null;
+        if (!consumer) continue;
+
+        for (const [key, rawValue] of Object.entries(link.parameters || {})) {
+          const target = resolveLinkParameter(consumer, key);
+          if (!target) continue;
+
+          // "{$response.body#/id}" is the same expression as "$response.body#/id"
+          const embedded = typeof rawValue === 'string' ? /^\{(\$[^}]+)\}$/.exec(rawValue) : null;
+          const expression = embedded ? embedded[1] : rawValue;
+          const dependency = { source: ChainSource.LINK, name, producer, status, consumer, target };
+
+          if (typeof expression === 'string' && expression.startsWith('$')) {
+            dependency.expression = expression;
+          } else {
+            dependency.value = expression;
+          }
+
+          dependencies.push(dependency);
+          covered.add(coverKey(consumer, target));
+        }
+      }
+    }
+  }
+
+  // 2. POST /things returning an id feeds /things/{thingId}/...
+  for (const producer of endpoints) {
+    if (producer.method !== 'POST' || !producer.path.split('/').some(Boolean)) continue;
+
+    const status = Object.keys(producer.responses || {}).find(code => code.startsWith('2'));
+    const schema = status ? getResponseSchema(producer.responses, status)?.schema : null;
+    const properties = Object.keys((schema?.allOf ? mergeAllOf(schema) : schema)?.properties || {});
+    if (properties.length === 0) continue;
+
+    const prefix = `${producer.path.replace(/\/$/, '')}/`;
+    for (const consumer of endpoints) {
+      if (consumer === producer || !consumer.path.startsWith(prefix)) continue;
+
+      const param = /^\{([^}]+)\}(\/|$)/.exec(consumer.path.slice(prefix.length))?.[1];
+      const property = properties.includes(param) ? param : properties.includes('id') ? 'id' : null;
+      const target = { in: 'path', name: param };
+      if (!param || !property || covered.has(coverKey(consumer, target))) continue;
+
+      dependencies.push({
+        source: ChainSource.HEURISTIC,
+        name: `${producer.id} -> ${consumer.id}`,
+        producer,
+        status,
+        consumer,
+        target,
+        expression: `$response.body#/${property}`
+      });
+    }
+  }
+
+  return dependencies;
+}
+
+/**
+ * Order endpoints so producers run before their consumers
+ * Among requests that are ready, deletes go last and spec order is kept;
+ * requests caught in a dependency cycle keep their spec order at the end.
+ * @param {Array} endpoints - Endpoints
+ * @param {Array} dependencies - From extractRequestDependencies
+ * @returns {Array} Ordered endpoints
+ */
+export function orderEndpoints(endpoints, dependencies) {
+  const pending = new Map(endpoints.map(endpoint => [endpoint, new Set()]));
+  for (const { producer, consumer } of dependencies) {
+    if (producer !== consumer && pending.has(consumer) && pending.has(producer)) {
+      pending.get(consumer).add(producer);
+    }
+  }
+
+  const ordered = [];
+  const rank = endpoint => (endpoint.method === 'DELETE' ? endpoints.length : 0) + endpoints.indexOf(endpoint);
+
+  while (pending.size > 0) {
+    const ready = [...pending.keys()].filter(endpoint => [...pending.get(endpoint)].every(producer => !pending.has(producer)));
+    if (ready.length === 0) break;
+
+    const next = ready.reduce((best, endpoint) => rank(endpoint) < rank(best) ? endpoint : best);
+    ordered.push(next);
+    pending.delete(next);
+  }
+
+  return [...ordered, ...pending.keys()];
+}
+
+/**
+ * Script lines defining evaluate(expression) for OpenAPI runtime expressions
+ * ($statusCode, $response.body#/id, $request.header.X, ...), for use inside
+ * a test-script IIFE. Unknown sources evaluate to undefined.
+ */
+export const RUNTIME_EXPRESSION_EVALUATOR = [
+  `    function pointer(value, path) {`,
+  `        return path.split("/").slice(1).reduce(function (node, segment) {`,
+  `            segment = decodeURIComponent(segment).replace(/~1/g, "/").replace(/~0/g, "~");`,
+  `            return node === undefined || node === null ? undefined : node[segment];`,
+  `        }, value);`,
+  `    }`,
+  `    function evaluate(expression) {`,
+  `        const hash = expression.indexOf("#");`,
+  `        const source = hash === -1 ? expression : expression.slice(0, hash);`,
+  `        const path = hash === -1 ? "" : expression.slice(hash + 1);`,
+  `        if (source === "$response.body") return pointer(pm.response.json(), path);`,
+  `        if (source === "$request.body") return pointer(JSON.parse(pm.request.body.raw), path);`,
+  `        if (source.indexOf("$response.header.") === 0) return pm.response.headers.get(source.slice(17));`,
+  `        if (source.indexOf("$request.header.") === 0) return pm.request.headers.get(source.slice(16));`,
+  `        if (source.indexOf("$request.query.") === 0) return pm.request.url.query.get(source.slice(15));`,
+  `        if (source.indexOf("$request.path.") === 0) {`,
+  `            const name = source.slice(14);`,
+  `            return pm.variables.replaceIn(pm.request.url.variables.get(name) || pm.variables.get(name) || "");`,
+  `        }`,
+  `        if (source === "$statusCode") return pm.response.code;`,
+  `        if (source === "$method") return pm.request.method;`,
+  `        if (source === "$url") return pm.request.url.toString();`,
+  `        return undefined;`,
+  `    }`
+];
+
+/**
+ * Generate the test-script section that captures values for chained requests
+ * Captures are grouped by the response status they are documented on
+ * (exact code, then range, then default). A value that cannot be read
+ * fails a test, since a documented link no longer resolves.
+ * @param {Object} captures - Status -> [{ variable, expression }]
+ * @returns {Array} Test script lines
+ */
+export function generateCaptureScript(captures) {
+  return [
+    `// Capture values for chained requests (OpenAPI links, create -> read)`,
+    `(function () {`,
+    `    const captures = ${JSON.stringify(captures)};`,
+    `    const code = String(pm.response.code);`,
+    `    const list = captures[code] || captures[code.charAt(0) + "XX"] || captures["default"];`,
+    `    if (!list) {`,
+    `        return;`,
+    `    }`,
+    ...RUNTIME_EXPRESSION_EVALUATOR,
+    `    list.forEach(function (capture) {`,
+    `        pm.test("Captured " + capture.variable + " for chained requests", function () {`,
+    `            let value;`,
+    `            try {`,
+    `                value = evaluate(capture.expression);`,
+    `            } catch (e) {`,
+    `                value = undefined;`,
+    `            }`,
+    `            pm.expect(value !== undefined && value !== null && value !== "", capture.expression + " has no value").to.be.true;`,
+    `            pm.collectionVariables.set(capture.variable, typeof value === "object" ? JSON.stringify(value) : String(value));`,
+    `        });`,
+    `    });`,
+    `})();`
+  ];
+}
+
+/**
+ * Generate the pre-request script that applies captured values
+ * The first producer that ran wins; without any, the request keeps its
+ * environment placeholder.
+ * @param {Array} inputs - [{ in, name, variables: [...] } | { in, name, value }]
+ * @returns {Array} Pre-request script lines
+ */
+export function generateChainPreRequestScript(inputs) {
+  return [
+    `// Values captured by earlier requests in this run (see the producers' tests)`,
+    `(function () {`,
+    `    const inputs = ${JSON.stringify(inputs)};`,
+    `    inputs.forEach(function (input) {`,
+    `        let value = input.value;`,
+    `        (input.variables || []).forEach(function (variable) {`,
+    `            const captured = pm.collectionVariables.get(variable);`,
+    `            if (value === undefined && captured !== undefined && captured !== null && captured !== "") {`,
+    `                value = captured;`,
+    `            }`,
+    `        });`,
+    `        if (value === undefined) {`,
+    `            return;`,
+    `        }`,
+    `        value = String(value);`,
+    `        if (input.in === "path") {`,
+    `            pm.variables.set(input.name, value);`,
+    `            if (pm.request.url.variables.has(input.name)) {`,
+    `                pm.request.url.variables.upsert({ key: input.name, value: value });`,
+    `            }`,
+    `        } else if (input.in === "query") {`,
+    `            pm.request.url.query.upsert({ key: input.name, value: value });`,
+    `        } else if (input.in === "header") {`,
+    `            pm.request.headers.upsert({ key: input.name, value: value });`,
+    `        }`,
+    `    });`,
+    `})();`
+  ];
+}
+
+/**
+ * Build everything forward sync needs to chain the requests of a spec
+ * @param {Object} api - Parsed OpenAPI spec
+ * @returns {{dependencies: Array, order: Array<string>, captureScripts: Object, preRequestScripts: Object}}
+ *   order lists test keys; both script maps are keyed by test key
+ */
+export function generateRequestChain(api) {
+  const endpoints = extractEndpoints(api);
+  const dependencies = extractRequestDependencies(api, endpoints);
+  const captureScripts = {};
+  const preRequestScripts = {};
+
+  const captures = new Map();
+  const inputs = new Map();
+  for (const dependency of dependencies) {
+    const { producer, consumer, status, target } = dependency;
+    if (!inputs.has(consumer)) inputs.set(consumer, new Map());
+    const consumerInputs = inputs.get(consumer);
+    const inputKey = `${target.in}:${target.name}`;
+
+    if (dependency.expression === undefined) {
+      consumerInputs.set(inputKey, { in: target.in, name: target.name, value: dependency.value });
+      continue;
+    }
+
+    const variable = getCaptureVariableName(producer, dependency.expression);
+    if (!captures.has(producer)) captures.set(producer, {});
+    const statusKey = status === 'default' ? status : status.toUpperCase();
+    const producerCaptures = captures.get(producer);
+    producerCaptures[statusKey] = producerCaptures[statusKey] || [];
+    if (!producerCaptures[statusKey].some(capture => capture.variable === variable)) {
+      producerCaptures[statusKey].push({ variable, expression: dependency.expression });
+    }
+
+    const input = consumerInputs.get(inputKey) || { in: target.in, name: target.name, variables: [] };
+    if (input.variables && !input.variables.includes(variable)) input.variables.push(variable);
+    consumerInputs.set(inputKey, input);
+  }
+
+  for (const [producer, producerCaptures] of captures) {
+    const script = generateCaptureScript(producerCaptures);
+    for (const key of generateTestKeysForEndpoint(producer)) captureScripts[key] = script;
+  }
+  for (const [consumer, consumerInputs] of inputs) {
+    const script = generateChainPreRequestScript([...consumerInputs.values()]);
+    for (const key of generateTestKeysForEndpoint(consumer)) preRequestScripts[key] = script;
+  }
+
+  return {
+    dependencies,
+    order: orderEndpoints(endpoints, dependencies).flatMap(generateTestKeysForEndpoint),
+    captureScripts,
+    preRequestScripts
+  };
+}
+
+/**
+ * Append capture sections to generated test scripts
+ * Producers that would only get the default script get it plus the capture.
+ * @param {Object} testScripts - From generateTestScriptsForSpec
+ * @param {Object} captureScripts - From generateRequestChain
+ * @returns {Object} New test script map
+ */
+export function withCaptureScripts(testScripts, captureScripts) {
+  const merged = { ...testScripts };
+
+  for (const [key, capture] of Object.entries(captureScripts)) {
+    merged[key] = [...(testScripts[key] || testScripts.default || []), '', ...capture];
+  }
+
+  return merged;
+}
+
+/**
+ * Put the chaining pre-request scripts in front of other pre-request scripts
+ * Captured values are set first, so scripts that only fill unset path
+ * variables (seeded test data) leave them alone.
+ * @param {Object} preRequestScripts - Map of test key -> script lines (e.g. from generatePreRequestScriptsForSpec)
+ * @param {Object} chainScripts - preRequestScripts from generateRequestChain
+ * @returns {Object} New pre-request script map
+ */
+export function withChainPreRequestScripts(preRequestScripts, chainScripts) {
+  const merged = { ...chainScripts };
+
+  for (const [key, script] of Object.entries(preRequestScripts)) {
+    merged[key] = chainScripts[key] ? [...chainScripts[key], '', ...script] : script;
+  }
+
+  return merged;
+}
+
+export default {
+  ChainSource,
+  RUNTIME_EXPRESSION_EVALUATOR,
+  getCaptureVariableName,
+  extractRequestDependencies,
+  orderEndpoints,
+  generateCaptureScript,
+  generateChainPreRequestScript,
+  generateRequestChain,
+  withCaptureScripts,
+  withChainPreRequestScripts
+};
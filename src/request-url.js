@@ -0,0 +1,51 @@
+/**
+ * Request URLs
+ *
+ * Postman URLs for request items built outside Spec Hub (negative,
+ * security and workflow requests). They use the same base URL variables
+ * and path variables as the Spec Hub-generated collections.
+ */
+
+import { getExample } from './parser.js';
+import { getServerVariableName } from './environment-generator.js';
+
+/**
+ * Build the Postman URL of a generated request item
+ * The URL uses the same base URL and path variables as the generated
+ * collection; required query parameters get a valid example value.
+ * @param {Object} endpoint - Endpoint object from parser
+ * @param {Object} overrides - Overrides
+ * @param {Object} overrides.query - Query parameter name -> value to send instead
+ * @param {Object} overrides.pathValues - Path parameter name -> literal value instead of its variable
+ * @param {string} overrides.omitted - Required query parameter to leave out
+ * @returns {Object} Postman URL object
+ */
+export function buildRequestUrl(endpoint, overrides = {}) {
+  const { query: queryValues = {}, pathValues = {}, omitted } = overrides;
+  const baseVariable = endpoint.serverOverride ? getServerVariableName(endpoint.servers[0].url) : 'baseUrl';
+  const segments = endpoint.path.split('/').filter(Boolean).map(segment =>
+    segment.replace(/\{([^}]+)\}/g, (_, name) => pathValues[name] ?? `{{${name}}}`)
+  );
+
+  const query = [];
+  for (const param of endpoint.parameters || []) {
+    if (param.in !== 'query') continue;
+    if (param.name in queryValues) {
+      query.push({ key: param.name, value: queryValues[param.name] });
+    } else if (param.required && param.name !== omitted) {
+      query.push({ key: param.name, value: String(getExample(param.schema || { type: 'string' }, { name: param.name })) });
+    }
+  }
+
+  const queryString = query.map(({ key, value }) => `${key}=${encodeURIComponent(value)}`).join('&');
+  return {
+    raw: `{{${baseVariable}}}/${segments.join('/')}${queryString ? `?${queryString}` : ''}`,
+    host: [`{{${baseVariable}}}`],
+    path: segments,
+    ...(query.length > 0 ? { query } : {})
+  };
+}
+
+export default {
+  buildRequestUrl
+};
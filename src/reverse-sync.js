@@ -15,6 +15,9 @@ import fs from 'fs';
 import path from 'path';
 import { ChangeDetector, CHANGE_DIRECTION } from './change-detector.js';
 import { SpecMerge } from './spec-merge.js';
+import { isSwagger2, convertSwagger2ToOpenApi3, mapChangePathToSwagger2 } from './swagger2-converter.js';
+import { parseSpec, ParseMode, HTTP_METHODS, escapePointerSegment } from './parser.js';
+import { SourceLocator, formatSourceLocation } from './source-locations.js';
 import { createLogger } from './logger.js';
 
 const logger = createLogger({ name: 'reverse-sync' });
@@ -46,8 +49,34 @@ export class ReverseSync {
 
     // Step 1: Load local spec
     logger.info('\n[1] Loading local spec...');
-    const localSpec = this.specMerge.readSpec(specPath);
+    const sourceSpec = this.specMerge.readSpec(specPath);
+    const isLegacySwagger = isSwagger2(sourceSpec);
+
+    // Swagger 2.0 specs are compared in their OpenAPI 3 form, since that is
+    // what Postman hands back; changes are mapped back before writing
+    let localSpec = isLegacySwagger ? convertSwagger2ToOpenApi3(sourceSpec) : sourceSpec;
+
+    // Multi-file specs are compared in their resolved form, like the spec
+    // Postman hands back; the source map routes each change to its owning file
+    let sourceMap = null;
+    if (!isLegacySwagger && this.specMerge.hasExternalRefs(sourceSpec)) {
+      const parsed = await parseSpec(specPath, {
+        mode: ParseMode.BUNDLE,
+        validate: false,
+        allowedRoots: this.config.allowedSpecRoots
+      });
+      localSpec = parsed.api;
+      sourceMap = parsed.sourceMap;
+    }
+
     logger.info(`    Loaded: ${localSpec.info?.title} v${localSpec.info?.version}`);
+    if (isLegacySwagger) {
+      logger.info('    Swagger 2.0 spec - comparing as OpenAPI 3.0');
+    }
+    if (sourceMap) {
+      const fileCount = new Set(Object.values(sourceMap).map(entry => entry.file)).size;
+      logger.info(`    Multi-file spec - ${fileCount} source files`);
+    }
 
     // Step 2: Get Postman collection
     logger.info('\n[2] Fetching collection from Postman...');
@@ -67,7 +96,10 @@ export class ReverseSync {
     }
 
     // Step 4: Load baseline spec (for 3-way merge)
-    const baseSpec = await this.loadBaseline(specPath) || localSpec;
+    const baseline = await this.loadBaseline(specPath);
+    const baseSpec = baseline
+      ? (isSwagger2(baseline) ? convertSwagger2ToOpenApi3(baseline) : baseline)
+      : localSpec;
 
     // Step 5: Detect and classify changes
     logger.info('\n[4] Detecting changes...');
@@ -80,6 +112,10 @@ export class ReverseSync {
       changes = this.extractChangesFromCollection(baseSpec, localSpec, collection.collection);
     }
 
+    this.annotateSourceLocations(changes, specPath, {
+      sourceMap,
+      swaggerSpec: isLegacySwagger ? sourceSpec : null
+    });
     this.printChangeSummary(changes);
 
     // Step 6: Return analysis if dry-run
@@ -97,7 +133,8 @@ export class ReverseSync {
     if (changes.blocked.length > 0) {
       logger.info('\n    Blocked changes detected (structural changes cannot reverse-sync):');
       for (const blocked of changes.blocked.slice(0, 5)) {
-        logger.info(`      - ${blocked.path}: ${blocked.reason}`);
+        const where = formatSourceLocation(blocked.location);
+        logger.info(`      - ${blocked.path}${where ? ` (${where})` : ''}: ${blocked.reason}`);
       }
       if (changes.blocked.length > 5) {
         logger.info(`      ... and ${changes.blocked.length - 5} more`);
@@ -111,11 +148,9 @@ export class ReverseSync {
     }
 
     logger.info('\n[5] Applying changes...');
-    const mergeResult = this.specMerge.mergeSpecs(
-      localSpec,
-      remoteSpec || localSpec,
-      changes.safeToSync
-    );
+    const mergeResult = isLegacySwagger
+      ? this.mergeIntoSwagger2(sourceSpec, remoteSpec || localSpec, changes.safeToSync)
+      : this.specMerge.mergeSpecs(localSpec, remoteSpec || localSpec, changes.safeToSync);
 
     // Step 9: Store tests as vendor extension if configured
     if (this.config.storeTestsAsExtension && collection.collection) {
@@ -131,13 +166,34 @@ export class ReverseSync {
     // Step 10: Write updated spec
     const outputPath = options.outputPath || specPath;
 
-    // Backup original if modifying in place
-    if (outputPath === specPath && !options.noBackup) {
-      const backupPath = this.specMerge.backupSpec(specPath);
-      logger.info(`    Backup created: ${backupPath}`);
+    if (sourceMap && outputPath === specPath) {
+      // Write each change into the physical file that owns it
+      const sourceChanges = [
+        ...mergeResult.applied,
+        ...this.collectTestExtensionChanges(mergeResult.spec)
+      ];
+      const sourceResult = this.specMerge.mergeSpecsToSources(sourceChanges, sourceMap);
+
+      for (const [file, document] of Object.entries(sourceResult.files)) {
+        if (!options.noBackup) {
+          const backupPath = this.specMerge.backupSpec(file);
+          logger.info(`    Backup created: ${backupPath}`);
+        }
+        this.specMerge.writeSpec(document, file);
+        logger.info(`    Updated: ${file}`);
+      }
+
+      mergeResult.skipped.push(...sourceResult.skipped);
+    } else {
+      // Backup original if modifying in place
+      if (outputPath === specPath && !options.noBackup) {
+        const backupPath = this.specMerge.backupSpec(specPath);
+        logger.info(`    Backup created: ${backupPath}`);
+      }
+
+      this.specMerge.writeSpec(mergeResult.spec, outputPath);
     }
 
-    this.specMerge.writeSpec(mergeResult.spec, outputPath);
     logger.info(`\n    Updated: ${outputPath}`);
     logger.info(`    Applied: ${mergeResult.applied.length} changes`);
     logger.info(`    Skipped: ${mergeResult.skipped.length} changes`);
@@ -154,6 +210,78 @@ export class ReverseSync {
     };
   }
 
+  /**
+   * Turn x-postman-tests extensions on a merged spec into changes, so they
+   * can be routed to the source files of a multi-file spec
+   */
+  collectTestExtensionChanges(spec) {
+    const changes = [];
+
+    for (const [urlPath, pathItem] of Object.entries(spec.paths || {})) {
+      for (const [method, operation] of Object.entries(pathItem || {})) {
+        if (operation && typeof operation === 'object' && operation['x-postman-tests']) {
+          changes.push({
+            path: `paths.${urlPath}.${method}.x-postman-tests`,
+            kind: 'E',
+            newValue: operation['x-postman-tests'],
+            direction: CHANGE_DIRECTION.COLLECTION_ONLY,
+            reason: 'Test scripts',
+            hasConflict: false
+          });
+        }
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Merge changes detected on the converted model into the original
+   * Swagger 2.0 document, skipping changes with no 2.0 equivalent
+   */
+  mergeIntoSwagger2(swaggerSpec, remoteSpec, safeChanges) {
+    const mapped = [];
+    const unmapped = [];
+
+    for (const change of safeChanges) {
+      const swaggerPath = mapChangePathToSwagger2(change.path, swaggerSpec);
+      if (swaggerPath) {
+        mapped.push({ ...change, path: swaggerPath });
+      } else {
+        unmapped.push({ ...change, reason: 'No Swagger 2.0 equivalent' });
+      }
+    }
+
+    const result = this.specMerge.mergeSpecs(swaggerSpec, remoteSpec, mapped);
+    result.skipped.push(...unmapped);
+    return result;
+  }
+
+  /**
+   * Attach the file/line/column of each change's node in the local spec
+   * Nodes that only exist in Postman resolve to their closest local ancestor.
+   * @param {object} changes - Classified changes from ChangeDetector
+   * @param {string} specPath - Local spec path
+   * @param {object} options - { sourceMap, swaggerSpec } for multi-file and Swagger 2.0 specs
+   */
+  annotateSourceLocations(changes, specPath, { sourceMap = null, swaggerSpec = null } = {}) {
+    const locator = new SourceLocator(path.resolve(specPath), sourceMap);
+    const allChanges = [...changes.safeToSync, ...changes.needsReview, ...changes.blocked, ...changes.tests];
+
+    for (const change of allChanges) {
+      const changePath = swaggerSpec ? mapChangePathToSwagger2(change.path, swaggerSpec) : change.path;
+      if (!changePath) continue;
+
+      const pointer = this.specMerge.parsePath(changePath)
+        .map(part => `/${escapePointerSegment(part)}`)
+        .join('');
+      const location = locator.locate(pointer);
+      if (location) {
+        change.location = location;
+      }
+    }
+  }
+
   /**
    * Print change summary
    */
@@ -321,8 +449,7 @@ export class ReverseSync {
    */
   isValidOpenAPIPath(urlPath, method) {
     // Must have a valid HTTP method
-    const validMethods = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
-    if (!validMethods.includes(method.toLowerCase())) {
+    if (!HTTP_METHODS.includes(method.toLowerCase())) {
       return false;
     }
 
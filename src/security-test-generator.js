@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+
+/**
+ * Security Test Generator
+ *
+ * Builds a "Security Tests" folder from the spec's security requirements.
+ * Every protected operation gets a request sent without credentials and
+ * one sent with an invalid credential for its first security scheme; both
+ * must be rejected with the documented 401/403 response. Operations that
+ * opt out of authentication (security: [] or an empty requirement {}) get
+ * a request without credentials that must not be rejected for auth.
+ */
+
+import { extractEndpoints } from './parser.js';
+import { applyPostmanBody, buildPostmanBody } from './request-body-builder.js';
+import { DEFAULT_DATA_SEED } from './fake-data.js';
+import { generateResponseContractScript, TestLevel } from './test-generator.js';
+import { buildRequestUrl } from './request-url.js';
+import { filterTestedEndpoints } from './test-settings.js';
+
+/**
+ * Name of the generated folder
+ */
+export const SECURITY_TESTS_FOLDER_NAME = 'Security Tests';
+
+/**
+ * Kinds of security test
+ */
+export const SecurityCase = {
+  NO_CREDENTIALS: 'no-credentials',
+  INVALID_CREDENTIALS: 'invalid-credentials',
+  PUBLIC: 'public'
+};
+
+/**
+ * Credential values that no real API should accept
+ */
+const INVALID_TOKEN = 'invalid-token-from-security-tests';
+const INVALID_API_KEY = 'invalid-api-key-from-security-tests';
+
+/**
+ * Statuses accepted as a rejection when the operation documents none
+ */
+const DEFAULT_AUTH_FAILURE_STATUSES = ['401', '403'];
+
+/**
+ * Classify how an operation is secured
+ * An empty requirement object ({}) makes authentication optional.
+ * @param {Object} endpoint - Endpoint object from parser
+ * @returns {string|null} 'protected', 'public' (explicitly opted out), or null when no security applies
+ */
+export function getSecurityMode(endpoint) {
+  const requirements = endpoint.security || [];
+
+  if (requirements.length > 0 && !requirements.some(requirement => Object.keys(requirement || {}).length === 0)) {
+    return 'protected';
+  }
+  // security: [] on the operation itself, or an anonymous alternative
+  if (requirements.length > 0 || Array.isArray(endpoint.raw?.security)) {
+    return 'public';
+  }
+  return null;
+}
+
+/**
+ * Get the statuses an operation documents for rejected credentials
+ * 401, 403 and the 4XX range count; without any, 401 or 403 is expected.
+ * @param {Object} responses - Operation responses
+ * @returns {{statuses: Array<string>, documented: boolean}} Status keys
+ */
+export function getAuthFailureStatuses(responses = {}) {
+  const statuses = Object.keys(responses)
+    .map(status => status.toUpperCase())
+    .filter(status => ['401', '403', '4XX'].includes(status));
+
+  return statuses.length > 0
+    ? { statuses, documented: true }
+    : { statuses: DEFAULT_AUTH_FAILURE_STATUSES, documented: false };
+}
+
+/**
+ * Build the Postman auth (and headers) that send an invalid credential
+ * @param {Object} scheme - Security scheme object
+ * @returns {{auth: Object, header: Array}|null} Request auth, or null for unsupported schemes (mutualTLS, digest, ...)
+ */
+export function buildInvalidAuth(scheme) {
+  if (!scheme) return null;
+
+  const bearer = { auth: { type: 'bearer', bearer: [{ key: 'token', value: INVALID_TOKEN, type: 'string' }] }, header: [] };
+
+  switch (scheme.type) {
+    case 'http':
+      if (String(scheme.scheme).toLowerCase() === 'bearer') return bearer;
+      if (String(scheme.scheme).toLowerCase() === 'basic') {
+        return {
+          auth: {
+            type: 'basic',
+            basic: [
+              { key: 'username', value: 'invalid-user', type: 'string' },
+              { key: 'password', value: 'invalid-password', type: 'string' }
+            ]
+          },
+          header: []
+        };
+      }
+      return null;
+
+    case 'oauth2':
+    case 'openIdConnect':
+      return bearer;
+
+    case 'apiKey':
+      // Postman's apikey auth has no cookie placement
+      if (scheme.in === 'cookie') {
+        return { auth: { type: 'noauth' }, header: [{ key: 'Cookie', value: `${scheme.name}=${INVALID_API_KEY}` }] };
+      }
+      return {
+        auth: {
+          type: 'apikey',
+          apikey: [
+            { key: 'key', value: scheme.name, type: 'string' },
+            { key: 'value', value: INVALID_API_KEY, type: 'string' },
+            { key: 'in', value: scheme.in === 'query' ? 'query' : 'header', type: 'string' }
+          ]
+        },
+        header: []
+      };
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Generate the test script of a security test item
+ * @param {Object} endpoint - Endpoint object from parser
+ * @param {string} securityCase - SecurityCase value
+ * @returns {Array} Test script lines
+ */
+export function generateSecurityTestScript(endpoint, securityCase) {
+  const tests = [];
+  const sentWith = {
+    [SecurityCase.NO_CREDENTIALS]: 'Sent without credentials; must be rejected',
+    [SecurityCase.INVALID_CREDENTIALS]: 'Sent with an invalid credential; must be rejected',
+    [SecurityCase.PUBLIC]: 'Operation opts out of authentication; sent without credentials'
+  }[securityCase];
+
+  tests.push(`// Security test for: ${endpoint.method} ${endpoint.path}`);
+  tests.push(`// ${sentWith}`);
+  tests.push('');
+
+  if (securityCase === SecurityCase.PUBLIC) {
+    tests.push(`pm.test("Works without authentication", function () {`);
+    tests.push(`    pm.expect(pm.response.code).to.not.be.oneOf([401, 403]);`);
+    tests.push(`});`);
+    return tests;
+  }
+
+  const { statuses, documented } = getAuthFailureStatuses(endpoint.responses);
+  const credentials = securityCase === SecurityCase.NO_CREDENTIALS ? 'without credentials' : 'with an invalid credential';
+  tests.push(`pm.test("Request ${credentials} is rejected with ${statuses.join(' or ')}", function () {`);
+  if (statuses.includes('4XX')) {
+    tests.push(`    pm.expect(pm.response.code).to.be.within(400, 499);`);
+  } else {
+    tests.push(`    pm.expect(pm.response.code).to.be.oneOf([${statuses.map(Number).join(', ')}]);`);
+  }
+  tests.push(`});`);
+
+  if (documented) {
+    const rejections = Object.fromEntries(
+      Object.entries(endpoint.responses).filter(([status]) => statuses.includes(status.toUpperCase()))
+    );
+    tests.push('');
+    tests.push(...generateResponseContractScript(rejections));
+  }
+
+  return tests;
+}
+
+/**
+ * Build the Postman request item for one security case
+ * Item-level auth overrides the collection's, so "noauth" strips it.
+ * @param {Object} endpoint - Endpoint object from parser
+ * @param {string} securityCase - SecurityCase value
+ * @param {Object} options - Options
+ * @param {Object} options.invalidAuth - Result of buildInvalidAuth (invalid-credentials case)
+ * @param {number|string} options.seed - Seed for the example body (default: DEFAULT_DATA_SEED)
+ * @returns {Object} Postman collection item
+ */
+export function generateSecurityItem(endpoint, securityCase, options = {}) {
+  const { invalidAuth = null, seed = DEFAULT_DATA_SEED } = options;
+  const label = {
+    [SecurityCase.NO_CREDENTIALS]: 'without credentials',
+    [SecurityCase.INVALID_CREDENTIALS]: 'with invalid credentials',
+    [SecurityCase.PUBLIC]: 'without authentication'
+  }[securityCase];
+
+  const request = {
+    method: endpoint.method,
+    header: [...(invalidAuth?.header || [])],
+    url: buildRequestUrl(endpoint),
+    auth: invalidAuth?.auth || { type: 'noauth' },
+    description: `${endpoint.method} ${endpoint.path} ${label}.`
+  };
+
+  applyPostmanBody(request, buildPostmanBody(endpoint.requestBody, { seed }));
+
+  return {
+    name: `${endpoint.name} - ${label}`,
+    request,
+    event: [
+      {
+        listen: 'test',
+        script: {
+          type: 'text/javascript',
+          exec: generateSecurityTestScript(endpoint, securityCase)
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Generate the "Security Tests" folder for a spec
+ * @param {Object} api - Parsed OpenAPI spec
+ * @param {Object} options - Options (seed, rules: forwardSync.testRules)
+ * @returns {Object|null} Postman folder item, or null if no operation declares security
+ */
+export function generateSecurityTestFolder(api, options = {}) {
+  const securitySchemes = api.components?.securitySchemes || {};
+  const items = [];
+
+  for (const endpoint of filterTestedEndpoints(extractEndpoints(api), TestLevel.SECURITY, options.rules)) {
+    const mode = getSecurityMode(endpoint);
+
+    if (mode === 'public') {
+      items.push(generateSecurityItem(endpoint, SecurityCase.PUBLIC, options));
+    } else if (mode === 'protected') {
+      items.push(generateSecurityItem(endpoint, SecurityCase.NO_CREDENTIALS, options));
+
+      const [schemeName] = Object.keys(endpoint.security[0]);
+      const invalidAuth = buildInvalidAuth(securitySchemes[schemeName]);
+      if (invalidAuth) {
+        items.push(generateSecurityItem(endpoint, SecurityCase.INVALID_CREDENTIALS, { ...options, invalidAuth }));
+      }
+    }
+  }
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  return {
+    name: SECURITY_TESTS_FOLDER_NAME,
+    description: `Authentication checks for ${api.info?.title || 'the API'}. ` +
+      'Protected operations must reject missing and invalid credentials with 401/403; ' +
+      'operations with security: [] must work without them.',
+    item: items
+  };
+}
+
+export default {
+  SECURITY_TESTS_FOLDER_NAME,
+  SecurityCase,
+  getSecurityMode,
+  getAuthFailureStatuses,
+  buildInvalidAuth,
+  generateSecurityTestScript,
+  generateSecurityItem,
+  generateSecurityTestFolder
+};
@@ -0,0 +1,232 @@
+/**
+ * Source Locations
+ *
+ * Maps JSON pointers in a parsed spec back to a file, line and column, so
+ * parse errors, lint findings and change reports can link straight to the
+ * YAML/JSON line that owns a node. Multi-file specs go through the parser's
+ * source map to find the file that owns each pointer.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML, { LineCounter, isMap, isSeq, isAlias, isScalar } from 'yaml';
+
+/**
+ * Split a JSON pointer into unescaped segments
+ * @param {string} pointer - JSON pointer (e.g. /paths/~1users/get)
+ * @returns {Array<string>} Segments
+ */
+export function parsePointer(pointer) {
+  if (!pointer) return [];
+  return pointer
+    .replace(/^#/, '')
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Map a logical pointer to the file and pointer that own it
+ * The longest source map prefix wins (same rule as SpecMerge.locateSource).
+ * @param {Object} sourceMap - Logical pointer -> { file, pointer } (from parseSpec bundle mode)
+ * @param {string} pointer - Logical JSON pointer
+ * @returns {{file: string, pointer: string}|null} Physical location, or null without a match
+ */
+export function resolveSourcePointer(sourceMap, pointer) {
+  if (!sourceMap) return null;
+
+  let candidate = pointer;
+  while (true) {
+    const entry = sourceMap[candidate];
+    if (entry) {
+      return { file: entry.file, pointer: entry.pointer + pointer.slice(candidate.length) };
+    }
+    if (candidate === '') return null;
+    candidate = candidate.slice(0, candidate.lastIndexOf('/'));
+  }
+}
+
+/**
+ * Format a location as file:line:column
+ * @param {Object} location - { file, line, column }
+ * @param {string} relativeTo - Directory to shorten the file path against (default: cwd)
+ * @returns {string} Formatted location ('' when unknown)
+ */
+export function formatSourceLocation(location, relativeTo = process.cwd()) {
+  if (!location?.file) return '';
+
+  const file = /^https?:\/\//.test(location.file) ? location.file : path.relative(relativeTo, location.file) || location.file;
+  return location.line ? `${file}:${location.line}:${location.column}` : file;
+}
+
+/**
+ * Read the line:column a YAML/JSON syntax error message reports, e.g. "(10:1)"
+ * @param {string} message - Error message
+ * @returns {{line: number, column: number}|null} Position, or null if absent
+ */
+export function parseErrorPosition(message) {
+  const match = /\((\d+):(\d+)\)/.exec(message || '');
+  return match ? { line: Number(match[1]), column: Number(match[2]) } : null;
+}
+
+/**
+ * Resolves JSON pointers to line/column positions in spec files
+ * Parsed files are cached, so one locator can serve a whole spec.
+ */
+export class SourceLocator {
+  /**
+   * @param {string} rootFile - Root spec file
+   * @param {Object} sourceMap - Optional logical pointer -> { file, pointer } map
+   */
+  constructor(rootFile, sourceMap = null) {
+    this.rootFile = rootFile;
+    this.sourceMap = sourceMap;
+    this.documents = new Map();
+  }
+
+  /**
+   * Locate a logical pointer
+   * Pointers that do not exist in the file (e.g. nodes added by overlays)
+   * resolve to their closest existing ancestor.
+   * @param {string} pointer - Logical JSON pointer
+   * @returns {{file: string, line: number, column: number, pointer: string}|null} Location
+   */
+  locate(pointer) {
+    const physical = resolveSourcePointer(this.sourceMap, pointer) || { file: this.rootFile, pointer };
+    const position = this.locateInFile(physical.file, physical.pointer);
+    if (!position) return null;
+
+    return { file: physical.file, line: position.line, column: position.column, pointer };
+  }
+
+  /**
+   * Locate a pointer inside one file
+   * @param {string} file - File path
+   * @param {string} pointer - JSON pointer within that file
+   * @returns {{line: number, column: number}|null} 1-based position
+   */
+  locateInFile(file, pointer) {
+    const parsed = this.load(file);
+    if (!parsed) return null;
+
+    const { document, lineCounter } = parsed;
+    let node = document.contents;
+    let offset = node?.range?.[0] ?? 0;
+
+    for (const segment of parsePointer(pointer)) {
+      if (isAlias(node)) node = node.resolve(document);
+
+      if (isMap(node)) {
+        const pair = node.items.find(item => String(isScalar(item.key) ? item.key.value : item.key) === segment);
+        if (!pair) break;
+        offset = pair.key?.range?.[0] ?? offset;
+        node = pair.value;
+      } else if (isSeq(node)) {
+        const item = node.items[Number(segment)];
+        if (!item) break;
+        offset = item.range?.[0] ?? offset;
+        node = item;
+      } else {
+        break;
+      }
+    }
+
+    const { line, col } = lineCounter.linePos(offset);
+    return { line, column: col };
+  }
+
+  /**
+   * Parse a file with position information (cached)
+   */
+  load(file) {
+    if (this.documents.has(file)) return this.documents.get(file);
+
+    let parsed = null;
+    if (!/^https?:\/\//.test(file)) {
+      try {
+        const lineCounter = new LineCounter();
+        const document = YAML.parseDocument(fs.readFileSync(file, 'utf8'), { lineCounter });
+        parsed = { document, lineCounter };
+      } catch {
+        parsed = null;
+      }
+    }
+
+    this.documents.set(file, parsed);
+    return parsed;
+  }
+}
+
+/**
+ * Find the first $ref whose target does not exist
+ * Files reached through external $refs are scanned too, so unresolved-reference
+ * errors can point at the offending $ref in whichever file holds it.
+ * @param {string} rootFile - Root spec file
+ * @returns {{file: string, line: number, column: number, pointer: string, ref: string}|null} Broken $ref
+ */
+export function findBrokenRef(rootFile) {
+  const locator = new SourceLocator(rootFile);
+  const documents = new Map();
+  const scanned = new Set();
+
+  const documentOf = file => {
+    if (!documents.has(file)) {
+      const parsed = locator.load(file);
+      documents.set(file, parsed ? parsed.document.toJS() : undefined);
+    }
+    return documents.get(file);
+  };
+
+  const resolveTarget = (ref, file) => {
+    const hashIndex = ref.indexOf('#');
+    const refFile = hashIndex === -1 ? ref : ref.slice(0, hashIndex);
+    const pointer = hashIndex === -1 ? '' : decodeURIComponent(ref.slice(hashIndex + 1));
+    const targetFile = refFile ? path.resolve(path.dirname(file), refFile) : file;
+
+    let node = documentOf(targetFile);
+    for (const segment of parsePointer(pointer)) {
+      if (node === null || typeof node !== 'object' || !(segment in node)) return { file: targetFile, exists: false };
+      node = node[segment];
+    }
+    return { file: targetFile, exists: node !== undefined };
+  };
+
+  const walk = (node, pointer, file) => {
+    if (!node || typeof node !== 'object') return null;
+
+    if (typeof node.$ref === 'string' && !/^https?:\/\//.test(node.$ref)) {
+      const target = resolveTarget(node.$ref, file);
+      if (!target.exists) {
+        return { file, pointer: `${pointer}/$ref`, ref: node.$ref };
+      }
+      const found = scanFile(target.file);
+      if (found) return found;
+    }
+
+    for (const [key, child] of Object.entries(node)) {
+      const found = walk(child, `${pointer}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`, file);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  const scanFile = file => {
+    if (scanned.has(file)) return null;
+    scanned.add(file);
+    return walk(documentOf(file), '', file);
+  };
+
+  const broken = scanFile(rootFile);
+  if (!broken) return null;
+
+  return { ...broken, ...locator.locateInFile(broken.file, broken.pointer) };
+}
+
+export default {
+  SourceLocator,
+  parsePointer,
+  resolveSourcePointer,
+  formatSourceLocation,
+  parseErrorPosition,
+  findBrokenRef
+};
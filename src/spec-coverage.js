@@ -0,0 +1,512 @@
+#!/usr/bin/env node
+
+/**
+ * Spec Test Coverage
+ *
+ * Compares a Postman collection (exported by RepoSync, or fetched from the
+ * API) with the parsed spec and reports, per operation:
+ * - whether a request exists for it (matched by method and templated path,
+ *   with or without the server's base path)
+ * - which documented response codes its test scripts assert
+ * - which response schema fields are checked by pm.expect, or by the
+ *   generated response contract (Ajv validation of the whole body)
+ *
+ * Scripts are read, not run: assertions are recognized by the patterns the
+ * generators and hand-written Postman tests use (pm.response.to.have.status,
+ * pm.expect(pm.response.code).to.be.oneOf/within/equal, pm.expect on fields
+ * of pm.response.json()). Collection and folder scripts count for every
+ * request below them.
+ */
+
+import { extractEndpoints } from './parser.js';
+import { createMockRoutes, matchMockRoute } from './mock-server.js';
+
+/**
+ * Report formats supported by formatCoverageReport
+ */
+export const CoverageFormat = {
+  TABLE: 'table',
+  JSON: 'json'
+};
+
+/**
+ * Coverage metrics, in report order
+ */
+export const CoverageMetric = {
+  OPERATIONS: 'operations',
+  RESPONSES: 'responses',
+  FIELDS: 'fields'
+};
+
+/**
+ * pm.response.to.be.<name> shorthands and the statuses they assert
+ */
+const STATUS_SHORTHANDS = {
+  ok: '200',
+  created: '201',
+  accepted: '202',
+  noContent: '204',
+  badRequest: '400',
+  unauthorized: '401',
+  forbidden: '403',
+  notFound: '404',
+  rateLimited: '429',
+  success: '2XX',
+  redirection: '3XX',
+  clientError: '4XX',
+  serverError: '5XX'
+};
+
+// ------------------------------------------------------------
+// Spec side
+// ------------------------------------------------------------
+
+/**
+ * Normalize a response key (4xx -> 4XX, Default -> default)
+ */
+function normalizeStatus(key) {
+  return String(key).toLowerCase() === 'default' ? 'default' : String(key).toUpperCase();
+}
+
+/**
+ * List the field paths of a response schema
+ * Nested fields are joined with dots and array items marked with [],
+ * e.g. data[].id. allOf/oneOf/anyOf members contribute their fields;
+ * writeOnly properties and unresolved (circular) $refs are left out.
+ * @param {Object} schema - Response schema (dereferenced)
+ * @returns {Array<string>} Field paths, in schema order
+ */
+export function collectSchemaFields(schema) {
+  const fields = new Set();
+
+  const walk = (node, prefix, stack) => {
+    if (!node || typeof node !== 'object' || node.$ref || stack.has(node)) return;
+    const next = new Set(stack).add(node);
+
+    for (const member of [...(node.allOf || []), ...(node.oneOf || []), ...(node.anyOf || [])]) {
+      walk(member, prefix, next);
+    }
+    if (node.items) {
+      walk(node.items, `${prefix}[]`, next);
+    }
+    for (const [name, property] of Object.entries(node.properties || {})) {
+      if (property?.writeOnly) continue;
+      const field = prefix ? `${prefix}.${name}` : name;
+      fields.add(field);
+      walk(property, field, next);
+    }
+  };
+
+  walk(schema, '', new Set());
+  return [...fields];
+}
+
+/**
+ * Collect the fields of an operation's JSON responses
+ * @param {Object} responses - Operation responses
+ * @returns {Array<{status: string, field: string}>} One entry per documented field
+ */
+function collectResponseFields(responses = {}) {
+  const fields = [];
+
+  for (const [status, response] of Object.entries(responses)) {
+    const seen = new Set();
+    for (const [mediaType, media] of Object.entries(response?.content || {})) {
+      if (!/json/i.test(mediaType)) continue;
+      for (const field of collectSchemaFields(media?.schema)) {
+        if (seen.has(field)) continue;
+        seen.add(field);
+        fields.push({ status: normalizeStatus(status), field });
+      }
+    }
+  }
+
+  return fields;
+}
+
+// ------------------------------------------------------------
+// Collection side
+// ------------------------------------------------------------
+
+/**
+ * List the requests of a collection with the scripts that test them
+ */
+function collectRequests(items, inherited = []) {
+  const requests = [];
+  for (const item of items || []) {
+    const scripts = [...inherited, ...getTestScripts(item)];
+    if (Array.isArray(item.item)) {
+      requests.push(...collectRequests(item.item, scripts));
+    } else if (item.request) {
+      requests.push({ item, scripts });
+    }
+  }
+  return requests;
+}
+
+function getTestScripts(node) {
+  return (node.event || [])
+    .filter(event => event.listen === 'test' && !event.disabled && event.script?.exec)
+    .map(event => Array.isArray(event.script.exec) ? event.script.exec.join('\n') : String(event.script.exec));
+}
+
+/**
+ * Get the path of a request URL without host, variables for the host, or query
+ * @param {Object|string} url - Postman request URL
+ * @returns {string} Path such as /tasks/:taskId
+ */
+export function getRequestPath(url) {
+  if (url && typeof url === 'object' && Array.isArray(url.path)) {
+    return `/${url.path.join('/')}`.replace(/\/{2,}/g, '/');
+  }
+
+  const raw = typeof url === 'string' ? url : url?.raw || '';
+  const path = raw
+    .replace(/^\{\{[^}]+\}\}/, '')
+    .replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]+/i, '')
+    .split(/[?#]/)[0];
+  return path.startsWith('/') ? path : `/${path}`;
+}
+
+// ------------------------------------------------------------
+// Script analysis
+// ------------------------------------------------------------
+
+/**
+ * Get the text of a call's arguments, starting at its opening parenthesis
+ * @returns {{args: string, end: number}|null} Arguments and the index after the closing parenthesis
+ */
+function readCallArguments(source, open) {
+  let depth = 0;
+  let quote = null;
+
+  for (let index = open; index < source.length; index++) {
+    const char = source[index];
+    if (quote) {
+      if (char === '\\') index++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === '\'' || char === '`') quote = char;
+    else if (char === '(') depth++;
+    else if (char === ')' && --depth === 0) {
+      return { args: source.slice(open + 1, index), end: index + 1 };
+    }
+  }
+  return null;
+}
+
+const ACCESSOR = String.raw`(?:\s*\.\s*[A-Za-z_$][\w$]*|\[\s*(?:\d+|"[^"]*"|'[^']*')\s*\])`;
+
+/**
+ * Convert an accessor chain (.data[0]["id"]) to a field path (data[].id)
+ */
+function accessorPath(chain) {
+  let path = '';
+  for (const [, name, index, key] of chain.matchAll(/\.\s*([A-Za-z_$][\w$]*)|\[\s*(\d+)\s*\]|\[\s*["']([^"']*)["']\s*\]/g)) {
+    if (index !== undefined) path += '[]';
+    else path += path ? `.${name ?? key}` : name ?? key;
+  }
+  return path;
+}
+
+/**
+ * Every prefix of a field path (data[].id -> data, data[], data[].id)
+ */
+function pathPrefixes(path) {
+  const prefixes = [];
+  for (const [index, char] of [...path].entries()) {
+    if (char === '.' || char === '[') prefixes.push(path.slice(0, index));
+  }
+  prefixes.push(path);
+  return prefixes.filter(Boolean);
+}
+
+/**
+ * Find what a test script asserts
+ * @param {string} source - Test script
+ * @returns {{statuses: Array<string>, validated: Array<string>, fields: Array<string>, jsonSchema: boolean}}
+ *   Asserted statuses (200, 4XX, ...), statuses whose documented contract is
+ *   validated, response fields checked by pm.expect, and whether
+ *   pm.response.to.have.jsonSchema validates the body
+ */
+export function analyzeTestScript(source) {
+  const statuses = new Set();
+  const validated = new Set();
+  const fields = new Set();
+
+  for (const [, status] of source.matchAll(/pm\.response\.to\.have\.status\(\s*(\d{3})\s*\)/g)) {
+    statuses.add(status);
+  }
+  for (const [, name] of source.matchAll(/pm\.response\.to\.be\.(\w+)/g)) {
+    if (STATUS_SHORTHANDS[name]) statuses.add(STATUS_SHORTHANDS[name]);
+  }
+
+  // The response contract from generateResponseContractScript
+  for (const [, json] of source.matchAll(/const contracts = (\{.*\});$/gm)) {
+    try {
+      for (const [status, contract] of Object.entries(JSON.parse(json))) {
+        if (contract?.schema) validated.add(normalizeStatus(status));
+      }
+    } catch {
+      // Not generated by us; fall through to the pm.expect checks
+    }
+  }
+
+  // Variables holding the response body or a part of it, with every path
+  // they may hold: dataToCheck = Array.isArray(body) ? body[0] : body -> '', []
+  const joinPath = (...parts) => parts.filter(Boolean).join('.').replace(/\.\[\]/g, '[]');
+  const roots = new Map([['pm.response.json()', ['']]]);
+  const referencesIn = text => {
+    const names = [...roots.keys()].map(root => root.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+    return [...text.matchAll(new RegExp(String.raw`(?<![\w$.])(${names})(${ACCESSOR}*)`, 'g'))]
+      .flatMap(([, root, chain]) => roots.get(root).map(prefix => joinPath(prefix, accessorPath(chain))));
+  };
+  for (const [, name, value] of source.matchAll(/(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*([^;\n]+)/g)) {
+    const paths = referencesIn(value);
+    if (paths.length > 0) roots.set(name, [...new Set(paths)]);
+  }
+
+  for (const match of source.matchAll(/pm\.expect\s*\(/g)) {
+    const call = readCallArguments(source, match.index + match[0].length - 1);
+    if (!call) continue;
+    const assertion = /^[^;\n]*/.exec(source.slice(call.end))[0];
+
+    // Status assertions on pm.response.code
+    if (/^\s*pm\.response\.code\s*$/.test(call.args)) {
+      if (/\.\s*not\b/.test(assertion)) continue;
+      const oneOf = /\.oneOf\(\s*\[([^\]]*)\]/.exec(assertion);
+      const equal = /\.(?:equal|equals|eql|eq)\(\s*(\d{3})\s*\)/.exec(assertion);
+      const within = /\.within\(\s*(\d{3})\s*,\s*(\d{3})\s*\)/.exec(assertion);
+      if (oneOf) oneOf[1].match(/\d{3}/g)?.forEach(status => statuses.add(status));
+      if (equal) statuses.add(equal[1]);
+      if (within) {
+        for (let group = Math.floor(within[1] / 100); group <= Math.floor(within[2] / 100); group++) {
+          statuses.add(`${group}XX`);
+        }
+      }
+      continue;
+    }
+
+    // Field checks: every body reference inside pm.expect(...), and
+    // .property("name") / .keys("a", "b") asserted on it
+    const subjects = referencesIn(call.args);
+    const property = /\.property\(\s*["']([^"']+)["']/.exec(assertion);
+    const keys = /\.keys\(([^)]*)\)/.exec(assertion);
+    for (const subject of subjects) {
+      pathPrefixes(subject).forEach(field => fields.add(field));
+      if (property) {
+        pathPrefixes(joinPath(subject, property[1])).forEach(field => fields.add(field));
+      }
+      for (const [, key] of keys ? keys[1].matchAll(/["']([^"']+)["']/g) : []) {
+        fields.add(joinPath(subject, key));
+      }
+    }
+  }
+
+  return {
+    statuses: [...statuses],
+    validated: [...validated],
+    fields: [...fields],
+    jsonSchema: /pm\.response\.to\.have\.jsonSchema\(/.test(source)
+  };
+}
+
+// ------------------------------------------------------------
+// Coverage
+// ------------------------------------------------------------
+
+function percent(covered, total) {
+  return total === 0 ? 100 : Math.round((covered / total) * 1000) / 10;
+}
+
+/**
+ * Check whether an asserted status covers a documented response key
+ * An exact code covers its key and its range (404 -> 404, 4XX); a range
+ * assertion only covers the range key.
+ */
+function statusCovers(asserted, key) {
+  return asserted === key || (/^\d{3}$/.test(asserted) && `${asserted[0]}XX` === key);
+}
+
+/**
+ * Get the documented responses a request's asserted statuses exercise
+ * An asserted code that no key covers falls through to default.
+ * @param {Array<string>} statuses - Asserted statuses of the request
+ * @param {Array<string>} keys - Normalized response keys of the operation
+ * @returns {Array<string>} Exercised response keys
+ */
+function exercisedResponses(statuses, keys) {
+  const exercised = new Set(keys.filter(key => statuses.some(code => statusCovers(code, key))));
+  if (keys.includes('default') && statuses.some(code => /^\d{3}$/.test(code) && !keys.some(key => statusCovers(code, key)))) {
+    exercised.add('default');
+  }
+  return [...exercised];
+}
+
+/**
+ * Analyze how much of a spec a collection tests
+ * @param {Object} api - Parsed OpenAPI spec
+ * @param {Object} collection - Postman collection (v2.1)
+ * @returns {Object} { spec, collection, operations: [...], unmatched: [...], summary }
+ */
+export function analyzeCoverage(api, collection) {
+  const routes = createMockRoutes(api);
+  const operationKey = endpoint => `${endpoint.method} ${endpoint.path}`;
+  const requestsOf = new Map(routes.map(({ endpoint }) => [operationKey(endpoint), []]));
+  const unmatched = [];
+
+  for (const { item, scripts } of collectRequests(collection.item, getTestScripts(collection))) {
+    const method = String(item.request.method || 'GET').toUpperCase();
+    const path = getRequestPath(item.request.url);
+    const match = matchMockRoute(routes, method, path);
+
+    if (match?.route) {
+      requestsOf.get(operationKey(match.route.endpoint)).push({ item, analysis: analyzeTestScript(scripts.join('\n')) });
+    } else {
+      unmatched.push({ name: item.name, method, path });
+    }
+  }
+
+  const operations = extractEndpoints(api).map(endpoint => {
+    const requests = requestsOf.get(operationKey(endpoint)) || [];
+    const asserted = new Set(requests.flatMap(({ analysis }) => analysis.statuses));
+    // jsonSchema validates whatever the asserted statuses return
+    const validated = new Set(requests.flatMap(({ analysis }) => [
+      ...analysis.validated,
+      ...(analysis.jsonSchema ? analysis.statuses : [])
+    ]));
+    const responseFields = collectResponseFields(endpoint.responses);
+
+    // A request only checks fields of the responses it asserts: all of them
+    // when it validates that response's contract (or uses jsonSchema), else
+    // the ones its pm.expect calls reference. Keys are status|field.
+    const checked = new Set();
+    const keys = Object.keys(endpoint.responses || {}).map(normalizeStatus);
+    for (const { analysis } of requests) {
+      for (const status of exercisedResponses(analysis.statuses, keys)) {
+        const whole = analysis.jsonSchema || analysis.validated.includes(status);
+        for (const { field } of responseFields.filter(entry => entry.status === status)) {
+          if (whole || analysis.fields.includes(field)) checked.add(`${status}|${field}`);
+        }
+      }
+    }
+
+    const responses = Object.keys(endpoint.responses || {}).map(key => {
+      const status = normalizeStatus(key);
+      const isAsserted = [...asserted].some(code => statusCovers(code, status));
+      const isValidated = [...validated].some(code => statusCovers(code, status));
+      // A default response has no code to assert; checking its contract counts
+      return { status, asserted: isAsserted || (status === 'default' && isValidated), validated: isValidated };
+    });
+
+    const fields = responseFields.map(({ status, field }) => ({ status, field, checked: checked.has(`${status}|${field}`) }));
+
+    return {
+      method: endpoint.method,
+      path: endpoint.path,
+      operationId: endpoint.raw?.operationId || null,
+      requests: requests.map(({ item }) => item.name),
+      responses,
+      fields
+    };
+  });
+
+  const count = (list, test) => {
+    const covered = list.filter(test).length;
+    return { covered, total: list.length, percent: percent(covered, list.length) };
+  };
+  const allResponses = operations.flatMap(operation => operation.responses);
+  const allFields = operations.flatMap(operation => operation.fields);
+
+  return {
+    spec: api.info?.title || null,
+    collection: collection.info?.name || null,
+    operations,
+    unmatched,
+    summary: {
+      [CoverageMetric.OPERATIONS]: count(operations, operation => operation.requests.length > 0),
+      [CoverageMetric.RESPONSES]: count(allResponses, response => response.asserted),
+      [CoverageMetric.FIELDS]: count(allFields, field => field.checked)
+    }
+  };
+}
+
+/**
+ * List the metrics below a threshold
+ * @param {Object} report - Result of analyzeCoverage
+ * @param {number} threshold - Minimum percentage (0-100)
+ * @returns {Array<{metric: string, percent: number}>} Metrics that fail, empty when all pass
+ */
+export function getCoverageShortfalls(report, threshold) {
+  return Object.values(CoverageMetric)
+    .filter(metric => report.summary[metric].percent < threshold)
+    .map(metric => ({ metric, percent: report.summary[metric].percent }));
+}
+
+// ------------------------------------------------------------
+// Reports
+// ------------------------------------------------------------
+
+/**
+ * Format a coverage report
+ * @param {Object} report - Result of analyzeCoverage
+ * @param {string} format - CoverageFormat value
+ * @returns {string} Report
+ */
+export function formatCoverageReport(report, format = CoverageFormat.TABLE) {
+  switch (format) {
+    case CoverageFormat.JSON:
+      return JSON.stringify(report, null, 2);
+    case CoverageFormat.TABLE:
+      return formatTable(report);
+    default:
+      throw new Error(`Unknown coverage format "${format}". Use table or json`);
+  }
+}
+
+function formatTable(report) {
+  const rows = report.operations.map(operation => {
+    const asserted = operation.responses.filter(response => response.asserted);
+    const untested = operation.responses.filter(response => !response.asserted).map(response => response.status);
+    const checked = operation.fields.filter(field => field.checked).length;
+    return [
+      operation.method,
+      operation.path,
+      String(operation.requests.length),
+      `${asserted.length}/${operation.responses.length}`,
+      `${checked}/${operation.fields.length}`,
+      untested.join(', ') || '-'
+    ];
+  });
+  const header = ['METHOD', 'PATH', 'REQUESTS', 'RESPONSES', 'FIELDS', 'UNTESTED RESPONSES'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const line = cells => cells.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  const lines = [line(header), ...rows.map(line), ''];
+  const { operations, responses, fields } = report.summary;
+  lines.push(`Operations: ${operations.covered}/${operations.total} (${operations.percent}%) have a request`);
+  lines.push(`Responses:  ${responses.covered}/${responses.total} (${responses.percent}%) asserted`);
+  lines.push(`Fields:     ${fields.covered}/${fields.total} (${fields.percent}%) checked`);
+
+  if (report.unmatched.length > 0) {
+    lines.push('');
+    lines.push(`Requests without a matching operation (${report.unmatched.length}):`);
+    for (const request of report.unmatched) {
+      lines.push(`  ${request.method} ${request.path} (${request.name})`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+export default {
+  CoverageFormat,
+  CoverageMetric,
+  collectSchemaFields,
+  getRequestPath,
+  analyzeTestScript,
+  analyzeCoverage,
+  getCoverageShortfalls,
+  formatCoverageReport
+};
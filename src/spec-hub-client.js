@@ -571,10 +571,34 @@ class SpecHubClient {
     return this.request('PUT', `/collections/${collectionUid}`, { collection });
   }
 
+  /**
+   * Create a collection in the workspace, or replace the one with the same name
+   * Used for collections Spec Hub does not generate (e.g. Arazzo workflows).
+   * @param {object} collection - Postman collection ({ info: { name }, item: [...] })
+   * @returns {Promise<string>} Collection UID
+   */
+  async upsertCollection(collection) {
+    const existing = (await this.getWorkspaceCollections()).find(c => c.name === collection.info.name);
+
+    if (existing) {
+      await this.updateCollection(existing.uid, collection);
+      return existing.uid;
+    }
+
+    const result = await this.request('POST', `/collections?workspace=${this.workspaceId}`, { collection });
+    return result.collection.uid;
+  }
+
   /**
    * Add test scripts to collection requests
+   * @param {string} collectionUid - Collection UID
+   * @param {object} testScripts - Map of test key -> script lines
+   * @param {object} options - { serverOverrides: map of test key -> { variable, basePath },
+   *   requestBodies: map of test key -> Postman body for requests generated without one,
+   *   preRequestScripts: map of test key -> pre-request script lines,
+   *   requestOrder: test keys in the order requests should run }
    */
-  async addTestScripts(collectionUid, testScripts) {
+  async addTestScripts(collectionUid, testScripts, options = {}) {
     const collectionData = await this.getCollection(collectionUid);
 
     // Validate response structure
@@ -590,6 +614,23 @@ class SpecHubClient {
       return { success: true, injected: 0 };
     }
 
+    // Point requests of operations with their own servers at the matching variable
+    if (options.serverOverrides && Object.keys(options.serverOverrides).length > 0) {
+      this.applyServerOverrides(collection.item, options.serverOverrides);
+    }
+
+    if (options.requestBodies && Object.keys(options.requestBodies).length > 0) {
+      this.applyRequestBodies(collection.item, options.requestBodies);
+    }
+
+    if (options.preRequestScripts && Object.keys(options.preRequestScripts).length > 0) {
+      this.applyPreRequestScripts(collection.item, options.preRequestScripts);
+    }
+
+    if (options.requestOrder?.length > 0) {
+      this.orderItems(collection.item, options.requestOrder);
+    }
+
     // Recursively add tests to all request items
     const injectedCount = this.addTestsToItems(collection.item, testScripts);
 
@@ -599,6 +640,37 @@ class SpecHubClient {
     return { success: true, injected: injectedCount };
   }
 
+  /**
+   * Add or replace a top-level folder in a collection
+   * Folders are matched by name, so re-running replaces the previous copy.
+   * @param {string} collectionUid - Collection UID
+   * @param {object} folder - Postman folder item ({ name, item: [...] })
+   */
+  async upsertFolder(collectionUid, folder) {
+    const collectionData = await this.getCollection(collectionUid);
+
+    if (!collectionData?.collection) {
+      throw new Error(`Collection ${collectionUid} not found or has no data`);
+    }
+
+    const collection = collectionData.collection;
+    collection.item = Array.isArray(collection.item) ? collection.item : [];
+
+    const existingIndex = collection.item.findIndex(
+      item => Array.isArray(item?.item) && item.name === folder.name
+    );
+
+    if (existingIndex === -1) {
+      collection.item.push(folder);
+    } else {
+      collection.item[existingIndex] = folder;
+    }
+
+    await this.updateCollection(collectionUid, collection);
+
+    return { success: true, replaced: existingIndex !== -1, items: folder.item.length };
+  }
+
   /**
    * Generate a stable key for test script lookup from collection item
    * Matches the key generation in test-generator.js
@@ -629,13 +701,211 @@ class SpecHubClient {
       }
     }
     
-    // Normalize path
-    path = path.replace(/\/{2,}/g, '/');
+    // Normalize path; Postman path variables (:taskId) map back to {taskId}
+    path = path.replace(/\/{2,}/g, '/').replace(/\/:([^/]+)/g, '/{$1}');
     if (!path.startsWith('/')) path = '/' + path;
     
     return `${method}|${path}`;
   }
 
+  /**
+   * Recursively repoint requests whose operation declares its own servers
+   * The request URL becomes {{variable}}/path, dropping the server base path
+   * if the generated URL already contained it.
+   * @param {Array} items - Collection items
+   * @param {object} serverOverrides - Map of test key -> { variable, basePath }
+   * @returns {number} Number of requests updated
+   */
+  applyServerOverrides(items, serverOverrides, updatedCount = 0) {
+    if (!Array.isArray(items)) {
+      return updatedCount;
+    }
+
+    for (const item of items) {
+      if (!item) continue;
+
+      if (Array.isArray(item.item)) {
+        updatedCount = this.applyServerOverrides(item.item, serverOverrides, updatedCount);
+        continue;
+      }
+
+      if (!item.request?.method || !item.request?.url) {
+        continue;
+      }
+
+      const key = this.generateTestKeyFromItem(item.request);
+      const override = serverOverrides[key];
+      if (!override) continue;
+
+      // Keys use {param}; the URL keeps Postman's :param path variables
+      let path = key.slice(key.indexOf('|') + 1).replace(/\/\{([^}]+)\}/g, '/:$1');
+      if (override.basePath && path.startsWith(`${override.basePath}/`)) {
+        path = path.slice(override.basePath.length);
+      }
+
+      const url = typeof item.request.url === 'object'
+        ? item.request.url
+        : { query: this.parseRawQuery(item.request.url) };
+      const query = Array.isArray(url.query) ? url.query : [];
+      const queryString = query
+        .filter(q => !q.disabled)
+        .map(q => `${q.key}=${q.value ?? ''}`)
+        .join('&');
+      const host = `{{${override.variable}}}`;
+
+      item.request.url = {
+        ...url,
+        raw: `${host}${path}${queryString ? `?${queryString}` : ''}`,
+        host: [host],
+        path: path.split('/').filter(Boolean)
+      };
+      delete item.request.url.protocol;
+      delete item.request.url.port;
+
+      updatedCount++;
+    }
+
+    return updatedCount;
+  }
+
+  /**
+   * Recursively fill requests that were generated with an empty body
+   * Existing non-empty bodies are left untouched.
+   * @param {Array} items - Collection items
+   * @param {object} requestBodies - Map of test key -> Postman body
+   * @returns {number} Number of requests updated
+   */
+  applyRequestBodies(items, requestBodies, updatedCount = 0) {
+    if (!Array.isArray(items)) {
+      return updatedCount;
+    }
+
+    for (const item of items) {
+      if (!item) continue;
+
+      if (Array.isArray(item.item)) {
+        updatedCount = this.applyRequestBodies(item.item, requestBodies, updatedCount);
+        continue;
+      }
+
+      if (!item.request?.method || !item.request?.url) {
+        continue;
+      }
+
+      const body = requestBodies[this.generateTestKeyFromItem(item.request)];
+      if (!body || !this.isEmptyBody(item.request.body)) continue;
+
+      item.request.body = structuredClone(body);
+      updatedCount++;
+    }
+
+    return updatedCount;
+  }
+
+  /**
+   * Recursively set the pre-request scripts of matching requests
+   * Existing pre-request scripts of those requests are replaced.
+   * @param {Array} items - Collection items
+   * @param {object} preRequestScripts - Map of test key -> script lines
+   * @returns {number} Number of requests updated
+   */
+  applyPreRequestScripts(items, preRequestScripts, updatedCount = 0) {
+    if (!Array.isArray(items)) {
+      return updatedCount;
+    }
+
+    for (const item of items) {
+      if (!item) continue;
+
+      if (Array.isArray(item.item)) {
+        updatedCount = this.applyPreRequestScripts(item.item, preRequestScripts, updatedCount);
+        continue;
+      }
+
+      if (!item.request?.method || !item.request?.url) {
+        continue;
+      }
+
+      const scriptLines = preRequestScripts[this.generateTestKeyFromItem(item.request)];
+      if (!scriptLines || !this.validateScriptSyntax(scriptLines.join('\n'))) continue;
+
+      item.event = (item.event || []).filter(e => e.listen !== 'prerequest');
+      item.event.push({
+        listen: 'prerequest',
+        script: {
+          type: 'text/javascript',
+          exec: scriptLines
+        }
+      });
+      updatedCount++;
+    }
+
+    return updatedCount;
+  }
+
+  /**
+   * Recursively sort requests (and folders) into run order
+   * A folder runs at the position of its earliest request; requests not
+   * in the order keep their relative position after the ordered ones.
+   * @param {Array} items - Collection items (sorted in place)
+   * @param {Array<string>} requestOrder - Test keys in run order
+   * @returns {number} Position of the earliest ordered request in items
+   */
+  orderItems(items, requestOrder) {
+    if (!Array.isArray(items)) {
+      return Infinity;
+    }
+
+    const positions = new Map(items.map(item => {
+      if (Array.isArray(item?.item)) {
+        return [item, this.orderItems(item.item, requestOrder)];
+      }
+      const index = item?.request ? requestOrder.indexOf(this.generateTestKeyFromItem(item.request)) : -1;
+      return [item, index === -1 ? Infinity : index];
+    }));
+
+    // Array.prototype.sort is stable, so ties keep their original order
+    items.sort((a, b) => (positions.get(a) === positions.get(b) ? 0 : positions.get(a) < positions.get(b) ? -1 : 1));
+    return Math.min(Infinity, ...positions.values());
+  }
+
+  /**
+   * Check whether a Postman request body carries no content
+   * @param {object} body - Postman body
+   * @returns {boolean} True if empty
+   */
+  isEmptyBody(body) {
+    if (!body?.mode) return true;
+
+    switch (body.mode) {
+      case 'raw':
+        return !body.raw || !body.raw.trim();
+      case 'urlencoded':
+        return !body.urlencoded?.length;
+      case 'formdata':
+        return !body.formdata?.length;
+      case 'file':
+        return !body.file?.src;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Parse the query string of a raw URL into Postman query entries
+   * @param {string} rawUrl - Raw request URL
+   * @returns {Array} [{ key, value }]
+   */
+  parseRawQuery(rawUrl) {
+    const queryString = rawUrl.split('?')[1];
+    if (!queryString) return [];
+
+    return queryString.split('&').filter(Boolean).map(pair => {
+      const [key, ...rest] = pair.split('=');
+      return { key, value: rest.join('=') };
+    });
+  }
+
   /**
    * Validate JavaScript syntax of a test script
    * @param {string} scriptContent - Script content to validate
@@ -823,18 +1093,21 @@ class SpecHubClient {
   /**
    * Apply standard tags to a collection based on type
    * @param {string} collectionUid - Collection UID
-   * @param {string} type - Collection type: 'main', 'smoke', or 'contract'
+   * @param {string} type - Collection type: 'main', 'smoke', 'contract', 'negative', 'security', or 'workflows'
    */
   async applyCollectionTags(collectionUid, type) {
     const tagMap = {
       'main': ['generated', 'docs'],
       'smoke': ['generated', 'smoke'],
-      'contract': ['generated', 'contract']
+      'contract': ['generated', 'contract'],
+      'negative': ['generated', 'negative'],
+      'security': ['generated', 'security'],
+      'workflows': ['generated', 'workflows']
     };
 
     const tags = tagMap[type];
     if (!tags) {
-      throw new Error(`Unknown collection type: ${type}. Use 'main', 'smoke', or 'contract'.`);
+      throw new Error(`Unknown collection type: ${type}. Use 'main', 'smoke', 'contract', 'negative', 'security', or 'workflows'.`);
     }
 
     return this.updateCollectionTags(collectionUid, tags);
@@ -9,12 +9,27 @@
  * 3. Generate docs collection (via Spec Hub) - no tests
  * 4. Generate smoke test collection (via Spec Hub + inject smoke tests)
  * 5. Generate contract test collection (via Spec Hub + inject contract tests)
- * 6. Upload environment
+ * 6. Generate negative test collection (via Spec Hub + add invalid requests)
+ * 7. Generate security test collection (via Spec Hub + add auth checks)
+ * 8. Upload environment
  */
 
-import { parseSpec } from './parser.js';
-import { generateTestScriptsForSpec, TestLevel } from './test-generator.js';
-import { generateEnvironmentForServer } from './environment-generator.js';
+import { parseSpec, loadSpecDocument } from './parser.js';
+import { serializeDocument } from './overlay.js';
+import { isRemoteSpec } from './remote-loader.js';
+import {
+  generateTestScriptsForSpec,
+  generateSkipScriptsForSpec,
+  generatePreRequestScriptsForSpec,
+  generateRequestBodyMap,
+  TestLevel
+} from './test-generator.js';
+import { generateEnvironmentsForServer, generateServerOverrideMap } from './environment-generator.js';
+import { generateWebhookFolder } from './webhook-generator.js';
+import { generateNegativeTestFolder } from './negative-test-generator.js';
+import { generateSecurityTestFolder } from './security-test-generator.js';
+import { generateRequestChain, withCaptureScripts, withChainPreRequestScripts } from './request-chaining.js';
+import { loadTestTemplates, TEMPLATE_LEVELS } from './test-templates.js';
 import { SpecHubClient } from './spec-hub-client.js';
 import { createLogger, LogLevel } from './logger.js';
 import fs from 'fs';
@@ -51,7 +66,16 @@ function parseArgs() {
     workspaceId: process.env.POSTMAN_WORKSPACE_ID || null,
     apiKey: process.env.POSTMAN_API_KEY || null,
     dryRun: process.env.DRY_RUN === 'true' || false,
-    testLevel: process.env.TEST_LEVEL || 'all', // 'smoke', 'contract', or 'all'
+    testLevel: process.env.TEST_LEVEL || 'all', // 'smoke', 'contract', 'negative', 'security', or 'all'
+    seed: process.env.DATA_SEED || undefined,
+    dataSets: process.env.DATA_SETS || undefined,
+    overlays: [],
+    allowedRoots: [],
+    testTemplates: {},
+    remote: {
+      headers: {},
+      offline: process.env.SPEC_OFFLINE === 'true'
+    },
     help: false
   };
 
@@ -75,6 +99,39 @@ function parseArgs() {
       case '-t':
         options.testLevel = args[++i];
         break;
+      case '--seed':
+        options.seed = args[++i];
+        break;
+      case '--data-sets':
+        options.dataSets = args[++i];
+        break;
+      case '--overlay':
+        options.overlays.push(args[++i]);
+        break;
+      case '--test-template': {
+        // "level=file" - snippet appended to every script of that level
+        const [level, ...file] = (args[++i] || '').split('=');
+        options.testTemplates[level] = [...(options.testTemplates[level] || []), file.join('=')];
+        break;
+      }
+      case '--test-hook':
+        options.testTemplates.hooks = [...(options.testTemplates.hooks || []), args[++i]];
+        break;
+      case '--header': {
+        // "Name: value" - sent when fetching a remote spec
+        const header = args[++i] || '';
+        const separator = header.indexOf(':');
+        if (separator > 0) {
+          options.remote.headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+        }
+        break;
+      }
+      case '--offline':
+        options.remote.offline = true;
+        break;
+      case '--allowed-root':
+        options.allowedRoots.push(args[++i]);
+        break;
       case '--dry-run':
       case '-d':
         options.dryRun = true;
@@ -97,10 +154,23 @@ Usage:
   node src/spec-hub-sync.js --spec <path> [options]
 
 Options:
-  --spec, -s        Path to OpenAPI spec file (required)
+  --spec, -s        Path to OpenAPI spec file or URL (required)
   --workspace, -w   Postman workspace ID (default: env.POSTMAN_WORKSPACE_ID)
   --api-key, -k     Postman API key (default: env.POSTMAN_API_KEY)
-  --test-level, -t  Test level to generate: smoke, contract, or all (default: all)
+  --test-level, -t  Test level to generate: smoke, contract, negative, security,
+                    or all (default: all)
+  --seed            Seed for generated test data (default: 1)
+  --data-sets       Seeded data sets per contract request; a run with N
+                    iterations sends N distinct payloads (default: 1)
+  --overlay         OpenAPI Overlay file to apply before upload (repeatable)
+  --test-template   level=file script snippet appended to every smoke or contract
+                    test script (repeatable)
+  --test-hook       ES module returning extra tests per endpoint (repeatable)
+  --header          "Name: value" header for fetching a remote spec (repeatable,
+                    values may reference env vars as \${VAR})
+  --offline         Use the cached copy of a remote spec without fetching
+  --allowed-root    Directory spec and overlay files may be read from (repeatable,
+                    default: current directory and its parent)
   --dry-run, -d     Validate without uploading
   --help, -h        Show this help message
 
@@ -108,11 +178,14 @@ Environment Variables:
   POSTMAN_API_KEY       Required - Your Postman API key
   POSTMAN_WORKSPACE_ID  Required - Target workspace ID
   SPEC_FILE             Path to OpenAPI spec file (alternative to --spec)
-  TEST_LEVEL            Test level: smoke, contract, or all (default: all)
+  TEST_LEVEL            Test level: smoke, contract, negative, security, or all (default: all)
+  DATA_SEED             Seed for generated test data (default: 1)
+  DATA_SETS             Seeded data sets per contract request (default: 1)
   DRY_RUN               Set to 'true' to validate without uploading
+  SPEC_OFFLINE          Set to 'true' to load remote specs from the cache only
 
 Examples:
-  # Generate all collections (docs + smoke + contract)
+  # Generate all collections (docs + smoke + contract + negative + security)
   node src/spec-hub-sync.js --spec specs/api.yaml
 
   # Generate only smoke tests
@@ -121,6 +194,25 @@ Examples:
   # Generate only contract tests
   node src/spec-hub-sync.js --spec specs/api.yaml --test-level contract
 
+  # Generate only negative tests (invalid requests expecting 400/422)
+  node src/spec-hub-sync.js --spec specs/api.yaml --test-level negative
+
+  # Generate only security tests (401/403 without or with invalid credentials)
+  node src/spec-hub-sync.js --spec specs/api.yaml --test-level security
+
+  # Apply an overlay before validation and upload
+  node src/spec-hub-sync.js --spec specs/api.yaml --overlay overlays/postman.yaml
+
+  # Add an org-wide assertion to every contract test script
+  node src/spec-hub-sync.js --spec specs/api.yaml --test-template contract=templates/request-id.js
+
+  # Fetch the spec from an artifact server that needs a token
+  node src/spec-hub-sync.js --spec https://artifacts.example.com/api.yaml \\
+    --header 'Authorization: Bearer \${ARTIFACT_TOKEN}'
+
+  # Monorepo: read specs from a shared contracts/ tree two levels up
+  node src/spec-hub-sync.js --spec ../../contracts/orders.yaml --allowed-root ../../contracts
+
   # With explicit credentials
   node src/spec-hub-sync.js --spec specs/api.yaml --workspace <id> --api-key <key>
 
@@ -132,19 +224,50 @@ Examples:
   process.stdout.write(helpText + '\n');
 }
 
-// Generate environments for each server
-function generateEnvironments(api) {
+// Generate environments for each server (one per server variable enum value)
+function generateEnvironments(api, seed) {
   const servers = api.servers || [{ url: 'https://api.example.com', description: 'Default' }];
   const environments = [];
   
   for (const server of servers) {
-    const env = generateEnvironmentForServer(api, server);
-    environments.push(env);
+    environments.push(...generateEnvironmentsForServer(api, server, { seed }));
   }
   
   return environments;
 }
 
+// Generate a Spec Hub collection whose requests keep smoke tests as a
+// baseline, and add a folder of generated test requests to it
+async function syncTestFolderCollection(client, specId, { name, type, folder, api, serverOverrides, requestBodies, templates, rules }) {
+  const collectionUid = await client.generateOrSyncCollection(specId, name, {
+    enableOptionalParameters: true,
+    folderStrategy: 'Tags'
+  });
+  logSuccess(`${name}: ${collectionUid}`);
+
+  // A rejection is only meaningful if the valid request succeeds
+  const baselineScripts = generateTestScriptsForSpec(api, TestLevel.SMOKE, { templates, rules });
+  await client.addTestScripts(collectionUid, baselineScripts, { serverOverrides, requestBodies });
+
+  if (folder) {
+    await client.upsertFolder(collectionUid, folder);
+    const requestCount = folder.item.reduce((count, item) => count + (Array.isArray(item.item) ? item.item.length : 1), 0);
+    logSuccess(`${folder.name} folder added (${requestCount} requests)`);
+  } else {
+    logInfo(`No ${type} tests apply to this spec`);
+  }
+
+  // Apply tags
+  try {
+    await client.applyCollectionTags(collectionUid, type);
+    logSuccess(`Tags applied: generated, ${type}`);
+  } catch (tagError) {
+    logInfo(`Note: Could not apply tags: ${tagError.message}`);
+  }
+
+  return collectionUid;
+}
+
 // Main sync function
 async function sync(options) {
   logger.info('═══════════════════════════════════════════════════════════');
@@ -169,10 +292,14 @@ async function sync(options) {
 
   const generateSmoke = options.testLevel === 'all' || options.testLevel === 'smoke';
   const generateContract = options.testLevel === 'all' || options.testLevel === 'contract';
+  const generateNegative = options.testLevel === 'all' || options.testLevel === 'negative';
+  const generateSecurity = options.testLevel === 'all' || options.testLevel === 'security';
 
   logInfo(`Test level: ${options.testLevel}`);
   logInfo(`Generate smoke tests: ${generateSmoke}`);
-  logInfo(`Generate contract tests: ${generateContract}\n`);
+  logInfo(`Generate contract tests: ${generateContract}`);
+  logInfo(`Generate negative tests: ${generateNegative}`);
+  logInfo(`Generate security tests: ${generateSecurity}\n`);
 
   if (options.dryRun) {
     logInfo('DRY RUN MODE - No changes will be made\n');
@@ -183,9 +310,21 @@ async function sync(options) {
 
   // Step 1: Parse OpenAPI spec
   logStep('Step 1', 'Parsing OpenAPI spec');
-  const api = await parseSpec(options.spec);
+  const overlays = options.overlays || [];
+  const remote = options.remote || {};
+  const api = await parseSpec(options.spec, { overlays, remote, allowedRoots: options.allowedRoots });
   const specName = api.info?.title || 'Untitled API';
   logSuccess(`Parsed: ${specName} (${api.info?.version || 'unknown version'})`);
+  if (overlays.length > 0) {
+    logInfo(`Applied ${overlays.length} overlay(s)`);
+  }
+
+  // Loaded before the dry-run exit so broken templates and hooks fail early
+  const templates = await loadTestTemplates(options.testTemplates || {});
+  const templateCount = TEMPLATE_LEVELS.reduce((count, level) => count + (templates.snippets[level]?.length || 0), 0);
+  if (templateCount + templates.hooks.length > 0) {
+    logInfo(`Loaded ${templateCount} test template(s) and ${templates.hooks.length} hook module(s)`);
+  }
 
   if (options.dryRun) {
     logInfo('Dry run complete - spec is valid');
@@ -209,7 +348,11 @@ async function sync(options) {
 
   // Step 3: Upload spec to Spec Hub
   logStep('Step 3', 'Uploading spec to Spec Hub');
-  const specContent = fs.readFileSync(options.spec, 'utf8');
+  // Spec Hub receives the overlaid view; the canonical file is left untouched.
+  // Remote specs go through the loader so headers and the cache apply.
+  const specContent = overlays.length > 0 || isRemoteSpec(options.spec)
+    ? serializeDocument(await loadSpecDocument(options.spec, { overlays, remote }), options.spec)
+    : fs.readFileSync(options.spec, 'utf8');
   specId = await client.uploadSpec(specName, specContent, specId);
   logSuccess(`Spec uploaded: ${specId}`);
 
@@ -236,6 +379,27 @@ async function sync(options) {
     logInfo(`Note: Could not apply tags: ${tagError.message}`);
   }
 
+  // Requests for paths/operations with their own servers use a dedicated base URL variable
+  const serverOverrides = generateServerOverrideMap(api);
+  // Form, multipart, XML and text bodies the generated requests may be missing
+  const requestBodies = generateRequestBodyMap(api, { seed: options.seed });
+  // Producers capture IDs for the requests that consume them (links + heuristics)
+  const requestChain = generateRequestChain(api);
+  const chainOptions = { preRequestScripts: requestChain.preRequestScripts, requestOrder: requestChain.order };
+  if (requestChain.dependencies.length > 0) {
+    logInfo(`Chaining ${requestChain.dependencies.length} request dependencies`);
+  }
+  // x-test-level, x-skip-tests, x-response-time-ms, x-smoke and forwardSync.testRules
+  const rules = options.testRules || [];
+  // Requests skipped at a level are never sent; that replaces any other pre-request script
+  const withSkipScripts = (level, preRequestScripts = {}) => ({
+    ...chainOptions,
+    preRequestScripts: {
+      ...withChainPreRequestScripts(preRequestScripts, chainOptions.preRequestScripts),
+      ...generateSkipScriptsForSpec(api, level, { rules })
+    }
+  });
+
   // Step 5: Generate or sync smoke test collection
   if (generateSmoke) {
     logStep('Step 5', 'Generating/syncing smoke test collection from Spec Hub');
@@ -247,11 +411,16 @@ async function sync(options) {
     logSuccess(`Smoke test collection: ${smokeCollectionUid}`);
 
     logStep('Step 6', 'Generating and injecting smoke tests');
-    const smokeTestScripts = generateTestScriptsForSpec(api, TestLevel.SMOKE);
-    const smokeTestCount = Object.keys(smokeTestScripts).length - 1;
+    const smokeTestScripts = generateTestScriptsForSpec(api, TestLevel.SMOKE, { templates, rules });
+    // Server-prefixed alias keys share the same script array
+    const smokeTestCount = new Set(Object.values(smokeTestScripts)).size - 1;
     logInfo(`Generated ${smokeTestCount} smoke test scripts`);
 
-    await client.addTestScripts(smokeCollectionUid, smokeTestScripts);
+    await client.addTestScripts(smokeCollectionUid, withCaptureScripts(smokeTestScripts, requestChain.captureScripts), {
+      serverOverrides,
+      requestBodies,
+      ...withSkipScripts(TestLevel.SMOKE)
+    });
     logSuccess('Smoke tests injected into collection');
     generatedCollections.push({ name: smokeCollectionName, uid: smokeCollectionUid, type: 'smoke' });
 
@@ -277,12 +446,27 @@ async function sync(options) {
 
     const injectStepNum = generateSmoke ? '8' : '6';
     logStep(`Step ${injectStepNum}`, 'Generating and injecting contract tests');
-    const contractTestScripts = generateTestScriptsForSpec(api, TestLevel.CONTRACT);
-    const contractTestCount = Object.keys(contractTestScripts).length - 1;
+    const contractTestScripts = generateTestScriptsForSpec(api, TestLevel.CONTRACT, { templates, rules });
+    // Server-prefixed alias keys share the same script array
+    const contractTestCount = new Set(Object.values(contractTestScripts)).size - 1;
     logInfo(`Generated ${contractTestCount} contract test scripts`);
 
-    await client.addTestScripts(contractCollectionUid, contractTestScripts);
+    await client.addTestScripts(contractCollectionUid, withCaptureScripts(contractTestScripts, requestChain.captureScripts), {
+      serverOverrides,
+      requestBodies,
+      ...withSkipScripts(TestLevel.CONTRACT, generatePreRequestScriptsForSpec(api, {
+        seed: options.seed,
+        count: Math.max(1, parseInt(options.dataSets, 10) || 1)
+      }))
+    });
     logSuccess('Contract tests injected into collection');
+
+    // Webhooks and callbacks are not generated by Spec Hub - add them as a folder
+    const webhookFolder = generateWebhookFolder(api, TestLevel.CONTRACT);
+    if (webhookFolder) {
+      await client.upsertFolder(contractCollectionUid, webhookFolder);
+      logSuccess(`Webhooks folder added (${webhookFolder.item.length} requests)`);
+    }
     generatedCollections.push({ name: contractCollectionName, uid: contractCollectionUid, type: 'contract' });
 
     // Apply tags
@@ -294,10 +478,36 @@ async function sync(options) {
     }
   }
 
-  // Step 7: Create/update environments (one per server)
-  const envStepNum = generateSmoke && generateContract ? '9' : generateSmoke || generateContract ? '7' : '5';
+  // Steps 7-8: Generate or sync negative and security test collections
+  let stepNum = 5 + (generateSmoke ? 2 : 0) + (generateContract ? 2 : 0);
+  const folderCollections = [
+    { enabled: generateNegative, type: 'negative', label: 'Negative Tests', generate: generateNegativeTestFolder },
+    { enabled: generateSecurity, type: 'security', label: 'Security Tests', generate: generateSecurityTestFolder }
+  ];
+
+  for (const { enabled, type, label, generate } of folderCollections) {
+    if (!enabled) continue;
+
+    logStep(`Step ${stepNum}`, `Generating/syncing ${type} test collection from Spec Hub`);
+    const collectionName = `${specName} - ${label}`;
+    const collectionUid = await syncTestFolderCollection(client, specId, {
+      name: collectionName,
+      type,
+      folder: generate(api, { seed: options.seed, rules }),
+      api,
+      serverOverrides,
+      requestBodies,
+      templates,
+      rules
+    });
+    generatedCollections.push({ name: collectionName, uid: collectionUid, type });
+    stepNum++;
+  }
+
+  // Step 9: Create/update environments (one per server)
+  const envStepNum = String(stepNum);
   logStep(`Step ${envStepNum}`, 'Creating environments');
-  const environments = generateEnvironments(api);
+  const environments = generateEnvironments(api, options.seed);
   
   // Get existing environments
   const existingEnvs = await client.request('GET', `/environments?workspace=${options.workspaceId}`);
@@ -336,8 +546,14 @@ async function sync(options) {
   if (generateContract) {
     logger.info(`  3. Run contract tests: postman collection run "${specName} - Contract Tests"`);
   }
+  if (generateNegative) {
+    logger.info(`  4. Run negative tests: postman collection run "${specName} - Negative Tests"`);
+  }
+  if (generateSecurity) {
+    logger.info(`  5. Run security tests: postman collection run "${specName} - Security Tests"`);
+  }
 
-  logger.info(`  4. On spec change, re-run: node src/spec-hub-sync.js --spec ${options.spec}`);
+  logger.info(`  6. On spec change, re-run: node src/spec-hub-sync.js --spec ${options.spec}`);
 
   logger.info('═══════════════════════════════════════════════════════════');
 
@@ -10,6 +10,7 @@
 
 import fs from 'fs';
 import yaml from 'js-yaml';
+import { escapePointerSegment } from './parser.js';
 
 export class SpecMerge {
   constructor(options = {}) {
@@ -38,12 +39,9 @@ export class SpecMerge {
     // Apply only allowed changes
     for (const change of allowedChanges) {
       // Skip conflicting changes based on strategy
-      if (change.hasConflict) {
-        if (this.options.conflictStrategy === 'spec-wins') {
-          skippedChanges.push({ ...change, reason: 'Conflict - spec wins' });
-          continue;
-        }
-        // collection-wins or interactive: apply the change
+      if (this.isBlockedByConflict(change)) {
+        skippedChanges.push({ ...change, reason: 'Conflict - spec wins' });
+        continue;
       }
 
       try {
@@ -64,13 +62,122 @@ export class SpecMerge {
     };
   }
 
+  /**
+   * Check whether the conflict strategy keeps the spec value for a change
+   * (collection-wins or interactive: apply the change)
+   */
+  isBlockedByConflict(change) {
+    return Boolean(change.hasConflict) && this.options.conflictStrategy === 'spec-wins';
+  }
+
+  /**
+   * Merge Postman changes into the physical files of a multi-file spec
+   * @param {Array} allowedChanges - Pre-classified safe changes
+   * @param {object} sourceMap - Source map from parseSpec bundle mode
+   * @returns {object} Result with files (path -> updated document), applied, and skipped
+   */
+  mergeSpecsToSources(allowedChanges, sourceMap) {
+    const files = {};
+    const appliedChanges = [];
+    const skippedChanges = [];
+
+    for (const change of allowedChanges) {
+      if (this.isBlockedByConflict(change)) {
+        skippedChanges.push({ ...change, reason: 'Conflict - spec wins' });
+        continue;
+      }
+
+      const location = this.locateSource(change.path, sourceMap);
+      if (!location) {
+        skippedChanges.push({ ...change, reason: 'No source file owns this path' });
+        continue;
+      }
+
+      try {
+        files[location.file] = files[location.file] || this.readSpec(location.file);
+        this.applyChangeAtParts(files[location.file], this.parsePointer(location.pointer), change);
+        appliedChanges.push({ ...change, file: location.file });
+      } catch (error) {
+        skippedChanges.push({
+          ...change,
+          reason: `Failed to apply: ${error.message}`
+        });
+      }
+    }
+
+    return {
+      files,
+      applied: appliedChanges,
+      skipped: skippedChanges
+    };
+  }
+
+  /**
+   * Find the physical file and JSON pointer that own a change path
+   * @param {string} changePath - Dot-separated change path (resolved view)
+   * @param {object} sourceMap - Source map from parseSpec bundle mode
+   * @returns {{file: string, pointer: string}|null} Owning location
+   */
+  locateSource(changePath, sourceMap) {
+    if (!sourceMap) return null;
+
+    const segments = this.parsePath(changePath).map(part => escapePointerSegment(part));
+
+    // Longest matching $ref boundary wins
+    for (let i = segments.length; i >= 0; i--) {
+      const prefix = segments.slice(0, i).map(s => `/${s}`).join('');
+      const entry = sourceMap[prefix];
+
+      if (entry) {
+        const rest = segments.slice(i).map(s => `/${s}`).join('');
+        return { file: entry.file, pointer: entry.pointer + rest };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Split a JSON pointer into path parts
+   */
+  parsePointer(pointer) {
+    if (!pointer) return [];
+
+    return pointer
+      .split('/')
+      .slice(1)
+      .map(segment => {
+        const part = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+        const num = parseInt(part, 10);
+        return !isNaN(num) && String(num) === part ? num : part;
+      });
+  }
+
+  /**
+   * Check whether a spec document references other files
+   */
+  hasExternalRefs(node) {
+    if (!node || typeof node !== 'object') return false;
+    if (typeof node.$ref === 'string' && !node.$ref.startsWith('#')) return true;
+    return Object.values(node).some(child => this.hasExternalRefs(child));
+  }
+
   /**
    * Apply a single change to the spec
    * @param {object} spec - Spec object to modify
    * @param {object} change - Change to apply (path, newValue)
    */
   applyChange(spec, change) {
-    const pathParts = this.parsePath(change.path);
+    this.applyChangeAtParts(spec, this.parsePath(change.path), change);
+  }
+
+  /**
+   * Apply a change at an already-parsed location
+   * @param {object} spec - Spec object to modify
+   * @param {Array} pathParts - Location of the change
+   * @param {object} change - Change to apply (kind, newValue)
+   */
+  applyChangeAtParts(spec, pathParts, change) {
     let current = spec;
 
     // Navigate to parent of target
@@ -109,8 +216,9 @@ export class SpecMerge {
     for (let i = 0; i < pathStr.length; i++) {
       const char = pathStr[i];
 
-      if (char === '/' && !inPath) {
+      if (char === '/' && !inPath && current === '') {
         // Start of URL path segment like /users
+        // (a '/' inside a segment, e.g. application/json, is a plain char)
         if (current) parts.push(current);
         current = '/';
         inPath = true;
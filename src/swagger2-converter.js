@@ -0,0 +1,578 @@
+/**
+ * Swagger 2.0 Converter
+ *
+ * Upgrades Swagger 2.0 documents to an in-memory OpenAPI 3.0 model so the
+ * rest of the pipeline (test generation, environments, reverse sync) only
+ * has to understand one shape. Works on both raw documents (local $refs are
+ * rewritten to their OAS 3 locations) and dereferenced documents (circular
+ * object graphs are preserved).
+ */
+
+/**
+ * OpenAPI version emitted for converted documents
+ */
+export const CONVERTED_OPENAPI_VERSION = '3.0.3';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+const FORM_MEDIA_TYPES = ['application/x-www-form-urlencoded', 'multipart/form-data'];
+
+/**
+ * Local $ref prefixes that move in OpenAPI 3
+ */
+const REF_REWRITES = [
+  ['#/definitions/', '#/components/schemas/'],
+  ['#/responses/', '#/components/responses/'],
+  ['#/parameters/', '#/components/parameters/']
+];
+
+/**
+ * Keywords shared between Swagger 2.0 parameters and OpenAPI 3 schemas
+ */
+const PARAMETER_SCHEMA_KEYWORDS = [
+  'type', 'format', 'items', 'default', 'maximum', 'exclusiveMaximum',
+  'minimum', 'exclusiveMinimum', 'maxLength', 'minLength', 'pattern',
+  'maxItems', 'minItems', 'uniqueItems', 'enum', 'multipleOf'
+];
+
+/**
+ * Swagger 2.0 collectionFormat -> OpenAPI 3 style/explode
+ */
+const COLLECTION_FORMATS = {
+  csv: { style: 'form', explode: false },
+  ssv: { style: 'spaceDelimited', explode: false },
+  pipes: { style: 'pipeDelimited', explode: false },
+  multi: { style: 'form', explode: true }
+};
+
+/**
+ * Check whether a document is a Swagger 2.0 spec
+ * @param {Object} api - Parsed spec document
+ * @returns {boolean} True for swagger: "2.0"
+ */
+export function isSwagger2(api) {
+  return Boolean(api && typeof api.swagger === 'string' && api.swagger.startsWith('2.0'));
+}
+
+/**
+ * Rewrite a Swagger 2.0 local $ref to its OpenAPI 3 location
+ * @param {string} ref - $ref value
+ * @returns {string} Rewritten $ref
+ */
+export function rewriteRef(ref) {
+  if (typeof ref !== 'string') return ref;
+
+  for (const [from, to] of REF_REWRITES) {
+    if (ref.startsWith(from)) {
+      return to + ref.slice(from.length);
+    }
+  }
+
+  return ref;
+}
+
+/**
+ * Copy vendor extensions (x-*) from one object to another
+ */
+function copyExtensions(source, target) {
+  for (const [key, value] of Object.entries(source || {})) {
+    if (key.startsWith('x-') && key !== 'x-nullable' && key !== 'x-examples') {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+/**
+ * Build OpenAPI 3 servers from host, basePath and schemes
+ */
+function convertServers(api) {
+  const basePath = api.basePath && api.basePath !== '/' ? api.basePath.replace(/\/$/, '') : '';
+
+  if (!api.host) {
+    return basePath ? [{ url: basePath }] : [];
+  }
+
+  const schemes = api.schemes && api.schemes.length > 0 ? api.schemes : ['https'];
+  return schemes.map(scheme => ({ url: `${scheme}://${api.host}${basePath}` }));
+}
+
+/**
+ * Convert a Swagger 2.0 security definition to an OpenAPI 3 security scheme
+ */
+function convertSecurityScheme(definition) {
+  const scheme = copyExtensions(definition, {});
+  if (definition.description) scheme.description = definition.description;
+
+  switch (definition.type) {
+    case 'basic':
+      return { type: 'http', scheme: 'basic', ...scheme };
+    case 'apiKey':
+      return { type: 'apiKey', name: definition.name, in: definition.in, ...scheme };
+    case 'oauth2': {
+      const scopes = definition.scopes || {};
+      const flows = {};
+
+      switch (definition.flow) {
+        case 'implicit':
+          flows.implicit = { authorizationUrl: definition.authorizationUrl, scopes };
+          break;
+        case 'password':
+          flows.password = { tokenUrl: definition.tokenUrl, scopes };
+          break;
+        case 'application':
+          flows.clientCredentials = { tokenUrl: definition.tokenUrl, scopes };
+          break;
+        case 'accessCode':
+          flows.authorizationCode = {
+            authorizationUrl: definition.authorizationUrl,
+            tokenUrl: definition.tokenUrl,
+            scopes
+          };
+          break;
+      }
+
+      return { type: 'oauth2', flows, ...scheme };
+    }
+    default:
+      return { ...definition };
+  }
+}
+
+/**
+ * Stateful converter - keeps a memo of converted objects so shared and
+ * circular references in dereferenced documents stay shared and circular.
+ */
+class Swagger2Converter {
+  constructor(api) {
+    this.api = api;
+    this.schemaMemo = new WeakMap();
+    this.consumes = api.consumes && api.consumes.length > 0 ? api.consumes : ['application/json'];
+    this.produces = api.produces && api.produces.length > 0 ? api.produces : ['application/json'];
+  }
+
+  convert() {
+    const api = this.api;
+    const result = copyExtensions(api, {
+      openapi: CONVERTED_OPENAPI_VERSION,
+      info: api.info
+    });
+
+    const servers = convertServers(api);
+    if (servers.length > 0) result.servers = servers;
+    if (api.tags) result.tags = api.tags;
+    if (api.externalDocs) result.externalDocs = api.externalDocs;
+    if (api.security) result.security = api.security;
+
+    result.paths = {};
+    for (const [pathStr, pathItem] of Object.entries(api.paths || {})) {
+      result.paths[pathStr] = this.convertPathItem(pathItem);
+    }
+
+    const components = {};
+
+    if (api.definitions) {
+      components.schemas = {};
+      for (const [name, schema] of Object.entries(api.definitions)) {
+        components.schemas[name] = this.convertSchema(schema);
+      }
+    }
+
+    if (api.parameters) {
+      for (const [name, param] of Object.entries(api.parameters)) {
+        // Body and form parameters become request bodies, not parameters
+        if (param.in === 'body') {
+          components.requestBodies = components.requestBodies || {};
+          components.requestBodies[name] = this.buildRequestBody([param], this.consumes);
+        } else if (param.in !== 'formData') {
+          components.parameters = components.parameters || {};
+          components.parameters[name] = this.convertParameter(param);
+        }
+      }
+    }
+
+    if (api.responses) {
+      components.responses = {};
+      for (const [name, response] of Object.entries(api.responses)) {
+        components.responses[name] = this.convertResponse(response, this.produces);
+      }
+    }
+
+    if (api.securityDefinitions) {
+      components.securitySchemes = {};
+      for (const [name, definition] of Object.entries(api.securityDefinitions)) {
+        components.securitySchemes[name] = convertSecurityScheme(definition);
+      }
+    }
+
+    if (Object.keys(components).length > 0) {
+      result.components = components;
+    }
+
+    return result;
+  }
+
+  /**
+   * Resolve a local #/parameters/... $ref (raw documents only)
+   */
+  resolveParameter(param) {
+    if (param && typeof param.$ref === 'string' && param.$ref.startsWith('#/parameters/')) {
+      const name = param.$ref.slice('#/parameters/'.length);
+      return this.api.parameters?.[name] || param;
+    }
+    return param;
+  }
+
+  convertPathItem(pathItem) {
+    if (pathItem.$ref) {
+      return { $ref: pathItem.$ref };
+    }
+
+    const result = copyExtensions(pathItem, {});
+    const pathParams = (pathItem.parameters || []).map(p => this.resolveParameter(p));
+
+    // Only non-body parameters can live at path level in OpenAPI 3
+    const sharedParams = pathParams.filter(p => p.in !== 'body' && p.in !== 'formData');
+    if (sharedParams.length > 0) {
+      result.parameters = sharedParams.map(p => this.convertParameterOrRef(p, pathItem.parameters));
+    }
+
+    for (const method of HTTP_METHODS) {
+      if (pathItem[method]) {
+        result[method] = this.convertOperation(pathItem[method], pathParams);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Keep $ref for parameters that were referenced in the raw document
+   */
+  convertParameterOrRef(resolved, originals = []) {
+    const original = originals.find(p => p === resolved || this.resolveParameter(p) === resolved);
+    if (original && original.$ref) {
+      return { $ref: rewriteRef(original.$ref) };
+    }
+    return this.convertParameter(resolved);
+  }
+
+  convertOperation(operation, pathParams) {
+    const result = copyExtensions(operation, {});
+
+    for (const key of ['tags', 'summary', 'description', 'externalDocs', 'operationId', 'deprecated', 'security']) {
+      if (operation[key] !== undefined) result[key] = operation[key];
+    }
+
+    const consumes = operation.consumes && operation.consumes.length > 0 ? operation.consumes : this.consumes;
+    const produces = operation.produces && operation.produces.length > 0 ? operation.produces : this.produces;
+
+    const opParams = (operation.parameters || []).map(p => this.resolveParameter(p));
+    const overridden = new Set(opParams.map(p => `${p.in}:${p.name}`));
+
+    // Body/form params declared at path level apply unless overridden
+    const inheritedBodyParams = pathParams.filter(p =>
+      (p.in === 'body' || p.in === 'formData') && !overridden.has(`${p.in}:${p.name}`)
+    );
+
+    const bodyParams = [...inheritedBodyParams, ...opParams.filter(p => p.in === 'body' || p.in === 'formData')];
+    const otherParams = opParams.filter(p => p.in !== 'body' && p.in !== 'formData');
+
+    if (otherParams.length > 0) {
+      result.parameters = otherParams.map(p => this.convertParameterOrRef(p, operation.parameters));
+    }
+
+    if (bodyParams.length > 0) {
+      result.requestBody = this.buildRequestBody(bodyParams, consumes);
+    }
+
+    result.responses = {};
+    for (const [code, response] of Object.entries(operation.responses || {})) {
+      result.responses[code] = response.$ref
+        ? { $ref: rewriteRef(response.$ref) }
+        : this.convertResponse(response, produces);
+    }
+
+    return result;
+  }
+
+  /**
+   * Build a requestBody from Swagger 2.0 body or formData parameters
+   */
+  buildRequestBody(params, consumes) {
+    const bodyParam = params.find(p => p.in === 'body');
+
+    if (bodyParam) {
+      const mediaTypes = consumes.filter(type => !FORM_MEDIA_TYPES.includes(type));
+      const schema = this.convertSchema(bodyParam.schema || {});
+      const content = {};
+
+      for (const mediaType of mediaTypes.length > 0 ? mediaTypes : ['application/json']) {
+        content[mediaType] = { schema };
+        if (bodyParam['x-examples']?.[mediaType] !== undefined) {
+          content[mediaType].example = bodyParam['x-examples'][mediaType];
+        }
+      }
+
+      const requestBody = copyExtensions(bodyParam, { content });
+      if (bodyParam.description) requestBody.description = bodyParam.description;
+      if (bodyParam.required) requestBody.required = true;
+      return requestBody;
+    }
+
+    // formData parameters become an object schema
+    const formParams = params.filter(p => p.in === 'formData');
+    const hasFile = formParams.some(p => p.type === 'file');
+    const formTypes = consumes.filter(type => FORM_MEDIA_TYPES.includes(type));
+    const mediaTypes = hasFile
+      ? ['multipart/form-data']
+      : formTypes.length > 0 ? formTypes : ['application/x-www-form-urlencoded'];
+
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+
+    for (const param of formParams) {
+      const property = this.parameterToSchema(param);
+      if (param.description) property.description = param.description;
+      schema.properties[param.name] = property;
+      if (param.required) required.push(param.name);
+    }
+
+    if (required.length > 0) schema.required = required;
+
+    const content = {};
+    for (const mediaType of mediaTypes) {
+      content[mediaType] = { schema };
+    }
+
+    const requestBody = { content };
+    if (required.length > 0) requestBody.required = true;
+    return requestBody;
+  }
+
+  /**
+   * Convert a non-body Swagger 2.0 parameter
+   */
+  convertParameter(param) {
+    if (param.$ref) {
+      return { $ref: rewriteRef(param.$ref) };
+    }
+
+    const result = copyExtensions(param, { name: param.name, in: param.in });
+    if (param.description) result.description = param.description;
+    if (param.required || param.in === 'path') result.required = true;
+    if (param.allowEmptyValue) result.allowEmptyValue = true;
+
+    result.schema = this.parameterToSchema(param);
+
+    if (param.type === 'array') {
+      const format = COLLECTION_FORMATS[param.collectionFormat || 'csv'];
+      if (format && param.in === 'query') {
+        result.style = format.style;
+        result.explode = format.explode;
+      } else if (param.in === 'path' || param.in === 'header') {
+        result.style = 'simple';
+      }
+    }
+
+    if (param['x-example'] !== undefined) {
+      result.example = param['x-example'];
+    }
+
+    return result;
+  }
+
+  /**
+   * Build a schema from the inline type keywords of a parameter/header
+   */
+  parameterToSchema(param) {
+    const schema = {};
+
+    for (const keyword of PARAMETER_SCHEMA_KEYWORDS) {
+      if (param[keyword] !== undefined) {
+        schema[keyword] = keyword === 'items' ? this.parameterToSchema(param.items) : param[keyword];
+      }
+    }
+
+    if (schema.type === 'file') {
+      schema.type = 'string';
+      schema.format = 'binary';
+    }
+
+    return schema;
+  }
+
+  convertResponse(response, produces) {
+    const result = copyExtensions(response, { description: response.description || '' });
+
+    if (response.headers) {
+      result.headers = {};
+      for (const [name, header] of Object.entries(response.headers)) {
+        const converted = { schema: this.parameterToSchema(header) };
+        if (header.description) converted.description = header.description;
+        result.headers[name] = converted;
+      }
+    }
+
+    if (response.schema) {
+      const schema = this.convertSchema(response.schema);
+      result.content = {};
+
+      for (const mediaType of produces) {
+        result.content[mediaType] = { schema };
+        if (response.examples?.[mediaType] !== undefined) {
+          result.content[mediaType].example = response.examples[mediaType];
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Convert a Swagger 2.0 schema object (cycle-safe)
+   */
+  convertSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+    if (Array.isArray(schema)) return schema.map(s => this.convertSchema(s));
+
+    if (this.schemaMemo.has(schema)) {
+      return this.schemaMemo.get(schema);
+    }
+
+    const result = {};
+    this.schemaMemo.set(schema, result);
+
+    for (const [key, value] of Object.entries(schema)) {
+      switch (key) {
+        case '$ref':
+          result.$ref = rewriteRef(value);
+          break;
+        case 'x-nullable':
+          if (value) result.nullable = true;
+          break;
+        case 'discriminator':
+          result.discriminator = typeof value === 'string' ? { propertyName: value } : value;
+          break;
+        case 'properties':
+        case 'patternProperties':
+          result[key] = {};
+          for (const [name, propSchema] of Object.entries(value || {})) {
+            result[key][name] = this.convertSchema(propSchema);
+          }
+          break;
+        case 'items':
+        case 'additionalProperties':
+        case 'not':
+        case 'allOf':
+        case 'anyOf':
+        case 'oneOf':
+          result[key] = typeof value === 'object' ? this.convertSchema(value) : value;
+          break;
+        default:
+          result[key] = value;
+      }
+    }
+
+    if (result.type === 'file') {
+      result.type = 'string';
+      result.format = 'binary';
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Convert a Swagger 2.0 document to OpenAPI 3.0
+ * The input is not modified.
+ * @param {Object} api - Swagger 2.0 document (raw or dereferenced)
+ * @returns {Object} OpenAPI 3.0 document
+ */
+export function convertSwagger2ToOpenApi3(api) {
+  return new Swagger2Converter(api).convert();
+}
+
+/**
+ * Map a change path expressed against the converted OpenAPI 3 model back to
+ * the equivalent location in the original Swagger 2.0 document.
+ * Used by reverse sync so enrichments land in the file the team maintains.
+ * @param {string} pathStr - Dot-separated change path (OpenAPI 3 model)
+ * @param {Object} swaggerSpec - Original Swagger 2.0 document
+ * @returns {string|null} Swagger 2.0 path, or null if it has no equivalent
+ */
+export function mapChangePathToSwagger2(pathStr, swaggerSpec) {
+  if (pathStr.startsWith('components.schemas.')) {
+    return 'definitions.' + pathStr.slice('components.schemas.'.length);
+  }
+
+  if (pathStr.startsWith('components.') || pathStr.startsWith('servers')) {
+    return null;
+  }
+
+  const opMatch = pathStr.match(/^paths\.(\/[^.]*)\.([a-z]+)\.(.+)$/);
+  if (!opMatch) {
+    return pathStr;
+  }
+
+  const [, urlPath, method, rest] = opMatch;
+  const prefix = `paths.${urlPath}.${method}`;
+  const operation = swaggerSpec.paths?.[urlPath]?.[method];
+  if (!operation || !HTTP_METHODS.includes(method)) {
+    return null;
+  }
+
+  const rawParams = operation.parameters || [];
+
+  // Response examples are keyed by mime type in Swagger 2.0
+  const responseExample = rest.match(/^responses\.([^.]+)\.content\.(.+?)\.example(\..*)?$/);
+  if (responseExample) {
+    const [, code, mediaType, suffix = ''] = responseExample;
+    return `${prefix}.responses.${code}.examples.${mediaType}${suffix}`;
+  }
+
+  if (rest.startsWith('requestBody.')) {
+    const bodyIndex = rawParams.findIndex(p => p.in === 'body');
+    if (bodyIndex === -1) return null;
+
+    if (rest === 'requestBody.description') {
+      return `${prefix}.parameters.${bodyIndex}.description`;
+    }
+
+    const bodyExample = rest.match(/^requestBody\.content\.(.+?)\.example(\..*)?$/);
+    if (bodyExample) {
+      return `${prefix}.parameters.${bodyIndex}.x-examples.${bodyExample[1]}${bodyExample[2] || ''}`;
+    }
+
+    return null;
+  }
+
+  // Converted parameter lists drop body/formData entries, so re-index
+  const paramMatch = rest.match(/^parameters\.(\d+)\.(.+)$/);
+  if (paramMatch) {
+    const convertedIndex = Number(paramMatch[1]);
+    const rawIndexes = rawParams
+      .map((p, i) => ({ p, i }))
+      .filter(({ p }) => p.in !== 'body' && p.in !== 'formData')
+      .map(({ i }) => i);
+
+    if (rawIndexes[convertedIndex] === undefined) return null;
+
+    const field = paramMatch[2] === 'example' ? 'x-example' : paramMatch[2];
+    return `${prefix}.parameters.${rawIndexes[convertedIndex]}.${field}`;
+  }
+
+  if (rest.startsWith('requestBody') || rest.includes('.content.')) {
+    return null;
+  }
+
+  return pathStr;
+}
+
+export default {
+  isSwagger2,
+  convertSwagger2ToOpenApi3,
+  mapChangePathToSwagger2,
+  rewriteRef,
+  CONVERTED_OPENAPI_VERSION
+};
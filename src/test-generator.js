@@ -4,21 +4,43 @@
  * Test Generator
  * 
  * Generates Postman test scripts from OpenAPI spec metadata.
- * Supports two test levels:
+ * Supports three test levels:
  * - smoke: Basic health checks (status code, response time)
  * - contract: Comprehensive validation (schemas, fields, content-types)
+ * - negative: Invalid requests that must be rejected (built as extra
+ *   request items by negative-test-generator.js)
+ * - security: Requests without or with invalid credentials that must be
+ *   rejected (built by security-test-generator.js)
  * 
- * These tests are injected into Spec Hub-generated collections.
+ * These tests are injected into Spec Hub-generated collections. Smoke and
+ * contract scripts can be extended with templates, hooks and the
+ * x-contract-tests extension (see test-templates.js), and tuned per
+ * operation with x-test-level, x-skip-tests, x-response-time-ms and
+ * x-smoke (see test-settings.js).
  */
 
-import { extractEndpoints, getResponseSchema, getRequiredFields } from './parser.js';
+import {
+  extractEndpoints,
+  getResponseSchema,
+  getServerBasePath,
+  expandServerUrl,
+  getExample,
+  buildRequestBodyExamples
+} from './parser.js';
+import { BodyKind, buildPostmanBody, getBodyKind, selectMediaType } from './request-body-builder.js';
+import { DEFAULT_DATA_SEED } from './fake-data.js';
+import { toJsonSchema, SchemaDirection } from './json-schema.js';
+import { generateTemplateTests, generateExtensionTests } from './test-templates.js';
+import { createTestPlanner, generateSkipRequestScript } from './test-settings.js';
 
 /**
  * Test level enumeration
  */
 export const TestLevel = {
   SMOKE: 'smoke',
-  CONTRACT: 'contract'
+  CONTRACT: 'contract',
+  NEGATIVE: 'negative',
+  SECURITY: 'security'
 };
 
 /**
@@ -34,21 +56,63 @@ export function generateTestKey(method, path) {
   return `${normalizedMethod}|${normalizedPath}`;
 }
 
+/**
+ * Generate every key a generated request for this endpoint may resolve to
+ *
+ * Endpoints with path- or operation-level servers can appear in collections
+ * with the server's base path baked into the URL (e.g. /v2/files), so the
+ * prefixed key is registered alongside the plain method + path key.
+ * @param {Object} endpoint - Endpoint object from parser
+ * @returns {Array<string>} Test keys, plain key first
+ */
+export function generateTestKeysForEndpoint(endpoint) {
+  const keys = [generateTestKey(endpoint.method, endpoint.path)];
+
+  if (endpoint.serverOverride) {
+    for (const server of endpoint.servers || []) {
+      const basePath = getServerBasePath(expandServerUrl(server));
+      if (!basePath) continue;
+
+      const key = generateTestKey(endpoint.method, `${basePath}${endpoint.path}`);
+      if (!keys.includes(key)) keys.push(key);
+    }
+  }
+
+  return keys;
+}
+
 /**
  * Generate test scripts for all endpoints in a spec
+ * Operations skipped at this level get a comment instead of tests, so the
+ * default script is not applied to them either.
  * @param {Object} api - Parsed OpenAPI spec
  * @param {string} level - Test level ('smoke' or 'contract')
+ * @param {Object} options - Options
+ * @param {Object} options.templates - Templates and hooks from loadTestTemplates
+ * @param {Array} options.rules - Per-operation test rules (forwardSync.testRules)
  * @returns {Object} Map of endpoint keys to test scripts
  */
-export function generateTestScriptsForSpec(api, level = TestLevel.CONTRACT) {
+export function generateTestScriptsForSpec(api, level = TestLevel.CONTRACT, options = {}) {
   const endpoints = extractEndpoints(api);
   const testScripts = {};
+  // Location headers are checked against the documented paths
+  const scriptOptions = { pathTemplates: Object.keys(api.paths || {}), templates: options.templates, api };
+  const planTests = createTestPlanner(endpoints, options.rules);
 
   for (const endpoint of endpoints) {
     // Use stable key based on method + path instead of name
     // This survives item renames in Postman
-    const testKey = generateTestKey(endpoint.method, endpoint.path);
-    testScripts[testKey] = generateTestScript(endpoint, level);
+    const [testKey, ...aliasKeys] = generateTestKeysForEndpoint(endpoint);
+    const plan = planTests(endpoint, level);
+    const script = plan.run
+      ? generateTestScript(endpoint, plan.level, { ...scriptOptions, responseTimeMs: plan.responseTimeMs })
+      : [`// No ${level} tests for: ${endpoint.method} ${endpoint.path} (${plan.reason})`];
+    testScripts[testKey] = script;
+
+    // Server-prefixed aliases never shadow another endpoint's own key
+    for (const aliasKey of aliasKeys) {
+      if (!testScripts[aliasKey]) testScripts[aliasKey] = script;
+    }
   }
 
   // Add default test script for any unmatched endpoints
@@ -59,26 +123,125 @@ export function generateTestScriptsForSpec(api, level = TestLevel.CONTRACT) {
   return testScripts;
 }
 
+/**
+ * Generate pre-request scripts that skip requests not run at a level
+ * Keyed like the test scripts; forward sync applies them so skipped
+ * requests are never sent during a collection run.
+ * @param {Object} api - Parsed OpenAPI spec
+ * @param {string} level - Test level
+ * @param {Object} options - Options (rules: forwardSync.testRules)
+ * @returns {Object} Map of test key -> pre-request script lines
+ */
+export function generateSkipScriptsForSpec(api, level, options = {}) {
+  const endpoints = extractEndpoints(api);
+  const planTests = createTestPlanner(endpoints, options.rules);
+  const scripts = {};
+
+  for (const endpoint of endpoints) {
+    const plan = planTests(endpoint, level);
+    if (plan.run) continue;
+
+    const script = generateSkipRequestScript(endpoint, level, plan.reason);
+    for (const key of generateTestKeysForEndpoint(endpoint)) {
+      if (!scripts[key]) scripts[key] = script;
+    }
+  }
+
+  return scripts;
+}
+
+/**
+ * Generate the seeded test data pre-request scripts of a spec
+ * Only endpoints with path parameters or a JSON body get one. Keyed like
+ * the test scripts; a collection run with N iterations sends N distinct
+ * payloads when count is N.
+ * @param {Object} api - Parsed OpenAPI spec
+ * @param {Object} options - { seed, count } (see generatePreRequestScript)
+ * @returns {Object} Map of test key -> pre-request script lines
+ */
+export function generatePreRequestScriptsForSpec(api, options = {}) {
+  const scripts = {};
+
+  for (const endpoint of extractEndpoints(api)) {
+    const hasJsonBody = getBodyKind(selectMediaType(endpoint.requestBody?.content)) === BodyKind.JSON;
+    if (!endpoint.path.includes('{') && !hasJsonBody) continue;
+
+    const script = generatePreRequestScript(endpoint, options);
+    for (const key of generateTestKeysForEndpoint(endpoint)) {
+      if (!scripts[key]) scripts[key] = script;
+    }
+  }
+
+  return scripts;
+}
+
+/**
+ * Generate Postman bodies for every endpoint with a request body
+ * Keyed like the test scripts; used to fill requests that were generated
+ * without a body (form, multipart, XML and text endpoints).
+ * @param {Object} api - Parsed OpenAPI spec
+ * @param {Object} options - Synthesis options (seed)
+ * @returns {Object} Map of test key -> Postman body
+ */
+export function generateRequestBodyMap(api, options = {}) {
+  const bodies = {};
+
+  for (const endpoint of extractEndpoints(api)) {
+    const generated = buildPostmanBody(endpoint.requestBody, options);
+    if (!generated) continue;
+
+    for (const key of generateTestKeysForEndpoint(endpoint)) {
+      if (!bodies[key]) bodies[key] = generated.body;
+    }
+  }
+
+  return bodies;
+}
+
 /**
  * Generate test script for a single endpoint
+ * Template, hook and x-contract-tests sections follow the built-in tests.
  * @param {Object} endpoint - Endpoint object from parser
  * @param {string} level - Test level ('smoke' or 'contract')
+ * @param {Object} options - Contract options (see generateResponseContractScript),
+ *   plus templates (from loadTestTemplates), api (passed to hooks) and
+ *   responseTimeMs (threshold instead of RESPONSE_TIME_THRESHOLD)
  * @returns {Array} Test script lines
  */
-function generateTestScript(endpoint, level) {
-  if (level === TestLevel.SMOKE) {
-    return generateSmokeTestScript(endpoint);
-  } else {
-    return generateContractTestScript(endpoint);
+export function generateTestScript(endpoint, level, options = {}) {
+  const scriptLevel = level === TestLevel.SMOKE ? TestLevel.SMOKE : TestLevel.CONTRACT;
+  const tests = scriptLevel === TestLevel.SMOKE
+    ? generateSmokeTestScript(endpoint, options)
+    : generateContractTestScript(endpoint, options);
+
+  const extras = [
+    ...(scriptLevel === TestLevel.CONTRACT ? generateExtensionTests(endpoint) : []),
+    ...generateTemplateTests(endpoint, scriptLevel, options.templates, { api: options.api })
+  ];
+  if (extras.length > 0) {
+    if (tests[tests.length - 1] !== '') tests.push('');
+    tests.push(...extras);
   }
+
+  return tests;
+}
+
+/**
+ * Response time threshold line: the operation's own limit, or the environment's
+ */
+function generateThresholdLine(responseTimeMs) {
+  return responseTimeMs
+    ? `    const threshold = ${responseTimeMs}; // x-response-time-ms`
+    : `    const threshold = parseInt(pm.environment.get("RESPONSE_TIME_THRESHOLD") || "2000");`;
 }
 
 /**
  * Generate SMOKE test script - Basic health checks only
  * @param {Object} endpoint - Endpoint object from parser
+ * @param {Object} options - Options (responseTimeMs)
  * @returns {Array} Test script lines
  */
-function generateSmokeTestScript(endpoint) {
+function generateSmokeTestScript(endpoint, options = {}) {
   const tests = [];
 
   // Header comment
@@ -100,7 +263,7 @@ function generateSmokeTestScript(endpoint) {
   // 2. Response time check only
   tests.push(`// Performance check`);
   tests.push(`pm.test("Response time is acceptable", function () {`);
-  tests.push(`    const threshold = parseInt(pm.environment.get("RESPONSE_TIME_THRESHOLD") || "2000");`);
+  tests.push(generateThresholdLine(options.responseTimeMs));
   tests.push(`    pm.expect(pm.response.responseTime).to.be.below(threshold);`);
   tests.push(`});`);
   tests.push('');
@@ -133,9 +296,10 @@ function generateSmokeTestScript(endpoint) {
 /**
  * Generate CONTRACT test script - Comprehensive validation
  * @param {Object} endpoint - Endpoint object from parser
+ * @param {Object} options - Contract options (see generateResponseContractScript) and responseTimeMs
  * @returns {Array} Test script lines
  */
-function generateContractTestScript(endpoint) {
+function generateContractTestScript(endpoint, options = {}) {
   const tests = [];
 
   // Header comment
@@ -164,109 +328,15 @@ function generateContractTestScript(endpoint) {
   // 2. Response time check
   tests.push(`// Performance baseline check`);
   tests.push(`pm.test("Response time is acceptable", function () {`);
-  tests.push(`    const threshold = parseInt(pm.environment.get("RESPONSE_TIME_THRESHOLD") || "2000");`);
+  tests.push(generateThresholdLine(options.responseTimeMs));
   tests.push(`    pm.expect(pm.response.responseTime).to.be.below(threshold);`);
   tests.push(`});`);
   tests.push('');
 
-  // 3. Content-Type validation
-  const successResponse = endpoint.responses['200'] || endpoint.responses['201'];
-  if (successResponse?.content) {
-    const contentTypes = Object.keys(successResponse.content);
-    if (contentTypes.length > 0) {
-      const expectedType = contentTypes[0].split(';')[0];
-      tests.push(`// Content-Type validation`);
-      tests.push(`pm.test("Content-Type is ${expectedType}", function () {`);
-      tests.push(`    pm.response.to.have.header("Content-Type");`);
-      tests.push(`    const contentType = pm.response.headers.get("Content-Type");`);
-      tests.push(`    pm.expect(contentType).to.include("${expectedType}");`);
-      tests.push(`});`);
-      tests.push('');
-    }
-  }
-
-  // 4. JSON Schema validation (only for JSON responses)
-  const schemaInfo = getResponseSchema(endpoint.responses, '200') ||
-                     getResponseSchema(endpoint.responses, '201');
-  
-  if (schemaInfo?.schema) {
-    tests.push(`// JSON Schema validation`);
-    tests.push(`pm.test("Response matches schema structure", function () {`);
-    tests.push(`    // Check Content-Type before parsing`);
-    tests.push(`    const contentType = pm.response.headers.get("Content-Type") || "";`);
-    tests.push(`    if (!contentType.includes("application/json")) {`);
-    tests.push(`        pm.expect.fail("Response is not JSON, cannot validate schema");`);
-    tests.push(`        return;`);
-    tests.push(`    }`);
-    tests.push(`    `);
-    tests.push(`    const jsonData = pm.response.json();`);
-    tests.push(`    `);
-    tests.push(`    // Basic type validation`);
-    if (schemaInfo.schema.type === 'object') {
-      tests.push(`    pm.expect(jsonData).to.be.an('object');`);
-    } else if (schemaInfo.schema.type === 'array') {
-      tests.push(`    pm.expect(jsonData).to.be.an('array');`);
-    }
-    tests.push(`});`);
-    tests.push('');
-
-    // 5. Required field checks
-    const requiredFields = getRequiredFields(schemaInfo.schema);
-    if (requiredFields.length > 0) {
-      tests.push(`// Required field validation`);
-      tests.push(`pm.test("Response has required fields", function () {`);
-      tests.push(`    const contentType = pm.response.headers.get("Content-Type") || "";`);
-      tests.push(`    if (!contentType.includes("application/json")) {`);
-      tests.push(`        pm.expect.fail("Response is not JSON, cannot validate fields");`);
-      tests.push(`        return;`);
-      tests.push(`    }`);
-      tests.push(`    `);
-      tests.push(`    const jsonData = pm.response.json();`);
-      tests.push(`    const dataToCheck = Array.isArray(jsonData) ? (jsonData[0] || {}) : jsonData;`);
-      tests.push(`    `);
-      for (const field of requiredFields) {
-        tests.push(`    pm.expect(dataToCheck).to.have.property('${field}');`);
-      }
-      tests.push(`});`);
-      tests.push('');
-    }
-
-    // 6. Advanced schema validations (enum, format, patterns, constraints)
-    const advancedValidations = generateAdvancedSchemaValidations(schemaInfo.schema);
-    if (advancedValidations.length > 0) {
-      tests.push(`// Advanced schema validations (enum, format, constraints)`);
-      tests.push(`pm.test("Field values match schema constraints", function () {`);
-      tests.push(`    const contentType = pm.response.headers.get("Content-Type") || "";`);
-      tests.push(`    if (!contentType.includes("application/json")) {`);
-      tests.push(`        pm.expect.fail("Response is not JSON, cannot validate constraints");`);
-      tests.push(`        return;`);
-      tests.push(`    }`);
-      tests.push(`    `);
-      tests.push(`    const jsonData = pm.response.json();`);
-      tests.push(`    const dataToCheck = Array.isArray(jsonData) ? (jsonData[0] || {}) : jsonData;`);
-      tests.push(`    `);
-      for (const validation of advancedValidations) {
-        tests.push(`    ${validation}`);
-      }
-      tests.push(`});`);
-      tests.push('');
-    }
-  }
-
-  // 6. Error response structure validation
-  const errorCodes = statusCodes.filter(code => code.startsWith('4') || code.startsWith('5'));
-  if (errorCodes.length > 0) {
-    tests.push(`// Error response structure validation`);
-    tests.push(`pm.test("Error responses have proper structure", function () {`);
-    tests.push(`    if (pm.response.code >= 400) {`);
-    tests.push(`        const contentType = pm.response.headers.get("Content-Type") || "";`);
-    tests.push(`        if (contentType.includes("application/json")) {`);
-    tests.push(`            const jsonData = pm.response.json();`);
-    tests.push(`            const hasErrorField = jsonData.hasOwnProperty('error') || jsonData.hasOwnProperty('message') || jsonData.hasOwnProperty('detail');`);
-    tests.push(`            pm.expect(hasErrorField).to.be.true;`);
-    tests.push(`        }`);
-    tests.push(`    }`);
-    tests.push(`});`);
+  // 3. Response contract for whichever status came back (Content-Type, headers, schema)
+  const contractScript = generateResponseContractScript(endpoint.responses, options);
+  if (contractScript.length > 0) {
+    tests.push(...contractScript);
     tests.push('');
   }
 
@@ -274,140 +344,221 @@ function generateContractTestScript(endpoint) {
 }
 
 /**
- * Generate advanced schema validation assertions
- * Validates: enum, format, pattern, numeric constraints, string constraints
- * @param {Object} schema - JSON Schema object
- * @param {string} path - Current property path (for nested objects)
- * @returns {Array} Array of assertion strings
+ * Build the pattern a Location header path must match for a path template
+ * Path parameters match one segment; a server base path may come first.
+ * @param {string} template - Path template (e.g. /items/{itemId})
+ * @returns {string} Regular expression source
  */
-function generateAdvancedSchemaValidations(schema, path = 'dataToCheck') {
-  const validations = [];
-  
-  if (!schema || typeof schema !== 'object') {
-    return validations;
-  }
+export function getPathTemplatePattern(template) {
+  const segments = template.split('/').filter(Boolean).map(segment =>
+    segment
+      .split(/(\{[^}]+\})/)
+      .map(part => /^\{[^}]+\}$/.test(part) ? '[^/]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('')
+  );
+  return `^(?:/.*)?/${segments.join('/')}/?$`;
+}
 
-  // Handle array items
-  if (schema.type === 'array' && schema.items) {
-    validations.push(...generateAdvancedSchemaValidations(schema.items, `${path}[0]`));
-    
-    // Array constraints
-    if (schema.minItems !== undefined) {
-      validations.push(`pm.expect(${path}).to.have.length.of.at.least(${schema.minItems});`);
-    }
-    if (schema.maxItems !== undefined) {
-      validations.push(`pm.expect(${path}).to.have.length.of.at.most(${schema.maxItems});`);
-    }
-    if (schema.uniqueItems) {
-      validations.push(`// Note: uniqueItems validation requires deep comparison`);
+/**
+ * Build the documented headers of a response
+ * Content-Type is left out (OpenAPI ignores it; the media types cover it).
+ * @param {Object} headers - Response headers object
+ * @param {Array<string>} pathTemplates - Documented paths, for Location
+ * @returns {Object} Header name -> { required, schema, templates? }
+ */
+function getHeaderContracts(headers = {}, pathTemplates = []) {
+  const contracts = {};
+
+  for (const [name, header] of Object.entries(headers)) {
+    if (!header || header.$ref || name.toLowerCase() === 'content-type') continue;
+
+    contracts[name] = {
+      required: header.required === true,
+      schema: header.schema ? toJsonSchema(header.schema, { direction: SchemaDirection.RESPONSE }) : null
+    };
+
+    // The root path would match any Location, so it is not a useful template
+    const templates = pathTemplates.filter(template => template.split('/').some(Boolean));
+    if (name.toLowerCase() === 'location' && templates.length > 0) {
+      contracts[name].templates = templates.map(getPathTemplatePattern);
     }
-    return validations;
   }
 
-  // Handle object properties
-  if (schema.type === 'object' && schema.properties) {
-    for (const [propName, propSchema] of Object.entries(schema.properties)) {
-      const propPath = `${path}['${propName}']`;
-      
-      // Only validate if property exists (required check is separate)
-      validations.push(`if (${propPath} !== undefined) {`);
-      
-      // Type validation
-      if (propSchema.type) {
-        const typeMap = {
-          'string': 'string',
-          'integer': 'number',
-          'number': 'number',
-          'boolean': 'boolean',
-          'array': 'array',
-          'object': 'object'
-        };
-        if (typeMap[propSchema.type]) {
-          validations.push(`    pm.expect(${propPath}).to.be.a('${typeMap[propSchema.type]}');`);
-        }
-      }
-      
-      // Enum validation
-      if (propSchema.enum && propSchema.enum.length > 0) {
-        // Use JSON.stringify to safely escape enum values and prevent code injection
-        const enumJson = JSON.stringify(propSchema.enum);
-        validations.push(`    pm.expect(${propPath}).to.be.oneOf(${enumJson});`);
-      }
-      
-      // Format validation (strings)
-      if (propSchema.format && propSchema.type === 'string') {
-        const formatPattern = getFormatPattern(propSchema.format);
-        if (formatPattern) {
-          validations.push(`    pm.expect(${propPath}).to.match(${formatPattern});`);
-        }
-      }
-      
-      // Pattern validation (regex)
-      if (propSchema.pattern && propSchema.type === 'string') {
-        // Use JSON.stringify to safely escape regex patterns and prevent code injection
-        const safePattern = JSON.stringify(propSchema.pattern);
-        validations.push(`    pm.expect(${propPath}).to.match(new RegExp(${safePattern}));`);
-      }
-      
-      // String constraints
-      if (propSchema.type === 'string') {
-        if (propSchema.minLength !== undefined) {
-          validations.push(`    pm.expect(${propPath}).to.have.length.of.at.least(${propSchema.minLength});`);
-        }
-        if (propSchema.maxLength !== undefined) {
-          validations.push(`    pm.expect(${propPath}).to.have.length.of.at.most(${propSchema.maxLength});`);
-        }
-      }
-      
-      // Numeric constraints
-      if (propSchema.type === 'number' || propSchema.type === 'integer') {
-        if (propSchema.minimum !== undefined) {
-          const operator = propSchema.exclusiveMinimum ? '>' : '>=';
-          validations.push(`    pm.expect(${propPath}).to.be${operator === '>' ? '.above' : '.at.least'}(${propSchema.minimum});`);
-        }
-        if (propSchema.maximum !== undefined) {
-          const operator = propSchema.exclusiveMaximum ? '<' : '<=';
-          validations.push(`    pm.expect(${propPath}).to.be${operator === '<' ? '.below' : '.at.most'}(${propSchema.maximum});`);
-        }
-        if (propSchema.multipleOf !== undefined) {
-          validations.push(`    pm.expect(${propPath} % ${propSchema.multipleOf}).to.equal(0);`);
-        }
-      }
-      
-      // Nested object/array validation
-      if (propSchema.type === 'object' || propSchema.type === 'array') {
-        const nested = generateAdvancedSchemaValidations(propSchema, propPath);
-        for (const nestedValidation of nested) {
-          validations.push(`    ${nestedValidation}`);
-        }
-      }
-      
-      validations.push(`}`);
-    }
+  return contracts;
+}
+
+/**
+ * Build the contract of every documented response, keyed by status
+ * Keys are exact codes, ranges (4XX) or "default"; schemas are converted to
+ * JSON Schema for the sandbox's Ajv.
+ * @param {Object} responses - Operation responses
+ * @param {Object} options - Options
+ * @param {Array<string>} options.pathTemplates - Documented paths a Location header may point to
+ * @returns {Object} Status -> { contentTypes, charsets, headers, schema }
+ */
+export function getResponseContracts(responses = {}, options = {}) {
+  const contracts = {};
+
+  for (const [status, response] of Object.entries(responses)) {
+    if (!response || response.$ref) continue;
+
+    const key = status === 'default' ? status : status.toUpperCase();
+    const schemaInfo = getResponseSchema(responses, status);
+    const mediaTypes = Object.keys(response.content || {}).map(type => {
+      const [mediaType, ...params] = type.split(';').map(part => part.trim());
+      const charset = params.find(param => /^charset=/i.test(param));
+      return { mediaType, charset: charset ? charset.slice('charset='.length).replace(/"/g, '').toLowerCase() : null };
+    });
+
+    contracts[key] = {
+      // Wildcard media ranges (*/*, application/*) cannot be matched by substring
+      contentTypes: mediaTypes.map(type => type.mediaType).filter(type => !type.includes('*')),
+      // Media types whose key pins a charset (application/json; charset=utf-8)
+      charsets: Object.fromEntries(
+        mediaTypes.filter(type => type.charset && !type.mediaType.includes('*')).map(type => [type.mediaType, type.charset])
+      ),
+      headers: getHeaderContracts(response.headers, options.pathTemplates),
+      schema: schemaInfo?.schema ? toJsonSchema(schemaInfo.schema, { direction: SchemaDirection.RESPONSE }) : null
+    };
   }
-  
-  return validations;
+
+  return contracts;
 }
 
 /**
- * Get regex pattern for common OpenAPI formats
- * @param {string} format - OpenAPI format string
- * @returns {string|null} Regex pattern string for Postman test
+ * Generate the response contract checks for an operation
+ *
+ * The script branches on pm.response.code and picks the documented response
+ * for it - the exact code first, then its range (4XX), then "default" - and
+ * checks its Content-Type (and charset), headers and schema. Schemas are
+ * embedded as JSON Schema and validated with the Ajv build that ships in the
+ * Postman sandbox (require('ajv'), v6). Every JSON path that fails gets its
+ * own failing test, so nested objects, array items, oneOf branches and
+ * additionalProperties: false are all reported.
+ *
+ * Required headers must be present; present headers are converted from
+ * their string form (numbers, booleans, comma-separated arrays) and
+ * validated against their schema. A documented Location header must point
+ * to one of options.pathTemplates.
+ * @param {Object} responses - Operation responses (dereferenced)
+ * @param {Object} options - Options (pathTemplates); see getResponseContracts
+ * @returns {Array} Test script lines (empty when no responses are documented)
  */
-function getFormatPattern(format) {
-  const patterns = {
-    'date': '/^\\d{4}-\\d{2}-\\d{2}$/',
-    'date-time': '/^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}(\\.\\d+)?(Z|[+-]\\d{2}:\\d{2})$/',
-    'email': '/^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/',
-    'uuid': '/^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i',
-    'uri': '/^https?:\\/\\/.+/',
-    'hostname': '/^[a-zA-Z0-9]([a-zA-Z0-9\\-]{0,61}[a-zA-Z0-9])?(\\.[a-zA-Z0-9]([a-zA-Z0-9\\-]{0,61}[a-zA-Z0-9])?)*$/',
-    'ipv4': '/^(\\d{1,3}\\.){3}\\d{1,3}$/',
-    'ipv6': '/^([0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$/',
-    'byte': '/^[A-Za-z0-9+\\/]*={0,2}$/'
-  };
-  
-  return patterns[format] || null;
+export function generateResponseContractScript(responses, options = {}) {
+  const contracts = getResponseContracts(responses, options);
+  if (Object.keys(contracts).length === 0) {
+    return [];
+  }
+
+  return [
+    `// Response contract: the documented response for this status code`,
+    `// (exact code, then range such as 4XX, then default)`,
+    `(function () {`,
+    `    const contracts = ${JSON.stringify(contracts)};`,
+    `    const code = String(pm.response.code);`,
+    `    const status = [code, code.charAt(0) + "XX", "default"].find(function (key) { return contracts[key]; });`,
+    `    if (!status) {`,
+    `        pm.test("Status " + code + " is documented", function () {`,
+    `            pm.expect.fail("Status " + code + " is not documented for this operation");`,
+    `        });`,
+    `        return;`,
+    `    }`,
+    ``,
+    `    const contract = contracts[status];`,
+    `    let ajv;`,
+    `    function compile(schema) {`,
+    `        if (!ajv) {`,
+    `            const Ajv = require("ajv");`,
+    `            ajv = new Ajv({ allErrors: true, jsonPointers: true, errorDataPath: "property", unknownFormats: "ignore", logger: false });`,
+    `        }`,
+    `        return ajv.compile(schema);`,
+    `    }`,
+    ``,
+    `    const contentType = pm.response.headers.get("Content-Type") || "";`,
+    `    if (contract.contentTypes.length > 0) {`,
+    `        pm.test("Content-Type matches the " + status + " response", function () {`,
+    `            pm.expect(contract.contentTypes.some(function (type) { return contentType.includes(type); }),`,
+    `                "Content-Type \\"" + contentType + "\\" is not one of " + contract.contentTypes.join(", ")).to.be.true;`,
+    `        });`,
+    `        const mediaType = contract.contentTypes.find(function (type) { return contentType.includes(type); });`,
+    `        const charset = mediaType && contract.charsets[mediaType];`,
+    `        if (charset) {`,
+    `            pm.test("Content-Type charset is " + charset, function () {`,
+    `                const match = /charset="?([^";\\s]+)/i.exec(contentType);`,
+    `                pm.expect(match ? match[1].toLowerCase() : "(none)",`,
+    `                    "Content-Type \\"" + contentType + "\\" does not declare charset " + charset).to.equal(charset);`,
+    `            });`,
+    `        }`,
+    `    }`,
+    ``,
+    `    // Documented headers: required ones present, every present one matching its schema`,
+    `    function headerValue(value, schema) {`,
+    `        const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;`,
+    `        if ((type === "integer" || type === "number") && /^\\s*-?\\d+(\\.\\d+)?([eE][+-]?\\d+)?\\s*$/.test(value)) return Number(value);`,
+    `        if (type === "boolean" && (value === "true" || value === "false")) return value === "true";`,
+    `        if (type === "array") return value.split(",").map(function (item) { return headerValue(item.trim(), schema.items || {}); });`,
+    `        return value;`,
+    `    }`,
+    `    Object.keys(contract.headers).forEach(function (name) {`,
+    `        const header = contract.headers[name];`,
+    `        const value = pm.response.headers.get(name);`,
+    `        if (header.required) {`,
+    `            pm.test("Header " + name + " is present", function () {`,
+    `                pm.expect(value !== undefined && value !== null, "Required header " + name + " is missing").to.be.true;`,
+    `            });`,
+    `        }`,
+    `        if (value === undefined || value === null) {`,
+    `            return;`,
+    `        }`,
+    `        if (header.schema) {`,
+    `            pm.test("Header " + name + " matches its schema", function () {`,
+    `                const validate = compile(header.schema);`,
+    `                pm.expect(validate(headerValue(value, header.schema)), name + " \\"" + value + "\\" " +`,
+    `                    (validate.errors || []).map(function (error) { return error.message; }).join("; ")).to.be.true;`,
+    `            });`,
+    `        }`,
+    `        if (header.templates) {`,
+    `            pm.test("Header " + name + " points to a documented path", function () {`,
+    `                const path = value.replace(/^[a-z][a-z0-9+.-]*:\\/\\/[^/]+/i, "").split(/[?#]/)[0];`,
+    `                pm.expect(header.templates.some(function (pattern) { return new RegExp(pattern).test(path); }),`,
+    `                    name + " \\"" + value + "\\" does not match a documented path").to.be.true;`,
+    `            });`,
+    `        }`,
+    `    });`,
+    `    if (!contract.schema) {`,
+    `        return;`,
+    `    }`,
+    ``,
+    `    // JSON Schema validation (whole body, one test per failing JSON path)`,
+    `    const schemaTest = "Response matches the " + status + " schema";`,
+    `    if (!contentType.includes("json")) {`,
+    `        pm.test(schemaTest, function () {`,
+    `            pm.expect.fail("Response is not JSON, cannot validate schema");`,
+    `        });`,
+    `        return;`,
+    `    }`,
+    `    const validate = compile(contract.schema);`,
+    `    if (validate(pm.response.json())) {`,
+    `        pm.test(schemaTest, function () {});`,
+    `        return;`,
+    `    }`,
+    ``,
+    `    // Group errors by JSON path (/items/0/id -> $.items[0].id)`,
+    `    const failures = {};`,
+    `    validate.errors.forEach(function (error) {`,
+    `        const jsonPath = "$" + error.dataPath.split("/").slice(1).map(function (segment) {`,
+    `            segment = segment.replace(/~1/g, "/").replace(/~0/g, "~");`,
+    `            return /^\\d+$/.test(segment) ? "[" + segment + "]" : "." + segment;`,
+    `        }).join("");`,
+    `        (failures[jsonPath] = failures[jsonPath] || []).push(error.message);`,
+    `    });`,
+    `    Object.keys(failures).forEach(function (jsonPath) {`,
+    `        pm.test(schemaTest + " at " + jsonPath, function () {`,
+    `            pm.expect.fail(jsonPath + " " + failures[jsonPath].join("; "));`,
+    `        });`,
+    `    });`,
+    `})();`
+  ];
 }
 
 /**
@@ -451,29 +602,65 @@ function generateDefaultContractTestScript() {
 }
 
 /**
- * Generate pre-request script for authentication setup
+ * Generate pre-request script for test data and authentication setup
+ *
+ * Path parameters (when not already set) and JSON bodies come from a pool of
+ * seeded fake data sets; the data set is picked by pm.info.iteration, so a
+ * collection run with N iterations sends N distinct payloads that replay
+ * identically for the same seed.
  * @param {Object} endpoint - Endpoint object
+ * @param {Object} options - { seed, count } (defaults: DEFAULT_DATA_SEED, 1)
  * @returns {Array} Pre-request script lines
  */
-export function generatePreRequestScript(endpoint) {
+export function generatePreRequestScript(endpoint, options = {}) {
+  const { seed = DEFAULT_DATA_SEED, count = 1 } = options;
   const scripts = [];
 
   scripts.push(`// Pre-request script for: ${endpoint.method} ${endpoint.path}`);
   scripts.push('');
 
+  const pathParams = (endpoint.path.match(/\{([^}]+)\}/g) || []).map(param => param.replace(/[{}]/g, ''));
+  // Only raw JSON bodies are swapped per iteration
+  const bodyKind = getBodyKind(selectMediaType(endpoint.requestBody?.content));
+  const bodies = bodyKind === BodyKind.JSON ? buildRequestBodyExamples(endpoint.requestBody, { seed, count }) : [];
+
+  if (pathParams.length > 0 || bodies.length > 0) {
+    const dataSets = [];
+    for (let i = 0; i < count; i++) {
+      const params = {};
+      for (const paramName of pathParams) {
+        const schema = endpoint.parameters?.find(p => p.name === paramName && p.in === 'path')?.schema;
+        params[paramName] = String(getExample(schema || { type: 'string' }, { seed: `${seed}:${i}`, name: paramName }));
+      }
+      dataSets.push({ params, body: bodies[i] ?? bodies[0] });
+    }
+
+    scripts.push(`// Seeded test data (seed: ${seed}); one data set per iteration`);
+    scripts.push(`const fakeData = ${JSON.stringify(dataSets)};`);
+    scripts.push('const dataSet = fakeData[pm.info.iteration % fakeData.length];');
+    scripts.push('');
+  }
+
   // Set path parameters
-  const pathParams = endpoint.path.match(/\{([^}]+)\}/g) || [];
   if (pathParams.length > 0) {
     scripts.push('// Set path parameters if not defined');
-    for (const param of pathParams) {
-      const paramName = param.replace(/[{}]/g, '');
+    for (const paramName of pathParams) {
       scripts.push(`if (!pm.variables.get("${paramName}")) {`);
-      scripts.push(`    pm.variables.set("${paramName}", "test-${paramName}-001");`);
+      scripts.push(`    pm.variables.set("${paramName}", dataSet.params["${paramName}"]);`);
       scripts.push(`}`);
     }
     scripts.push('');
   }
 
+  // Request body
+  if (bodies.length > 0) {
+    scripts.push('// Replace raw JSON body with this iteration\'s data set');
+    scripts.push('if (pm.request.body && pm.request.body.mode === "raw" && dataSet.body !== undefined) {');
+    scripts.push('    pm.request.body.update(JSON.stringify(dataSet.body, null, 2));');
+    scripts.push('}');
+    scripts.push('');
+  }
+
   // Auth setup
   if (endpoint.security?.length > 0) {
     scripts.push('// Authentication setup');
@@ -487,5 +674,13 @@ export function generatePreRequestScript(endpoint) {
 export default {
   TestLevel,
   generateTestScriptsForSpec,
+  generateTestScript,
+  generateTestKeysForEndpoint,
+  generateSkipScriptsForSpec,
+  generatePreRequestScriptsForSpec,
+  generateRequestBodyMap,
+  getPathTemplatePattern,
+  getResponseContracts,
+  generateResponseContractScript,
   generatePreRequestScript
 };
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+/**
+ * Per-operation Test Settings
+ *
+ * Decides how each operation is tested, from vendor extensions on the
+ * operation and from forwardSync.testRules in sync.config.json:
+ * - x-test-level: deepest level of generated checks (none, smoke, contract);
+ *   a contract collection runs smoke checks for x-test-level: smoke
+ * - x-skip-tests: true, or the levels to skip (smoke, contract, negative, security)
+ * - x-response-time-ms: response time threshold for this operation
+ * - x-smoke: true selects the operations smoke tests run (all others are
+ *   skipped at the smoke level); false leaves one out
+ *
+ * Rules select operations by path (with * and ** wildcards), method, tag
+ * or operationId and set the same keys. Later rules win over earlier ones,
+ * and the operation's own extensions win over rules.
+ */
+
+/**
+ * Extensions read from operations (and accepted as rule settings)
+ */
+export const TestSettingExtension = {
+  LEVEL: 'x-test-level',
+  SKIP: 'x-skip-tests',
+  RESPONSE_TIME: 'x-response-time-ms',
+  SMOKE: 'x-smoke'
+};
+
+/**
+ * Levels x-test-level can cap the generated checks at, shallowest first
+ */
+const CAPPED_LEVELS = ['none', 'smoke', 'contract'];
+
+/**
+ * Convert a path selector to a regular expression
+ * `*` matches one segment, `**` any number of segments.
+ */
+function pathSelectorPattern(selector) {
+  const source = selector
+    .split(/(\*\*|\*)/)
+    .map(part => part === '**' ? '.*' : part === '*' ? '[^/]+' : part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('');
+  return new RegExp(`^${source.replace(/\/\.\*$/, '(?:/.*)?')}$`);
+}
+
+/**
+ * Check whether an endpoint matches a rule's selector
+ * Every given key must match; an empty selector matches nothing.
+ * @param {Object} endpoint - Endpoint object from parser
+ * @param {Object} match - { path, method, tag, operationId } (method and tag may be arrays)
+ * @returns {boolean} Whether the endpoint is selected
+ */
+export function matchesSelector(endpoint, match = {}) {
+  const list = value => (Array.isArray(value) ? value : [value]).map(String);
+  const checks = [];
+
+  if (match.path !== undefined) {
+    checks.push(list(match.path).some(selector => pathSelectorPattern(selector).test(endpoint.path)));
+  }
+  if (match.method !== undefined) {
+    checks.push(list(match.method).some(method => method.toUpperCase() === endpoint.method));
+  }
+  if (match.tag !== undefined) {
+    checks.push(list(match.tag).some(tag => (endpoint.tags || []).includes(tag)));
+  }
+  if (match.operationId !== undefined) {
+    checks.push(list(match.operationId).includes(endpoint.raw?.operationId));
+  }
+
+  return checks.length > 0 && checks.every(Boolean);
+}
+
+/**
+ * Collect the test settings of an operation
+ * @param {Object} endpoint - Endpoint object from parser
+ * @param {Array} rules - forwardSync.testRules: [{ match: {...}, 'x-test-level': ..., ... }]
+ * @returns {Object} Extension name -> value (only the settings that apply)
+ */
+export function getOperationTestSettings(endpoint, rules = []) {
+  const settings = {};
+  const extensions = Object.values(TestSettingExtension);
+
+  for (const rule of rules) {
+    if (!matchesSelector(endpoint, rule.match)) continue;
+    for (const key of extensions) {
+      if (rule[key] !== undefined) settings[key] = rule[key];
+    }
+  }
+  for (const key of extensions) {
+    if (endpoint.raw?.[key] !== undefined) settings[key] = endpoint.raw[key];
+  }
+
+  return settings;
+}
+
+/**
+ * Build the function that plans each endpoint's tests for a level
+ * Smoke selection (x-smoke: true) is decided across all endpoints, so it
+ * is computed once here.
+ * @param {Array} endpoints - Endpoints of the spec
+ * @param {Array} rules - forwardSync.testRules
+ * @returns {Function} (endpoint, level) -> { run: boolean, reason?: string, level: string, responseTimeMs?: number }
+ */
+export function createTestPlanner(endpoints, rules = []) {
+  const settingsOf = new Map(endpoints.map(endpoint => [endpoint, getOperationTestSettings(endpoint, rules)]));
+  const smokeSelection = [...settingsOf.values()].some(settings => settings[TestSettingExtension.SMOKE] === true);
+
+  return (endpoint, level) => {
+    const settings = settingsOf.get(endpoint) || getOperationTestSettings(endpoint, rules);
+    const skip = settings[TestSettingExtension.SKIP];
+    const cap = settings[TestSettingExtension.LEVEL];
+    const smoke = settings[TestSettingExtension.SMOKE];
+    const responseTime = Number(settings[TestSettingExtension.RESPONSE_TIME]);
+    const plan = { run: true, level };
+    if (Number.isFinite(responseTime) && responseTime > 0) plan.responseTimeMs = responseTime;
+
+    if (skip === true || (Array.isArray(skip) && skip.includes(level)) || skip === level) {
+      return { ...plan, run: false, reason: TestSettingExtension.SKIP };
+    }
+    if (cap === 'none') {
+      return { ...plan, run: false, reason: TestSettingExtension.LEVEL };
+    }
+    if (level === 'smoke' && (smoke === false || (smokeSelection && smoke !== true))) {
+      return { ...plan, run: false, reason: TestSettingExtension.SMOKE };
+    }
+    // Only smoke and contract checks are capped; negative and security requests are separate
+    if (CAPPED_LEVELS.includes(cap) && CAPPED_LEVELS.includes(level) && CAPPED_LEVELS.indexOf(cap) < CAPPED_LEVELS.indexOf(level)) {
+      plan.level = cap;
+    }
+    return plan;
+  };
+}
+
+/**
+ * Keep the endpoints that are tested at a level
+ * @param {Array} endpoints - Endpoints of the spec
+ * @param {string} level - Test level
+ * @param {Array} rules - forwardSync.testRules
+ * @returns {Array} Endpoints whose plan runs at that level
+ */
+export function filterTestedEndpoints(endpoints, level, rules = []) {
+  const plan = createTestPlanner(endpoints, rules);
+  return endpoints.filter(endpoint => plan(endpoint, level).run);
+}
+
+/**
+ * Pre-request script that keeps a skipped request from being sent
+ * @param {Object} endpoint - Endpoint object from parser
+ * @param {string} level - Test level
+ * @param {string} reason - Setting that skipped it
+ * @returns {Array} Pre-request script lines
+ */
+export function generateSkipRequestScript(endpoint, level, reason) {
+  return [
+    `// ${endpoint.method} ${endpoint.path} is not run at the ${level} level (${reason})`,
+    `pm.execution.skipRequest();`
+  ];
+}
+
+export default {
+  TestSettingExtension,
+  matchesSelector,
+  getOperationTestSettings,
+  createTestPlanner,
+  filterTestedEndpoints,
+  generateSkipRequestScript
+};
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+
+/**
+ * Test Templates and Hooks
+ *
+ * Lets a project add its own assertions to the generated smoke and
+ * contract scripts without forking the generator:
+ * - templates: script snippets per level, appended to every request's
+ *   tests, with {{method}}, {{path}}, {{operationId}}, {{name}},
+ *   {{level}} and {{successCodes}} filled in per endpoint
+ * - hooks: ES modules exporting smoke(endpoint, context) and/or
+ *   contract(endpoint, context) (or a default function called for both)
+ *   that return extra test lines for an endpoint
+ * - x-contract-tests: operation-specific assertions written in the spec
+ *
+ * Files are configured in forwardSync.testTemplates of sync.config.json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { createLogger } from './logger.js';
+
+const logger = createLogger({ name: 'test-templates' });
+
+/**
+ * Vendor extension holding operation-specific contract assertions
+ */
+export const CONTRACT_TESTS_EXTENSION = 'x-contract-tests';
+
+/**
+ * Levels templates and hooks can extend (the levels generateTestScript builds)
+ */
+export const TEMPLATE_LEVELS = ['smoke', 'contract'];
+
+/**
+ * Error raised for unreadable templates and failing hooks
+ */
+export class TestTemplateError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'TestTemplateError';
+    this.details = details;
+  }
+}
+
+/**
+ * Load the configured templates and hook modules
+ * @param {Object} templateConfig - { smoke: [files], contract: [files], hooks: [files] }
+ *   with absolute paths (see getTestTemplates in config-loader.js)
+ * @returns {Promise<Object>} { snippets: { smoke: [{ file, source }], contract: [...] }, hooks: [{ file, module }] }
+ * @throws {TestTemplateError} If a file cannot be read or a module exports no hooks
+ */
+export async function loadTestTemplates(templateConfig = {}) {
+  const templates = { snippets: {}, hooks: [] };
+
+  for (const [key, files] of Object.entries(templateConfig)) {
+    if (key !== 'hooks' && !TEMPLATE_LEVELS.includes(key)) {
+      throw new TestTemplateError(`Unknown test template level: ${key}. Use ${TEMPLATE_LEVELS.join(', ')} or hooks`, { level: key });
+    }
+
+    for (const file of files || []) {
+      if (key === 'hooks') {
+        templates.hooks.push({ file, module: await loadHookModule(file) });
+        continue;
+      }
+
+      let source;
+      try {
+        source = fs.readFileSync(file, 'utf8');
+      } catch (error) {
+        throw new TestTemplateError(`Failed to read test template ${file}: ${error.message}`, { file });
+      }
+      templates.snippets[key] = [...(templates.snippets[key] || []), { file, source }];
+    }
+  }
+
+  return templates;
+}
+
+/**
+ * Import a hook module and check it exports at least one hook
+ */
+async function loadHookModule(file) {
+  let module;
+  try {
+    module = await import(pathToFileURL(path.resolve(file)).href);
+  } catch (error) {
+    throw new TestTemplateError(`Failed to load test hook ${file}: ${error.message}`, { file });
+  }
+
+  if (typeof module.default !== 'function' && !TEMPLATE_LEVELS.some(level => typeof module[level] === 'function')) {
+    throw new TestTemplateError(
+      `Test hook ${file} must export ${TEMPLATE_LEVELS.join(' or ')}(endpoint, context), or a default function`,
+      { file }
+    );
+  }
+  return module;
+}
+
+/**
+ * Fill a template's placeholders for an endpoint
+ * Unknown placeholders (e.g. Postman {{variables}}) are left as they are.
+ * @param {string} source - Template source
+ * @param {Object} endpoint - Endpoint object from parser
+ * @param {string} level - Test level
+ * @returns {string} Rendered script
+ */
+export function renderTemplate(source, endpoint, level) {
+  const values = {
+    method: endpoint.method,
+    path: endpoint.path,
+    operationId: endpoint.raw?.operationId || endpoint.id || '',
+    name: endpoint.name || '',
+    level,
+    successCodes: Object.keys(endpoint.responses || {}).filter(code => code.startsWith('2')).join(', ')
+  };
+
+  return source.replace(/\{\{(\w+)\}\}/g, (match, key) => key in values ? String(values[key]) : match);
+}
+
+/**
+ * Normalize what a hook or extension returned into script lines
+ */
+function toLines(value) {
+  if (value === undefined || value === null || value === false) return [];
+  if (Array.isArray(value)) return value.flatMap(toLines);
+  return String(value).replace(/\n$/, '').split('\n');
+}
+
+/**
+ * Generate the template and hook sections of an endpoint's test script
+ * @param {Object} endpoint - Endpoint object from parser
+ * @param {string} level - Test level ('smoke' or 'contract')
+ * @param {Object} templates - Result of loadTestTemplates
+ * @param {Object} context - Passed to hooks along with the level (e.g. { api })
+ * @returns {Array} Test script lines (empty when nothing applies)
+ * @throws {TestTemplateError} If a hook throws or returns a promise
+ */
+export function generateTemplateTests(endpoint, level, templates, context = {}) {
+  const tests = [];
+
+  for (const { file, source } of templates?.snippets?.[level] || []) {
+    tests.push(`// Template: ${path.basename(file)}`);
+    tests.push(...toLines(renderTemplate(source, endpoint, level)));
+    tests.push('');
+  }
+
+  for (const { file, module } of templates?.hooks || []) {
+    const hook = typeof module[level] === 'function' ? module[level] : module.default;
+    if (typeof hook !== 'function') continue;
+
+    let result;
+    try {
+      result = hook(endpoint, { ...context, level });
+    } catch (error) {
+      throw new TestTemplateError(`Test hook ${file} failed for ${endpoint.method} ${endpoint.path}: ${error.message}`, { file });
+    }
+    if (typeof result?.then === 'function') {
+      throw new TestTemplateError(`Test hook ${file} returned a promise; hooks must return test lines synchronously`, { file });
+    }
+
+    const lines = toLines(result);
+    if (lines.length > 0) {
+      tests.push(`// Hook: ${path.basename(file)}`);
+      tests.push(...lines);
+      tests.push('');
+    }
+  }
+
+  return tests;
+}
+
+/**
+ * Generate the assertions an operation declares in x-contract-tests
+ *
+ * Entries are either a script (string) added as-is, or
+ * { name, script, status? } wrapped in pm.test; with status, the test
+ * only runs when that status came back.
+ * @param {Object} endpoint - Endpoint object from parser
+ * @returns {Array} Test script lines (empty without the extension)
+ */
+export function generateExtensionTests(endpoint) {
+  const entries = endpoint.raw?.[CONTRACT_TESTS_EXTENSION];
+  if (!Array.isArray(entries) || entries.length === 0) return [];
+
+  const tests = [`// ${CONTRACT_TESTS_EXTENSION}`];
+
+  for (const entry of entries) {
+    if (typeof entry === 'string') {
+      tests.push(...toLines(entry));
+      continue;
+    }
+    if (!entry?.name || typeof entry.script !== 'string') {
+      logger.warn(`Skipping ${CONTRACT_TESTS_EXTENSION} entry of ${endpoint.method} ${endpoint.path}: needs a name and a script`);
+      continue;
+    }
+
+    const indent = entry.status !== undefined ? '    ' : '';
+    if (entry.status !== undefined) {
+      tests.push(`if (String(pm.response.code) === ${JSON.stringify(String(entry.status))}) {`);
+    }
+    tests.push(`${indent}pm.test(${JSON.stringify(entry.name)}, function () {`);
+    tests.push(...toLines(entry.script).map(line => `${indent}    ${line}`.trimEnd()));
+    tests.push(`${indent}});`);
+    if (entry.status !== undefined) {
+      tests.push(`}`);
+    }
+  }
+
+  tests.push('');
+  return tests;
+}
+
+export default {
+  CONTRACT_TESTS_EXTENSION,
+  TEMPLATE_LEVELS,
+  TestTemplateError,
+  loadTestTemplates,
+  renderTemplate,
+  generateTemplateTests,
+  generateExtensionTests
+};
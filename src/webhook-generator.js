@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Webhook Generator
+ *
+ * Builds a "Webhooks" folder for outbound requests documented in the spec
+ * (OAS 3.1 top-level webhooks and per-operation callbacks). Spec Hub does
+ * not generate requests for these, so each item is built here: it sends the
+ * documented example payload to {{webhookReceiverUrl}} and carries contract
+ * tests that check the receiver answers as the spec describes.
+ */
+
+import { extractWebhookEndpoints, EndpointKind } from './parser.js';
+import { applyPostmanBody, buildPostmanBody } from './request-body-builder.js';
+import { generateTestScript, TestLevel } from './test-generator.js';
+
+/**
+ * Name of the generated folder
+ */
+export const WEBHOOKS_FOLDER_NAME = 'Webhooks';
+
+/**
+ * Environment variable holding the receiver URL
+ */
+export const WEBHOOK_RECEIVER_VARIABLE = 'webhookReceiverUrl';
+
+/**
+ * Check whether a spec documents any webhooks or callbacks
+ * @param {Object} api - Parsed OpenAPI spec
+ * @returns {boolean} True if there is at least one outbound request
+ */
+export function hasWebhooks(api) {
+  return extractWebhookEndpoints(api).length > 0;
+}
+
+/**
+ * Build the Postman request item for a webhook or callback endpoint
+ * @param {Object} endpoint - Webhook/callback endpoint from the parser
+ * @param {string} level - Test level ('smoke' or 'contract')
+ * @returns {Object} Postman collection item
+ */
+export function generateWebhookItem(endpoint, level = TestLevel.CONTRACT) {
+  const source = endpoint.kind === EndpointKind.CALLBACK
+    ? `Callback \`${endpoint.callbackName}\` of \`${endpoint.parentOperationId}\` (target: \`${endpoint.path}\`)`
+    : `Webhook \`${endpoint.webhookName}\``;
+
+  const request = {
+    method: endpoint.method,
+    header: [],
+    url: {
+      raw: `{{${WEBHOOK_RECEIVER_VARIABLE}}}`,
+      host: [`{{${WEBHOOK_RECEIVER_VARIABLE}}}`]
+    },
+    description: [source, endpoint.description].filter(Boolean).join('\n\n')
+  };
+  applyPostmanBody(request, buildPostmanBody(endpoint.requestBody));
+
+  return {
+    name: endpoint.name,
+    request,
+    event: [
+      {
+        listen: 'test',
+        script: {
+          type: 'text/javascript',
+          exec: generateTestScript(endpoint, level)
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Generate the "Webhooks" folder for a spec
+ * @param {Object} api - Parsed OpenAPI spec
+ * @param {string} level - Test level ('smoke' or 'contract')
+ * @returns {Object|null} Postman folder item, or null if the spec has no webhooks
+ */
+export function generateWebhookFolder(api, level = TestLevel.CONTRACT) {
+  const endpoints = extractWebhookEndpoints(api);
+  if (endpoints.length === 0) {
+    return null;
+  }
+
+  return {
+    name: WEBHOOKS_FOLDER_NAME,
+    description: `Outbound requests sent by ${api.info?.title || 'the API'}. ` +
+      `Point {{${WEBHOOK_RECEIVER_VARIABLE}}} at a receiver to check it handles the documented payloads.`,
+    item: endpoints.map(endpoint => generateWebhookItem(endpoint, level))
+  };
+}
+
+export default {
+  hasWebhooks,
+  generateWebhookItem,
+  generateWebhookFolder,
+  WEBHOOKS_FOLDER_NAME,
+  WEBHOOK_RECEIVER_VARIABLE
+};